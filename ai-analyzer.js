@@ -3,6 +3,8 @@
  * OpenRouter API를 통한 Gemini 3 Flash 기반 분석
  */
 
+import { fuseScores } from './score-model.js';
+
 // OpenRouter API 설정
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 const MODEL_NAME = 'google/gemini-3-flash-preview';
@@ -79,6 +81,19 @@ export async function analyzeWithAI(analysisData) {
   }
 }
 
+/**
+ * 리다이렉트 체인을 프롬프트용 목록으로 변환
+ * @param {Array} [hops] - RedirectTracker 단계 목록
+ * @returns {string}
+ */
+function formatRedirectChain(hops) {
+  if (!hops || hops.length === 0) return '';
+
+  return '\n' + hops
+    .map((hop, i) => `  ${i + 1}. [${hop.type}${hop.status ? ` ${hop.status}` : ''}] ${hop.from || '(시작)'} → ${hop.to}`)
+    .join('\n');
+}
+
 /**
  * 분석 프롬프트 생성
  * @param {Object} data
@@ -93,7 +108,7 @@ function buildAnalysisPrompt(data) {
 - **URL**: ${url}
 - **페이지 제목**: ${pageInfo?.title || '없음'}
 - **최종 URL**: ${pageInfo?.finalUrl || url}
-- **리다이렉트 횟수**: ${pageInfo?.redirectCount || 0}
+- **리다이렉트 횟수**: ${pageInfo?.redirectCount || 0}${formatRedirectChain(pageInfo?.redirectChain)}
 - **외부 도메인 수**: ${pageInfo?.externalDomains?.length || 0}
 
 ## 기존 휴리스틱 분석 결과
@@ -121,6 +136,7 @@ ${JSON.stringify(preliminaryAnalysis, null, 2)}
     }
   ],
   "recommendations": ["사용자에게 권장하는 행동 1", "행동 2"],
+  "phoneNumbers": ["스크린샷에 보이는 전화번호 (가짜 경고의 '고객센터에 전화하세요' 등, 없으면 빈 배열)"],
   "confidence": 0-100 사이의 신뢰도
 }`;
 }
@@ -209,10 +225,9 @@ export function mergeAnalysisResults(heuristicResult, aiResult) {
 
   const ai = aiResult.analysis;
 
-  // 위험도 점수 가중 평균 (휴리스틱 40%, AI 60%)
-  const combinedScore = Math.round(
-    heuristicResult.riskScore * 0.4 + ai.riskScore * 0.6
-  );
+  // 위험도 점수 결합 (보정 모델의 결합 함수, 없으면 휴리스틱 40% + AI 60%)
+  const fused = fuseScores(heuristicResult.riskScore, ai.riskScore);
+  const combinedScore = fused.riskScore;
 
   // 위험 레벨 결정 (더 높은 위험도 채택)
   const riskLevels = { safe: 0, warning: 1, danger: 2 };
@@ -227,6 +242,9 @@ export function mergeAnalysisResults(heuristicResult, aiResult) {
     ...heuristicResult,
     riskScore: combinedScore,
     riskLevel: combinedRiskLevel,
+    // scoreBreakdown의 합계는 보정 전 휴리스틱 점수 기준 (calibration.rawScore)
+    heuristicScore: heuristicResult.riskScore,
+    fusionMethod: fused.method,
     aiAnalysis: {
       enabled: true,
       model: aiResult.model,
@@ -235,6 +253,7 @@ export function mergeAnalysisResults(heuristicResult, aiResult) {
       summary: ai.summary,
       findings: ai.findings,
       recommendations: ai.recommendations,
+      phoneNumbers: Array.isArray(ai.phoneNumbers) ? ai.phoneNumbers : [],
       confidence: ai.confidence,
     },
   };
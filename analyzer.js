@@ -2,10 +2,38 @@
  * Safe-Link Sandbox Analyzer
  * Puppeteer 기반 URL 샌드박스 분석 모듈
  * + AI 기반 분석 (OpenRouter Gemini 3 Flash)
+ *
+ * 탐지 패턴과 점수는 rules/*.json 규칙 파일에서 로드 (rule-engine.js)
  */
 
+import crypto from 'crypto';
 import puppeteer from 'puppeteer';
 import { analyzeWithAI, mergeAnalysisResults } from './ai-analyzer.js';
+import { analyzeHomograph, describeConfusables } from './homograph.js';
+import { detectBrandImpersonation, collectBrandEvidence, findLookalikeBrand } from './brand-registry.js';
+import { RedirectTracker } from './redirect-chain.js';
+import { HarRecorder, storeHar } from './har-recorder.js';
+import { expandShortUrl } from './url-expander.js';
+import { ScriptCollector, analyzeScript } from './script-analyzer.js';
+import { CanaryTracer } from './canary-tracer.js';
+import { PageInstrumentation } from './page-instrumentation.js';
+import { detectKeylogger } from './keylogger-detector.js';
+import { MinerMonitor } from './cryptominer-detector.js';
+import { buildFingerprintProfile } from './fingerprint-detector.js';
+import { detectCloaking } from './cloaking-detector.js';
+import { detectOverlays } from './overlay-detector.js';
+import { summarizePermissionRequests, PERMISSION_LABELS } from './permission-detector.js';
+import { ScarewareMonitor, mergeScreenshotPhoneNumbers } from './scareware-detector.js';
+import { scanPageForQrCodes, decodeQrImages } from './qr-decoder.js';
+import { findExfilInRequests, findExfilInScripts, summarizeExfil } from './exfil-endpoints.js';
+import { AssetHasher, collectKitEvidence, matchKitFamilies } from './kit-fingerprints.js';
+import { probeKitArtifacts } from './kit-probe.js';
+import { inspectCertificate } from './tls-inspector.js';
+import { lookupThreatFeeds } from './threat-feeds.js';
+import { matchLexicon, sumLexiconWeight } from './korean-lexicon.js';
+import { evaluateRules, registerChecks, summarizeScore, getRuleset, getLexicon, watchRules } from './rule-engine.js';
+import { calibrateScore } from './score-model.js';
+import { CorpusReplay } from './corpus-replay.js';
 
 // 위험도 판정 기준
 const RISK_THRESHOLDS = {
@@ -14,48 +42,643 @@ const RISK_THRESHOLDS = {
   // 71-100: 위험
 };
 
-// 알려진 피싱 패턴
-const PHISHING_PATTERNS = [
-  /login.*verify/i,
-  /account.*suspend/i,
-  /urgent.*action/i,
-  /password.*expire/i,
-  /verify.*identity/i,
-  /security.*alert/i,
-  /confirm.*bank/i,
-  /update.*payment/i,
-];
-
-// 악성 스크립트 패턴
-const MALICIOUS_SCRIPT_PATTERNS = [
-  /eval\s*\(/,
-  /document\.write/,
-  /window\.location\s*=/,
-  /innerHTML\s*=/,
-  /fromCharCode/,
-  /unescape\s*\(/,
-  /btoa|atob/,
-];
-
-// 의심스러운 도메인 패턴
-const SUSPICIOUS_DOMAIN_PATTERNS = [
-  /\d{4,}/,                    // 긴 숫자 포함
-  /-{2,}/,                     // 연속 하이픈
-  /\.(tk|ml|ga|cf|gq)$/i,      // 무료 도메인
-  /[а-яА-Я]/,                  // 키릴 문자 (호모그래프 공격)
-];
+// 단축 URL 전개 최대 시간 (ms)
+const EXPANSION_TIMEOUT = 8000;
+
+// QR 코드 중첩 분석 최대 깊이와 한 페이지에서 전체 분석할 최대 URL 수
+const MAX_QR_DEPTH = 1;
+const MAX_QR_FOLLOW = 3;
 
 /**
  * URL 분석 결과 타입
  * @typedef {Object} AnalysisResult
+ * @property {string} analysisId - 분석 ID (HAR 다운로드: GET /api/har/:analysisId)
  * @property {string} url - 분석된 URL
- * @property {number} riskScore - 위험도 점수 (0-100)
+ * @property {number} riskScore - 위험도 점수 (0-100, 보정 모델이 있으면 100 × 피싱 확률)
  * @property {string} riskLevel - 위험 레벨 (safe/warning/danger)
  * @property {string} screenshot - Base64 인코딩된 스크린샷
  * @property {Object} details - 상세 분석 결과
+ * @property {Array} scoreBreakdown - 규칙별 점수 기여 내역 (ruleId, points, cap, evidence)
+ * @property {Object|null} calibration - 보정 모델 적용 결과 (applied, rawScore, probability, modelVersion, rulesetMismatch)
+ * @property {Object|null} threatFeed - 위협 피드/허용 목록 조회 결과
+ * @property {Object|null} replay - 저장된 응답 재생 결과 (captured, served, missingCount, missing)
+ * @property {string} rulesetVersion - 판정에 사용된 규칙셋 버전
  * @property {number} analysisTime - 분석 소요 시간 (ms)
  */
 
+// ============================================
+// 규칙 검사 함수 (rules/*.json의 check 규칙)
+// ============================================
+
+registerChecks('domain', {
+  ipAddress: ({ hostname }) => /^\d+\.\d+\.\d+\.\d+$/.test(hostname)
+    ? { values: {}, evidence: [{ hostname }] }
+    : null,
+
+  mixedScript: ({ homograph }) => {
+    if (homograph.mixedScriptLabels.length === 0) return null;
+    const confusables = describeConfusables(homograph.confusables);
+    return {
+      values: {
+        labels: homograph.mixedScriptLabels.map(l => `${l.label}: ${l.scripts.join('+')}`).join(', '),
+        confusables: confusables ? ` - ${confusables}` : '',
+      },
+      evidence: homograph.mixedScriptLabels.map(l => ({ label: l.label, scripts: l.scripts })),
+    };
+  },
+
+  wholeScriptConfusable: ({ homograph }) => {
+    if (homograph.wholeScriptConfusables.length === 0) return null;
+    return {
+      values: {
+        labels: homograph.wholeScriptConfusables.map(l => `${l.label} → ${l.skeleton}`).join(', '),
+        confusables: describeConfusables(homograph.confusables),
+      },
+      evidence: homograph.wholeScriptConfusables.map(l => ({ label: l.label, script: l.script, skeleton: l.skeleton })),
+    };
+  },
+
+  confusableChars: ({ homograph }) => homograph.confusables.length > 0
+    ? {
+      values: { confusables: describeConfusables(homograph.confusables) },
+      evidence: homograph.confusables.map(c => ({ label: c.label, match: c.char, codePoint: c.codePoint, looksLike: c.looksLike })),
+    }
+    : null,
+
+  punycode: ({ homograph }) => homograph.isPunycode
+    ? { values: { unicode: homograph.unicode }, evidence: [{ hostname: homograph.ascii, unicode: homograph.unicode }] }
+    : null,
+
+  subdomainCount: ({ hostname }, rule) => {
+    const count = hostname.split('.').length - 2;
+    return count > rule.threshold
+      ? { values: { count }, evidence: [{ hostname, count, threshold: rule.threshold }] }
+      : null;
+  },
+
+  insecureProtocol: ({ parsed }) => parsed.protocol !== 'https:'
+    ? { values: {}, evidence: [{ protocol: parsed.protocol }] }
+    : null,
+
+  nonStandardPort: ({ parsed }) => parsed.port && !['80', '443', ''].includes(parsed.port)
+    ? { values: { port: parsed.port }, evidence: [{ port: parsed.port }] }
+    : null,
+});
+
+registerChecks('text', {
+  // 문구 사전 일치 가중치 합계에 비례하여 점수 부여 (규칙 weight가 상한)
+  lexicon: ({ subjects }, rule) => {
+    const matches = subjects.flatMap(text => matchLexicon(text, getLexicon(rule.lexicon)));
+    if (matches.length === 0 || rule.weight === 0) return null;
+
+    const phrases = [...new Set(matches.map(m => m.phrase))];
+    return {
+      factor: Math.min(sumLexiconWeight(matches), rule.weight) / rule.weight,
+      values: { phrases: phrases.join(', ') },
+      evidence: matches.slice(0, 10).map(m => ({
+        match: m.match,
+        phrase: m.phrase,
+        category: m.category,
+        weight: m.weight,
+        snippet: m.snippet,
+      })),
+    };
+  },
+});
+
+registerChecks('form', {
+  passwordField: ({ formInfo }) => formInfo.passwordFields.length > 0
+    ? { values: {}, evidence: formInfo.passwordFields.map(selector => ({ selector })) }
+    : null,
+
+  externalAction: ({ formInfo }) => {
+    const external = formInfo.forms.filter(f => f.external);
+    return external.length > 0
+      ? { values: {}, evidence: external.map(f => ({ selector: f.selector, action: f.action })) }
+      : null;
+  },
+
+  hiddenFieldCount: ({ formInfo }, rule) => formInfo.hiddenFieldCount > rule.threshold
+    ? {
+      values: { count: formInfo.hiddenFieldCount },
+      evidence: [{ count: formInfo.hiddenFieldCount, threshold: rule.threshold }],
+    }
+    : null,
+});
+
+registerChecks('fingerprint', {
+  multipleTechniques: ({ fingerprint }, rule) => {
+    const techniques = (fingerprint?.techniques || []).filter(t => t !== 'automation');
+    return techniques.length >= rule.threshold
+      ? {
+        values: { techniques: techniques.join(', ') },
+        evidence: fingerprint.origins
+          .filter(o => o.techniques.length > 0)
+          .map(o => ({ origin: o.origin, techniques: o.techniques, calls: o.calls })),
+      }
+      : null;
+  },
+
+  automationCheck: ({ fingerprint }) => {
+    const origins = (fingerprint?.origins || []).filter(o => o.techniques.includes('automation'));
+    return origins.length > 0
+      ? {
+        values: { origins: origins.map(o => o.origin).join(', ') },
+        evidence: origins.map(o => ({ origin: o.origin, scriptUrls: o.scriptUrls, calls: o.calls['navigator.webdriver'] })),
+      }
+      : null;
+  },
+});
+
+registerChecks('overlay', {
+  transparentFrame: ({ overlays }) => {
+    const frames = (overlays?.transparentFrames || []).filter(f => f.covered.length > 0);
+    return frames.length > 0
+      ? {
+        values: { count: frames.length, labels: frames.flatMap(f => f.covered.map(c => c.label)).filter(Boolean).slice(0, 3).join(', ') },
+        evidence: frames.map(f => ({ element: f.element, src: f.src, opacity: f.opacity, box: f.box, covered: f.covered })),
+      }
+      : null;
+  },
+
+  transparentOverlay: ({ overlays }) => {
+    const found = (overlays?.fullViewportOverlays || []).filter(o => o.transparent);
+    return found.length > 0
+      ? {
+        values: { elements: found.map(o => o.element).join(', ') },
+        evidence: found.map(o => ({ element: o.element, opacity: o.opacity, zIndex: o.zIndex, box: o.box, links: o.links })),
+      }
+      : null;
+  },
+
+  clickHijack: ({ overlays }) => {
+    const clicks = (overlays?.hijackedClicks || []).filter(c => c.deceptive);
+    return clicks.length > 0
+      ? {
+        values: { labels: clicks.map(c => c.label).filter(Boolean).slice(0, 3).join(', ') },
+        evidence: clicks.map(c => ({ element: c.element, label: c.label, href: c.href, box: c.box, receiver: c.receiver })),
+      }
+      : null;
+  },
+
+  linkTextMismatch: ({ overlays }) => {
+    const links = overlays?.mismatchedLinks || [];
+    return links.length > 0
+      ? {
+        values: { links: links.slice(0, 3).map(l => `${l.shownDomain} → ${l.actualDomain}`).join(', ') },
+        evidence: links.map(l => ({ element: l.element, label: l.label, href: l.href, box: l.box })),
+      }
+      : null;
+  },
+});
+
+registerChecks('network', {
+  externalDomainCount: ({ externalDomains }, rule) => externalDomains.length > rule.threshold
+    ? {
+      values: { count: externalDomains.length },
+      evidence: [{ count: externalDomains.length, threshold: rule.threshold, domains: externalDomains }],
+    }
+    : null,
+
+  externalScripts: ({ externalScripts }) => externalScripts.length > 0
+    ? { values: { count: externalScripts.length }, evidence: externalScripts.map(scriptUrl => ({ scriptUrl })) }
+    : null,
+
+  thirdPartyFingerprinting: ({ fingerprint }) => {
+    const origins = (fingerprint?.origins || []).filter(o => o.thirdParty && o.techniques.length > 0);
+    return origins.length > 0
+      ? {
+        values: { origins: origins.map(o => o.origin).join(', ') },
+        evidence: origins.map(o => ({ origin: o.origin, techniques: o.techniques, scriptUrls: o.scriptUrls })),
+      }
+      : null;
+  },
+});
+
+registerChecks('brand', {
+  // 사칭 신뢰도(0-100)에 비례하여 점수 부여
+  impersonation: ({ impersonation }) => impersonation.detected
+    ? {
+      factor: impersonation.confidence / 100,
+      values: {
+        brand: impersonation.brand.name,
+        signals: impersonation.signals.map(s => s.type).join(', '),
+        officialDomains: impersonation.officialDomains.join(', '),
+      },
+      evidence: impersonation.signals.map(s => ({ signal: s.type, detail: s.detail })),
+    }
+    : null,
+});
+
+registerChecks('redirect', {
+  hopCount: ({ chain }, rule) => chain.hopCount > rule.threshold
+    ? {
+      values: {
+        count: chain.hopCount,
+        types: [...new Set(chain.hops.filter(h => h.isMainFrame).map(h => h.type))].join(', '),
+      },
+      evidence: chain.hops
+        .filter(h => h.isMainFrame)
+        .map(h => ({ type: h.type, status: h.status, from: h.from, to: h.to })),
+    }
+    : null,
+
+  shortener: ({ chain }) => chain.shorteners.length > 0
+    ? { values: { shorteners: chain.shorteners.join(', ') }, evidence: chain.shorteners.map(hostname => ({ hostname })) }
+    : null,
+
+  httpsDowngrade: ({ chain }) => chain.downgrades.length > 0
+    ? { values: { to: chain.downgrades[0].to }, evidence: chain.downgrades }
+    : null,
+});
+
+registerChecks('expansion', {
+  nestedShorteners: ({ expansion }) => expansion.shorteners.length > 1
+    ? {
+      values: { shorteners: expansion.shorteners.join(' → ') },
+      evidence: expansion.hops.map(hop => ({ url: hop.url, status: hop.status, location: hop.location })),
+    }
+    : null,
+
+  disabledShortLink: ({ expansion }) => expansion.disabled
+    ? {
+      values: { status: expansion.hops[expansion.hops.length - 1].status },
+      evidence: [expansion.hops[expansion.hops.length - 1]],
+    }
+    : null,
+});
+
+registerChecks('tls', {
+  certificateAge: ({ certificate }, rule) => certificate.secure && certificate.ageDays <= rule.threshold
+    ? {
+      values: { ageDays: certificate.ageDays, issuer: certificate.issuer },
+      evidence: [{ validFrom: certificate.validFrom, ageDays: certificate.ageDays, threshold: rule.threshold }],
+    }
+    : null,
+
+  sanMismatch: ({ certificate }) => certificate.secure && !certificate.coversHostname
+    ? {
+      values: { hostname: certificate.hostname },
+      evidence: [{ hostname: certificate.hostname, sanList: certificate.sanList }],
+    }
+    : null,
+
+  freeDvLookalike: ({ certificate, lookalikeBrand }) => certificate.secure && certificate.freeDv && lookalikeBrand
+    ? {
+      values: { brand: lookalikeBrand.name, issuer: certificate.issuer },
+      evidence: [{ hostname: certificate.hostname, issuer: certificate.issuer, brand: lookalikeBrand.id }],
+    }
+    : null,
+});
+
+registerChecks('feed', {
+  blocklistedUrl: ({ threatFeed }) => threatFeed?.list === 'block' && threatFeed.matchType !== 'domain'
+    ? {
+      values: { feed: threatFeed.feed, matchType: threatFeed.matchType, importedAt: threatFeed.importedAt },
+      evidence: [{ feed: threatFeed.feed, matchType: threatFeed.matchType, value: threatFeed.value, target: threatFeed.target }],
+    }
+    : null,
+
+  blocklistedDomain: ({ threatFeed }) => threatFeed?.list === 'block' && threatFeed.matchType === 'domain'
+    ? {
+      values: { feed: threatFeed.feed, value: threatFeed.value, importedAt: threatFeed.importedAt },
+      evidence: [{ feed: threatFeed.feed, matchType: threatFeed.matchType, value: threatFeed.value }],
+    }
+    : null,
+});
+
+/**
+ * 스크립트 분석 결과의 출처 정보 (증거 보고용)
+ * @param {Object} report - analyzeScript() 결과
+ * @returns {Object} { scriptUrl } 또는 { scriptIndex }
+ */
+function scriptSource(report) {
+  return report.scriptUrl ? { scriptUrl: report.scriptUrl } : { scriptIndex: report.scriptIndex };
+}
+
+registerChecks('obfuscation', {
+  highEntropy: ({ reports }, rule) => {
+    const matched = reports.filter(r => r.size >= (rule.minSize || 0) && r.entropy > rule.threshold);
+    return matched.length > 0
+      ? {
+        values: { count: matched.length, entropy: Math.max(...matched.map(r => r.entropy)) },
+        evidence: matched.map(r => ({ ...scriptSource(r), entropy: r.entropy, size: r.size })),
+      }
+      : null;
+  },
+
+  stringArray: ({ reports }, rule) => {
+    const matched = reports.filter(r => r.longestStringArray > rule.threshold);
+    return matched.length > 0
+      ? {
+        values: { length: Math.max(...matched.map(r => r.longestStringArray)) },
+        evidence: matched.map(r => ({ ...scriptSource(r), length: r.longestStringArray })),
+      }
+      : null;
+  },
+
+  packerSignature: ({ reports }) => {
+    const matched = reports.filter(r => r.signatures.length > 0);
+    return matched.length > 0
+      ? {
+        values: { signatures: [...new Set(matched.flatMap(r => r.signatures))].join(', ') },
+        evidence: matched.map(r => ({ ...scriptSource(r), signatures: r.signatures })),
+      }
+      : null;
+  },
+
+  escapeDensity: ({ reports }, rule) => {
+    const matched = reports.filter(r => r.escapeDensity > rule.threshold);
+    return matched.length > 0
+      ? {
+        values: { density: Math.max(...matched.map(r => r.escapeDensity)) },
+        evidence: matched.map(r => ({ ...scriptSource(r), density: r.escapeDensity })),
+      }
+      : null;
+  },
+
+  telegramToken: ({ reports }) => {
+    const matched = reports.filter(r => r.decoded.telegramTokens.length > 0);
+    return matched.length > 0
+      ? {
+        values: { count: new Set(matched.flatMap(r => r.decoded.telegramTokens)).size },
+        evidence: matched.map(r => ({ ...scriptSource(r), tokens: r.decoded.telegramTokens })),
+      }
+      : null;
+  },
+
+  decodedUrls: ({ reports }) => {
+    const matched = reports.filter(r => r.decoded.urls.length > 0);
+    return matched.length > 0
+      ? {
+        values: { urls: [...new Set(matched.flatMap(r => r.decoded.urls))].slice(0, 3).join(', ') },
+        evidence: matched.map(r => ({ ...scriptSource(r), urls: r.decoded.urls })),
+      }
+      : null;
+  },
+});
+
+registerChecks('canary', {
+  thirdPartyDestination: ({ trace }) => {
+    const destinations = (trace?.destinations || []).filter(d => d.thirdParty);
+    return destinations.length > 0
+      ? {
+        values: { destinations: destinations.map(d => d.host).join(', ') },
+        evidence: destinations.map(d => ({
+          destination: d.destination,
+          channels: d.channels,
+          fields: [...new Set(d.canaries.map(c => c.kind))],
+        })),
+      }
+      : null;
+  },
+
+  encodedTransmission: ({ trace }) => {
+    const hits = (trace?.destinations || []).flatMap(d =>
+      d.canaries.filter(c => c.encoding !== 'plain' && c.encoding !== 'url').map(c => ({ ...c, destination: d.destination }))
+    );
+    return hits.length > 0
+      ? {
+        values: { encodings: [...new Set(hits.map(h => h.encoding))].join(', ') },
+        evidence: hits.map(h => ({ destination: h.destination, field: h.kind, encoding: h.encoding, location: h.location })),
+      }
+      : null;
+  },
+});
+
+registerChecks('keylogger', {
+  preSubmitExfiltration: ({ keylogger }) => keylogger?.detected
+    ? {
+      values: { destinations: keylogger.findings.map(f => f.host).join(', ') },
+      evidence: keylogger.findings.map(f => ({
+        destination: f.destination,
+        channels: f.channels,
+        fields: f.fields,
+        scripts: f.scripts,
+      })),
+    }
+    : null,
+});
+
+registerChecks('exfil', {
+  endpoint: ({ endpoints }, rule) => {
+    const matched = endpoints.filter(e => e.source === rule.channel && e.kind === rule.kind);
+    return matched.length > 0
+      ? {
+        values: { services: [...new Set(matched.map(e => e.name))].join(', ') },
+        evidence: matched.map(e => ({
+          service: e.service,
+          endpoint: e.endpoint,
+          ...(e.source === 'network' ? { method: e.method } : { scriptUrl: e.scriptUrl, scriptIndex: e.scriptIndex }),
+          indicators: e.indicators,
+        })),
+      }
+      : null;
+  },
+});
+
+registerChecks('miner', {
+  minerSignature: ({ miner }) => miner?.signatures.length > 0
+    ? {
+      values: { signatures: miner.signatures.map(s => s.name).join(', ') },
+      evidence: miner.signatures.map(s => ({ signature: s.name, sources: s.sources })),
+    }
+    : null,
+
+  stratumProtocol: ({ miner }) => miner?.stratum.length > 0
+    ? {
+      values: { endpoints: [...new Set(miner.stratum.map(f => f.url).filter(Boolean))].join(', ') },
+      evidence: miner.stratum.map(f => ({ url: f.url, direction: f.direction, payload: f.payload })),
+    }
+    : null,
+
+  wasmHighCpu: ({ miner }, rule) => {
+    const wasmUsed = miner && (miner.wasm.instantiations.length > 0 || miner.wasm.modules.length > 0);
+    return wasmUsed && miner.cpu?.cpuRatio > rule.threshold
+      ? {
+        values: { cpu: Math.round(miner.cpu.cpuRatio * 100) },
+        evidence: [{ ...miner.cpu, threshold: rule.threshold, wasm: miner.wasm, workers: miner.workers }],
+      }
+      : null;
+  },
+
+  highCpu: ({ miner }, rule) => miner?.cpu?.cpuRatio > rule.threshold
+    ? {
+      values: { cpu: Math.round(miner.cpu.cpuRatio * 100) },
+      evidence: [{ ...miner.cpu, threshold: rule.threshold }],
+    }
+    : null,
+});
+
+// 권한 요청 항목 중 지정한 권한만 골라 규칙 결과로 변환
+const permissionMatch = (permissions, kinds) => {
+  const requests = (permissions?.requests || []).filter(r => kinds.includes(r.permission));
+  return requests.length > 0
+    ? {
+      values: {
+        permissions: [...new Set(requests.map(r => r.label))].join(', '),
+        scripts: [...new Set(requests.map(r => r.scriptUrl || '인라인 스크립트'))].slice(0, 3).join(', '),
+      },
+      evidence: requests.map(r => ({ permission: r.permission, api: r.api, scriptUrl: r.scriptUrl, line: r.line, userActivation: r.userActivation, count: r.count })),
+    }
+    : null;
+};
+
+registerChecks('permission', {
+  notificationRequest: ({ permissions }) => permissionMatch(permissions, ['notifications', 'push']),
+  mediaRequest: ({ permissions }) => permissionMatch(permissions, ['media', 'display-capture']),
+  clipboardAccess: ({ permissions }) => permissionMatch(permissions, ['clipboard-read', 'clipboard-write']),
+  geolocationRequest: ({ permissions }) => permissionMatch(permissions, ['geolocation']),
+
+  withoutUserActivation: ({ permissions }) => {
+    const requests = (permissions?.requests || []).filter(r => r.userActivation === false);
+    return permissionMatch({ requests }, Object.keys(PERMISSION_LABELS));
+  },
+});
+
+registerChecks('scareware', {
+  // 고객센터 안내 팝업과 구분하기 위해 사기성 행위나 경고 문구가 함께 있어야 함
+  phoneInWarning: ({ scareware }) => {
+    const warned = scareware?.detected || scareware?.warningKeywords?.length > 0;
+    if (!warned) return null;
+    const phones = scareware.phoneNumbers.filter(p => p.sources.includes('overlay') || p.sources.includes('dialog'));
+    return phones.length > 0
+      ? { values: { numbers: phones.map(p => p.number).join(', ') }, evidence: phones }
+      : null;
+  },
+
+  phoneWithBehaviour: ({ scareware }) => scareware?.detected && scareware.phoneNumbers.length > 0
+    ? {
+      values: { numbers: scareware.phoneNumbers.map(p => p.number).join(', ') },
+      evidence: scareware.phoneNumbers,
+    }
+    : null,
+
+  // rule.behaviour로 지정한 행위가 threshold(기본 1)회 이상
+  behaviour: ({ scareware }, rule) => {
+    const found = scareware?.behaviours[rule.behaviour];
+    return found && found.count >= (rule.threshold ?? 1)
+      ? {
+        values: { count: found.count, scripts: found.scripts.slice(0, 3).join(', ') || '알 수 없음' },
+        evidence: [{ behaviour: rule.behaviour, ...found }],
+      }
+      : null;
+  },
+});
+
+registerChecks('cloaking', {
+  finalUrlMismatch: ({ cloaking }) => cloaking && Object.keys(cloaking.finalDomains).length > 1
+    ? {
+      values: { domains: Object.keys(cloaking.finalDomains).join(', ') },
+      evidence: Object.entries(cloaking.finalDomains).map(([domain, profiles]) => ({ domain, profiles })),
+    }
+    : null,
+
+  credentialFormMismatch: ({ cloaking }) => cloaking?.credentialFormProfiles.length > 0
+    ? {
+      values: { profiles: cloaking.credentialFormProfiles.join(', ') },
+      evidence: cloaking.profiles.map(p => ({ profile: p.profile, passwordFields: p.forms.passwordFields, finalUrl: p.finalUrl })),
+    }
+    : null,
+
+  blockedProfile: ({ cloaking }) => cloaking?.blockedProfiles.length > 0
+    ? {
+      values: { profiles: cloaking.blockedProfiles.map(p => p.profile).join(', ') },
+      evidence: cloaking.blockedProfiles,
+    }
+    : null,
+
+  textMismatch: ({ cloaking }, rule) => cloaking?.textSimilarity && cloaking.textSimilarity.value < rule.threshold
+    ? {
+      values: {
+        similarity: Math.round(cloaking.textSimilarity.value * 100),
+        profiles: cloaking.textSimilarity.profiles.join(' ↔ '),
+      },
+      evidence: [{ ...cloaking.textSimilarity, threshold: rule.threshold }],
+    }
+    : null,
+
+  visualMismatch: ({ cloaking }, rule) => cloaking?.visualDistance && cloaking.visualDistance.value > rule.threshold
+    ? {
+      values: {
+        distance: cloaking.visualDistance.value,
+        profiles: cloaking.visualDistance.profiles.join(' ↔ '),
+      },
+      evidence: [{ ...cloaking.visualDistance, threshold: rule.threshold }],
+    }
+    : null,
+});
+
+registerChecks('kit', {
+  familyMatch: ({ kit }) => kit.detected
+    ? {
+      values: { family: kit.family.name, confidence: kit.confidence },
+      factor: kit.confidence / 100,
+      evidence: kit.signals.map(s => ({ family: kit.family.id, type: s.type, indicator: s.description, detail: s.detail })),
+    }
+    : null,
+
+  antiBot: ({ kit }) => kit.antiBot.length > 0
+    ? {
+      values: { count: kit.antiBot.length },
+      evidence: kit.antiBot,
+    }
+    : null,
+});
+
+registerChecks('probe', {
+  exposedArchive: ({ probe }) => probe?.archives.length > 0
+    ? {
+      values: { urls: probe.archives.map(a => a.url).join(', ') },
+      evidence: probe.archives.map(a => ({
+        url: a.url,
+        format: a.format,
+        contentLength: a.contentLength,
+        sha256: a.sha256,
+        entries: a.entries.slice(0, 20),
+      })),
+    }
+    : null,
+
+  openDirectory: ({ probe }) => probe?.listings.length > 0
+    ? {
+      values: { urls: probe.listings.map(l => l.url).join(', ') },
+      evidence: probe.listings.map(l => ({ url: l.url, server: l.server, entryCount: l.entries.length, archives: l.archives })),
+    }
+    : null,
+});
+
+registerChecks('qr', {
+  // 연결 URL의 위험 레벨(중첩 분석 결과 우선, 없으면 빠른 검사)이 rule.level인 QR 코드
+  targetRisk: ({ codes }, rule) => {
+    const matched = codes.filter(code => (code.analysis?.riskLevel || code.quickCheck?.riskLevel) === rule.level);
+    return matched.length > 0
+      ? {
+        values: { urls: matched.map(code => code.url).join(', ') },
+        evidence: matched.map(code => ({
+          source: code.source,
+          url: code.url,
+          riskLevel: rule.level,
+          riskScore: code.analysis?.riskScore ?? code.quickCheck?.riskScore,
+        })),
+      }
+      : null;
+  },
+});
+
+registerChecks('navigation', {
+  timeout: ({ error }) => !!error && error.includes('timeout')
+    ? { values: {}, evidence: [{ error }] }
+    : null,
+
+  networkError: ({ error }) => !!error && error.includes('net::ERR_')
+    ? { values: {}, evidence: [{ error }] }
+    : null,
+});
+
+// 규칙 파일 변경 시 자동 리로드
+watchRules();
+
 /**
  * URL 유효성 검사
  * @param {string} url
@@ -70,6 +693,29 @@ function isValidUrl(url) {
   }
 }
 
+/**
+ * 위협 피드/허용 목록 조회
+ * 여러 URL(입력 URL, 단축 URL 전개 목적지)을 조회하면 차단 목록 일치가 허용 목록 일치보다 우선
+ * @param {string|Array<string>} urls
+ * @returns {Object} { score, issues, contributions, threatFeed } (threatFeed.url = 일치한 URL)
+ */
+function analyzeThreatFeeds(urls) {
+  const subjects = [...new Set([].concat(urls))];
+  const hits = subjects
+    .map(url => {
+      const threatFeed = lookupThreatFeeds(url);
+      return threatFeed && { ...threatFeed, url };
+    })
+    .filter(Boolean);
+  const threatFeed = hits.find(hit => hit.list === 'block') || hits[0] || null;
+
+  const { score, issues, contributions } = evaluateRules('feed', {
+    feed: { subjects, threatFeed },
+  });
+
+  return { score, issues, contributions, threatFeed };
+}
+
 /**
  * 도메인 위험도 분석
  * @param {string} url
@@ -79,129 +725,147 @@ function analyzeDomain(url) {
   const parsed = new URL(url);
   const domain = parsed.hostname;
 
-  const issues = [];
-  let score = 0;
-
-  // IP 주소 직접 접근
-  if (/^\d+\.\d+\.\d+\.\d+$/.test(domain)) {
-    issues.push('IP 주소로 직접 접근');
-    score += 25;
-  }
-
-  // 의심스러운 도메인 패턴
-  for (const pattern of SUSPICIOUS_DOMAIN_PATTERNS) {
-    if (pattern.test(domain)) {
-      issues.push('의심스러운 도메인 패턴');
-      score += 15;
-      break;
-    }
-  }
-
-  // 서브도메인 과다
-  const subdomains = domain.split('.').length - 2;
-  if (subdomains > 3) {
-    issues.push(`과다 서브도메인 (${subdomains}개)`);
-    score += 10;
-  }
+  // IDN 호모그래프 검사 (URL 파서가 호스트명을 퓨니코드로 바꾸므로 디코딩 후 검사)
+  const homograph = analyzeHomograph(domain);
 
-  // HTTPS 미사용
-  if (parsed.protocol !== 'https:') {
-    issues.push('HTTPS 미사용');
-    score += 15;
-  }
-
-  // 비표준 포트
-  if (parsed.port && !['80', '443', ''].includes(parsed.port)) {
-    issues.push(`비표준 포트 (${parsed.port})`);
-    score += 10;
-  }
+  // 패턴 규칙은 유니코드 형태로 검사 (퓨니코드의 "xn--"가 연속 하이픈으로 잡히지 않도록)
+  const { score, issues, contributions } = evaluateRules('domain', {
+    domain: {
+      subjects: [homograph.unicode],
+      parsed,
+      hostname: domain,
+      homograph,
+    },
+  });
 
-  return { score: Math.min(score, 40), issues };
+  return {
+    score,
+    issues,
+    contributions,
+    unicode: homograph.unicode,
+    skeleton: homograph.skeleton,
+    homograph,
+  };
 }
 
 /**
  * 페이지 콘텐츠 위험도 분석
+ * 스크립트 문자열 규칙은 인라인 스크립트에만 적용 (외부 스크립트 본문은 analyzeScripts()의 난독화 규칙으로만 평가)
  * @param {puppeteer.Page} page
- * @returns {Promise<Object>}
+ * @param {Object|null} fingerprint - buildFingerprintProfile() 결과
+ * @returns {Promise<Object>} 인라인 스크립트 목록(inlineScripts), 오버레이 검사 결과(overlays) 포함
  */
-async function analyzeContent(page) {
-  const issues = [];
-  let score = 0;
-
+async function analyzeContent(page, fingerprint = null) {
   try {
     // 페이지 텍스트 추출
     const pageText = await page.evaluate(() => document.body?.innerText || '');
 
-    // 피싱 패턴 검사
-    for (const pattern of PHISHING_PATTERNS) {
-      if (pattern.test(pageText)) {
-        issues.push('피싱 의심 문구 발견');
-        score += 20;
-        break;
-      }
-    }
-
-    // 입력 폼 분석
+    // 입력 폼 분석 (증거 보고용 CSS 선택자 포함)
     const formInfo = await page.evaluate(() => {
+      const describe = (el) => {
+        const tag = el.tagName.toLowerCase();
+        if (el.id) return `${tag}#${CSS.escape(el.id)}`;
+        if (el.getAttribute('name')) return `${tag}[name="${el.getAttribute('name')}"]`;
+        const siblings = Array.from(el.parentElement?.children || []).filter(c => c.tagName === el.tagName);
+        return `${tag}:nth-of-type(${siblings.indexOf(el) + 1})`;
+      };
+      const selectorOf = (el) => {
+        const form = el.closest('form');
+        return form && form !== el ? `${describe(form)} ${describe(el)}` : describe(el);
+      };
+
       const forms = document.querySelectorAll('form');
       const passwordFields = document.querySelectorAll('input[type="password"]');
       const hiddenFields = document.querySelectorAll('input[type="hidden"]');
 
       return {
         formCount: forms.length,
-        hasPasswordField: passwordFields.length > 0,
-        hiddenFieldCount: hiddenFields.length,
-        hasExternalAction: Array.from(forms).some(f => {
+        forms: Array.from(forms).map(f => {
           const action = f.getAttribute('action') || '';
-          return action.startsWith('http') && !action.includes(window.location.hostname);
+          return {
+            selector: selectorOf(f),
+            action,
+            external: action.startsWith('http') && !action.includes(window.location.hostname),
+          };
         }),
+        passwordFields: Array.from(passwordFields).map(selectorOf),
+        hiddenFieldCount: hiddenFields.length,
       };
     });
 
-    if (formInfo.hasPasswordField) {
-      issues.push('비밀번호 입력 필드 존재');
-      score += 10;
-    }
-
-    if (formInfo.hasExternalAction) {
-      issues.push('외부 서버로 폼 전송');
-      score += 25;
-    }
+    // 스크립트 분석 (인라인 스크립트별로 검사하여 출처 보고)
+    const scripts = await page.evaluate(() => {
+      return Array.from(document.scripts)
+        .map((s, index) => ({ text: s.textContent || '', index, src: s.src || null }))
+        .filter(s => s.text);
+    });
 
-    if (formInfo.hiddenFieldCount > 5) {
-      issues.push(`다수의 숨겨진 필드 (${formInfo.hiddenFieldCount}개)`);
-      score += 10;
-    }
+    // 레이아웃 검사 (클릭재킹/기만적 오버레이)
+    const overlays = await detectOverlays(page).catch(error => ({ detected: false, error: error.message }));
 
-    // 스크립트 분석
-    const scripts = await page.evaluate(() => {
-      return Array.from(document.scripts).map(s => s.textContent || '').join('\n');
+    const { score, issues, contributions } = evaluateRules('content', {
+      text: { subjects: [pageText] },
+      form: {
+        subjects: formInfo.forms.map(f => ({ text: f.action, selector: f.selector })),
+        formInfo,
+      },
+      script: {
+        subjects: scripts.map(s => ({
+          text: s.text,
+          scriptIndex: s.index,
+          ...(s.src ? { scriptUrl: s.src } : {}),
+        })),
+      },
+      fingerprint: {
+        subjects: (fingerprint?.origins || []).map(o => o.origin),
+        fingerprint,
+      },
+      overlay: {
+        subjects: [],
+        overlays: overlays.error ? null : overlays,
+      },
     });
 
-    for (const pattern of MALICIOUS_SCRIPT_PATTERNS) {
-      if (pattern.test(scripts)) {
-        issues.push('의심스러운 스크립트 패턴');
-        score += 15;
-        break;
-      }
-    }
+    return { score, issues, contributions, inlineScripts: scripts, overlays };
 
   } catch (error) {
-    issues.push(`콘텐츠 분석 오류: ${error.message}`);
+    return { score: 0, issues: [`콘텐츠 분석 오류: ${error.message}`], contributions: [], inlineScripts: [], overlays: null };
   }
+}
+
+/**
+ * 브랜드 사칭 분석
+ * @param {puppeteer.Page} page
+ * @returns {Promise<Object>}
+ */
+async function analyzeBrand(page) {
+  const evidence = await collectBrandEvidence(page);
+  const impersonation = detectBrandImpersonation(evidence);
 
-  return { score: Math.min(score, 50), issues };
+  const { score, issues, contributions } = evaluateRules('brand', {
+    brand: { subjects: [evidence.title], impersonation },
+  });
+
+  return {
+    score,
+    issues,
+    contributions,
+    impersonation: impersonation.detected ? {
+      brand: impersonation.brand,
+      confidence: impersonation.confidence,
+      signals: impersonation.signals,
+      officialDomains: impersonation.officialDomains,
+    } : null,
+  };
 }
 
 /**
  * 네트워크 요청 분석
  * @param {Array} requests
+ * @param {Object|null} fingerprint - buildFingerprintProfile() 결과 (제3자 핑거프린팅)
  * @returns {Object}
  */
-function analyzeNetworkRequests(requests) {
-  const issues = [];
-  let score = 0;
-
+function analyzeNetworkRequests(requests, fingerprint = null) {
   // 외부 도메인 요청 수
   const externalDomains = new Set();
   const suspiciousRequests = [];
@@ -213,31 +877,419 @@ function analyzeNetworkRequests(requests) {
 
       // 의심스러운 리소스 타입
       if (req.resourceType === 'script' && url.hostname !== req.originalDomain) {
-        suspiciousRequests.push(url.hostname);
+        suspiciousRequests.push(req.url);
       }
     } catch {
       // 무효한 URL 무시
     }
   }
 
-  if (externalDomains.size > 10) {
-    issues.push(`다수의 외부 도메인 요청 (${externalDomains.size}개)`);
-    score += 10;
-  }
-
-  if (suspiciousRequests.length > 0) {
-    issues.push(`외부 스크립트 로드 (${suspiciousRequests.length}개)`);
-    score += 10;
-  }
+  const { score, issues, contributions } = evaluateRules('network', {
+    network: {
+      subjects: requests.map(req => req.url),
+      externalDomains: Array.from(externalDomains),
+      externalScripts: suspiciousRequests,
+      fingerprint,
+    },
+  });
 
   return {
-    score: Math.min(score, 20),
+    score,
     issues,
+    contributions,
     externalDomains: Array.from(externalDomains),
     requestCount: requests.length,
   };
 }
 
+/**
+ * 리다이렉트 체인 분석 (브라우저 로드 전 단축 URL 전개 결과 포함)
+ * @param {Object} chain - RedirectTracker.getChain() 결과
+ * @param {Object|null} [expansion] - expandShortUrl() 결과
+ * @returns {Object}
+ */
+function analyzeRedirects(chain, expansion = null) {
+  const { score, issues, contributions } = evaluateRules('redirect', {
+    redirect: { subjects: chain.hops.map(hop => hop.to), chain },
+    expansion: expansion && { subjects: expansion.hops.map(hop => hop.url), expansion },
+  });
+
+  return { score, issues, contributions, chain };
+}
+
+/**
+ * TLS 인증서 분석
+ * @param {import('puppeteer').HTTPResponse|null} response - 메인 문서 응답
+ * @param {Object|null} impersonation - 브랜드 사칭 탐지 결과
+ * @returns {Object}
+ */
+function analyzeTls(response, impersonation) {
+  const certificate = inspectCertificate(response);
+
+  // 브랜드 유사 도메인: 페이지 사칭 탐지 또는 도메인 자체의 호모그래프/키워드
+  const lookalikeBrand = impersonation?.brand ||
+    (certificate.hostname ? findLookalikeBrand(certificate.hostname)?.brand : null) ||
+    null;
+
+  const { score, issues, contributions } = evaluateRules('tls', {
+    tls: { subjects: certificate.sanList || [], certificate, lookalikeBrand },
+  });
+
+  return { score, issues, contributions, certificate };
+}
+
+/**
+ * 스크립트 난독화 분석 (인라인 + 외부 스크립트)
+ * @param {Array} inlineScripts - { text, index }
+ * @param {Array} externalScripts - ScriptCollector.getScripts() 결과
+ * @returns {Object}
+ */
+function analyzeScripts(inlineScripts, externalScripts) {
+  const reports = [
+    ...inlineScripts.map(s => analyzeScript(s.text, { scriptIndex: s.index })),
+    ...externalScripts.map(s => analyzeScript(s.body, { scriptUrl: s.url, truncated: s.truncated })),
+  ];
+
+  const { score, issues, contributions } = evaluateRules('obfuscation', {
+    obfuscation: {
+      subjects: reports.flatMap(r => r.decoded.strings.map(text => ({ text, ...scriptSource(r) }))),
+      reports,
+    },
+  });
+
+  // 결과에는 본문 대신 지표만 포함
+  return {
+    score,
+    issues,
+    contributions,
+    scripts: reports.map(({ decoded, ...report }) => ({
+      ...report,
+      decodedUrls: decoded.urls,
+      telegramTokens: decoded.telegramTokens,
+    })),
+  };
+}
+
+/**
+ * 카나리 자격 증명 추적 (폼에 카나리 값을 입력·제출하고 전송 목적지 관찰)
+ * 점수는 analyzeExfiltration()에서 계산
+ * @param {puppeteer.Page|null} page - null이면 추적하지 않음
+ * @returns {Promise<Object|null>} CanaryTracer.trace() 결과
+ */
+async function runCanaryTrace(page) {
+  if (!page) return null;
+
+  try {
+    const trace = await new CanaryTracer(page).trace();
+    console.log(`[Canary] 필드 ${trace.fields.length}개 입력, 전송 목적지 ${trace.destinations.length}곳`);
+    return trace;
+  } catch (error) {
+    return { error: error.message, fields: [], destinations: [] };
+  }
+}
+
+/**
+ * 키로거 탐지 (키 입력 리스너 계측 + 제출 없는 카나리 입력)
+ * 점수는 analyzeExfiltration()에서 계산
+ * @param {puppeteer.Page|null} page - null이면 분석하지 않음
+ * @param {PageInstrumentation} instrumentation
+ * @returns {Promise<Object|null>} detectKeylogger() 결과
+ */
+async function runKeyloggerDetection(page, instrumentation) {
+  if (!page) return null;
+
+  try {
+    return await detectKeylogger(page, instrumentation);
+  } catch (error) {
+    return { detected: false, findings: [], listeners: [], error: error.message };
+  }
+}
+
+/**
+ * 한 번에 평가한 카테고리 결과 중 특정 대상(target)의 점수/이슈 (상세 항목별 표시용)
+ * @param {Object} result - evaluateRules() 결과
+ * @param {string} target
+ * @returns {Object} { score, issues }
+ */
+function targetResult(result, target) {
+  const contributions = result.contributions.filter(c => c.target === target);
+  return {
+    score: contributions.reduce((sum, c) => sum + c.points, 0),
+    issues: contributions.filter(c => c.cap?.scope !== 'group').map(c => c.description),
+  };
+}
+
+/**
+ * 자격 증명 유출 분석 (키로거, 카나리 추적, 유출 엔드포인트)
+ * exfiltration 카테고리 상한이 한 번만 적용되도록 모든 입력을 한 번에 평가
+ * @param {Object} inputs
+ * @param {Object|null} [inputs.keylogger] - runKeyloggerDetection() 결과
+ * @param {Object|null} [inputs.trace] - runCanaryTrace() 결과
+ * @param {Array} [inputs.endpoints] - findExfilEndpoints() 결과
+ * @returns {Object} { score, issues, contributions, keylogger, canary, exfil } (대상별 { score, issues })
+ */
+function analyzeExfiltration({ keylogger = null, trace = null, endpoints = [] }) {
+  const result = evaluateRules('exfiltration', {
+    keylogger: { subjects: (keylogger?.findings || []).map(f => f.destination), keylogger },
+    canary: { subjects: (trace?.destinations || []).map(d => d.destination), trace },
+    exfil: { subjects: endpoints.map(e => e.endpoint), endpoints },
+  });
+
+  return {
+    ...result,
+    keylogger: targetResult(result, 'keylogger'),
+    canary: targetResult(result, 'canary'),
+    exfil: targetResult(result, 'exfil'),
+  };
+}
+
+/**
+ * 메신저 봇·웹훅·폼-이메일 유출 엔드포인트 탐지 (네트워크 요청 + 스크립트 소스)
+ * @param {Array} requests - { url, method, postData } (카나리 추적으로 제출된 요청 포함)
+ * @param {Array} inlineScripts - { text, index }
+ * @param {Array} externalScripts - ScriptCollector.getScripts() 결과
+ * @param {Array} scriptReports - analyzeScripts().scripts (난독화 해제로 드러난 URL/토큰)
+ * @returns {Array} 엔드포인트 탐지 결과
+ */
+function findExfilEndpoints(requests, inlineScripts, externalScripts, scriptReports = []) {
+  return [
+    ...findExfilInRequests(requests),
+    ...findExfilInScripts([
+      ...inlineScripts.map(s => ({ text: s.text, scriptIndex: s.index })),
+      ...externalScripts.map(s => ({ text: s.body, scriptUrl: s.url })),
+      ...scriptReports.map(r => ({ text: [...r.decodedUrls, ...r.telegramTokens].join('\n'), ...scriptSource(r) })),
+    ]),
+  ];
+}
+
+/**
+ * 유출 엔드포인트 분석 (키로거/카나리 추적이 없는 Live Analyzer용)
+ * @param {Array} requests - { url, method, postData }
+ * @param {Array} inlineScripts - { text, index }
+ * @param {Array} externalScripts - ScriptCollector.getScripts() 결과
+ * @param {Array} scriptReports - analyzeScripts().scripts
+ * @returns {Object}
+ */
+export function analyzeExfilEndpoints(requests, inlineScripts, externalScripts, scriptReports = []) {
+  const endpoints = findExfilEndpoints(requests, inlineScripts, externalScripts, scriptReports);
+  const { score, issues, contributions } = analyzeExfiltration({ endpoints });
+
+  return { score, issues, contributions, endpoints, ...summarizeExfil(endpoints) };
+}
+
+/**
+ * 클로킹 분석 (여러 방문자 프로필로 로드한 페이지 비교)
+ * @param {puppeteer.Browser|null} browser - null이면 분석하지 않음
+ * @param {string} url
+ * @param {number} timeout - 프로필별 페이지 로드 타임아웃 (ms)
+ * @returns {Promise<Object>}
+ */
+async function analyzeCloaking(browser, url, timeout) {
+  let cloaking = null;
+  if (browser) {
+    try {
+      cloaking = await detectCloaking(browser, url, { timeout });
+      console.log(`[Cloaking] 프로필 ${cloaking.profiles.length}개 비교, 최종 도메인 ${Object.keys(cloaking.finalDomains).length}곳`);
+    } catch (error) {
+      cloaking = { detected: false, error: error.message };
+    }
+  }
+
+  const { score, issues, contributions } = evaluateRules('cloaking', {
+    cloaking: {
+      subjects: cloaking?.profiles ? cloaking.profiles.map(p => p.finalUrl).filter(Boolean) : [],
+      cloaking: cloaking?.profiles ? cloaking : null,
+    },
+  });
+
+  return { score, issues, contributions, cloaking };
+}
+
+/**
+ * 권한 요청 분석 (알림/푸시/카메라·마이크/위치/클립보드)
+ * Live Analyzer도 같은 규칙으로 점수를 계산하도록 공개
+ * @param {Array} events - PageInstrumentation.getEvents('permission')
+ * @returns {Object}
+ */
+export function analyzePermissions(events) {
+  const permissions = summarizePermissionRequests(events);
+  const { score, issues, contributions } = evaluateRules('permission', {
+    permission: { subjects: permissions.requests.map(r => r.scriptUrl).filter(Boolean), permissions },
+  });
+
+  return { score, issues, contributions, permissions };
+}
+
+/**
+ * 기술 지원 사기(가짜 바이러스 경고) 분석
+ * Live Analyzer도 같은 규칙으로 점수를 계산하도록 공개
+ * @param {Object|null} scareware - ScarewareMonitor.getReport() 결과
+ * @returns {Object}
+ */
+export function analyzeTechSupportScam(scareware) {
+  const { score, issues, contributions } = evaluateRules('techSupportScam', {
+    scareware: { subjects: (scareware?.phoneNumbers || []).map(p => p.number), scareware },
+  });
+
+  return { score, issues, contributions, scareware };
+}
+
+/**
+ * 자원 남용(암호화폐 채굴) 분석
+ * Live Analyzer도 같은 규칙으로 점수를 계산하도록 공개
+ * @param {Object|null} miner - MinerMonitor.getReport() 결과
+ * @returns {Object}
+ */
+export function analyzeResourceAbuse(miner) {
+  const { score, issues, contributions } = evaluateRules('resourceAbuse', {
+    miner: {
+      subjects: miner ? [...miner.webSockets.map(ws => ws.url), ...miner.workers] : [],
+      miner,
+    },
+  });
+
+  return { score, issues, contributions, miner };
+}
+
+/**
+ * 피싱 키트 계열 분석 (경로, 표식, 구조, 자산 해시, 안티봇 코드)
+ * Live Analyzer도 같은 규칙으로 점수를 계산하도록 공개
+ * @param {Object} evidence - collectKitEvidence() 결과
+ * @param {Object} [extra]
+ * @param {Array} [extra.requests] - 캡처된 네트워크 요청 ({ url })
+ * @param {Array} [extra.scripts] - 스크립트 본문 텍스트
+ * @param {Array} [extra.assets] - AssetHasher.getAssets() 결과
+ * @param {Object|null} [extra.probe] - runKitProbe() 결과 (phishingKit 카테고리 상한을 함께 적용)
+ * @returns {Object} { score, issues, contributions, kit, probe, targets: { kit, probe } } (targets는 대상별 { score, issues })
+ */
+export function analyzePhishingKit(evidence, extra = {}) {
+  const kit = matchKitFamilies({
+    ...evidence,
+    urls: [...evidence.urls, ...(extra.requests || []).map(req => req.url)],
+    scripts: extra.scripts || [],
+    assets: extra.assets || [],
+  });
+  const probe = extra.probe || null;
+
+  const result = evaluateRules('phishingKit', {
+    kit: { subjects: kit.signals.map(s => s.detail), kit },
+    probe: { subjects: probe ? [...probe.listings, ...probe.archives].map(item => item.url) : [], probe },
+  });
+
+  return {
+    ...result,
+    kit,
+    probe,
+    targets: { kit: targetResult(result, 'kit'), probe: targetResult(result, 'probe') },
+  };
+}
+
+/**
+ * 키트 압축 파일 / 열린 디렉토리 탐색
+ * 점수는 analyzePhishingKit()에서 키트 계열 일치와 함께 계산
+ * @param {string|null} url - 최종 URL (null이면 탐색하지 않음)
+ * @param {Object} [options] - probeKitArtifacts() 옵션
+ * @returns {Promise<Object|null>} probeKitArtifacts() 결과
+ */
+async function runKitProbe(url, options = {}) {
+  if (!url) return null;
+
+  const probe = await probeKitArtifacts(url, options);
+  console.log(`[Kit Probe] ${probe.probed}개 경로 요청, 열린 디렉토리 ${probe.listings.length}곳, 압축 파일 ${probe.archives.length}개`);
+  return probe;
+}
+
+/**
+ * QR 코드 분석 (해독된 URL마다 빠른 검사, followQrCodes 옵션이면 전체 분석)
+ * 중첩 분석은 qrDepth로 깊이를 제한하여 QR → 페이지 → QR 순환을 막음
+ * @param {Array} codes - scanPageForQrCodes()/decodeQrImages() 결과
+ * @param {Object} options - analyzeUrl 옵션 (followQrCodes, qrDepth, timeout, useAI)
+ * @returns {Promise<Object>}
+ */
+async function analyzeQrCodes(codes, options = {}) {
+  const depth = options.qrDepth || 0;
+  const follow = options.followQrCodes === true && depth < MAX_QR_DEPTH;
+  let followed = 0;
+
+  const results = [];
+  for (const code of codes) {
+    const entry = { ...code, quickCheck: code.url ? quickCheck(code.url) : null, analysis: null };
+
+    if (follow && entry.quickCheck?.valid && followed < MAX_QR_FOLLOW) {
+      followed++;
+      try {
+        console.log(`[QR] 중첩 분석: ${code.url}`);
+        entry.analysis = await analyzeUrl(code.url, {
+          timeout: options.timeout,
+          useAI: options.useAI,
+          takeScreenshot: false,
+          qrDepth: depth + 1,
+        });
+      } catch (error) {
+        entry.analysis = { url: code.url, error: error.message };
+      }
+    }
+
+    results.push(entry);
+  }
+
+  const urlCodes = results.filter(code => code.url);
+  const { score, issues, contributions } = evaluateRules('qr', {
+    qr: { subjects: urlCodes.map(code => code.url), codes: urlCodes },
+  });
+
+  return { score, issues, contributions, codes: results };
+}
+
+/**
+ * 업로드된 이미지의 QR 코드 해독 및 연결 URL 분석
+ * @param {Object} image
+ * @param {string} image.base64 - 이미지 데이터 (base64)
+ * @param {string} [image.mimeType] - 기본 image/png
+ * @param {Object} [options] - analyzeQrCodes() 옵션
+ * @returns {Promise<Object>} { riskScore, riskLevel, issues, scoreBreakdown, codes }
+ */
+export async function analyzeQrImage(image, options = {}) {
+  const startTime = Date.now();
+  let codes = [];
+
+  // 해독용 브라우저는 중첩 분석 전에 닫음
+  const browser = await launchBrowser();
+  try {
+    codes = await decodeQrImages(browser, [{ source: 'upload', base64: image.base64, mimeType: image.mimeType }]);
+  } finally {
+    await browser.close();
+  }
+  console.log(`[QR] 업로드 이미지에서 QR 코드 ${codes.length}개 해독`);
+
+  const qrAnalysis = await analyzeQrCodes(codes, options);
+  const { totalScore, breakdown } = summarizeScore([qrAnalysis]);
+
+  return {
+    riskScore: totalScore,
+    riskLevel: determineRiskLevel(totalScore),
+    issues: qrAnalysis.issues,
+    scoreBreakdown: breakdown,
+    codes: qrAnalysis.codes,
+    rulesetVersion: getRuleset().version,
+    analysisTime: Date.now() - startTime,
+    analyzedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * 네비게이션 오류 분석
+ * @param {string|null} navigationError
+ * @returns {Object}
+ */
+function analyzeNavigation(navigationError) {
+  const { score, issues, contributions } = evaluateRules('navigation', {
+    navigation: { subjects: navigationError ? [navigationError] : [], error: navigationError },
+  });
+
+  return { score, issues, contributions, error: navigationError };
+}
+
 /**
  * 위험 레벨 판정
  * @param {number} score
@@ -249,16 +1301,53 @@ function determineRiskLevel(score) {
   return 'danger';
 }
 
+/**
+ * Puppeteer 브라우저 시작 (샌드박스 모드)
+ * @returns {Promise<puppeteer.Browser>}
+ */
+function launchBrowser() {
+  return puppeteer.launch({
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--disable-gpu',
+      '--window-size=1280,720',
+      // 보안 강화 옵션
+      '--disable-extensions',
+      '--disable-plugins',
+      '--disable-sync',
+      '--disable-translate',
+      '--disable-background-networking',
+      // MacOS 호환성
+      '--single-process',
+    ],
+  });
+}
+
 /**
  * URL 샌드박스 분석 실행
  * @param {string} url - 분석할 URL
  * @param {Object} options - 분석 옵션
  * @param {number} options.timeout - 타임아웃 (ms), 기본 30000
  * @param {boolean} options.takeScreenshot - 스크린샷 촬영 여부, 기본 true
+ * @param {boolean} options.traceCanaries - 카나리 자격 증명 추적 여부 (폼 입력·제출), 기본 false
+ * @param {boolean} options.detectKeyloggers - 키로거 탐지 여부 (리스너가 있을 때 제출 없이 입력), 기본 true
+ * @param {boolean} options.detectCloaking - 클로킹 탐지 여부 (방문자 프로필별로 다시 로드하여 비교), 기본 false
+ * @param {boolean} options.scanQrCodes - 스크린샷/이미지 요소의 QR 코드 해독 여부, 기본 true
+ * @param {boolean} options.followQrCodes - QR 코드가 가리키는 URL 전체 분석 여부 (기본은 빠른 검사만), 기본 false
+ * @param {boolean} options.probeKitArtifacts - 최종 URL 호스트의 키트 압축 파일/열린 디렉토리 탐색 여부, 기본 false
+ * @param {number} options.probeArchiveLimit - 탐색 중 압축 파일 하나를 받을 최대 크기 (바이트), 기본·최대 1MB
+ * @param {boolean} options.harBodies - HAR에 응답 본문 포함 여부, 기본 false
+ * @param {number} options.harBodyLimit - HAR에 저장할 응답 본문 하나의 최대 크기 (바이트), 기본 512KB
+ * @param {Map<string, Object>} options.replay - 저장된 응답으로만 페이지 재생 (buildReplayResponses() 결과, 오프라인 평가용)
  * @returns {Promise<AnalysisResult>}
  */
 export async function analyzeUrl(url, options = {}) {
   const startTime = Date.now();
+  const rulesetVersion = getRuleset().version;
   const timeout = options.timeout || 30000;
   const takeScreenshot = options.takeScreenshot !== false;
 
@@ -267,30 +1356,38 @@ export async function analyzeUrl(url, options = {}) {
     throw new Error('유효하지 않은 URL 형식입니다.');
   }
 
+  // 1단계: 단축 URL 전개 (브라우저 로드 전에 목적지를 먼저 판정, 재생 시에는 네트워크 요청 없이 생략)
+  const expansion = options.replay
+    ? { startUrl: url, finalUrl: url, expanded: false, complete: true, hops: [], shorteners: [], disabled: false, error: null, verdict: quickCheck(url) }
+    : await expandUrl(url, { timeout: Math.min(timeout, EXPANSION_TIMEOUT) });
+  const targetUrl = expansion.finalUrl;
+
+  // 입력 URL과 전개 목적지를 모두 조회 (차단 목록 일치가 우선)
+  // 브라우저는 입력 URL을 로드하므로, 전개로 얻은 목적지의 허용 목록 일치만으로는 샌드박스 분석을 생략하지 않음
+  const feedAnalysis = analyzeThreatFeeds([url, targetUrl]);
+  if (feedAnalysis.threatFeed?.list === 'allow' && targetUrl === url) {
+    console.log(`[Threat Feeds] 허용 목록 일치 (${feedAnalysis.threatFeed.feed}): ${url}`);
+    return {
+      url,
+      riskScore: 0,
+      riskLevel: 'safe',
+      screenshot: null,
+      details: { expansion },
+      scoreBreakdown: [],
+      allowlisted: true,
+      threatFeed: feedAnalysis.threatFeed,
+      rulesetVersion,
+      analysisTime: Date.now() - startTime,
+      analyzedAt: new Date().toISOString(),
+    };
+  }
+
   let browser = null;
   const networkRequests = [];
 
   try {
     // Puppeteer 브라우저 시작 (샌드박스 모드)
-    browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1280,720',
-        // 보안 강화 옵션
-        '--disable-extensions',
-        '--disable-plugins',
-        '--disable-sync',
-        '--disable-translate',
-        '--disable-background-networking',
-        // MacOS 호환성
-        '--single-process',
-      ],
-    });
+    browser = await launchBrowser();
 
     const page = await browser.newPage();
 
@@ -306,20 +1403,61 @@ export async function analyzeUrl(url, options = {}) {
     // 뷰포트 설정
     await page.setViewport({ width: 1280, height: 720 });
 
+    // 저장된 응답 재생 (요청 가로채기, 다른 수집기보다 먼저 설치)
+    let replay = null;
+    if (options.replay) {
+      replay = new CorpusReplay(page, options.replay);
+      await replay.start();
+    }
+
     // 네트워크 요청 수집
     const originalDomain = new URL(url).hostname;
     page.on('request', (request) => {
       networkRequests.push({
         url: request.url(),
+        method: request.method(),
+        postData: request.postData()?.substring(0, 4096) || null,
         resourceType: request.resourceType(),
         originalDomain,
       });
     });
 
+    // 리다이렉트 체인 추적 (페이지 로드 전에 시작)
+    const redirectTracker = new RedirectTracker(page);
+    await redirectTracker.start();
+
+    // 전체 네트워크 기록 (HAR 1.2)
+    const harRecorder = new HarRecorder(page, {
+      includeBodies: options.harBodies === true,
+      maxBodySize: options.harBodyLimit,
+    });
+    await harRecorder.start();
+
+    // 외부 스크립트 본문 수집
+    const scriptCollector = new ScriptCollector(page);
+    scriptCollector.start();
+
+    // 자산 해시 수집 (키트 지문 매칭)
+    const assetHasher = new AssetHasher(page);
+    assetHasher.start();
+
+    // 브라우저 API 계측 (페이지 스크립트보다 먼저 주입)
+    const instrumentation = new PageInstrumentation(page);
+    await instrumentation.install();
+
+    // 채굴 신호 수집 (WebSocket, .wasm 응답, 워커, CPU 지표)
+    const minerMonitor = new MinerMonitor(page);
+    await minerMonitor.start();
+
+    // 대화상자 자동 닫기 + 기록 (가짜 경고창 반복 시 분석이 멈추지 않도록)
+    const scarewareMonitor = new ScarewareMonitor(page);
+    scarewareMonitor.start();
+
     // 페이지 로드
     let navigationError = null;
+    let mainResponse = null;
     try {
-      await page.goto(url, {
+      mainResponse = await page.goto(url, {
         waitUntil: 'networkidle2',
         timeout,
       });
@@ -328,31 +1466,44 @@ export async function analyzeUrl(url, options = {}) {
     }
 
     // 분석 수행
-    const domainAnalysis = analyzeDomain(url);
-    const contentAnalysis = await analyzeContent(page);
-    const networkAnalysis = analyzeNetworkRequests(networkRequests);
+    const domainAnalysis = analyzeDomain(targetUrl);
+    const externalScripts = await scriptCollector.getScripts();
+    scriptCollector.stop();
+    const fingerprint = buildFingerprintProfile(instrumentation.getEvents('fingerprint'), page.url());
+    const contentAnalysis = await analyzeContent(page, fingerprint);
+    const scriptAnalysis = analyzeScripts(contentAnalysis.inlineScripts, externalScripts);
+    const networkAnalysis = analyzeNetworkRequests(networkRequests, fingerprint);
+    const brandAnalysis = await analyzeBrand(page);
+    const redirectAnalysis = analyzeRedirects(redirectTracker.getChain(), expansion);
+    const tlsAnalysis = analyzeTls(mainResponse, brandAnalysis.impersonation);
+    await redirectTracker.stop();
 
-    // 네비게이션 오류 시 추가 점수
-    let navigationScore = 0;
-    const navigationIssues = [];
-    if (navigationError) {
-      if (navigationError.includes('timeout')) {
-        navigationIssues.push('페이지 로드 타임아웃');
-        navigationScore = 10;
-      } else if (navigationError.includes('net::ERR_')) {
-        navigationIssues.push('네트워크 오류');
-        navigationScore = 5;
-      }
-    }
+    // 키트 지문 증거 (점수는 키트 탐색 이후 함께 계산, 요청은 입력/제출 이전 시점 기준)
+    const kitEvidence = await collectKitEvidence(page);
+    const kitExtra = {
+      requests: [...networkRequests],
+      scripts: [...externalScripts.map(s => s.body), ...contentAnalysis.inlineScripts.map(s => s.text)],
+      assets: await assetHasher.getAssets(),
+    };
+    assetHasher.stop();
 
-    // 종합 위험도 계산
-    const totalScore = Math.min(
-      domainAnalysis.score +
-      contentAnalysis.score +
-      networkAnalysis.score +
-      navigationScore,
-      100
-    );
+    const resourceAbuseAnalysis = analyzeResourceAbuse(await minerMonitor.getReport({
+      scripts: [
+        ...externalScripts,
+        ...contentAnalysis.inlineScripts.map(s => ({ url: null, body: s.text })),
+      ],
+      scriptUrls: networkRequests.filter(req => req.resourceType === 'script').map(req => req.url),
+      instrumentation,
+    }));
+    await minerMonitor.stop();
+
+    const techSupportAnalysis = analyzeTechSupportScam(await scarewareMonitor.getReport({ instrumentation }));
+
+    // 로드 중 권한 요청 (키로거/카나리 입력으로 생긴 요청은 제외)
+    const permissionAnalysis = analyzePermissions(instrumentation.getEvents('permission'));
+
+    // 네비게이션 오류 시 추가 점수
+    const navigationAnalysis = analyzeNavigation(navigationError);
 
     // 스크린샷 촬영
     let screenshot = null;
@@ -368,35 +1519,184 @@ export async function analyzeUrl(url, options = {}) {
       }
     }
 
+    // QR 코드 해독 (입력/제출로 페이지가 바뀌기 전)
+    const qrCodes = options.scanQrCodes !== false ? await scanPageForQrCodes(page).catch(() => []) : [];
+
+    // 입력/제출로 페이지가 바뀌므로 스크린샷/페이지 정보 수집 이후에 실행 (입력만 하는 키로거 탐지 → 제출하는 카나리 추적 순)
+    const pageTitle = await page.title().catch(() => '');
+    const finalUrl = page.url();
+    const keylogger = await runKeyloggerDetection(options.detectKeyloggers !== false ? page : null, instrumentation);
+    const canaryTrace = await runCanaryTrace(options.traceCanaries ? page : null);
+
+    // 카나리 제출로 발생한 요청까지 포함하여 유출 엔드포인트 탐지
+    const exfilEndpoints = findExfilEndpoints(
+      networkRequests,
+      contentAnalysis.inlineScripts,
+      externalScripts,
+      scriptAnalysis.scripts,
+    );
+    const exfiltrationAnalysis = analyzeExfiltration({ keylogger, trace: canaryTrace, endpoints: exfilEndpoints });
+
+    // 격리된 컨텍스트에서 프로필별로 다시 로드하므로 마지막에 실행 (재생 시에는 실제 네트워크에 접속하므로 생략)
+    const cloakingAnalysis = await analyzeCloaking(options.detectCloaking && !replay ? browser : null, url, timeout);
+
+    // 키트 압축 파일 / 열린 디렉토리 탐색 (명시적으로 활성화한 경우만, 페이지 분석 이후, 재생 시 생략)
+    const kitProbe = await runKitProbe(options.probeKitArtifacts && !replay ? finalUrl : null, {
+      maxArchiveBytes: options.probeArchiveLimit,
+    });
+
+    // 키트 계열 일치와 노출 파일 탐색을 한 번에 평가 (phishingKit 카테고리 상한 공유)
+    const kitAnalysis = analyzePhishingKit(kitEvidence, { ...kitExtra, probe: kitProbe });
+    if (kitAnalysis.kit.detected) console.log(`[Kit Fingerprints] ${kitAnalysis.kit.verdict}`);
+
+    // HAR 보관 (분석 ID로 다운로드)
+    const analysisId = crypto.randomUUID();
+    const har = await harRecorder.getHar();
+    await harRecorder.stop();
+    storeHar(analysisId, har);
+
+    // QR 코드가 가리키는 URL 분석 (중첩 분석 결과를 부모 결과에 연결)
+    const qrAnalysis = await analyzeQrCodes(qrCodes, { ...options, timeout });
+
+    // 종합 위험도 계산 (규칙별 기여 내역의 합계 = 최종 점수)
+    const { totalScore, breakdown } = summarizeScore([
+      feedAnalysis,
+      domainAnalysis,
+      contentAnalysis,
+      scriptAnalysis,
+      networkAnalysis,
+      brandAnalysis,
+      kitAnalysis,
+      redirectAnalysis,
+      tlsAnalysis,
+      exfiltrationAnalysis,
+      resourceAbuseAnalysis,
+      cloakingAnalysis,
+      permissionAnalysis,
+      techSupportAnalysis,
+      qrAnalysis,
+      navigationAnalysis,
+    ]);
+
+    // 학습한 보정 모델이 있으면 규칙 일치 내역으로 피싱 확률 계산 (내역 합계는 rawScore로 보존)
+    const calibration = calibrateScore(breakdown, new Map(getRuleset().rules.map(rule => [rule.id, rule.weight])));
+    const riskScore = calibration?.applied ? calibration.riskScore : totalScore;
+
     const analysisTime = Date.now() - startTime;
 
     // 휴리스틱 분석 결과
     const heuristicResult = {
+      analysisId,
       url,
-      riskScore: totalScore,
-      riskLevel: determineRiskLevel(totalScore),
+      riskScore,
+      riskLevel: determineRiskLevel(riskScore),
       screenshot,
       details: {
+        expansion,
+        feed: {
+          score: feedAnalysis.score,
+          issues: feedAnalysis.issues,
+        },
         domain: {
           score: domainAnalysis.score,
           issues: domainAnalysis.issues,
+          unicode: domainAnalysis.unicode,
+          skeleton: domainAnalysis.skeleton,
+          homograph: domainAnalysis.homograph,
         },
         content: {
           score: contentAnalysis.score,
           issues: contentAnalysis.issues,
         },
+        fingerprinting: fingerprint,
+        overlays: contentAnalysis.overlays,
+        scripts: {
+          score: scriptAnalysis.score,
+          issues: scriptAnalysis.issues,
+          scripts: scriptAnalysis.scripts,
+        },
+        brand: {
+          score: brandAnalysis.score,
+          issues: brandAnalysis.issues,
+          impersonation: brandAnalysis.impersonation,
+        },
+        phishingKit: {
+          ...kitAnalysis.targets.kit,
+          ...kitAnalysis.kit,
+        },
+        kitArtifacts: {
+          ...kitAnalysis.targets.probe,
+          ...kitAnalysis.probe,
+        },
         network: {
           score: networkAnalysis.score,
           issues: networkAnalysis.issues,
           externalDomains: networkAnalysis.externalDomains,
           requestCount: networkAnalysis.requestCount,
         },
+        redirects: {
+          score: redirectAnalysis.score,
+          issues: redirectAnalysis.issues,
+          ...redirectAnalysis.chain,
+        },
+        tls: {
+          score: tlsAnalysis.score,
+          issues: tlsAnalysis.issues,
+          ...tlsAnalysis.certificate,
+        },
+        keylogger: {
+          ...exfiltrationAnalysis.keylogger,
+          ...keylogger,
+        },
+        canary: {
+          ...exfiltrationAnalysis.canary,
+          ...canaryTrace,
+        },
+        exfilEndpoints: {
+          ...exfiltrationAnalysis.exfil,
+          ...summarizeExfil(exfilEndpoints),
+          endpoints: exfilEndpoints,
+        },
+        resourceAbuse: {
+          score: resourceAbuseAnalysis.score,
+          issues: resourceAbuseAnalysis.issues,
+          ...resourceAbuseAnalysis.miner,
+        },
+        techSupportScam: {
+          score: techSupportAnalysis.score,
+          issues: techSupportAnalysis.issues,
+          ...techSupportAnalysis.scareware,
+        },
+        permissions: {
+          score: permissionAnalysis.score,
+          issues: permissionAnalysis.issues,
+          ...permissionAnalysis.permissions,
+        },
+        cloaking: {
+          score: cloakingAnalysis.score,
+          issues: cloakingAnalysis.issues,
+          ...cloakingAnalysis.cloaking,
+        },
+        qrCodes: {
+          score: qrAnalysis.score,
+          issues: qrAnalysis.issues,
+          codes: qrAnalysis.codes,
+        },
         navigation: {
-          score: navigationScore,
-          issues: navigationIssues,
+          score: navigationAnalysis.score,
+          issues: navigationAnalysis.issues,
           error: navigationError,
         },
       },
+      scoreBreakdown: breakdown,
+      calibration: calibration && { ...calibration, rawScore: totalScore },
+      threatFeed: feedAnalysis.threatFeed,
+      har: {
+        entryCount: har.log.entries.length,
+        includesBodies: options.harBodies === true,
+      },
+      replay: replay && replay.getReport(),
+      rulesetVersion,
       analysisTime,
       analyzedAt: new Date().toISOString(),
     };
@@ -410,25 +1710,43 @@ export async function analyzeUrl(url, options = {}) {
           url,
           screenshot,
           pageInfo: {
-            title: await page.title().catch(() => ''),
-            finalUrl: page.url(),
-            redirectCount: networkRequests.filter(r =>
-              r.resourceType === 'document' && r.url !== url
-            ).length,
+            title: pageTitle,
+            finalUrl,
+            redirectCount: redirectAnalysis.chain.hopCount,
+            redirectChain: redirectAnalysis.chain.hops,
             externalDomains: networkAnalysis.externalDomains,
           },
           preliminaryAnalysis: {
-            riskScore: totalScore,
-            riskLevel: determineRiskLevel(totalScore),
+            riskScore,
+            riskLevel: determineRiskLevel(riskScore),
+            threatFeedIssues: feedAnalysis.issues,
             domainIssues: domainAnalysis.issues,
             contentIssues: contentAnalysis.issues,
+            scriptIssues: scriptAnalysis.issues,
             networkIssues: networkAnalysis.issues,
+            brandIssues: brandAnalysis.issues,
+            phishingKitIssues: kitAnalysis.issues,
+            redirectIssues: redirectAnalysis.issues,
+            tlsIssues: tlsAnalysis.issues,
+            exfiltrationIssues: exfiltrationAnalysis.issues,
+            resourceAbuseIssues: resourceAbuseAnalysis.issues,
+            cloakingIssues: cloakingAnalysis.issues,
+            permissionIssues: permissionAnalysis.issues,
+            techSupportScamIssues: techSupportAnalysis.issues,
+            phoneNumbers: techSupportAnalysis.scareware.phoneNumbers.map(p => p.number),
+            qrIssues: qrAnalysis.issues,
           },
         });
 
         if (aiResult.enabled) {
           console.log(`[AI 분석 완료] AI 위험도: ${aiResult.analysis?.riskScore}, 신뢰도: ${aiResult.analysis?.confidence}%`);
-          return mergeAnalysisResults(heuristicResult, aiResult);
+          const merged = mergeAnalysisResults(heuristicResult, aiResult);
+          // 이미지로만 표시된 전화번호 (스크린샷)
+          merged.details.techSupportScam.phoneNumbers = mergeScreenshotPhoneNumbers(
+            merged.details.techSupportScam.phoneNumbers,
+            merged.aiAnalysis.phoneNumbers,
+          );
+          return merged;
         }
       } catch (aiError) {
         console.error('[AI 분석 오류]', aiError.message);
@@ -445,6 +1763,27 @@ export async function analyzeUrl(url, options = {}) {
   }
 }
 
+/**
+ * 단축 URL 전개 및 목적지 사전 판정 (브라우저 없이)
+ * 단축 서비스에만 요청하고 목적지는 빠른 검사로 판정
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - 전개 타임아웃 (ms)
+ * @returns {Promise<Object>} expandShortUrl() 결과 + verdict (목적지 quickCheck)
+ */
+export async function expandUrl(url, options = {}) {
+  if (!isValidUrl(url)) {
+    throw new Error('유효하지 않은 URL 형식입니다.');
+  }
+
+  const expansion = await expandShortUrl(url, { timeout: options.timeout });
+  if (expansion.expanded) {
+    console.log(`[URL Expander] ${url} → ${expansion.finalUrl} (${expansion.hops.length}단계)`);
+  }
+
+  return { ...expansion, verdict: quickCheck(expansion.finalUrl) };
+}
+
 /**
  * 빠른 URL 검사 (브라우저 없이)
  * @param {string} url
@@ -461,17 +1800,45 @@ export function quickCheck(url) {
     };
   }
 
+  const feedAnalysis = analyzeThreatFeeds(url);
+  const { threatFeed } = feedAnalysis;
+
+  // 허용 목록 일치 시 도메인 분석 생략
+  if (threatFeed?.list === 'allow') {
+    return {
+      url,
+      valid: true,
+      riskScore: 0,
+      riskLevel: 'safe',
+      issues: [],
+      scoreBreakdown: [],
+      allowlisted: true,
+      threatFeed,
+      rulesetVersion: getRuleset().version,
+      message: `허용 목록에 등록된 URL (${threatFeed.feed})`,
+    };
+  }
+
   const domainAnalysis = analyzeDomain(url);
-  const riskScore = domainAnalysis.score;
+  const { totalScore: riskScore, breakdown } = summarizeScore([feedAnalysis, domainAnalysis]);
+  const issues = [...feedAnalysis.issues, ...domainAnalysis.issues];
+
+  let message = '도메인 분석 통과';
+  if (threatFeed) {
+    message = `위협 피드에 등록된 URL (${threatFeed.feed})`;
+  } else if (domainAnalysis.issues.length > 0) {
+    message = '도메인 분석에서 위험 요소 발견';
+  }
 
   return {
     url,
     valid: true,
     riskScore,
     riskLevel: determineRiskLevel(riskScore),
-    issues: domainAnalysis.issues,
-    message: domainAnalysis.issues.length > 0
-      ? '도메인 분석에서 위험 요소 발견'
-      : '도메인 분석 통과',
+    issues,
+    scoreBreakdown: breakdown,
+    threatFeed,
+    rulesetVersion: getRuleset().version,
+    message,
   };
 }
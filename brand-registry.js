@@ -0,0 +1,290 @@
+/**
+ * Protected Brand Registry
+ * 보호 대상 브랜드(네이버, 카카오, 토스, 은행 등) 레지스트리 및 사칭 탐지
+ *
+ * - 브랜드별 공식 도메인, 키워드, 로고/파비콘 참조 관리 (config/brands.json)
+ * - 브랜드 이름/제목/시각 요소를 공식 도메인이 아닌 곳에서 사용하는 페이지 탐지
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, domainToUnicode } from 'url';
+import { computeSkeleton } from './homograph.js';
+import { getRegistrableDomain, isSameOrSubdomain } from './domain-utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// 레지스트리 파일 경로 (BRAND_REGISTRY_PATH 환경변수로 변경 가능)
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, 'config', 'brands.json');
+
+// 신호별 가중치 (합계가 임계값 이상이면 사칭으로 판정)
+const SIGNAL_WEIGHTS = {
+  'domain-homograph': 40,
+  'domain-keyword': 25,
+  favicon: 30,
+  logo: 30,
+  title: 25,
+  text: 10,
+};
+const IMPERSONATION_THRESHOLD = 30;
+
+// 사칭 판정에 하나 이상 필요한 신호 (제목/본문의 브랜드 이름만으로는 뉴스·일반 글과 구분되지 않음)
+const ANCHOR_SIGNAL_TYPES = ['domain-homograph', 'domain-keyword', 'favicon', 'logo'];
+
+let registry = { version: null, brands: [] };
+
+// ============================================
+// 레지스트리 로드
+// ============================================
+
+/**
+ * 브랜드 별칭 검색 패턴 생성
+ * 라틴 문자로 시작/끝나는 별칭은 단어 경계로, 한글로 시작하는 별칭은 앞에 한글이 붙지 않은 경우만 일치
+ * (뒤에는 조사가 붙으므로 경계를 요구하지 않음, 예: "토스에서" 일치, "포토스튜디오" 불일치)
+ * @param {string} alias
+ * @returns {RegExp}
+ */
+function compileAliasPattern(alias) {
+  const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const before = /^[a-z0-9]/i.test(alias) ? '(?<![a-z0-9])' : '(?<![가-힣])';
+  const after = /[a-z0-9]$/i.test(alias) ? '(?![a-z0-9])' : '';
+  return new RegExp(`${before}${escaped}${after}`, 'i');
+}
+
+/**
+ * 브랜드 레지스트리 로드
+ * @param {string} [registryPath] - 레지스트리 JSON 파일 경로
+ * @returns {Object} 로드된 레지스트리
+ */
+export function loadBrandRegistry(registryPath = process.env.BRAND_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    registry = {
+      version: parsed.version || null,
+      brands: (parsed.brands || []).map(brand => ({
+        id: brand.id,
+        name: brand.name,
+        aliases: brand.aliases || [brand.name],
+        aliasPatterns: (brand.aliases || [brand.name]).map(compileAliasPattern),
+        officialDomains: (brand.officialDomains || []).map(d => d.toLowerCase()),
+        keywords: (brand.keywords || []).map(k => k.toLowerCase()),
+        logos: (brand.logos || []).map(l => l.toLowerCase()),
+        favicons: (brand.favicons || []).map(f => f.toLowerCase()),
+      })),
+    };
+    console.log(`[Brand Registry] ${registry.brands.length}개 브랜드 로드 (${registryPath})`);
+  } catch (error) {
+    console.warn(`[Brand Registry] 레지스트리 로드 실패 (${registryPath}): ${error.message}`);
+    registry = { version: null, brands: [] };
+  }
+  return registry;
+}
+
+/**
+ * 현재 로드된 브랜드 레지스트리 반환
+ * @returns {Object}
+ */
+export function getBrandRegistry() {
+  return registry;
+}
+
+/**
+ * 호스트명을 공식 도메인으로 소유한 브랜드 찾기
+ * @param {string} hostname
+ * @returns {Object|null} 브랜드 또는 null
+ */
+export function findOwningBrand(hostname) {
+  return registry.brands.find(brand =>
+    brand.officialDomains.some(domain => isSameOrSubdomain(hostname, domain))
+  ) || null;
+}
+
+// ============================================
+// 사칭 신호 수집
+// ============================================
+
+/**
+ * 도메인에 브랜드 키워드가 포함되어 있는지 확인
+ * 짧은 키워드(toss 등)는 일반 단어와 겹치므로 토큰 단위로만 비교
+ * @param {string} hostname
+ * @param {string} keyword
+ * @returns {boolean}
+ */
+function hostnameContainsKeyword(hostname, keyword) {
+  if (keyword.length >= 5) {
+    return hostname.includes(keyword);
+  }
+  return hostname.split(/[^a-z0-9]+/).includes(keyword);
+}
+
+/**
+ * 텍스트에 브랜드 이름(별칭 포함)이 있는지 확인
+ * @param {string} text
+ * @param {Object} brand
+ * @returns {string|null} 발견된 이름
+ */
+function findBrandName(text, brand) {
+  const index = brand.aliasPatterns.findIndex(pattern => pattern.test(text || ''));
+  return index >= 0 ? brand.aliases[index] : null;
+}
+
+/**
+ * 단일 브랜드에 대한 사칭 신호 수집
+ * @param {Object} brand
+ * @param {Object} evidence - collectBrandEvidence 결과 + hostname
+ * @returns {Array} 신호 목록
+ */
+function collectSignals(brand, evidence) {
+  const { hostname, title, text, images = [], favicons = [] } = evidence;
+  const signals = [];
+
+  // 도메인 스켈레톤이 공식 도메인과 같음 (호모그래프, 퓨니코드는 유니코드로 디코딩 후 비교)
+  const registrable = getRegistrableDomain(hostname);
+  const unicode = domainToUnicode(registrable) || registrable;
+  const homographOf = brand.officialDomains.find(domain => domain === computeSkeleton(unicode));
+  if (homographOf) {
+    const shown = unicode === registrable ? hostname : `${hostname} (${unicode})`;
+    signals.push({ type: 'domain-homograph', detail: `${shown} ≈ ${homographOf}` });
+  }
+
+  // 도메인에 브랜드 키워드 포함
+  const keyword = brand.keywords.find(k => hostnameContainsKeyword(hostname, k));
+  if (keyword && !homographOf) {
+    signals.push({ type: 'domain-keyword', detail: `도메인에 "${keyword}" 포함` });
+  }
+
+  // 파비콘이 브랜드 파비콘을 참조
+  const favicon = favicons.find(href => brand.favicons.some(ref => href.toLowerCase().includes(ref)));
+  if (favicon) {
+    signals.push({ type: 'favicon', detail: favicon });
+  }
+
+  // 로고 이미지 (브랜드 로고 경로 참조 또는 alt에 브랜드 이름)
+  const logo = images.find(img => {
+    const src = (img.src || '').toLowerCase();
+    const label = `${img.alt || ''} ${img.className || ''} ${img.id || ''}`;
+    return brand.logos.some(ref => src.includes(ref)) ||
+      (/logo|로고/i.test(`${src} ${label}`) && findBrandName(label, brand));
+  });
+  if (logo) {
+    signals.push({ type: 'logo', detail: logo.src || logo.alt });
+  }
+
+  // 페이지 제목에 브랜드 이름
+  const titleName = findBrandName(title, brand);
+  if (titleName) {
+    signals.push({ type: 'title', detail: `제목에 "${titleName}" 포함` });
+  }
+
+  // 본문에 브랜드 이름 (단독으로는 약한 신호)
+  const textName = findBrandName(text, brand);
+  if (textName) {
+    signals.push({ type: 'text', detail: `본문에 "${textName}" 포함` });
+  }
+
+  return signals;
+}
+
+/**
+ * 브랜드 사칭 탐지
+ * @param {Object} evidence
+ * @param {string} evidence.hostname - 현재 페이지 호스트명
+ * @param {string} [evidence.title] - 페이지 제목
+ * @param {string} [evidence.text] - 페이지 본문 텍스트
+ * @param {Array} [evidence.images] - 이미지 정보 ({ src, alt, className, id })
+ * @param {Array} [evidence.favicons] - 파비콘 URL 목록
+ * @returns {Object} 사칭 탐지 결과
+ */
+export function detectBrandImpersonation(evidence) {
+  const hostname = (evidence.hostname || '').toLowerCase();
+
+  // 등록된 브랜드의 공식 도메인이면 사칭 검사 생략 (브랜드 간 상호 언급은 사칭이 아님)
+  const owner = findOwningBrand(hostname);
+  if (!hostname || owner) {
+    return {
+      detected: false,
+      brand: null,
+      confidence: 0,
+      signals: [],
+      officialDomains: [],
+      officialBrand: owner ? { id: owner.id, name: owner.name } : null,
+      candidates: [],
+    };
+  }
+
+  const candidates = registry.brands
+    .map(brand => {
+      const signals = collectSignals(brand, { ...evidence, hostname });
+      const confidence = Math.min(
+        signals.reduce((sum, s) => sum + SIGNAL_WEIGHTS[s.type], 0),
+        100
+      );
+      return { brand: { id: brand.id, name: brand.name }, confidence, signals };
+    })
+    .filter(c => c.signals.length > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  // 도메인·로고·파비콘 신호가 있는 후보 중 최고점만 판정 대상
+  const top = candidates.find(c => c.signals.some(s => ANCHOR_SIGNAL_TYPES.includes(s.type)));
+  const detected = !!top && top.confidence >= IMPERSONATION_THRESHOLD;
+
+  return {
+    detected,
+    brand: detected ? top.brand : null,
+    confidence: top ? top.confidence : 0,
+    signals: detected ? top.signals : [],
+    officialDomains: detected
+      ? registry.brands.find(b => b.id === top.brand.id).officialDomains
+      : [],
+    candidates,
+  };
+}
+
+/**
+ * 도메인만으로 브랜드 유사 도메인인지 확인 (호모그래프 또는 브랜드 키워드 포함)
+ * @param {string} hostname
+ * @returns {Object|null} { brand, signals } 또는 null (공식 도메인 포함)
+ */
+export function findLookalikeBrand(hostname) {
+  const host = (hostname || '').toLowerCase();
+  if (!host || findOwningBrand(host)) return null;
+
+  for (const brand of registry.brands) {
+    const signals = collectSignals(brand, { hostname: host })
+      .filter(s => s.type.startsWith('domain-'));
+    if (signals.length > 0) {
+      return { brand: { id: brand.id, name: brand.name }, signals };
+    }
+  }
+  return null;
+}
+
+/**
+ * 페이지에서 브랜드 사칭 판단에 필요한 정보 수집
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Object>} { hostname, title, text, images, favicons }
+ */
+export async function collectBrandEvidence(page) {
+  try {
+    return await page.evaluate(() => ({
+      hostname: window.location.hostname,
+      title: document.title || '',
+      text: (document.body?.innerText || '').substring(0, 20000),
+      images: [...document.images].slice(0, 100).map(img => ({
+        src: img.currentSrc || img.src || '',
+        alt: img.alt || '',
+        className: typeof img.className === 'string' ? img.className : '',
+        id: img.id || '',
+      })),
+      favicons: [...document.querySelectorAll('link[rel~="icon"], link[rel="apple-touch-icon"]')]
+        .map(link => link.href)
+        .filter(Boolean),
+    }));
+  } catch (error) {
+    console.warn('[Brand Registry] 브랜드 정보 수집 실패:', error.message);
+    return { hostname: '', title: '', text: '', images: [], favicons: [] };
+  }
+}
+
+// 모듈 로드 시 레지스트리 초기화
+loadBrandRegistry();
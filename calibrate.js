@@ -0,0 +1,443 @@
+/**
+ * Score Calibration CLI
+ * 라벨링된 분석 결과 데이터셋으로 규칙 가중치와 AI 결합 함수를 학습하여 보정 모델 파일 생성
+ *
+ * 사용법:
+ *   node calibrate.js <dataset.jsonl> [옵션]
+ *
+ * 옵션:
+ *   --out <file>         모델 파일 경로 (기본: SCORE_MODEL_PATH 또는 config/score-model.json)
+ *   --folds <n>          교차 검증 폴드 수 (기본: 5)
+ *   --l2 <n>             L2 정규화 계수 (기본: 0.01)
+ *   --epochs <n>         경사 하강 반복 수 (기본: 2000)
+ *   --min-support <n>    특성으로 사용할 규칙의 최소 일치 표본 수 (기본: 2)
+ *   --bins <n>           보정 곡선 구간 수 (기본: 10)
+ *   --dry-run            모델 파일을 쓰지 않고 보고서만 출력
+ *
+ * 데이터셋 (JSONL, 한 줄에 표본 하나):
+ *   { "label": 1, "result": <analyzeUrl 결과> }
+ *   { "label": "benign", "scoreBreakdown": [...], "aiScore": 12 }
+ * label: 1/0, true/false, "phishing"/"malicious"/"benign"/"safe"
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getRuleset } from './rule-engine.js';
+import { DEFAULT_MODEL_PATH, sigmoid, logit, extractFeatures, predictProbability } from './score-model.js';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+const DEFAULT_OPTIONS = {
+  out: process.env.SCORE_MODEL_PATH || DEFAULT_MODEL_PATH,
+  folds: 5,
+  l2: 0.01,
+  epochs: 2000,
+  minSupport: 2,
+  bins: 10,
+  dryRun: false,
+};
+
+// 경사 하강 학습률
+const LEARNING_RATE = 0.5;
+
+// AI 결합 함수를 학습할 최소 표본 수 (AI 점수가 있는 표본)
+const MIN_FUSION_SAMPLES = 20;
+
+const POSITIVE_LABELS = ['1', 'true', 'phishing', 'malicious', 'danger'];
+const NEGATIVE_LABELS = ['0', 'false', 'benign', 'safe', 'legitimate'];
+
+// ============================================
+// 인자 / 데이터셋
+// ============================================
+
+/**
+ * 사용법 출력 후 종료
+ */
+function printUsage() {
+  console.log('사용법:');
+  console.log('  node calibrate.js <dataset.jsonl> [--out <file>] [--folds 5] [--l2 0.01] [--epochs 2000] [--min-support 2] [--bins 10] [--dry-run]');
+  process.exit(1);
+}
+
+/**
+ * 명령행 인자 해석
+ * @param {string[]} argv
+ * @returns {Object} { file, ...옵션 }
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS, file: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--out') {
+      options.out = argv[++i];
+    } else if (arg.startsWith('--')) {
+      const key = arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase());
+      const value = Number(argv[++i]);
+      if (!(key in DEFAULT_OPTIONS) || !Number.isFinite(value)) printUsage();
+      options[key] = value;
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      printUsage();
+    }
+  }
+
+  if (!options.file || !options.out) printUsage();
+  return options;
+}
+
+/**
+ * 라벨 정규화
+ * @param {*} label
+ * @returns {number|null} 1(피싱) / 0(정상) / null(해석 불가)
+ */
+function normalizeLabel(label) {
+  const value = String(label).trim().toLowerCase();
+  if (POSITIVE_LABELS.includes(value)) return 1;
+  if (NEGATIVE_LABELS.includes(value)) return 0;
+  return null;
+}
+
+/**
+ * 데이터셋 로드
+ * @param {string} file
+ * @param {Map<string, number>} baseWeights - 규칙 ID → 규칙 파일의 weight
+ * @returns {{ samples: Array, skipped: number }} samples: { features, rawScore, aiScore, label }
+ */
+function loadDataset(file, baseWeights) {
+  const samples = [];
+  let skipped = 0;
+
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      skipped++;
+      continue;
+    }
+
+    const label = normalizeLabel(record.label);
+    const breakdown = record.scoreBreakdown || record.result?.scoreBreakdown;
+    if (label === null || !Array.isArray(breakdown)) {
+      skipped++;
+      continue;
+    }
+
+    const aiScore = record.aiScore ?? record.result?.aiAnalysis?.score;
+    samples.push({
+      label,
+      features: extractFeatures(breakdown, baseWeights),
+      rawScore: record.result?.calibration?.rawScore ?? breakdown.reduce((sum, entry) => sum + (entry.points || 0), 0),
+      aiScore: typeof aiScore === 'number' ? aiScore : null,
+    });
+  }
+
+  return { samples, skipped };
+}
+
+// ============================================
+// 학습
+// ============================================
+
+/**
+ * L2 정규화 로지스틱 회귀 (전체 배치 경사 하강)
+ * @param {Array} rows - { x: Object<string, number>, y }
+ * @param {string[]} featureNames
+ * @param {Object} options - { l2, epochs }
+ * @returns {Object} { weights, intercept }
+ */
+function fitLogistic(rows, featureNames, { l2, epochs }) {
+  const positiveRate = rows.reduce((sum, row) => sum + row.y, 0) / rows.length;
+  const weights = Object.fromEntries(featureNames.map(name => [name, 0]));
+  let intercept = logit(positiveRate);
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = Object.fromEntries(featureNames.map(name => [name, 0]));
+    let interceptGradient = 0;
+
+    for (const row of rows) {
+      const error = predictProbability(weights, intercept, row.x) - row.y;
+      interceptGradient += error;
+      for (const [name, value] of Object.entries(row.x)) {
+        if (name in gradient) gradient[name] += error * value;
+      }
+    }
+
+    intercept -= LEARNING_RATE * interceptGradient / rows.length;
+    for (const name of featureNames) {
+      weights[name] -= LEARNING_RATE * (gradient[name] / rows.length + l2 * weights[name]);
+    }
+  }
+
+  return { weights, intercept };
+}
+
+/**
+ * 폴드 배정 (라벨별로 번갈아 배정하여 폴드마다 비율 유지)
+ * @param {Array} samples
+ * @param {number} folds
+ * @returns {number[]} 표본별 폴드 번호
+ */
+function assignFolds(samples, folds) {
+  const counters = [0, 0];
+  return samples.map(sample => counters[sample.label]++ % folds);
+}
+
+/**
+ * 휴리스틱 특성 행
+ * @param {Object} sample
+ * @returns {Object} { x, y }
+ */
+function heuristicRow(sample) {
+  return { x: sample.features, y: sample.label };
+}
+
+/**
+ * AI 결합 특성 행 (휴리스틱 확률과 AI 점수의 로짓)
+ * @param {Object} sample
+ * @param {number} heuristicProbability
+ * @returns {Object} { x, y }
+ */
+function fusionRow(sample, heuristicProbability) {
+  return {
+    x: { heuristic: logit(heuristicProbability), ai: logit(sample.aiScore / 100) },
+    y: sample.label,
+  };
+}
+
+/**
+ * 교차 검증 예측 (폴드 밖 표본 예측값)
+ * @param {Array} samples
+ * @param {string[]} featureNames
+ * @param {Object} options
+ * @returns {Object} { heuristic: number[], fusion: (number|null)[] }
+ */
+function crossValidate(samples, featureNames, options) {
+  const folds = Math.max(2, Math.min(options.folds, samples.length));
+  const assignment = assignFolds(samples, folds);
+  const heuristic = new Array(samples.length).fill(null);
+  const fusion = new Array(samples.length).fill(null);
+
+  for (let fold = 0; fold < folds; fold++) {
+    const train = samples.filter((_, i) => assignment[i] !== fold);
+    if (new Set(train.map(s => s.label)).size < 2) continue;
+
+    const fitted = fitLogistic(train.map(heuristicRow), featureNames, options);
+    samples.forEach((sample, i) => {
+      if (assignment[i] === fold) heuristic[i] = predictProbability(fitted.weights, fitted.intercept, sample.features);
+    });
+
+    // 결합 함수는 훈련 폴드의 휴리스틱 예측(학습 데이터 내 예측)으로 학습
+    const fusionTrain = train.filter(s => s.aiScore !== null);
+    if (fusionTrain.length < MIN_FUSION_SAMPLES || new Set(fusionTrain.map(s => s.label)).size < 2) continue;
+    const fittedFusion = fitLogistic(
+      fusionTrain.map(s => fusionRow(s, predictProbability(fitted.weights, fitted.intercept, s.features))),
+      ['heuristic', 'ai'],
+      options,
+    );
+    samples.forEach((sample, i) => {
+      if (assignment[i] === fold && sample.aiScore !== null) {
+        fusion[i] = predictProbability(fittedFusion.weights, fittedFusion.intercept, fusionRow(sample, heuristic[i]).x);
+      }
+    });
+  }
+
+  return { heuristic, fusion };
+}
+
+// ============================================
+// 평가
+// ============================================
+
+/**
+ * 예측 평가 지표 (브라이어 점수, 로그 손실, 기대 보정 오차, 판정 정확도)
+ * @param {Array} pairs - { p, y }
+ * @param {number} bins
+ * @returns {Object} { samples, brier, logLoss, ece, accuracy, curve }
+ */
+function evaluate(pairs, bins) {
+  if (pairs.length === 0) return null;
+
+  const curve = Array.from({ length: bins }, (_, i) => ({
+    range: [i / bins, (i + 1) / bins],
+    count: 0,
+    meanPredicted: 0,
+    observedRate: 0,
+  }));
+
+  let brier = 0;
+  let logLoss = 0;
+  let correct = 0;
+  for (const { p, y } of pairs) {
+    brier += (p - y) ** 2;
+    // 로그 손실은 0/1 예측의 무한대를 막기 위해 로짓 범위로 제한
+    const clamped = sigmoid(logit(p));
+    logLoss -= y * Math.log(clamped) + (1 - y) * Math.log(1 - clamped);
+    // danger(>70)만 피싱 판정으로 간주
+    if ((p > 0.7 ? 1 : 0) === y) correct++;
+
+    const bin = curve[Math.min(Math.floor(p * bins), bins - 1)];
+    bin.count++;
+    bin.meanPredicted += p;
+    bin.observedRate += y;
+  }
+
+  let ece = 0;
+  for (const bin of curve) {
+    if (bin.count === 0) continue;
+    bin.meanPredicted /= bin.count;
+    bin.observedRate /= bin.count;
+    ece += (bin.count / pairs.length) * Math.abs(bin.meanPredicted - bin.observedRate);
+  }
+
+  const round = (n) => Math.round(n * 10000) / 10000;
+  return {
+    samples: pairs.length,
+    brier: round(brier / pairs.length),
+    logLoss: round(logLoss / pairs.length),
+    ece: round(ece),
+    accuracy: round(correct / pairs.length),
+    curve: curve.map(bin => ({
+      ...bin,
+      meanPredicted: round(bin.meanPredicted),
+      observedRate: round(bin.observedRate),
+    })),
+  };
+}
+
+/**
+ * 보정 곡선 출력
+ * @param {string} name
+ * @param {Object|null} metrics - evaluate() 결과
+ */
+function printCurve(name, metrics) {
+  if (!metrics) return;
+
+  console.log(`\n[${name}] 표본 ${metrics.samples}개, Brier ${metrics.brier}, LogLoss ${metrics.logLoss}, ECE ${metrics.ece}, 정확도(danger) ${metrics.accuracy}`);
+  console.log('  구간        표본   평균 예측   실제 피싱 비율');
+  for (const bin of metrics.curve) {
+    if (bin.count === 0) continue;
+    const range = `${bin.range[0].toFixed(1)}-${bin.range[1].toFixed(1)}`;
+    const bar = '#'.repeat(Math.round(bin.observedRate * 20));
+    console.log(`  ${range.padEnd(10)} ${String(bin.count).padStart(5)}   ${bin.meanPredicted.toFixed(3).padStart(9)}   ${bin.observedRate.toFixed(3).padStart(6)} ${bar}`);
+  }
+}
+
+// ============================================
+// 실행
+// ============================================
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const ruleset = getRuleset();
+  const baseWeights = new Map(ruleset.rules.map(rule => [rule.id, rule.weight]));
+
+  const { samples, skipped } = loadDataset(options.file, baseWeights);
+  const positives = samples.filter(s => s.label === 1).length;
+  console.log(`데이터셋: ${samples.length}개 표본 (피싱 ${positives}, 정상 ${samples.length - positives})` +
+    (skipped > 0 ? `, 해석할 수 없는 줄 ${skipped}개 제외` : ''));
+  if (positives === 0 || positives === samples.length) {
+    throw new Error('피싱/정상 라벨이 모두 있어야 학습할 수 있습니다.');
+  }
+
+  // 최소 일치 표본 수를 넘는 규칙만 특성으로 사용
+  const support = new Map();
+  for (const sample of samples) {
+    for (const name of Object.keys(sample.features)) support.set(name, (support.get(name) || 0) + 1);
+  }
+  const featureNames = [...support].filter(([, count]) => count >= options.minSupport).map(([name]) => name).sort();
+  console.log(`특성: 규칙 ${featureNames.length}개 (일치 표본 ${options.minSupport}개 미만 ${support.size - featureNames.length}개 제외)`);
+
+  // 교차 검증으로 보정 전/후 비교
+  const predictions = crossValidate(samples, featureNames, options);
+  const withAi = samples.map((s, i) => ({ ...s, index: i })).filter(s => s.aiScore !== null);
+  const report = {
+    raw: evaluate(samples.map(s => ({ p: Math.min(s.rawScore, 100) / 100, y: s.label })), options.bins),
+    calibrated: evaluate(
+      samples.map((s, i) => ({ p: predictions.heuristic[i], y: s.label })).filter(pair => pair.p !== null),
+      options.bins,
+    ),
+    legacyFusion: evaluate(
+      withAi.map(s => ({ p: (Math.min(s.rawScore, 100) * 0.4 + s.aiScore * 0.6) / 100, y: s.label })),
+      options.bins,
+    ),
+    fusion: evaluate(
+      withAi.map(s => ({ p: predictions.fusion[s.index], y: s.label })).filter(pair => pair.p !== null),
+      options.bins,
+    ),
+  };
+
+  printCurve('보정 전 (규칙 점수 합계 / 100)', report.raw);
+  printCurve('보정 후 (교차 검증)', report.calibrated);
+  printCurve('기존 AI 결합 (40/60)', report.legacyFusion);
+  printCurve('학습한 AI 결합 (교차 검증)', report.fusion);
+
+  // 전체 데이터로 최종 모델 학습
+  const final = fitLogistic(samples.map(heuristicRow), featureNames, options);
+  let fusion = null;
+  if (withAi.length >= MIN_FUSION_SAMPLES && new Set(withAi.map(s => s.label)).size === 2) {
+    const fitted = fitLogistic(
+      withAi.map(s => fusionRow(s, predictProbability(final.weights, final.intercept, s.features))),
+      ['heuristic', 'ai'],
+      options,
+    );
+    fusion = { intercept: fitted.intercept, heuristic: fitted.weights.heuristic, ai: fitted.weights.ai };
+  } else {
+    console.log(`\nAI 점수가 있는 표본이 ${MIN_FUSION_SAMPLES}개 미만이거나 한쪽 라벨뿐이어서 AI 결합은 기존 가중 평균을 유지합니다.`);
+  }
+
+  const round = (n) => Math.round(n * 10000) / 10000;
+  const trainedAt = new Date().toISOString();
+  const model = {
+    type: 'logistic',
+    version: `calibrated-${trainedAt.replace(/[-:]/g, '').slice(0, 15)}`,
+    trainedAt,
+    rulesetVersion: ruleset.version,
+    dataset: {
+      file: path.basename(options.file),
+      samples: samples.length,
+      positives,
+      withAiScore: withAi.length,
+    },
+    training: { folds: options.folds, l2: options.l2, epochs: options.epochs, minSupport: options.minSupport },
+    intercept: round(final.intercept),
+    weights: Object.fromEntries(
+      Object.entries(final.weights)
+        .sort((a, b) => b[1] - a[1])
+        .map(([name, weight]) => [name, round(weight)])
+    ),
+    fusion: fusion && {
+      intercept: round(fusion.intercept),
+      heuristic: round(fusion.heuristic),
+      ai: round(fusion.ai),
+    },
+    report,
+  };
+
+  console.log('\n규칙 계수 (상위 10개):');
+  for (const [name, weight] of Object.entries(model.weights).slice(0, 10)) {
+    console.log(`  ${name.padEnd(36)} ${weight >= 0 ? '+' : ''}${weight}`);
+  }
+  if (model.fusion) {
+    console.log(`AI 결합: z = ${model.fusion.intercept} + ${model.fusion.heuristic}·logit(휴리스틱) + ${model.fusion.ai}·logit(AI)`);
+  }
+
+  if (options.dryRun) {
+    console.log('\n--dry-run: 모델 파일을 쓰지 않았습니다.');
+  } else {
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, JSON.stringify(model, null, 2) + '\n');
+    console.log(`\n모델 저장: ${options.out} (${model.version}) - 서버를 다시 시작하면 적용됩니다.`);
+  }
+} catch (error) {
+  console.error(`[오류] ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,531 @@
+/**
+ * Canary Credential Tracer
+ * 로그인/카드 입력 필드에 고유한 카나리 값을 채우고 실제 전송 목적지 추적
+ *
+ * - 비밀번호, 아이디, 이메일, 전화번호, 카드번호, 주민등록번호 등 필드 자동 분류
+ * - 실제 키 입력으로 채워 페이지 스크립트(키로거 등)가 그대로 동작하도록 함
+ * - 폼 제출 후 XHR, fetch, sendBeacon, WebSocket 프레임, 페이지 이동을 CDP로 관찰
+ * - 원문, URL 인코딩, Base64(모든 바이트 정렬), 16진수 표기까지 검색
+ */
+
+import crypto from 'crypto';
+import { getRegistrableDomain } from './domain-utils.js';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 채울 최대 필드 수
+const MAX_FIELDS = 20;
+
+// 제출 후 전송을 기다리는 기본 시간 (ms)
+const DEFAULT_WAIT_MS = 5000;
+
+// 이보다 짧은 값은 우연히 일치할 수 있어 추적하지 않음 (CVV, 유효기간 등)
+const MIN_TRACEABLE_LENGTH = 8;
+
+// 기록할 최대 요청/프레임 수
+const MAX_CAPTURES = 500;
+
+// 검사할 본문 최대 길이
+const MAX_PAYLOAD_LENGTH = 512 * 1024;
+
+// 입력 중 전송(키로거) 탐지 시 검색할 앞부분 길이
+const PREFIX_LENGTH = 8;
+
+// 필드에 붙이는 표식 속성 (선택자 생성용)
+const FIELD_ATTRIBUTE = 'data-safehouse-canary';
+
+// CDP 리소스 타입 → 전송 채널
+const CHANNEL_TYPES = {
+  XHR: 'xhr',
+  Fetch: 'fetch',
+  Ping: 'beacon',
+  Document: 'navigation',
+  EventSource: 'eventsource',
+};
+
+// ============================================
+// 카나리 값 생성
+// ============================================
+
+/**
+ * 무작위 숫자열
+ * @param {number} length
+ * @returns {string}
+ */
+function randomDigits(length) {
+  let digits = '';
+  while (digits.length < length) {
+    digits += crypto.randomInt(0, 10);
+  }
+  return digits;
+}
+
+/**
+ * Luhn 검사 숫자를 붙인 카드번호 (입력 검증을 통과하도록)
+ * @param {string} prefix - 검사 숫자를 제외한 15자리
+ * @returns {string}
+ */
+function withLuhnDigit(prefix) {
+  let sum = 0;
+  for (let i = 0; i < prefix.length; i++) {
+    let digit = Number(prefix[prefix.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return prefix + ((10 - (sum % 10)) % 10);
+}
+
+/**
+ * 필드 유형별 카나리 값 생성
+ * @param {string} kind - 필드 유형
+ * @param {string} token - 실행별 고유 토큰
+ * @returns {string}
+ */
+function createCanaryValue(kind, token) {
+  switch (kind) {
+    case 'password': return `Sh!${token}a9`;
+    case 'email': return `sh${token}@example.com`;
+    case 'phone': return `010${randomDigits(8)}`;
+    case 'card': return withLuhnDigit(`4${randomDigits(14)}`);
+    case 'cvv': return randomDigits(3);
+    case 'expiry': return `12/${30 + crypto.randomInt(0, 5)}`;
+    case 'rrn': return `900101${1 + crypto.randomInt(0, 2)}${randomDigits(6)}`;
+    case 'otp': return randomDigits(6);
+    case 'name': return '홍길동';
+    default: return `sh${token}`;
+  }
+}
+
+/**
+ * 값 하나의 검색용 인코딩 변형
+ * Base64는 앞뒤 바이트에 영향받지 않는 구간만 잘라 3가지 정렬 모두 검색
+ * @param {string} value
+ * @returns {Array} { encoding, text }
+ */
+export function encodeCanaryVariants(value) {
+  const variants = [{ encoding: 'plain', text: value }];
+  const add = (encoding, text) => {
+    if (text && text.length >= MIN_TRACEABLE_LENGTH - 2 && !variants.some(v => v.text === text)) {
+      variants.push({ encoding, text });
+    }
+  };
+
+  // 전화번호/주민등록번호는 하이픈 표기도 검색
+  if (/^010\d{8}$/.test(value)) add('plain', `${value.slice(0, 3)}-${value.slice(3, 7)}-${value.slice(7)}`);
+  if (/^\d{13}$/.test(value)) add('plain', `${value.slice(0, 6)}-${value.slice(6)}`);
+
+  add('url', encodeURIComponent(value));
+  add('url', encodeURIComponent(value).replace(/%20/g, '+'));
+
+  const bytes = Buffer.from(value, 'utf8');
+  for (let shift = 0; shift < 3; shift++) {
+    const encoded = Buffer.concat([Buffer.alloc(shift), bytes]).toString('base64');
+    const start = Math.ceil((shift * 8) / 6);
+    const end = Math.floor(((shift + bytes.length) * 8) / 6);
+    const stable = encoded.substring(start, end);
+    add('base64', stable);
+    add('base64', stable.replace(/\+/g, '-').replace(/\//g, '_'));
+  }
+
+  add('hex', bytes.toString('hex'));
+  return variants;
+}
+
+// ============================================
+// 카나리 추적기
+// ============================================
+
+/**
+ * 카나리 값 입력 → 제출 → 전송 관찰
+ * 페이지 로드가 끝난 뒤 trace()를 호출 (폼을 제출하므로 다른 분석 이후에 실행)
+ */
+export class CanaryTracer {
+  /**
+   * @param {import('puppeteer').Page} page
+   * @param {Object} [options]
+   * @param {number} [options.waitMs] - 제출 후 대기 시간
+   * @param {boolean} [options.submit] - 폼 제출 여부 (false면 입력만 하고 페이지 스크립트 동작 관찰)
+   * @param {boolean} [options.matchPrefixes] - 입력 도중 값(앞부분)도 검색 (키 입력 단위 전송 탐지)
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.waitMs = options.waitMs || DEFAULT_WAIT_MS;
+    this.submit = options.submit !== false;
+    this.matchPrefixes = options.matchPrefixes === true;
+    this.token = crypto.randomBytes(4).toString('hex');
+    this.client = null;
+    this.captures = [];
+    this.pending = new Set();
+    this.webSockets = new Map();
+  }
+
+  /**
+   * CDP 네트워크 관찰 시작
+   */
+  async start() {
+    this.client = await this.page.createCDPSession();
+    await this.client.send('Network.enable');
+
+    this.client.on('Network.requestWillBeSent', (params) => {
+      const { request } = params;
+      const capture = {
+        channel: CHANNEL_TYPES[params.type] || (params.type || 'other').toLowerCase(),
+        method: request.method,
+        url: request.url,
+        headers: request.headers || {},
+        body: request.postData || null,
+        initiator: initiatorUrl(params.initiator),
+        timestamp: new Date().toISOString(),
+      };
+      this.record(capture);
+
+      // 본문이 커서 이벤트에 포함되지 않은 경우 별도 요청
+      if (request.hasPostData && !request.postData) {
+        const task = this.client.send('Network.getRequestPostData', { requestId: params.requestId })
+          .then(({ postData }) => { capture.body = postData; })
+          .catch(() => {})
+          .finally(() => this.pending.delete(task));
+        this.pending.add(task);
+      }
+    });
+
+    this.client.on('Network.webSocketCreated', ({ requestId, url, initiator }) => {
+      this.webSockets.set(requestId, { url, initiator: initiatorUrl(initiator) });
+    });
+
+    this.client.on('Network.webSocketFrameSent', ({ requestId, response }) => {
+      const socket = this.webSockets.get(requestId);
+      this.record({
+        channel: 'websocket',
+        method: 'SEND',
+        url: socket?.url || 'ws://unknown',
+        headers: {},
+        body: response.payloadData,
+        initiator: socket?.initiator || null,
+        timestamp: new Date().toISOString(),
+      });
+    });
+  }
+
+  /**
+   * 요청/프레임 기록
+   * @param {Object} capture
+   */
+  record(capture) {
+    if (this.captures.length >= MAX_CAPTURES) return;
+    this.captures.push(capture);
+  }
+
+  /**
+   * 입력 필드 탐지 및 분류
+   * @returns {Promise<Array>} { selector, kind, formIndex }
+   */
+  async detectFields() {
+    return this.page.evaluate((attribute, maxFields) => {
+      const KIND_PATTERNS = [
+        ['card', /card.?(no|num)|cc.?num|cardnumber|카드\s*번호/i],
+        ['cvv', /cvv|cvc|csc|보안\s*코드/i],
+        ['expiry', /exp(iry|ire|date)?|valid|유효\s*기간/i],
+        ['rrn', /ssn|jumin|rrn|resident|주민/i],
+        ['otp', /otp|auth.?code|verif.?code|인증\s*번호/i],
+        ['password', /pass|pwd|\bpw\b|비밀\s*번호|암호/i],
+        ['email', /e-?mail|이메일/i],
+        ['phone', /phone|mobile|\btel\b|휴대\s*폰|전화/i],
+        ['name', /^name$|full.?name|성명|이름/i],
+        ['username', /user|login|\bid\b|account|아이디|계정/i],
+      ];
+
+      const isVisible = (el) => {
+        const style = window.getComputedStyle(el);
+        return el.getClientRects().length > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      };
+
+      const labelOf = (el) => {
+        const label = el.id ? document.querySelector(`label[for="${CSS.escape(el.id)}"]`) : el.closest('label');
+        return label?.textContent || '';
+      };
+
+      const classify = (el) => {
+        if (el.type === 'password') return 'password';
+        if (el.type === 'email') return 'email';
+        if (el.type === 'tel') return 'phone';
+
+        const hints = [el.name, el.id, el.placeholder, el.getAttribute('autocomplete'),
+          el.getAttribute('aria-label'), labelOf(el)].filter(Boolean).join(' ');
+        const match = KIND_PATTERNS.find(([, pattern]) => pattern.test(hints));
+        if (match) return match[0];
+
+        // 비밀번호 필드가 있는 폼의 텍스트 필드는 아이디로 간주
+        const form = el.form;
+        if (form && form.querySelector('input[type="password"]')) return 'username';
+        return null;
+      };
+
+      const forms = Array.from(document.forms);
+      const inputs = Array.from(document.querySelectorAll(
+        'input:not([type]), input[type="text"], input[type="password"], input[type="email"], input[type="tel"], input[type="number"]'
+      ));
+
+      const fields = [];
+      for (const el of inputs) {
+        if (fields.length >= maxFields) break;
+        if (el.disabled || el.readOnly || !isVisible(el)) continue;
+
+        const kind = classify(el);
+        if (!kind) continue;
+
+        el.setAttribute(attribute, String(fields.length));
+        fields.push({
+          selector: `[${attribute}="${fields.length}"]`,
+          kind,
+          name: el.name || el.id || null,
+          formIndex: el.form ? forms.indexOf(el.form) : -1,
+        });
+      }
+      return fields;
+    }, FIELD_ATTRIBUTE, MAX_FIELDS);
+  }
+
+  /**
+   * 필드에 카나리 값 입력 (실제 키 입력, 실패 시 값 직접 설정)
+   * @param {Array} fields - detectFields() 결과
+   * @returns {Promise<Array>} { selector, kind, name, value, traceable }
+   */
+  async fillFields(fields) {
+    const filled = [];
+
+    for (const field of fields) {
+      const value = createCanaryValue(field.kind, this.token);
+
+      // 이전 입력값(자동 완성, 이전 추적 등) 제거
+      await this.page.$eval(field.selector, (el) => { el.value = ''; }).catch(() => {});
+      try {
+        await this.page.type(field.selector, value);
+      } catch {
+        await this.page.$eval(field.selector, (el, text) => {
+          const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+          setter.call(el, text);
+          el.dispatchEvent(new Event('input', { bubbles: true }));
+          el.dispatchEvent(new Event('change', { bubbles: true }));
+        }, value).catch(() => {});
+      }
+
+      filled.push({
+        ...field,
+        value,
+        traceable: value.length >= MIN_TRACEABLE_LENGTH,
+      });
+    }
+
+    return filled;
+  }
+
+  /**
+   * 카나리가 입력된 폼 제출
+   * 폼 제출 이벤트 핸들러가 실행되도록 제출 버튼 클릭 → requestSubmit() → Enter 순으로 시도
+   * @param {Array} filled
+   * @returns {Promise<string|null>} 사용한 제출 방법
+   */
+  async submitForms(filled) {
+    const formIndexes = [...new Set(filled.map(f => f.formIndex).filter(i => i >= 0))];
+
+    if (formIndexes.length === 0) {
+      // 폼 없이 스크립트로 처리하는 페이지: 마지막 필드에서 Enter
+      if (filled.length === 0) return null;
+      await this.page.focus(filled[filled.length - 1].selector).catch(() => {});
+      await this.page.keyboard.press('Enter').catch(() => {});
+      return 'enter';
+    }
+
+    const methods = await this.page.evaluate((indexes) => {
+      return indexes.map((index) => {
+        const form = document.forms[index];
+        if (!form) return null;
+
+        const button = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+        if (button) {
+          button.click();
+          return 'click';
+        }
+        if (typeof form.requestSubmit === 'function') {
+          form.requestSubmit();
+          return 'requestSubmit';
+        }
+        form.submit();
+        return 'submit';
+      });
+    }, formIndexes).catch(() => []);
+
+    return methods.find(Boolean) || null;
+  }
+
+  /**
+   * 카나리 입력부터 전송 관찰까지 실행
+   * @returns {Promise<Object>} { token, fields, submitted, destinations, requestCount }
+   */
+  async trace() {
+    const pageUrl = this.page.url();
+    await this.start();
+
+    let fields = [];
+    let submitted = null;
+    try {
+      fields = await this.fillFields(await this.detectFields());
+      if (this.submit && fields.length > 0) {
+        submitted = await this.submitForms(fields);
+      }
+
+      // 제출 후 전송 대기 (페이지 이동으로 문맥이 바뀌어도 CDP 세션은 유지됨)
+      await this.page.waitForNetworkIdle({ idleTime: 500, timeout: this.waitMs }).catch(() => {});
+      await Promise.allSettled([...this.pending]);
+    } finally {
+      await this.stop();
+    }
+
+    const tracked = fields.filter(f => f.traceable);
+    const searchFields = this.matchPrefixes
+      ? tracked.flatMap(f => [f, { ...f, value: f.value.substring(0, PREFIX_LENGTH), partial: true }])
+      : tracked;
+
+    return {
+      token: this.token,
+      fields: fields.map(({ selector, kind, name, value, traceable }) => ({ selector, kind, name, value, traceable })),
+      submitted,
+      destinations: matchCanaries(this.captures, searchFields, pageUrl),
+      requestCount: this.captures.length,
+    };
+  }
+
+  /**
+   * 관찰 종료
+   */
+  async stop() {
+    if (this.client) {
+      await this.client.detach().catch(() => {});
+      this.client = null;
+    }
+  }
+}
+
+// ============================================
+// 카나리 검색
+// ============================================
+
+/**
+ * 관찰한 요청/프레임에서 카나리 값 검색 후 목적지별로 묶기
+ * @param {Array} captures - { channel, method, url, headers, body, initiator }
+ * @param {Array} fields - 추적 대상 필드 ({ kind, selector, value, partial })
+ * @param {string} pageUrl - 카나리를 입력한 페이지 URL
+ * @returns {Array} { destination, host, thirdParty, channels, methods, initiators, requestCount, canaries }
+ */
+export function matchCanaries(captures, fields, pageUrl) {
+  const pageDomain = safeRegistrableDomain(pageUrl);
+  const searches = fields.map(field => ({ field, variants: encodeCanaryVariants(field.value) }));
+  const destinations = new Map();
+
+  for (const capture of captures) {
+    const locations = {
+      url: capture.url,
+      // Referer는 GET 폼 제출 이후 모든 하위 요청에 카나리를 옮기므로 제외
+      header: Object.entries(capture.headers)
+        .filter(([name]) => name.toLowerCase() !== 'referer')
+        .map(([name, value]) => `${name}: ${value}`)
+        .join('\n'),
+      body: (capture.body || '').substring(0, MAX_PAYLOAD_LENGTH),
+    };
+
+    const hits = [];
+    for (const { field, variants } of searches) {
+      for (const [location, text] of Object.entries(locations)) {
+        const variant = variants.find(v => text.includes(v.text));
+        if (variant) {
+          hits.push({
+            kind: field.kind,
+            selector: field.selector,
+            value: field.value,
+            encoding: variant.encoding,
+            location,
+            ...(field.partial ? { partial: true } : {}),
+          });
+        }
+      }
+    }
+    if (hits.length === 0) continue;
+
+    const destination = describeDestination(capture.url);
+    if (!destinations.has(destination.key)) {
+      destinations.set(destination.key, {
+        destination: destination.key,
+        host: destination.host,
+        thirdParty: !!destination.host && safeRegistrableDomain(capture.url) !== pageDomain,
+        channels: new Set(),
+        methods: new Set(),
+        initiators: new Set(),
+        requestCount: 0,
+        canaries: new Map(),
+        firstSeen: capture.timestamp,
+      });
+    }
+
+    const entry = destinations.get(destination.key);
+    entry.channels.add(capture.channel);
+    entry.methods.add(capture.method);
+    if (capture.initiator) entry.initiators.add(capture.initiator);
+    entry.requestCount++;
+    for (const hit of hits) {
+      const key = `${hit.selector}|${hit.encoding}|${hit.location}`;
+      if (!entry.canaries.has(key)) entry.canaries.set(key, hit);
+    }
+  }
+
+  return [...destinations.values()].map(entry => ({
+    ...entry,
+    channels: [...entry.channels],
+    methods: [...entry.methods],
+    initiators: [...entry.initiators],
+    canaries: [...entry.canaries.values()],
+  }));
+}
+
+/**
+ * 요청을 시작한 스크립트 URL
+ * @param {Object} initiator - Network.Initiator
+ * @returns {string|null}
+ */
+function initiatorUrl(initiator) {
+  if (!initiator) return null;
+  const frame = initiator.stack?.callFrames?.find(f => f.url);
+  return frame?.url || initiator.url || null;
+}
+
+/**
+ * 목적지 식별자 (쿼리 제외)
+ * @param {string} url
+ * @returns {{ key: string, host: string|null }}
+ */
+function describeDestination(url) {
+  try {
+    const parsed = new URL(url);
+    return { key: `${parsed.protocol}//${parsed.host}${parsed.pathname}`, host: parsed.hostname };
+  } catch {
+    return { key: url, host: null };
+  }
+}
+
+/**
+ * URL의 등록 도메인 (파싱 실패 시 null)
+ * @param {string} url
+ * @returns {string|null}
+ */
+function safeRegistrableDomain(url) {
+  try {
+    return getRegistrableDomain(new URL(url).hostname);
+  } catch {
+    return null;
+  }
+}
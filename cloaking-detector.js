@@ -0,0 +1,358 @@
+/**
+ * Cloaking Detector
+ * 방문자 프로필별로 다른 페이지를 보여주는 클로킹 탐지
+ *
+ * - 피싱 키트는 데스크톱/봇으로 보이는 방문자에게는 정상 페이지를, 한국 모바일 사용자에게만 미끼 페이지를 표시
+ * - 여러 프로필(데스크톱/모바일, ko-KR/en-US, 헤드리스 노출/실제 브라우저 위장)로 격리된 컨텍스트에서 각각 로드
+ * - 프로필 간 최종 URL, 응답 상태, 보이는 텍스트, 폼, 스크린샷 지각 해시(dHash)를 비교
+ */
+
+import { getRegistrableDomain } from './domain-utils.js';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 방문자 프로필 (첫 프로필은 분석 환경을 숨기지 않는 헤드리스 브라우저)
+export const CLOAKING_PROFILES = [
+  {
+    id: 'desktop-headless',
+    description: '데스크톱 헤드리스 (en-US)',
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.0.0 Safari/537.36',
+    locale: 'en-US',
+    timezone: 'UTC',
+    viewport: { width: 1280, height: 720 },
+    realistic: false,
+  },
+  {
+    id: 'desktop-ko',
+    description: '데스크톱 Chrome (ko-KR)',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    locale: 'ko-KR',
+    timezone: 'Asia/Seoul',
+    platform: 'Win32',
+    viewport: { width: 1280, height: 720 },
+    realistic: true,
+  },
+  {
+    id: 'mobile-ko',
+    description: '모바일 Android Chrome (ko-KR)',
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; SM-S918N) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+    locale: 'ko-KR',
+    timezone: 'Asia/Seoul',
+    platform: 'Linux armv8l',
+    viewport: { width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true },
+    realistic: true,
+  },
+  {
+    id: 'mobile-en',
+    description: '모바일 iPhone Safari (en-US)',
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+    locale: 'en-US',
+    timezone: 'America/New_York',
+    platform: 'iPhone',
+    viewport: { width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, hasTouch: true },
+    realistic: true,
+  },
+];
+
+// 비교에 사용할 보이는 텍스트 최대 길이
+const MAX_TEXT_LENGTH = 5000;
+
+// 기본 판정 기준 (규칙 파일의 threshold와 별개로 detected 요약에 사용)
+const TEXT_SIMILARITY_THRESHOLD = 0.3;
+const VISUAL_DISTANCE_THRESHOLD = 24;
+
+// ============================================
+// 프로필별 페이지 수집
+// ============================================
+
+/**
+ * 실제 브라우저처럼 보이도록 navigator 속성 위장 (브라우저 문맥에서 실행)
+ * @param {Object} profile - { locale, platform }
+ */
+function disguiseNavigator({ locale, platform }) {
+  const define = (property, value) => {
+    Object.defineProperty(Navigator.prototype, property, { get: () => value, configurable: true });
+  };
+  define('webdriver', false);
+  define('language', locale);
+  define('languages', [locale, locale.split('-')[0]]);
+  if (platform) define('platform', platform);
+}
+
+/**
+ * 페이지의 보이는 텍스트와 폼 요약 수집 (브라우저 문맥에서 실행)
+ * @param {number} maxLength
+ * @returns {Object} { title, text, forms }
+ */
+function collectSnapshot(maxLength) {
+  const inputs = [...document.querySelectorAll('input, select, textarea')]
+    .filter(el => el.type !== 'hidden');
+
+  return {
+    title: document.title,
+    text: (document.body?.innerText || '').substring(0, maxLength),
+    forms: {
+      count: document.forms.length,
+      inputCount: inputs.length,
+      passwordFields: inputs.filter(el => el.type === 'password').length,
+      actions: [...document.forms].map(form => form.action).filter(Boolean).slice(0, 5),
+    },
+  };
+}
+
+/**
+ * 스크린샷의 지각 해시(dHash, 64비트) 계산
+ * 페이지 CSP의 영향을 받지 않도록 빈 페이지에서 캔버스로 축소
+ * @param {import('puppeteer').BrowserContext} context
+ * @param {string} base64Png
+ * @returns {Promise<string|null>} 16진수 해시
+ */
+async function perceptualHash(context, base64Png) {
+  const page = await context.newPage();
+  try {
+    return await page.evaluate(async (dataUrl) => {
+      const image = new Image();
+      image.src = dataUrl;
+      await image.decode();
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 9;
+      canvas.height = 8;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, 9, 8);
+      const { data } = ctx.getImageData(0, 0, 9, 8);
+      const gray = (x, y) => {
+        const i = (y * 9 + x) * 4;
+        return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+      };
+
+      let hash = '';
+      for (let y = 0; y < 8; y++) {
+        let nibble = 0;
+        for (let x = 0; x < 8; x++) {
+          nibble = (nibble << 1) | (gray(x, y) > gray(x + 1, y) ? 1 : 0);
+          if (x % 4 === 3) {
+            hash += nibble.toString(16);
+            nibble = 0;
+          }
+        }
+      }
+      return hash;
+    }, `data:image/png;base64,${base64Png}`);
+  } catch {
+    return null;
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * 하나의 프로필로 격리된 컨텍스트에서 페이지 로드 후 스냅샷 수집
+ * @param {import('puppeteer').Browser} browser
+ * @param {string} url
+ * @param {Object} profile - CLOAKING_PROFILES 항목
+ * @param {number} timeout - 페이지 로드 타임아웃 (ms)
+ * @returns {Promise<Object>} { profile, locale, mobile, finalUrl, status, title, text, forms, screenshotHash, error }
+ */
+export async function loadProfile(browser, url, profile, timeout) {
+  const context = await browser.createBrowserContext();
+  const snapshot = {
+    profile: profile.id,
+    description: profile.description,
+    locale: profile.locale,
+    mobile: Boolean(profile.viewport.isMobile),
+    finalUrl: null,
+    status: null,
+    title: '',
+    text: '',
+    forms: { count: 0, inputCount: 0, passwordFields: 0, actions: [] },
+    screenshotHash: null,
+    error: null,
+  };
+
+  try {
+    const page = await context.newPage();
+    page.setDefaultTimeout(timeout);
+    await page.setUserAgent(profile.userAgent);
+    await page.setViewport(profile.viewport);
+    await page.setExtraHTTPHeaders({ 'Accept-Language': `${profile.locale},${profile.locale.split('-')[0]};q=0.9` });
+    await page.emulateTimezone(profile.timezone);
+    if (profile.realistic) {
+      await page.evaluateOnNewDocument(disguiseNavigator, { locale: profile.locale, platform: profile.platform });
+    }
+
+    try {
+      const response = await page.goto(url, { waitUntil: 'networkidle2', timeout });
+      snapshot.status = response?.status() ?? null;
+    } catch (error) {
+      snapshot.error = error.message;
+    }
+
+    snapshot.finalUrl = page.url();
+    Object.assign(snapshot, await page.evaluate(collectSnapshot, MAX_TEXT_LENGTH));
+
+    const screenshot = await page.screenshot({ type: 'png', fullPage: false, encoding: 'base64' });
+    snapshot.screenshotHash = await perceptualHash(context, screenshot);
+  } catch (error) {
+    snapshot.error = snapshot.error || error.message;
+  } finally {
+    await context.close().catch(() => {});
+  }
+
+  return snapshot;
+}
+
+// ============================================
+// 프로필 비교
+// ============================================
+
+/**
+ * 텍스트 단어 집합의 자카드 유사도
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0~1 (둘 다 비어 있으면 1)
+ */
+export function textSimilarity(a, b) {
+  const tokenize = (text) => new Set(
+    text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 1)
+  );
+  const setA = tokenize(a || '');
+  const setB = tokenize(b || '');
+  if (setA.size === 0 && setB.size === 0) return 1;
+
+  let intersection = 0;
+  for (const token of setA) {
+    if (setB.has(token)) intersection++;
+  }
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+/**
+ * 두 16진수 해시의 해밍 거리
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * URL의 등록 가능 도메인
+ * @param {string|null} url
+ * @returns {string|null}
+ */
+function domainOf(url) {
+  try {
+    return getRegistrableDomain(new URL(url).hostname);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 프로필별 스냅샷 비교
+ * @param {Array} snapshots - loadProfile() 결과
+ * @returns {Object} { detected, finalDomains, blockedProfiles, credentialFormProfiles, textSimilarity, visualDistance }
+ */
+export function compareSnapshots(snapshots) {
+  // 오류 응답이거나 로드 실패로 내용이 없는 프로필은 차단된 것으로 간주 (로드 지연은 내용이 있으면 정상)
+  const loaded = snapshots.filter(s => !(s.status >= 400) && (!s.error || s.text.length > 0));
+  const round = (n) => Math.round(n * 100) / 100;
+
+  // 최종 도메인별 프로필
+  const finalDomains = {};
+  for (const snapshot of loaded) {
+    const domain = domainOf(snapshot.finalUrl) || snapshot.finalUrl;
+    (finalDomains[domain] = finalDomains[domain] || []).push(snapshot.profile);
+  }
+
+  // 일부 프로필에만 오류/차단 응답
+  const blockedProfiles = loaded.length > 0
+    ? snapshots.filter(s => !loaded.includes(s)).map(s => ({ profile: s.profile, status: s.status, error: s.error }))
+    : [];
+
+  // 일부 프로필에만 비밀번호 입력 폼
+  const withPassword = loaded.filter(s => s.forms.passwordFields > 0).map(s => s.profile);
+  const credentialFormProfiles = withPassword.length > 0 && withPassword.length < loaded.length ? withPassword : [];
+
+  // 가장 다른 프로필 쌍 (텍스트 유사도 최소, 화면 해시 거리 최대)
+  let lowestSimilarity = null;
+  let largestDistance = null;
+  for (let i = 0; i < loaded.length; i++) {
+    for (let j = i + 1; j < loaded.length; j++) {
+      const pair = [loaded[i].profile, loaded[j].profile];
+      // Accept-Language에 따른 현지화 차이를 제외하기 위해 텍스트는 같은 로케일끼리만 비교
+      if (loaded[i].locale === loaded[j].locale) {
+        const similarity = textSimilarity(loaded[i].text, loaded[j].text);
+        if (!lowestSimilarity || similarity < lowestSimilarity.value) {
+          lowestSimilarity = { value: round(similarity), profiles: pair };
+        }
+      }
+      // 반응형 레이아웃 차이를 제외하기 위해 화면은 같은 기기 유형끼리만 비교
+      if (loaded[i].mobile === loaded[j].mobile && loaded[i].screenshotHash && loaded[j].screenshotHash) {
+        const distance = hammingDistance(loaded[i].screenshotHash, loaded[j].screenshotHash);
+        if (!largestDistance || distance > largestDistance.value) {
+          largestDistance = { value: distance, profiles: pair };
+        }
+      }
+    }
+  }
+
+  const detected = Object.keys(finalDomains).length > 1
+    || blockedProfiles.length > 0
+    || credentialFormProfiles.length > 0
+    || (lowestSimilarity?.value < TEXT_SIMILARITY_THRESHOLD && largestDistance?.value > VISUAL_DISTANCE_THRESHOLD);
+
+  return {
+    detected,
+    finalDomains,
+    blockedProfiles,
+    credentialFormProfiles,
+    textSimilarity: lowestSimilarity,
+    visualDistance: largestDistance,
+  };
+}
+
+// ============================================
+// 탐지
+// ============================================
+
+/**
+ * 여러 프로필로 페이지를 로드하여 클로킹 탐지
+ * 메모리 사용을 줄이기 위해 프로필을 순서대로 로드
+ * @param {import('puppeteer').Browser} browser
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - 프로필별 페이지 로드 타임아웃 (ms), 기본 20000
+ * @param {Array} [options.profiles] - 사용할 프로필 (기본 CLOAKING_PROFILES)
+ * @returns {Promise<Object>} compareSnapshots() 결과 + profiles (텍스트 제외 스냅샷)
+ */
+export async function detectCloaking(browser, url, options = {}) {
+  const { timeout = 20000, profiles = CLOAKING_PROFILES } = options;
+
+  const snapshots = [];
+  for (const profile of profiles) {
+    snapshots.push(await loadProfile(browser, url, profile, timeout));
+  }
+
+  const comparison = compareSnapshots(snapshots);
+  if (comparison.detected) {
+    console.log(`[Cloaking] 프로필별 페이지 차이: ${url}`);
+  }
+
+  return {
+    ...comparison,
+    profiles: snapshots.map(({ text, ...snapshot }) => ({ ...snapshot, textLength: text.length })),
+  };
+}
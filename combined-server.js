@@ -9,10 +9,16 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
+import crypto from 'crypto';
 import puppeteer from 'puppeteer';
 
-import { analyzeUrl, quickCheck } from './analyzer.js';
+import { analyzeUrl, quickCheck, expandUrl, analyzeQrImage } from './analyzer.js';
+import { parseImageInput } from './qr-decoder.js';
+import { storeHar, loadHar } from './har-recorder.js';
 import { analyzeInBackground, analyzePage, collectAnalysisData } from './live-analyzer.js';
+import { startLiveCollectors, getLiveAnalysisOptions } from './live-collectors.js';
+import { getRulesetInfo, reloadRules } from './rule-engine.js';
+import { listFeeds } from './threat-feeds.js';
 
 // 설정
 const PORT = process.env.PORT || 4000;
@@ -39,6 +45,9 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
+// QR 이미지 업로드 (JSON data URL 또는 이미지 본문, 최대 10MB)
+app.use('/api/qr-decode', express.json({ limit: '10mb' }), express.raw({ type: 'image/*', limit: '10mb' }));
+
 // JSON 파싱
 app.use(express.json({ limit: '1mb' }));
 
@@ -85,7 +94,13 @@ app.get('/api', (req, res) => {
     endpoints: {
       'POST /api/analyze': 'URL 전체 분석 (동기)',
       'POST /api/quick-check': 'URL 빠른 검사',
+      'POST /api/expand': '단축 URL 전개 및 목적지 사전 판정',
+      'POST /api/qr-decode': 'QR 코드 이미지 해독 및 연결 URL 분석',
       'POST /api/live-analyze': 'URL 실시간 분석 (HTTP, 결과 포함)',
+      'GET /api/har/:analysisId': '분석 네트워크 기록 다운로드 (HAR 1.2)',
+      'GET /api/rules': '현재 탐지 규칙셋 정보',
+      'POST /api/rules/reload': '탐지 규칙 파일 다시 읽기',
+      'GET /api/feeds': '가져온 위협 피드/허용 목록',
       'WS /ws': 'WebSocket 실시간 분석',
     },
   });
@@ -106,6 +121,12 @@ app.post('/api/analyze', async (req, res) => {
     const result = await analyzeUrl(url, {
       timeout: Math.min(options.timeout || ANALYSIS_TIMEOUT, ANALYSIS_TIMEOUT),
       takeScreenshot: options.takeScreenshot !== false,
+      traceCanaries: options.traceCanaries === true,
+      detectCloaking: options.detectCloaking === true,
+      probeKitArtifacts: options.probeKitArtifacts === true,
+      probeArchiveLimit: options.probeArchiveLimit,
+      harBodies: options.harBodies === true,
+      harBodyLimit: options.harBodyLimit,
     });
 
     res.json({ success: true, data: result });
@@ -132,6 +153,58 @@ app.post('/api/quick-check', (req, res) => {
   res.json({ success: true, data: result });
 });
 
+// 단축 URL 전개 API (브라우저 미사용, 목적지 미방문)
+app.post('/api/expand', async (req, res) => {
+  const { url } = req.body;
+
+  if (!url || typeof url !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_URL', message: 'URL이 필요합니다.' },
+    });
+  }
+
+  try {
+    const result = await expandUrl(url);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'EXPAND_ERROR', message: error.message },
+    });
+  }
+});
+
+// QR 코드 이미지 해독 API (JSON { image: data URL, options } 또는 image/* 본문)
+app.post('/api/qr-decode', async (req, res) => {
+  const image = Buffer.isBuffer(req.body)
+    ? parseImageInput(req.body.toString('base64'), req.get('Content-Type'))
+    : parseImageInput(req.body?.image, req.body?.mimeType);
+  const options = Buffer.isBuffer(req.body)
+    ? { followQrCodes: req.query.followQrCodes === 'true' }
+    : req.body?.options || {};
+
+  if (!image) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'INVALID_IMAGE', message: '이미지(data URL, base64 또는 image/* 본문)가 필요합니다.' },
+    });
+  }
+
+  try {
+    const result = await analyzeQrImage(image, {
+      timeout: ANALYSIS_TIMEOUT,
+      followQrCodes: options.followQrCodes === true,
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: { code: 'QR_DECODE_ERROR', message: error.message },
+    });
+  }
+});
+
 // 새로운 Live Analyze API (HTTP 버전)
 app.post('/api/live-analyze', async (req, res) => {
   const { url, options = {} } = req.body;
@@ -164,13 +237,21 @@ app.post('/api/live-analyze', async (req, res) => {
     );
     await page.setViewport({ width: 1280, height: 720 });
 
+    const collectors = await startLiveCollectors(page, options);
+    const { harRecorder } = collectors;
     await page.goto(url, { waitUntil: 'networkidle2' }).catch(() => {});
 
-    const result = await analyzePage(page);
+    const result = await analyzePage(page, await getLiveAnalysisOptions(collectors));
+
+    // HAR 보관 (분석 ID로 다운로드)
+    const analysisId = crypto.randomUUID();
+    storeHar(analysisId, await harRecorder.getHar());
+    await harRecorder.stop();
 
     res.json({
       success: true,
       data: {
+        analysisId,
         url,
         title: await page.title().catch(() => ''),
         ...result,
@@ -188,6 +269,55 @@ app.post('/api/live-analyze', async (req, res) => {
   }
 });
 
+// HAR 다운로드 (분석 ID)
+app.get('/api/har/:analysisId', async (req, res) => {
+  const har = await loadHar(req.params.analysisId);
+
+  if (!har) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'HAR_NOT_FOUND', message: '해당 분석의 HAR을 찾을 수 없습니다.' },
+    });
+  }
+
+  res.attachment(`${req.params.analysisId}.har`);
+  res.type('application/json');
+  res.send(JSON.stringify(har));
+});
+
+// 탐지 규칙셋 정보
+app.get('/api/rules', (req, res) => {
+  res.json({ success: true, data: getRulesetInfo() });
+});
+
+// 탐지 규칙 리로드
+app.post('/api/rules/reload', (req, res) => {
+  try {
+    reloadRules();
+    const info = getRulesetInfo();
+
+    if (info.lastReloadError) {
+      return res.status(422).json({
+        success: false,
+        error: { code: 'INVALID_RULES', message: info.lastReloadError.message },
+        data: info,
+      });
+    }
+
+    res.json({ success: true, data: info });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: { code: 'RULES_RELOAD_ERROR', message: error.message },
+    });
+  }
+});
+
+// 가져온 위협 피드/허용 목록
+app.get('/api/feeds', (req, res) => {
+  res.json({ success: true, data: { feeds: listFeeds() } });
+});
+
 // 404 처리
 app.use((req, res) => {
   res.status(404).json({
@@ -260,6 +390,12 @@ async function handleWsMessage(ws, message) {
     let browser = null;
 
     try {
+      // 단축 URL이면 브라우저 로드 전에 목적지와 사전 판정 전달
+      const expansion = await expandUrl(url).catch(() => null);
+      if (expansion?.expanded) {
+        sendMessage({ type: 'url_expanded', ...expansion });
+      }
+
       browser = await puppeteer.launch({
         headless: true,
         args: ['--no-sandbox', '--disable-setuid-sandbox', '--single-process'],
@@ -269,9 +405,15 @@ async function handleWsMessage(ws, message) {
       page.setDefaultNavigationTimeout(options.timeout || ANALYSIS_TIMEOUT);
 
       await page.setViewport({ width: 1280, height: 720 });
+
+      const collectors = await startLiveCollectors(page, options);
       await page.goto(url, { waitUntil: 'networkidle2' }).catch(() => {});
 
-      await analyzeInBackground(page, sendMessage, options);
+      await analyzeInBackground(page, sendMessage, {
+        ...options,
+        ...await getLiveAnalysisOptions(collectors),
+      });
+      await collectors.harRecorder.stop();
 
     } catch (error) {
       sendMessage({ type: 'analysis_error', error: error.message, url });
@@ -312,7 +454,10 @@ server.listen(PORT, () => {
   console.log('║  Endpoints:                                            ║');
   console.log('║    POST /api/analyze       - 동기 분석                 ║');
   console.log('║    POST /api/quick-check   - 빠른 검사                 ║');
+  console.log('║    POST /api/expand        - 단축 URL 전개             ║');
+  console.log('║    POST /api/qr-decode     - QR 코드 해독              ║');
   console.log('║    POST /api/live-analyze  - 실시간 분석 (HTTP)        ║');
+  console.log('║    GET  /api/har/:id       - HAR 다운로드              ║');
   console.log('║    WS   /ws                - 실시간 분석 (WebSocket)   ║');
   console.log('╚════════════════════════════════════════════════════════╝');
 });
@@ -0,0 +1,248 @@
+/**
+ * Corpus Replay
+ * 저장해 둔 페이지(HTML + 수집한 리소스)를 원래 URL로 재생하는 오프라인 평가 코퍼스
+ *
+ * 코퍼스 구조 (표본마다 디렉토리 하나):
+ *   <corpus>/<sample>/meta.json    { "url", "label": "phishing" | "benign", "resources": { "<url>": "<파일>" }, "notes" }
+ *   <corpus>/<sample>/index.html   메인 문서 (meta.url 요청에 응답)
+ *   <corpus>/<sample>/capture.har  선택: 응답 본문이 포함된 HAR (HAR_INCLUDE_BODIES 세션 HAR, harBodies 분석 HAR)
+ *
+ * - 요청 가로채기로 저장된 응답만 돌려주고, 없는 URL은 404로 응답 (실제 네트워크 요청 없음)
+ * - 응답 우선순위: index.html > meta.resources > capture.har
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+const META_FILE = 'meta.json';
+const DOCUMENT_FILE = 'index.html';
+const HAR_FILE = 'capture.har';
+
+// 라벨 별칭
+const LABELS = {
+  phishing: 'phishing',
+  malicious: 'phishing',
+  '1': 'phishing',
+  benign: 'benign',
+  safe: 'benign',
+  legitimate: 'benign',
+  '0': 'benign',
+};
+
+// 확장자 → Content-Type (meta.resources에 contentType이 없을 때)
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.wasm': 'application/wasm',
+};
+
+// 재생 보고서에 기록할 없는 URL 최대 수
+const MAX_MISSING_URLS = 50;
+
+// ============================================
+// 코퍼스 로드
+// ============================================
+
+/**
+ * 재생 조회용 URL 정규화 (fragment 제거)
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * 코퍼스 표본 목록 로드
+ * @param {string} corpusDir
+ * @param {Object} [options]
+ * @param {string} [options.filter] - 표본 ID에 포함되어야 하는 문자열
+ * @returns {Object} { samples: { id, dir, url, label, notes }, skipped: { id, reason } }
+ */
+export function loadCorpus(corpusDir, options = {}) {
+  const samples = [];
+  const skipped = [];
+
+  const entries = fs.readdirSync(corpusDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  for (const id of entries) {
+    if (options.filter && !id.includes(options.filter)) continue;
+
+    const dir = path.join(corpusDir, id);
+    try {
+      const meta = JSON.parse(fs.readFileSync(path.join(dir, META_FILE), 'utf8'));
+      const label = LABELS[String(meta.label).toLowerCase()];
+      if (!label) throw new Error(`알 수 없는 라벨: ${meta.label}`);
+      if (!/^https?:\/\//i.test(meta.url || '')) throw new Error('meta.url이 http(s) URL이 아닙니다.');
+      if (!fs.existsSync(path.join(dir, DOCUMENT_FILE)) && !fs.existsSync(path.join(dir, HAR_FILE))) {
+        throw new Error(`${DOCUMENT_FILE} 또는 ${HAR_FILE}가 필요합니다.`);
+      }
+      samples.push({ id, dir, url: meta.url, label, notes: meta.notes || null });
+    } catch (error) {
+      skipped.push({ id, reason: error.message });
+    }
+  }
+
+  return { samples, skipped };
+}
+
+/**
+ * 표본의 저장된 응답 목록 구성
+ * @param {Object} sample - loadCorpus()의 표본
+ * @returns {Map<string, Object>} URL → { status, contentType, headers, body }
+ */
+export function buildReplayResponses(sample) {
+  const responses = new Map();
+  const meta = JSON.parse(fs.readFileSync(path.join(sample.dir, META_FILE), 'utf8'));
+
+  // HAR 응답 (본문이 있는 항목과 리다이렉트만)
+  const harPath = path.join(sample.dir, HAR_FILE);
+  if (fs.existsSync(harPath)) {
+    const har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+    for (const entry of har.log?.entries || []) {
+      const { response } = entry;
+      if (!response || response.status === 0) continue;
+      const redirect = response.status >= 300 && response.status < 400 && response.redirectURL;
+      if (typeof response.content?.text !== 'string' && !redirect) continue;
+
+      const headers = Object.fromEntries((response.headers || [])
+        .filter(h => !/^(?:content-length|content-encoding|transfer-encoding)$/i.test(h.name))
+        .map(h => [h.name.toLowerCase(), h.value]));
+      if (redirect) headers.location = response.redirectURL;
+
+      responses.set(normalizeUrl(entry.request.url), {
+        status: response.status,
+        contentType: response.content?.mimeType || headers['content-type'] || '',
+        headers,
+        body: Buffer.from(response.content?.text || '', response.content?.encoding === 'base64' ? 'base64' : 'utf8'),
+      });
+    }
+  }
+
+  // meta.resources: { "<url>": "<파일>" } 또는 { "<url>": { file, status, contentType, headers } }
+  for (const [url, resource] of Object.entries(meta.resources || {})) {
+    const spec = typeof resource === 'string' ? { file: resource } : resource;
+    const file = path.resolve(sample.dir, spec.file);
+    // 표본 디렉토리 밖의 파일은 읽지 않음
+    if (!file.startsWith(path.resolve(sample.dir) + path.sep)) continue;
+    responses.set(normalizeUrl(url), {
+      status: spec.status || 200,
+      contentType: spec.contentType || CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      headers: spec.headers || {},
+      body: fs.readFileSync(file),
+    });
+  }
+
+  const documentPath = path.join(sample.dir, DOCUMENT_FILE);
+  if (fs.existsSync(documentPath)) {
+    responses.set(normalizeUrl(sample.url), {
+      status: 200,
+      contentType: CONTENT_TYPES['.html'],
+      headers: {},
+      body: fs.readFileSync(documentPath),
+    });
+  }
+
+  return responses;
+}
+
+// ============================================
+// 재생
+// ============================================
+
+/**
+ * 요청 가로채기로 저장된 응답 재생
+ * page.goto() 전에 start()를 호출해야 메인 문서부터 재생됨
+ */
+export class CorpusReplay {
+  /**
+   * @param {import('puppeteer').Page} page
+   * @param {Map<string, Object>} responses - buildReplayResponses() 결과
+   */
+  constructor(page, responses) {
+    this.page = page;
+    this.responses = responses;
+    this.served = 0;
+    this.missing = [];
+    this.missingCount = 0;
+    this.handleRequest = this.handleRequest.bind(this);
+  }
+
+  /**
+   * 재생 시작
+   */
+  async start() {
+    await this.page.setRequestInterception(true);
+    this.page.on('request', this.handleRequest);
+  }
+
+  /**
+   * 가로챈 요청 처리
+   * @param {import('puppeteer').HTTPRequest} request
+   */
+  handleRequest(request) {
+    if (request.isInterceptResolutionHandled()) return;
+
+    const url = request.url();
+    // data:/blob: URL은 네트워크 요청이 아니므로 그대로 진행
+    if (!/^https?:/i.test(url)) {
+      request.continue().catch(() => {});
+      return;
+    }
+
+    const response = this.responses.get(normalizeUrl(url));
+    if (response) {
+      this.served++;
+      request.respond({
+        status: response.status,
+        contentType: response.contentType,
+        headers: response.headers,
+        body: response.body,
+      }).catch(() => {});
+      return;
+    }
+
+    this.missingCount++;
+    if (this.missing.length < MAX_MISSING_URLS) this.missing.push(url);
+    request.respond({ status: 404, contentType: 'text/plain', body: 'Not captured' }).catch(() => {});
+  }
+
+  /**
+   * 재생 결과
+   * @returns {Object} { captured, served, missingCount, missing }
+   */
+  getReport() {
+    return {
+      captured: this.responses.size,
+      served: this.served,
+      missingCount: this.missingCount,
+      missing: [...this.missing],
+    };
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Cryptominer Detector
+ * 브라우저 내 암호화폐 채굴 탐지 (자원 남용)
+ *
+ * - 알려진 채굴 스크립트/풀 서명 (스크립트 URL·본문, 워커, WebSocket 주소)
+ * - WebSocket 프레임의 stratum 계열 채굴 프로토콜 (login/submit/job, mining.subscribe 등)
+ * - WebAssembly 모듈 생성 (페이지 계측) 및 .wasm 응답
+ * - 로드 구간의 CPU 사용률 (CDP Performance 지표, 메인 스레드 기준)
+ */
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 알려진 브라우저 채굴기/풀 서명
+export const MINER_SIGNATURES = [
+  { name: 'CoinHive', pattern: /coinhive(\.min)?\.js|CoinHive\.(Anonymous|User|Token)|authedmine\.com/i },
+  { name: 'CryptoLoot', pattern: /crypto-?loot|CRLT\.Anonymous|webmine\.pro/i },
+  { name: 'CoinImp', pattern: /coinimp\.com|coin-?imp|Client\.Anonymous\(/i },
+  { name: 'JSEcoin', pattern: /jsecoin\.com|load\.jsecoin/i },
+  { name: 'WebMinePool', pattern: /webminepool\.(com|tk)|WMP\.Anonymous/i },
+  { name: 'deepMiner', pattern: /deepMiner\.(Anonymous|Init)|deepminer\.js/i },
+  { name: 'Minero', pattern: /minero\.cc|minero\.pw/i },
+  { name: 'Monerise', pattern: /monerise\.com|apin\.monerise/i },
+  { name: 'CoinHave', pattern: /coin-have\.com/i },
+  { name: 'PPoi', pattern: /ppoi\.org/i },
+  { name: 'Nimiq', pattern: /nimiq\.com\/miner|Nimiq\.Miner/i },
+  { name: 'CryptoNight WASM', pattern: /cryptonight(_wasm|\.wasm|WASMWrapper)|cn_hash|cryptonight_hash/i },
+  { name: 'XMRig', pattern: /xmrig|webxmr/i },
+  { name: 'Generic miner API', pattern: /\.(startMining|throttleMiner)\s*\(|miner\.setThrottle\s*\(|getHashesPerSecond\s*\(/ },
+];
+
+// stratum 계열 채굴 프로토콜 프레임 (송신/수신)
+const STRATUM_PATTERNS = [
+  /"method"\s*:\s*"mining\.(subscribe|authorize|submit|notify|set_difficulty)"/,
+  /"method"\s*:\s*"(login|submit|getjob|keepalived)"[\s\S]*"(agent|nonce|job_id|rigid|pass)"/,
+  /"job"\s*:\s*\{[\s\S]*"blob"\s*:[\s\S]*"target"/,
+  /"(job_id|jobid)"\s*:[\s\S]*"(blob|target|seed_hash)"/,
+];
+
+// 검사할 프레임 최대 길이
+const MAX_FRAME_LENGTH = 4096;
+
+// 보관할 WebSocket 프레임 서명 최대 수
+const MAX_STRATUM_FRAMES = 20;
+
+// ============================================
+// 서명 검사
+// ============================================
+
+/**
+ * 텍스트에서 채굴기 서명 찾기
+ * @param {string} text
+ * @returns {string[]} 일치한 서명 이름
+ */
+export function findMinerSignatures(text) {
+  if (!text) return [];
+  return MINER_SIGNATURES.filter(sig => sig.pattern.test(text)).map(sig => sig.name);
+}
+
+/**
+ * WebSocket 프레임이 stratum 계열 채굴 프로토콜인지 확인
+ * @param {string} payload
+ * @returns {boolean}
+ */
+export function isStratumFrame(payload) {
+  if (!payload) return false;
+  const text = payload.substring(0, MAX_FRAME_LENGTH);
+  return STRATUM_PATTERNS.some(pattern => pattern.test(text));
+}
+
+// ============================================
+// 채굴 모니터
+// ============================================
+
+/**
+ * 로드 구간 동안 채굴 신호 수집
+ * page.goto() 전에 start()를 호출해야 로드 구간 전체가 측정됨
+ */
+export class MinerMonitor {
+  /**
+   * @param {import('puppeteer').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    this.client = null;
+    this.baseline = null;
+    this.webSockets = new Map();
+    this.stratumFrames = [];
+    this.wasmResponses = new Set();
+    this.workerUrls = new Set();
+    this.handleWorkerCreated = this.handleWorkerCreated.bind(this);
+  }
+
+  /**
+   * 수집 시작
+   */
+  async start() {
+    this.client = await this.page.createCDPSession();
+    await this.client.send('Network.enable');
+    await this.client.send('Performance.enable', { timeDomain: 'timeTicks' });
+    this.baseline = await this.sampleMetrics();
+
+    this.client.on('Network.webSocketCreated', ({ requestId, url }) => {
+      this.webSockets.set(requestId, { url, frames: 0 });
+    });
+
+    const handleFrame = (direction) => ({ requestId, response }) => {
+      const socket = this.webSockets.get(requestId);
+      if (socket) socket.frames++;
+      if (this.stratumFrames.length >= MAX_STRATUM_FRAMES) return;
+      if (isStratumFrame(response?.payloadData)) {
+        this.stratumFrames.push({
+          url: socket?.url || null,
+          direction,
+          payload: response.payloadData.substring(0, 200),
+        });
+      }
+    };
+    this.client.on('Network.webSocketFrameSent', handleFrame('sent'));
+    this.client.on('Network.webSocketFrameReceived', handleFrame('received'));
+
+    this.client.on('Network.responseReceived', ({ response }) => {
+      if (response.mimeType === 'application/wasm' || /\.wasm(\?|$)/i.test(response.url)) {
+        this.wasmResponses.add(response.url);
+      }
+    });
+
+    this.page.on('workercreated', this.handleWorkerCreated);
+  }
+
+  /**
+   * 워커 생성 기록
+   * @param {import('puppeteer').WebWorker} worker
+   */
+  handleWorkerCreated(worker) {
+    this.workerUrls.add(worker.url());
+  }
+
+  /**
+   * CDP Performance 지표 샘플
+   * @returns {Promise<Object|null>} { taskDuration, scriptDuration, timestamp } (초 단위)
+   */
+  async sampleMetrics() {
+    try {
+      const { metrics } = await this.client.send('Performance.getMetrics');
+      const value = (name) => metrics.find(m => m.name === name)?.value ?? 0;
+      return {
+        taskDuration: value('TaskDuration'),
+        scriptDuration: value('ScriptDuration'),
+        timestamp: value('Timestamp'),
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 로드 구간의 메인 스레드 CPU 사용률
+   * @returns {Promise<Object|null>} { cpuRatio, scriptRatio, windowSeconds }
+   */
+  async measureCpu() {
+    const current = await this.sampleMetrics();
+    if (!this.baseline || !current) return null;
+
+    const windowSeconds = current.timestamp - this.baseline.timestamp;
+    if (windowSeconds <= 0) return null;
+
+    const round = (n) => Math.round(n * 100) / 100;
+    return {
+      cpuRatio: round((current.taskDuration - this.baseline.taskDuration) / windowSeconds),
+      scriptRatio: round((current.scriptDuration - this.baseline.scriptDuration) / windowSeconds),
+      windowSeconds: round(windowSeconds),
+    };
+  }
+
+  /**
+   * 수집한 신호로 채굴 보고서 생성
+   * @param {Object} [context]
+   * @param {Array} [context.scripts] - { url, body } (ScriptCollector 결과, 인라인은 url 없음)
+   * @param {Array} [context.scriptUrls] - 요청된 스크립트 URL
+   * @param {Object} [context.instrumentation] - PageInstrumentation (wasm/worker 이벤트)
+   * @returns {Promise<Object>}
+   */
+  async getReport(context = {}) {
+    const { scripts = [], scriptUrls = [], instrumentation = null } = context;
+    const wasmEvents = instrumentation?.getEvents('wasm') || [];
+    const workerEvents = instrumentation?.getEvents('worker') || [];
+    for (const event of workerEvents) {
+      if (event.url) this.workerUrls.add(event.url);
+    }
+
+    // 서명 검사 대상: 스크립트 URL·본문, 워커 스크립트, WebSocket 주소
+    const signatures = new Map();
+    const addSignatures = (text, source) => {
+      for (const name of findMinerSignatures(text)) {
+        if (!signatures.has(name)) signatures.set(name, { name, sources: [] });
+        const entry = signatures.get(name);
+        if (entry.sources.length < 5 && !entry.sources.includes(source)) entry.sources.push(source);
+      }
+    };
+    for (const url of scriptUrls) addSignatures(url, url);
+    for (const script of scripts) addSignatures(script.body, script.url || '인라인 스크립트');
+    for (const url of this.workerUrls) addSignatures(url, url);
+    for (const { url } of this.webSockets.values()) addSignatures(url, url);
+
+    return {
+      signatures: [...signatures.values()],
+      stratum: [...this.stratumFrames],
+      webSockets: [...this.webSockets.values()],
+      wasm: {
+        instantiations: wasmEvents.map(e => ({ api: e.api, byteLength: e.byteLength, scriptUrl: e.scriptUrl, count: e.count })),
+        modules: [...this.wasmResponses],
+      },
+      workers: [...this.workerUrls],
+      cpu: await this.measureCpu(),
+    };
+  }
+
+  /**
+   * 수집 중지
+   */
+  async stop() {
+    this.page.off('workercreated', this.handleWorkerCreated);
+    if (this.client) {
+      await this.client.detach().catch(() => {});
+      this.client = null;
+    }
+  }
+}
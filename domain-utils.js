@@ -0,0 +1,50 @@
+/**
+ * Domain Utilities
+ * 등록 가능 도메인(registrable domain) 계산 및 도메인 소속 판별
+ */
+
+// 2단계 이상으로 구성된 공개 접미사 (Public Suffix List 중 자주 등장하는 항목)
+const MULTI_PART_SUFFIXES = new Set([
+  // 한국
+  'co.kr', 'or.kr', 'go.kr', 'ac.kr', 'ne.kr', 're.kr', 'pe.kr', 'mil.kr', 'hs.kr', 'ms.kr', 'es.kr', 'sc.kr', 'kg.kr',
+  // 기타 국가
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.jp', 'ne.jp', 'or.jp',
+  'com.cn', 'net.cn', 'com.tw', 'com.hk', 'com.sg', 'com.br', 'com.mx', 'co.in', 'co.id', 'com.vn',
+  // 무료 호스팅 (PSL private section) - 하위 도메인마다 소유자가 다름
+  'github.io', 'gitlab.io', 'netlify.app', 'vercel.app', 'pages.dev', 'workers.dev', 'web.app',
+  'firebaseapp.com', 'herokuapp.com', 'glitch.me', 'blogspot.com', 'azurewebsites.net',
+  'onrender.com', 'repl.co', 'weebly.com', 'wixsite.com', 'ngrok.io', 'ngrok-free.app',
+]);
+
+/**
+ * 등록 가능 도메인 계산 (예: login.naver.com → naver.com, a.b.co.kr → b.co.kr)
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function getRegistrableDomain(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+
+  // IP 주소는 그대로 반환
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host) || host.includes(':')) {
+    return host;
+  }
+
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+
+  const lastTwo = labels.slice(-2).join('.');
+  const suffixLength = MULTI_PART_SUFFIXES.has(lastTwo) ? 2 : 1;
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * 호스트명이 도메인 자신이거나 그 하위 도메인인지 확인
+ * @param {string} hostname - 검사할 호스트명
+ * @param {string} domain - 기준 도메인
+ * @returns {boolean}
+ */
+export function isSameOrSubdomain(hostname, domain) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  const base = domain.toLowerCase().replace(/\.$/, '');
+  return host === base || host.endsWith(`.${base}`);
+}
@@ -0,0 +1,399 @@
+/**
+ * Offline Evaluation CLI
+ * 라벨링된 저장 페이지 코퍼스로 탐지기를 실행하여 정밀도/재현율, 혼동 행렬, 규칙별 일치율 측정
+ *
+ * 사용법:
+ *   node evaluate.js <corpus-dir> [옵션]
+ *
+ * 옵션:
+ *   --out <dir>        실행 결과 저장 디렉토리 (기본: data/evaluations)
+ *   --level <level>    피싱으로 판정할 최소 위험 레벨: warning | danger (기본: danger)
+ *   --timeout <ms>     표본당 분석 타임아웃 (기본: 20000)
+ *   --filter <text>    표본 ID에 text가 포함된 표본만 실행
+ *   --no-compare       이전 실행과 비교하지 않음
+ *
+ * 코퍼스 구조는 corpus-replay.js 참고 (표본마다 meta.json + index.html / capture.har)
+ * 표본은 저장된 응답으로만 재생되며 AI 분석, 단축 URL 전개, 클로킹 탐지, 키트 탐색은 실행하지 않음
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeUrl } from './analyzer.js';
+import { loadCorpus, buildReplayResponses } from './corpus-replay.js';
+import { getRuleset } from './rule-engine.js';
+import { getScoreModel, checkRulesetVersion } from './score-model.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ============================================
+// 상수 정의
+// ============================================
+
+const DEFAULT_OPTIONS = {
+  out: path.join(__dirname, 'data', 'evaluations'),
+  level: 'danger',
+  timeout: 20000,
+  filter: null,
+  compare: true,
+};
+
+// 위험 레벨 순서 (판정 기준 비교용)
+const RISK_LEVELS = { safe: 0, warning: 1, danger: 2 };
+
+// 판정 결과 표시 이름
+const OUTCOME_NAMES = { tp: 'TP', fp: 'FP', tn: 'TN', fn: 'FN', error: '오류' };
+
+// 비교 시 출력할 최대 항목 수
+const MAX_DIFF_LINES = 15;
+
+// ============================================
+// 인자
+// ============================================
+
+/**
+ * 사용법 출력 후 종료
+ */
+function printUsage() {
+  console.log('사용법:');
+  console.log('  node evaluate.js <corpus-dir> [--out <dir>] [--level warning|danger] [--timeout 20000] [--filter <text>] [--no-compare]');
+  process.exit(1);
+}
+
+/**
+ * 명령행 인자 해석
+ * @param {string[]} argv
+ * @returns {Object} { corpus, ...옵션 }
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS, corpus: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--no-compare') options.compare = false;
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--level') options.level = argv[++i];
+    else if (arg === '--timeout') options.timeout = Number(argv[++i]);
+    else if (arg === '--filter') options.filter = argv[++i];
+    else if (!arg.startsWith('--') && !options.corpus) options.corpus = arg;
+    else printUsage();
+  }
+
+  if (!options.corpus || !options.out || !(options.level in RISK_LEVELS) || options.level === 'safe') printUsage();
+  if (!Number.isFinite(options.timeout) || options.timeout <= 0) printUsage();
+  return options;
+}
+
+// ============================================
+// 지표
+// ============================================
+
+/**
+ * 표본 판정 결과 분류
+ * @param {string} label - phishing | benign
+ * @param {boolean} predicted - 피싱 판정 여부
+ * @returns {string} tp | fp | tn | fn
+ */
+function classify(label, predicted) {
+  if (label === 'phishing') return predicted ? 'tp' : 'fn';
+  return predicted ? 'fp' : 'tn';
+}
+
+/**
+ * 혼동 행렬과 정밀도/재현율
+ * @param {Array} samples - 실행 결과 표본
+ * @returns {Object} { samples, errors, tp, fp, tn, fn, precision, recall, f1, accuracy }
+ */
+function computeMetrics(samples) {
+  const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  let errors = 0;
+  for (const sample of samples) {
+    if (sample.outcome === 'error') errors++;
+    else counts[sample.outcome]++;
+  }
+
+  const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 10000) / 10000 : null);
+  const precision = ratio(counts.tp, counts.tp + counts.fp);
+  const recall = ratio(counts.tp, counts.tp + counts.fn);
+  return {
+    samples: samples.length,
+    errors,
+    ...counts,
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? Math.round((2 * precision * recall / (precision + recall)) * 10000) / 10000
+      : null,
+    accuracy: ratio(counts.tp + counts.tn, samples.length - errors),
+  };
+}
+
+/**
+ * 규칙별 일치율 (상한으로 점수에 반영되지 않은 일치도 포함)
+ * @param {Array} samples - 실행 결과 표본
+ * @returns {Object} 규칙 ID → { phishing, benign, phishingRate, benignRate, precision }
+ */
+function computeRuleStats(samples) {
+  const evaluated = samples.filter(s => s.outcome !== 'error');
+  const totals = {
+    phishing: evaluated.filter(s => s.label === 'phishing').length,
+    benign: evaluated.filter(s => s.label === 'benign').length,
+  };
+
+  const hits = new Map();
+  for (const sample of evaluated) {
+    for (const ruleId of sample.rules) {
+      const stat = hits.get(ruleId) || { phishing: 0, benign: 0 };
+      stat[sample.label]++;
+      hits.set(ruleId, stat);
+    }
+  }
+
+  const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 10000) / 10000 : null);
+  return Object.fromEntries([...hits]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([ruleId, stat]) => [ruleId, {
+      ...stat,
+      phishingRate: ratio(stat.phishing, totals.phishing),
+      benignRate: ratio(stat.benign, totals.benign),
+      // 규칙이 일치한 표본 중 피싱 비율
+      precision: ratio(stat.phishing, stat.phishing + stat.benign),
+    }]));
+}
+
+// ============================================
+// 이전 실행 비교
+// ============================================
+
+/**
+ * 가장 최근 실행 결과 로드
+ * @param {string} outDir
+ * @returns {Object|null}
+ */
+function loadPreviousRun(outDir) {
+  if (!fs.existsSync(outDir)) return null;
+
+  const files = fs.readdirSync(outDir).filter(name => /^run-.+\.json$/.test(name)).sort();
+  for (const name of files.reverse()) {
+    try {
+      return { ...JSON.parse(fs.readFileSync(path.join(outDir, name), 'utf8')), file: name };
+    } catch {
+      // 손상된 결과 파일은 건너뜀
+    }
+  }
+  return null;
+}
+
+/**
+ * 이전 실행과 비교
+ * @param {Object} previous - 이전 실행 결과
+ * @param {Object} current - 현재 실행 결과
+ * @returns {Object} { previousRun, rulesetVersion, level, metrics, outcomes, scores, rules, added, removed }
+ */
+function compareRuns(previous, current) {
+  const metricKeys = ['tp', 'fp', 'tn', 'fn', 'errors', 'precision', 'recall', 'f1', 'accuracy'];
+  const metrics = Object.fromEntries(metricKeys.map(key => [key, {
+    previous: previous.metrics[key],
+    current: current.metrics[key],
+    delta: typeof previous.metrics[key] === 'number' && typeof current.metrics[key] === 'number'
+      ? Math.round((current.metrics[key] - previous.metrics[key]) * 10000) / 10000
+      : null,
+  }]));
+
+  const previousSamples = new Map(previous.samples.map(s => [s.id, s]));
+  const currentIds = new Set(current.samples.map(s => s.id));
+
+  const outcomes = [];
+  const scores = [];
+  for (const sample of current.samples) {
+    const before = previousSamples.get(sample.id);
+    if (!before) continue;
+    if (before.outcome !== sample.outcome) {
+      outcomes.push({ id: sample.id, label: sample.label, previous: before.outcome, current: sample.outcome });
+    }
+    if (typeof before.riskScore === 'number' && typeof sample.riskScore === 'number' && before.riskScore !== sample.riskScore) {
+      const rulesBefore = new Set(before.rules);
+      const rulesNow = new Set(sample.rules);
+      scores.push({
+        id: sample.id,
+        label: sample.label,
+        previous: before.riskScore,
+        current: sample.riskScore,
+        delta: sample.riskScore - before.riskScore,
+        rulesAdded: sample.rules.filter(r => !rulesBefore.has(r)),
+        rulesRemoved: before.rules.filter(r => !rulesNow.has(r)),
+      });
+    }
+  }
+  scores.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const ruleIds = new Set([...Object.keys(previous.rules), ...Object.keys(current.rules)]);
+  const rules = [...ruleIds].sort()
+    .map(ruleId => {
+      const before = previous.rules[ruleId] || { phishing: 0, benign: 0 };
+      const now = current.rules[ruleId] || { phishing: 0, benign: 0 };
+      return {
+        ruleId,
+        phishing: { previous: before.phishing, current: now.phishing },
+        benign: { previous: before.benign, current: now.benign },
+      };
+    })
+    .filter(r => r.phishing.previous !== r.phishing.current || r.benign.previous !== r.benign.current);
+
+  return {
+    previousRun: previous.file,
+    rulesetVersion: { previous: previous.rulesetVersion, current: current.rulesetVersion },
+    level: { previous: previous.level, current: current.level },
+    metrics,
+    outcomes,
+    scores,
+    rules,
+    added: current.samples.filter(s => !previousSamples.has(s.id)).map(s => s.id),
+    removed: previous.samples.filter(s => !currentIds.has(s.id)).map(s => s.id),
+  };
+}
+
+// ============================================
+// 출력
+// ============================================
+
+/**
+ * 지표 출력 (정밀도, 재현율, 혼동 행렬)
+ * @param {Object} metrics
+ */
+function printMetrics(metrics) {
+  const format = (value) => (value === null ? '-' : value.toFixed(4));
+  console.log(`\n표본 ${metrics.samples}개 (오류 ${metrics.errors}개 제외)`);
+  console.log(`정밀도 ${format(metrics.precision)}  재현율 ${format(metrics.recall)}  F1 ${format(metrics.f1)}  정확도 ${format(metrics.accuracy)}`);
+  console.log('\n혼동 행렬        판정: 피싱   판정: 정상');
+  console.log(`  실제: 피싱   ${String(metrics.tp).padStart(10)}   ${String(metrics.fn).padStart(10)}`);
+  console.log(`  실제: 정상   ${String(metrics.fp).padStart(10)}   ${String(metrics.tn).padStart(10)}`);
+}
+
+/**
+ * 규칙별 일치율 출력
+ * @param {Object} rules - computeRuleStats() 결과
+ */
+function printRuleStats(rules) {
+  const entries = Object.entries(rules);
+  if (entries.length === 0) return;
+
+  const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+  console.log('\n규칙별 일치율                           피싱      정상   피싱 비율');
+  for (const [ruleId, stat] of entries.sort((a, b) => (b[1].phishing + b[1].benign) - (a[1].phishing + a[1].benign))) {
+    console.log(`  ${ruleId.padEnd(36)} ${percent(stat.phishingRate).padStart(7)}  ${percent(stat.benignRate).padStart(7)}  ${percent(stat.precision).padStart(9)}`);
+  }
+}
+
+/**
+ * 이전 실행과의 비교 출력
+ * @param {Object} comparison - compareRuns() 결과
+ */
+function printComparison(comparison) {
+  console.log(`\n이전 실행과 비교 (${comparison.previousRun})`);
+  if (comparison.rulesetVersion.previous !== comparison.rulesetVersion.current) {
+    console.log(`  규칙셋: ${comparison.rulesetVersion.previous} → ${comparison.rulesetVersion.current}`);
+  }
+  if (comparison.level.previous !== comparison.level.current) {
+    console.log(`  판정 기준이 다름: ${comparison.level.previous} → ${comparison.level.current} (판정 변화는 기준 차이 포함)`);
+  }
+
+  for (const key of ['precision', 'recall', 'f1', 'tp', 'fp', 'fn', 'tn']) {
+    const { previous, current, delta } = comparison.metrics[key];
+    if (previous === current) continue;
+    const sign = delta > 0 ? '+' : '';
+    console.log(`  ${key.padEnd(10)} ${previous ?? '-'} → ${current ?? '-'}${delta !== null ? ` (${sign}${delta})` : ''}`);
+  }
+
+  for (const change of comparison.outcomes.slice(0, MAX_DIFF_LINES)) {
+    console.log(`  [${OUTCOME_NAMES[change.previous]} → ${OUTCOME_NAMES[change.current]}] ${change.id} (${change.label})`);
+  }
+  for (const change of comparison.scores.slice(0, MAX_DIFF_LINES)) {
+    const rules = [
+      ...change.rulesAdded.map(r => `+${r}`),
+      ...change.rulesRemoved.map(r => `-${r}`),
+    ].join(' ');
+    console.log(`  점수 ${change.id}: ${change.previous} → ${change.current}${rules ? ` (${rules})` : ''}`);
+  }
+  for (const rule of comparison.rules.slice(0, MAX_DIFF_LINES)) {
+    console.log(`  규칙 ${rule.ruleId}: 피싱 ${rule.phishing.previous} → ${rule.phishing.current}, 정상 ${rule.benign.previous} → ${rule.benign.current}`);
+  }
+  if (comparison.added.length > 0) console.log(`  추가된 표본: ${comparison.added.join(', ')}`);
+  if (comparison.removed.length > 0) console.log(`  제외된 표본: ${comparison.removed.join(', ')}`);
+
+  const changed = comparison.outcomes.length + comparison.scores.length + comparison.rules.length;
+  if (changed === 0) console.log('  변화 없음');
+}
+
+// ============================================
+// 실행
+// ============================================
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const { samples, skipped } = loadCorpus(options.corpus, { filter: options.filter });
+  for (const { id, reason } of skipped) console.warn(`[Evaluate] 표본 제외 (${id}): ${reason}`);
+  if (samples.length === 0) throw new Error('평가할 표본이 없습니다.');
+
+  const previous = options.compare ? loadPreviousRun(options.out) : null;
+  const startedAt = new Date().toISOString();
+  const results = [];
+
+  for (const [i, sample] of samples.entries()) {
+    let record;
+    try {
+      const result = await analyzeUrl(sample.url, {
+        replay: buildReplayResponses(sample),
+        timeout: options.timeout,
+        takeScreenshot: false,
+        useAI: false,
+      });
+      const predicted = RISK_LEVELS[result.riskLevel] >= RISK_LEVELS[options.level];
+      record = {
+        id: sample.id,
+        url: sample.url,
+        label: sample.label,
+        riskScore: result.riskScore,
+        riskLevel: result.riskLevel,
+        outcome: classify(sample.label, predicted),
+        rules: [...new Set(result.scoreBreakdown.map(entry => entry.ruleId))],
+        scoreBreakdown: result.scoreBreakdown.map(({ ruleId, points, weight }) => ({ ruleId, points, weight })),
+        replay: result.replay,
+      };
+    } catch (error) {
+      record = { id: sample.id, url: sample.url, label: sample.label, outcome: 'error', rules: [], error: error.message.split('\n')[0] };
+    }
+
+    results.push(record);
+    console.log(`[${i + 1}/${samples.length}] ${sample.id} (${sample.label}) → ` +
+      (record.error ? `오류: ${record.error}` : `${record.riskScore} ${record.riskLevel} [${OUTCOME_NAMES[record.outcome]}]`));
+  }
+
+  const run = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    corpus: path.resolve(options.corpus),
+    filter: options.filter,
+    level: options.level,
+    rulesetVersion: getRuleset().version,
+    // 규칙셋 버전이 달라 적용되지 않은 모델은 기록하지 않음
+    scoreModel: getScoreModel() && !checkRulesetVersion() ? getScoreModel().version : null,
+    metrics: computeMetrics(results),
+    rules: computeRuleStats(results),
+    samples: results,
+  };
+  run.comparison = previous ? compareRuns(previous, run) : null;
+
+  printMetrics(run.metrics);
+  printRuleStats(run.rules);
+  if (run.comparison) printComparison(run.comparison);
+  else if (options.compare) console.log('\n이전 실행 결과가 없어 비교하지 않았습니다.');
+
+  fs.mkdirSync(options.out, { recursive: true });
+  const file = path.join(options.out, `run-${startedAt.replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(file, JSON.stringify(run, null, 2) + '\n');
+  console.log(`\n결과 저장: ${file}`);
+} catch (error) {
+  console.error(`[오류] ${error.message}`);
+  process.exit(1);
+}
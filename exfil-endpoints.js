@@ -0,0 +1,379 @@
+/**
+ * Exfiltration Endpoint Detector
+ * 피싱 키트가 탈취한 자격 증명을 보내는 메신저 봇·웹훅·폼-이메일 서비스 엔드포인트 탐지
+ *
+ * - 텔레그램 Bot API, 디스코드/슬랙 웹훅, Formspree·FormSubmit·EmailJS 등 폼-이메일 서비스
+ * - 캡처된 네트워크 요청(URL, 쿼리, POST 본문)과 스크립트 소스 양쪽에서 탐지
+ * - 봇 토큰, chat_id, 웹훅 ID, 폼 ID, 수신 이메일, access key 등 지표 추출 (신고·차단용)
+ */
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 서비스 정의 (kind: messaging = 메신저 봇/웹훅, form-email = 폼-이메일 전달)
+// path의 이름 있는 그룹과 params(쿼리/본문/스크립트 대입문)가 지표가 됨
+// methods가 있으면 네트워크 요청은 해당 메서드일 때만 탐지 (위젯 스크립트·안내 페이지 로드 제외)
+const EXFIL_SERVICES = [
+  {
+    id: 'telegram',
+    name: 'Telegram Bot API',
+    kind: 'messaging',
+    host: /^api\.telegram\.org$/,
+    path: /^\/bot(?<botToken>\d{8,10}:[A-Za-z0-9_-]{35})(?:\/(?<apiMethod>\w+))?/,
+    params: { chatId: ['chat_id', 'chatId', 'chatid'] },
+  },
+  {
+    id: 'discord',
+    name: 'Discord Webhook',
+    kind: 'messaging',
+    host: /^(?:(?:canary|ptb)\.)?discord(?:app)?\.com$/,
+    path: /^\/api\/(?:v\d+\/)?webhooks\/(?<webhookId>\d{17,20})\/(?<webhookToken>[\w-]{60,100})/,
+    params: {},
+  },
+  {
+    id: 'slack',
+    name: 'Slack Webhook',
+    kind: 'messaging',
+    host: /^hooks\.slack\.com$/,
+    path: /^\/services\/(?<workspaceId>T\w+)\/(?<webhookId>B\w+)\/(?<webhookToken>\w+)/,
+    params: {},
+  },
+  {
+    id: 'formspree',
+    name: 'Formspree',
+    kind: 'form-email',
+    host: /^formspree\.io$/,
+    // /f/<해시 ID> 또는 구형 /<수신 이메일>
+    path: /^\/(?:f\/(?=[A-Za-z0-9]{6,20}\/?$)|(?=[^/@]+@[^/@]+\.[a-z]{2,}\/?$))(?<formId>[^/?#]+)/i,
+    methods: ['POST'],
+    params: {},
+  },
+  {
+    id: 'formsubmit',
+    name: 'FormSubmit',
+    kind: 'form-email',
+    host: /^formsubmit\.co$/,
+    // /<수신 이메일 또는 32자리 별칭> (AJAX는 /ajax/...)
+    path: /^\/(?:ajax\/)?(?<formId>[^/@]+@[^/@]+\.[a-z]{2,}|[a-f0-9]{32})\/?$/i,
+    methods: ['POST'],
+    params: {},
+  },
+  {
+    id: 'getform',
+    name: 'Getform',
+    kind: 'form-email',
+    host: /^getform\.io$/,
+    path: /^\/f\/(?<formId>[^/?#]+)/,
+    params: {},
+  },
+  {
+    id: 'web3forms',
+    name: 'Web3Forms',
+    kind: 'form-email',
+    host: /^api\.web3forms\.com$/,
+    path: /^\/submit/,
+    params: { accessKey: ['access_key'] },
+  },
+  {
+    id: 'emailjs',
+    name: 'EmailJS',
+    kind: 'form-email',
+    host: /^api\.emailjs\.com$/,
+    path: /^\/api\/v1\.0\/email\/send/,
+    params: { serviceId: ['service_id'], templateId: ['template_id'], userId: ['user_id', 'publicKey'] },
+  },
+  {
+    id: 'formcarry',
+    name: 'Formcarry',
+    kind: 'form-email',
+    host: /^formcarry\.com$/,
+    path: /^\/s\/(?<formId>[^/?#]+)/,
+    params: {},
+  },
+  {
+    id: 'basin',
+    name: 'Basin',
+    kind: 'form-email',
+    host: /^usebasin\.com$/,
+    path: /^\/f\/(?<formId>[^/?#]+)/,
+    params: {},
+  },
+  {
+    id: 'submit-form',
+    name: 'Submit Form',
+    kind: 'form-email',
+    host: /^(?:api\.)?submit-form\.com$/,
+    path: /^\/(?<formId>[^/?#]+)/,
+    params: {},
+  },
+  {
+    id: 'staticforms',
+    name: 'Static Forms',
+    kind: 'form-email',
+    host: /^api\.staticforms\.xyz$/,
+    path: /^\/submit/,
+    params: { accessKey: ['accessKey'] },
+  },
+  {
+    id: 'formbold',
+    name: 'FormBold',
+    kind: 'form-email',
+    host: /^formbold\.com$/,
+    path: /^\/s\/(?<formId>[^/?#]+)/,
+    params: {},
+  },
+];
+
+// 스크립트 소스의 URL (문자열 연결로 나뉜 경우 호스트까지만 잡힐 수 있음)
+const URL_PATTERN = /\bhttps?:\/\/[^\s'"`<>\\)]{4,}/gi;
+
+// 엔드포인트를 직접 조립하는 스크립트 탐지용 호스트 언급 (`"https://api.telegram.org/bot" + token`)
+const HOST_MENTION_PATTERN = /\b(api\.telegram\.org|(?:(?:canary|ptb)\.)?discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks|hooks\.slack\.com\/services)\b/gi;
+
+// 단독으로 나타나는 텔레그램 봇 토큰
+const TELEGRAM_TOKEN_PATTERN = /(?<!\d)\d{8,10}:[A-Za-z0-9_-]{35}(?![A-Za-z0-9_-])/g;
+
+// 호스트 언급 없이 토큰만 있을 때 텔레그램 전송으로 볼 Bot API 메서드 언급
+const TELEGRAM_METHOD_PATTERN = /\bsend(?:Message|Document)\b/;
+
+// 서비스 자체의 정적 자산 경로 (위젯 스크립트 등은 엔드포인트가 아님)
+const STATIC_PATH_PATTERN = /^\/(?:js|css|static|assets|img|images|fonts)\//i;
+
+// 폼-이메일 경로에 그대로 들어간 수신 이메일
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i;
+
+// 검사할 스크립트/본문 최대 길이, 보고할 최대 탐지 수
+const MAX_SCAN_LENGTH = 1024 * 1024;
+const MAX_FINDINGS = 30;
+
+// ============================================
+// 유틸리티 함수
+// ============================================
+
+/**
+ * 정규식 특수 문자 이스케이프
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 텍스트(쿼리, JSON/폼 본문, 스크립트)에서 파라미터 값 추출
+ * @param {string} text
+ * @param {string[]} names - 파라미터 이름 후보
+ * @returns {string[]}
+ */
+function extractParamValues(text, names) {
+  const values = new Set();
+
+  for (const name of names) {
+    const pattern = new RegExp(`["']?\\b${escapeRegExp(name)}["']?\\s*[:=]\\s*["']?(-?[\\w@.%-]{3,100})`, 'g');
+    for (const match of text.matchAll(pattern)) {
+      let value = match[1];
+      try {
+        value = decodeURIComponent(value);
+      } catch {
+        // 잘못된 퍼센트 인코딩은 원문 유지
+      }
+      values.add(value);
+    }
+  }
+
+  return [...values];
+}
+
+/**
+ * 서비스 정의의 params 지표 추출
+ * @param {Object} service
+ * @param {string} text
+ * @returns {Object} 지표 이름 → 값 목록 (값이 없는 지표는 제외)
+ */
+function extractServiceParams(service, text) {
+  const indicators = {};
+  for (const [key, names] of Object.entries(service.params)) {
+    const values = extractParamValues(text, names);
+    if (values.length > 0) indicators[key] = values;
+  }
+  return indicators;
+}
+
+/**
+ * 탐지 결과에 지표 병합 (값 목록은 중복 제거)
+ * @param {Object} target
+ * @param {Object} indicators
+ */
+function mergeIndicators(target, indicators) {
+  for (const [key, value] of Object.entries(indicators)) {
+    if (value === undefined || value === null) continue;
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0) continue;
+    target[key] = [...new Set([...(target[key] || []), ...values])];
+  }
+}
+
+// ============================================
+// 엔드포인트 판별
+// ============================================
+
+/**
+ * URL이 알려진 유출 엔드포인트인지 판별
+ * @param {string} url
+ * @returns {Object|null} { service, name, kind, endpoint, indicators }
+ */
+export function matchExfilEndpoint(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  const service = EXFIL_SERVICES.find(s => s.host.test(hostname));
+  if (!service) return null;
+
+  if (STATIC_PATH_PATTERN.test(parsed.pathname)) return null;
+
+  const pathMatch = parsed.pathname.match(service.path);
+  if (!pathMatch) return null;
+
+  const indicators = {};
+  mergeIndicators(indicators, pathMatch.groups || {});
+  mergeIndicators(indicators, extractServiceParams(service, parsed.search));
+
+  // formsubmit.co/victim@example.com 처럼 경로에 수신 이메일이 들어간 경우
+  if (indicators.formId && EMAIL_PATTERN.test(indicators.formId[0])) {
+    indicators.email = indicators.formId;
+    delete indicators.formId;
+  }
+
+  return {
+    service: service.id,
+    name: service.name,
+    kind: service.kind,
+    endpoint: `${hostname}${parsed.pathname}`.substring(0, 200),
+    indicators,
+  };
+}
+
+/**
+ * 같은 서비스·엔드포인트·출처의 탐지를 하나로 병합
+ * @param {Array} findings
+ * @returns {Array}
+ */
+function mergeFindings(findings) {
+  const merged = new Map();
+
+  for (const finding of findings) {
+    const location = finding.source === 'network'
+      ? finding.method
+      : finding.scriptUrl ?? `inline#${finding.scriptIndex}`;
+    const key = `${finding.source}|${finding.service}|${finding.endpoint}|${location}`;
+
+    const existing = merged.get(key);
+    if (existing) {
+      mergeIndicators(existing.indicators, finding.indicators);
+      existing.count++;
+    } else {
+      merged.set(key, { ...finding, indicators: { ...finding.indicators }, count: 1 });
+    }
+  }
+
+  return [...merged.values()].slice(0, MAX_FINDINGS);
+}
+
+// ============================================
+// 탐지
+// ============================================
+
+/**
+ * 캡처된 네트워크 요청에서 유출 엔드포인트 탐지
+ * @param {Array} requests - { url, method, postData }
+ * @returns {Array} { service, name, kind, endpoint, indicators, source: 'network', method, url, severity }
+ */
+export function findExfilInRequests(requests) {
+  const findings = [];
+
+  for (const request of requests) {
+    const match = matchExfilEndpoint(request.url);
+    if (!match) continue;
+
+    const service = EXFIL_SERVICES.find(s => s.id === match.service);
+    if (service.methods && !service.methods.includes((request.method || 'GET').toUpperCase())) continue;
+    if (request.postData) {
+      mergeIndicators(match.indicators, extractServiceParams(service, request.postData.substring(0, MAX_SCAN_LENGTH)));
+    }
+
+    findings.push({
+      ...match,
+      source: 'network',
+      method: request.method || 'GET',
+      url: request.url.substring(0, 300),
+      severity: 'high',
+    });
+  }
+
+  return mergeFindings(findings);
+}
+
+/**
+ * 스크립트 소스에서 유출 엔드포인트와 지표(봇 토큰, chat_id 등) 탐지
+ * @param {Array} scripts - { text, scriptUrl } 또는 { text, scriptIndex }
+ * @returns {Array} { service, name, kind, endpoint, indicators, source: 'script', scriptUrl|scriptIndex, severity }
+ */
+export function findExfilInScripts(scripts) {
+  const findings = [];
+
+  for (const { text, ...source } of scripts) {
+    if (!text) continue;
+    const code = text.substring(0, MAX_SCAN_LENGTH);
+    const tokens = [...new Set([...code.matchAll(TELEGRAM_TOKEN_PATTERN)].map(m => m[0]))];
+    const mentions = [...code.matchAll(HOST_MENTION_PATTERN)].map(m => m[1].toLowerCase());
+    const found = new Set();
+
+    const add = (match) => {
+      const service = EXFIL_SERVICES.find(s => s.id === match.service);
+      mergeIndicators(match.indicators, extractServiceParams(service, code));
+      if (match.service === 'telegram') mergeIndicators(match.indicators, { botToken: tokens });
+      findings.push({ ...match, source: 'script', ...source, severity: 'high' });
+      found.add(match.service);
+    };
+
+    // 완성된 엔드포인트 URL
+    for (const [url] of code.matchAll(URL_PATTERN)) {
+      const match = matchExfilEndpoint(url.replace(/[.,;]+$/, ''));
+      if (match) add(match);
+    }
+
+    // 호스트와 토큰을 문자열 연결로 조립하는 경우 (URL 전체가 소스에 없음)
+    // 토큰 형태의 문자열만으로는 탐지하지 않고, 같은 스크립트에 Bot API 메서드 언급이 있어야 함
+    if (tokens.length > 0 && TELEGRAM_METHOD_PATTERN.test(code)) mentions.push('api.telegram.org');
+    for (const mention of new Set(mentions)) {
+      const service = EXFIL_SERVICES.find(s => s.host.test(mention.split('/')[0]));
+      if (found.has(service.id)) continue;
+      add({ service: service.id, name: service.name, kind: service.kind, endpoint: mention, indicators: {} });
+    }
+  }
+
+  return mergeFindings(findings);
+}
+
+/**
+ * 탐지 결과 요약 (서비스별 지표 통합)
+ * @param {Array} findings - findExfilInRequests() + findExfilInScripts() 결과
+ * @returns {Object} { detected, severity, services, indicators }
+ */
+export function summarizeExfil(findings) {
+  const indicators = {};
+  for (const finding of findings) mergeIndicators(indicators, finding.indicators);
+
+  return {
+    detected: findings.length > 0,
+    severity: findings.length > 0 ? 'high' : null,
+    services: [...new Set(findings.map(f => f.name))],
+    indicators,
+  };
+}
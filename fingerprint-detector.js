@@ -0,0 +1,127 @@
+/**
+ * Fingerprinting Detector
+ * 브라우저 핑거프린팅 및 침해적 API 사용 프로파일
+ *
+ * - 페이지 계측(page-instrumentation.js)의 fingerprint 이벤트를 스크립트 출처(origin)별로 집계
+ * - 기법 분류: 캔버스, WebGL 렌더러, 오디오, navigator 속성 열거, 폰트 탐지, 자동화 탐지(webdriver)
+ * - 피싱 키트는 분석가/크롤러를 걸러내기 위해 핑거프린팅을 사용
+ */
+
+import { getRegistrableDomain } from './domain-utils.js';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// API 접두어 → 기법
+const TECHNIQUES = {
+  canvas: 'canvas',
+  webgl: 'webgl',
+  audio: 'audio',
+  navigator: 'navigator',
+  font: 'fonts',
+};
+
+// 폰트 탐지로 판단하는 최소 측정 호출 수 (일반 텍스트 렌더링과 구분)
+const FONT_PROBE_MIN_CALLS = 50;
+
+// navigator 열거로 판단하는 최소 속성 수
+const NAVIGATOR_MIN_PROPERTIES = 3;
+
+// ============================================
+// 프로파일 생성
+// ============================================
+
+/**
+ * URL의 origin (스크립트 URL이 없으면 인라인)
+ * @param {string|null} url
+ * @returns {string}
+ */
+function originOf(url) {
+  if (!url) return 'inline';
+  try {
+    const parsed = new URL(url);
+    return parsed.origin === 'null' ? parsed.protocol : parsed.origin;
+  } catch {
+    return 'inline';
+  }
+}
+
+/**
+ * 스크립트 출처별 API 호출에서 사용한 기법 판별
+ * @param {Object<string, number>} calls - API별 호출 수
+ * @returns {string[]}
+ */
+function detectTechniques(calls) {
+  const techniques = new Set();
+
+  for (const [api, count] of Object.entries(calls)) {
+    const prefix = api.split('.')[0];
+    if (prefix === 'font') {
+      if (count >= FONT_PROBE_MIN_CALLS || api === 'font.check') techniques.add(TECHNIQUES.font);
+    } else if (prefix === 'navigator') {
+      if (api === 'navigator.webdriver') techniques.add('automation');
+    } else if (TECHNIQUES[prefix]) {
+      techniques.add(TECHNIQUES[prefix]);
+    }
+  }
+
+  // navigator 속성은 여러 개를 함께 읽을 때만 열거로 판단
+  const navigatorProperties = Object.keys(calls)
+    .filter(api => api.startsWith('navigator.') && api !== 'navigator.webdriver');
+  if (navigatorProperties.length >= NAVIGATOR_MIN_PROPERTIES) techniques.add(TECHNIQUES.navigator);
+
+  return [...techniques];
+}
+
+/**
+ * 핑거프린팅 프로파일 생성
+ * @param {Array} events - PageInstrumentation.getEvents('fingerprint')
+ * @param {string} pageUrl - 분석 페이지 URL (제3자 출처 판별용)
+ * @returns {Object} { detected, techniques, totalCalls, origins }
+ */
+export function buildFingerprintProfile(events, pageUrl) {
+  let pageDomain = null;
+  try {
+    pageDomain = getRegistrableDomain(new URL(pageUrl).hostname);
+  } catch {
+    // 페이지 URL 파싱 실패 시 제3자 판별 생략
+  }
+
+  const origins = new Map();
+  for (const event of events) {
+    const origin = originOf(event.scriptUrl);
+    if (!origins.has(origin)) {
+      origins.set(origin, { origin, scriptUrls: new Set(), calls: {} });
+    }
+
+    const entry = origins.get(origin);
+    if (event.scriptUrl) entry.scriptUrls.add(event.scriptUrl);
+    entry.calls[event.api] = (entry.calls[event.api] || 0) + (event.count || 1);
+  }
+
+  const profiles = [...origins.values()].map(entry => {
+    let thirdParty = false;
+    if (pageDomain && entry.origin.startsWith('http')) {
+      thirdParty = getRegistrableDomain(new URL(entry.origin).hostname) !== pageDomain;
+    }
+
+    return {
+      origin: entry.origin,
+      thirdParty,
+      scriptUrls: [...entry.scriptUrls].slice(0, 10),
+      calls: entry.calls,
+      callCount: Object.values(entry.calls).reduce((sum, n) => sum + n, 0),
+      techniques: detectTechniques(entry.calls),
+    };
+  }).sort((a, b) => b.techniques.length - a.techniques.length || b.callCount - a.callCount);
+
+  const techniques = [...new Set(profiles.flatMap(p => p.techniques))];
+
+  return {
+    detected: techniques.length > 0,
+    techniques,
+    totalCalls: profiles.reduce((sum, p) => sum + p.callCount, 0),
+    origins: profiles,
+  };
+}
@@ -22,10 +22,14 @@ function App() {
     analysis,
     error,
     blockedDownload,
+    permissionRequests,
+    urlExpansion,
     canvasRef,
     connect,
     disconnect,
     dismissDownloadAlert,
+    dismissPermissionAlert,
+    dismissExpansionAlert,
     sendMouseMove,
     sendClick,
     sendKeyDown,
@@ -237,6 +241,42 @@ function App() {
           </div>
         )}
 
+        {/* 단축 URL 전개 알림 */}
+        {urlExpansion && (
+          <div className={`download-blocked-banner download-${urlExpansion.riskLevel}`}>
+            <div className="download-blocked-header">
+              <span className="download-blocked-icon">🔗</span>
+              <span className="download-blocked-title">단축 URL 목적지 ({urlExpansion.shorteners.join(' → ')})</span>
+              <button className="download-blocked-close" onClick={dismissExpansionAlert}>✕</button>
+            </div>
+            <div className="download-blocked-content">
+              <div className="download-file-info">
+                <div className="download-filename">{urlExpansion.finalUrl}</div>
+                {!urlExpansion.complete && (
+                  <div className="download-meta">
+                    <span>전개를 끝까지 완료하지 못했습니다</span>
+                  </div>
+                )}
+              </div>
+              <div className="download-risk">
+                <span className="download-risk-score">
+                  {urlExpansion.riskLevel === 'danger' && '🚨'}
+                  {urlExpansion.riskLevel === 'warning' && '⚠️'}
+                  {urlExpansion.riskLevel === 'safe' && '⚡'}
+                  {' '}사전 판정 {urlExpansion.riskScore}점
+                </span>
+              </div>
+              {urlExpansion.issues.length > 0 && (
+                <ul className="download-threats">
+                  {urlExpansion.issues.map((issue, idx) => (
+                    <li key={idx} className="threat-medium">{issue}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* 다운로드 차단 알림 */}
         {blockedDownload && (
           <div className={`download-blocked-banner download-${blockedDownload.riskLevel}`}>
@@ -275,6 +315,28 @@ function App() {
           </div>
         )}
 
+        {/* 권한 요청 알림 */}
+        {permissionRequests.length > 0 && (
+          <div className="download-blocked-banner download-warning">
+            <div className="download-blocked-header">
+              <span className="download-blocked-icon">🔔</span>
+              <span className="download-blocked-title">페이지가 권한을 요청했습니다 (거부됨)</span>
+              <button className="download-blocked-close" onClick={dismissPermissionAlert}>✕</button>
+            </div>
+            <div className="download-blocked-content">
+              <ul className="download-threats">
+                {permissionRequests.map((request, idx) => (
+                  <li key={idx} className={request.userActivation === false ? 'threat-high' : 'threat-medium'}>
+                    <strong>{request.label}:</strong> {request.scriptUrl || '인라인 스크립트'}
+                    {request.userActivation === false && ' (사용자 조작 없이 요청)'}
+                  </li>
+                ))}
+              </ul>
+              <div className="download-message">알림·카메라·위치·클립보드 허용을 유도하는 페이지는 주의하세요.</div>
+            </div>
+          </div>
+        )}
+
         {/* 요약 바 (샌드박스 위) */}
         {summaryData && (
           <section className="summary-bar-section">
@@ -29,6 +29,8 @@ export function useSandbox() {
   const [analysis, setAnalysis] = useState(null);
   const [error, setError] = useState(null);
   const [blockedDownload, setBlockedDownload] = useState(null);
+  const [permissionRequests, setPermissionRequests] = useState([]);
+  const [urlExpansion, setUrlExpansion] = useState(null);
   const wsRef = useRef(null);
   const canvasRef = useRef(null);
   const timeoutRef = useRef(null);
@@ -157,6 +159,32 @@ export function useSandbox() {
           });
           break;
 
+        case 'permission_requested':
+          // 권한 요청 알림 (샌드박스에서는 거부됨)
+          setPermissionRequests(prev => [...prev, {
+            permission: msg.permission,
+            label: msg.label,
+            api: msg.api,
+            scriptUrl: msg.scriptUrl,
+            userActivation: msg.userActivation,
+            url: msg.url,
+            timestamp: msg.timestamp,
+          }]);
+          break;
+
+        case 'url_expanded':
+          // 단축 URL 전개 결과 (페이지 로드 전 목적지 사전 판정)
+          setUrlExpansion({
+            startUrl: msg.startUrl,
+            finalUrl: msg.finalUrl,
+            shorteners: msg.shorteners,
+            complete: msg.complete,
+            riskScore: msg.verdict?.riskScore ?? 0,
+            riskLevel: msg.verdict?.riskLevel || 'safe',
+            issues: msg.verdict?.issues || [],
+          });
+          break;
+
         default:
           console.log('Unknown message type:', msg.type);
       }
@@ -284,6 +312,8 @@ export function useSandbox() {
     setAnalysis(null);
     setError(null);
     setBlockedDownload(null);
+    setPermissionRequests([]);
+    setUrlExpansion(null);
   }, [clearConnectionTimeout]);
 
   // 다운로드 알림 닫기
@@ -291,6 +321,16 @@ export function useSandbox() {
     setBlockedDownload(null);
   }, []);
 
+  // 권한 요청 알림 닫기
+  const dismissPermissionAlert = useCallback(() => {
+    setPermissionRequests([]);
+  }, []);
+
+  // 단축 URL 전개 알림 닫기
+  const dismissExpansionAlert = useCallback(() => {
+    setUrlExpansion(null);
+  }, []);
+
   // 컴포넌트 언마운트 시 연결 및 타임아웃 종료
   useEffect(() => {
     return () => {
@@ -310,10 +350,14 @@ export function useSandbox() {
     analysis,
     error,
     blockedDownload,
+    permissionRequests,
+    urlExpansion,
     canvasRef,
     connect,
     disconnect,
     dismissDownloadAlert,
+    dismissPermissionAlert,
+    dismissExpansionAlert,
     sendMouseMove,
     sendClick,
     sendKeyDown,
@@ -0,0 +1,518 @@
+/**
+ * HAR Recorder
+ * 페이지의 모든 네트워크 요청을 HAR 1.2 형식으로 기록
+ *
+ * - CDP Network 이벤트로 요청/응답 헤더, 상태 코드, 쿠키, POST 본문, 단계별 타이밍, 서버 IP 기록
+ * - HTTP 리다이렉트는 단계마다 별도 항목 (redirectURL 포함), 실패한 요청은 status 0과 _error로 기록
+ * - 응답 본문은 includeBodies 옵션일 때만 크기 제한까지 저장 (텍스트는 원문, 바이너리는 base64)
+ * - 기록한 HAR은 분석 ID로 메모리에 보관하여 다운로드 (storeHar/loadHar, 1시간 보관)
+ */
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 기록할 최대 항목 수
+const MAX_ENTRIES = 2000;
+
+// 응답 본문 기본 크기 제한 (바이트)
+const DEFAULT_MAX_BODY_SIZE = 512 * 1024;
+
+// HAR 하나에 저장할 응답 본문 총량 (바이트)
+const MAX_TOTAL_BODY_SIZE = 20 * 1024 * 1024;
+
+// 기록할 POST 본문 최대 크기 (바이트)
+const MAX_POST_DATA_SIZE = 64 * 1024;
+
+// HAR 보관 기간 (ms)과 최대 보관 수
+const HAR_STORE_TTL = 60 * 60 * 1000;
+const HAR_STORE_MAX = 50;
+
+// HAR creator 정보
+const CREATOR = { name: 'Safe-Link Sandbox', version: '1.0.0' };
+
+// CDP protocol → HAR httpVersion
+const HTTP_VERSIONS = {
+  'http/0.9': 'HTTP/0.9',
+  'http/1.0': 'HTTP/1.0',
+  'http/1.1': 'HTTP/1.1',
+  h2: 'HTTP/2',
+  h3: 'HTTP/3',
+};
+
+// ============================================
+// 변환 함수
+// ============================================
+
+/**
+ * 헤더 객체를 HAR 헤더 배열로 변환 (줄바꿈으로 합쳐진 중복 헤더 분리)
+ * @param {Object<string, string>} headers
+ * @returns {Array} { name, value }
+ */
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value).split('\n').map(line => ({ name, value: line }))
+  );
+}
+
+/**
+ * 헤더 값 조회 (대소문자 무시)
+ * @param {Array} headers - HAR 헤더 배열
+ * @param {string} name
+ * @returns {string|null}
+ */
+function headerValue(headers, name) {
+  const lower = name.toLowerCase();
+  return headers.find(header => header.name.toLowerCase() === lower)?.value ?? null;
+}
+
+/**
+ * Cookie 요청 헤더 → HAR cookies
+ * @param {Array} headers
+ * @returns {Array} { name, value }
+ */
+function parseRequestCookies(headers) {
+  return headers
+    .filter(header => header.name.toLowerCase() === 'cookie')
+    .flatMap(header => header.value.split(';'))
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      return index === -1
+        ? { name: pair, value: '' }
+        : { name: pair.substring(0, index), value: pair.substring(index + 1) };
+    });
+}
+
+/**
+ * Set-Cookie 응답 헤더 → HAR cookies
+ * @param {Array} headers
+ * @returns {Array} { name, value, path, domain, expires, httpOnly, secure }
+ */
+function parseResponseCookies(headers) {
+  return headers
+    .filter(header => header.name.toLowerCase() === 'set-cookie')
+    .map(header => {
+      const [pair, ...attributes] = header.value.split(';').map(part => part.trim());
+      const index = pair.indexOf('=');
+      const cookie = index === -1
+        ? { name: pair, value: '' }
+        : { name: pair.substring(0, index), value: pair.substring(index + 1) };
+
+      for (const attribute of attributes) {
+        const [key, ...rest] = attribute.split('=');
+        const value = rest.join('=');
+        switch (key.toLowerCase()) {
+          case 'path': cookie.path = value; break;
+          case 'domain': cookie.domain = value; break;
+          case 'expires': {
+            const date = new Date(value);
+            cookie.expires = Number.isNaN(date.getTime()) ? value : date.toISOString();
+            break;
+          }
+          case 'httponly': cookie.httpOnly = true; break;
+          case 'secure': cookie.secure = true; break;
+        }
+      }
+      return cookie;
+    });
+}
+
+/**
+ * URL → HAR queryString
+ * @param {string} url
+ * @returns {Array} { name, value }
+ */
+function parseQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * CDP ResourceTiming → HAR timings (Chrome DevTools HAR 내보내기와 같은 구간 정의)
+ * @param {Object|null} timing - Network.Response.timing
+ * @param {number} startTime - 요청 시각 (CDP 단조 시간, 초)
+ * @param {number|null} endTime - 로드 완료 시각 (CDP 단조 시간, 초)
+ * @returns {Object} { blocked, dns, connect, ssl, send, wait, receive }
+ */
+function toHarTimings(timing, startTime, endTime) {
+  const total = endTime ? Math.max((endTime - startTime) * 1000, 0) : 0;
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.round(total * 1000) / 1000, receive: 0 };
+  }
+
+  const span = (start, end) => (start >= 0 && end >= 0 ? Math.max(end - start, 0) : -1);
+  const queued = Math.max((timing.requestTime - startTime) * 1000, 0);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0) ?? 0;
+  const headersEnd = Math.max(timing.receiveHeadersEnd, timing.sendEnd, 0);
+
+  const round = value => (value < 0 ? -1 : Math.round(value * 1000) / 1000);
+  return {
+    blocked: round(queued + firstStart),
+    dns: round(span(timing.dnsStart, timing.dnsEnd)),
+    connect: round(span(timing.connectStart, timing.connectEnd)),
+    ssl: round(span(timing.sslStart, timing.sslEnd)),
+    send: round(Math.max(timing.sendEnd - timing.sendStart, 0)),
+    wait: round(Math.max(timing.receiveHeadersEnd - timing.sendEnd, 0)),
+    receive: round(endTime ? Math.max(total - queued - headersEnd, 0) : 0),
+  };
+}
+
+/**
+ * HAR timings 합계 (ssl은 connect에 포함)
+ * @param {Object} timings
+ * @returns {number}
+ */
+function totalTime(timings) {
+  const sum = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((total, key) => total + Math.max(timings[key], 0), 0);
+  return Math.round(sum * 1000) / 1000;
+}
+
+// ============================================
+// HAR 기록기
+// ============================================
+
+/**
+ * 페이지 네트워크 요청의 HAR 기록기
+ * page.goto() 전에 start()를 호출해야 첫 문서 요청부터 기록됨
+ */
+export class HarRecorder {
+  /**
+   * @param {import('puppeteer').Page} page
+   * @param {Object} [options]
+   * @param {boolean} [options.includeBodies] - 응답 본문 저장 여부, 기본 false
+   * @param {number} [options.maxBodySize] - 본문 하나의 최대 크기 (바이트), 기본 512KB
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.client = null;
+    this.includeBodies = options.includeBodies === true;
+    this.maxBodySize = Math.min(Number(options.maxBodySize) || DEFAULT_MAX_BODY_SIZE, MAX_TOTAL_BODY_SIZE);
+    this.entries = [];
+    this.open = new Map(); // requestId → 진행 중인 항목
+    this.pages = [];
+    this.mainFrameId = null;
+    this.tasks = new Set();
+    this.bodyBytes = 0;
+  }
+
+  /**
+   * 기록 시작 (CDP 세션 연결)
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.client = await this.page.createCDPSession();
+    await this.client.send('Network.enable', { maxPostDataSize: MAX_POST_DATA_SIZE });
+    await this.client.send('Page.enable');
+
+    const { frameTree } = await this.client.send('Page.getFrameTree');
+    this.mainFrameId = frameTree.frame.id;
+
+    this.client.on('Network.requestWillBeSent', params => this.handleRequest(params));
+    this.client.on('Network.requestWillBeSentExtraInfo', ({ requestId, headers }) => {
+      const entry = this.open.get(requestId);
+      if (entry) entry.request.headers = toHarHeaders(headers);
+    });
+    this.client.on('Network.responseReceived', ({ requestId, response, type }) => {
+      const entry = this.open.get(requestId);
+      if (entry) this.applyResponse(entry, response, type);
+    });
+    // 실제 수신 헤더 (Set-Cookie 포함, responseReceived보다 먼저 올 수 있음)
+    this.client.on('Network.responseReceivedExtraInfo', ({ requestId, headers }) => {
+      const entry = this.open.get(requestId);
+      if (!entry) return;
+      if (entry.response) entry.response.headers = toHarHeaders(headers);
+      else entry._rawResponseHeaders = headers;
+    });
+    this.client.on('Network.loadingFinished', params => this.handleFinished(params));
+    this.client.on('Network.loadingFailed', params => this.handleFailed(params));
+    this.client.on('Page.domContentEventFired', ({ timestamp }) => this.setPageTiming('onContentLoad', timestamp));
+    this.client.on('Page.loadEventFired', ({ timestamp }) => this.setPageTiming('onLoad', timestamp));
+  }
+
+  /**
+   * 요청 시작 (리다이렉트면 이전 단계 항목을 마무리)
+   * @param {Object} params - Network.requestWillBeSent 파라미터
+   */
+  handleRequest(params) {
+    const { requestId, request, timestamp, wallTime, type, frameId, redirectResponse } = params;
+    if (request.url.startsWith('data:')) return;
+
+    const previous = this.open.get(requestId);
+    if (previous && redirectResponse) {
+      this.applyResponse(previous, redirectResponse, type);
+      this.finish(previous, timestamp, redirectResponse.encodedDataLength);
+    }
+
+    // 메인 프레임 문서 요청마다 새 페이지
+    if (type === 'Document' && frameId === this.mainFrameId && !redirectResponse) {
+      this.pages.push({
+        startedDateTime: new Date(wallTime * 1000).toISOString(),
+        id: `page_${this.pages.length + 1}`,
+        title: request.url,
+        pageTimings: { onContentLoad: -1, onLoad: -1 },
+        _startTime: timestamp,
+      });
+    }
+
+    if (this.entries.length + this.open.size >= MAX_ENTRIES) return;
+
+    const headers = toHarHeaders(request.headers);
+    const entry = {
+      _requestId: requestId,
+      _startTime: timestamp,
+      pageref: this.pages[this.pages.length - 1]?.id,
+      startedDateTime: new Date(wallTime * 1000).toISOString(),
+      time: 0,
+      request: {
+        method: request.method,
+        url: request.url + (request.urlFragment || ''),
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers,
+        queryString: parseQueryString(request.url),
+        headersSize: -1,
+        bodySize: request.postData ? Buffer.byteLength(request.postData) : 0,
+      },
+      response: null,
+      cache: {},
+      timings: null,
+      _resourceType: (type || 'Other').toLowerCase(),
+      _initiator: params.initiator?.url || params.initiator?.stack?.callFrames?.[0]?.url || null,
+    };
+
+    if (request.postData) {
+      entry.request.postData = {
+        mimeType: headerValue(headers, 'content-type') || '',
+        text: request.postData,
+        params: [],
+      };
+    } else if (request.hasPostData) {
+      // 큰 본문은 이벤트에 포함되지 않으므로 따로 조회
+      this.track(this.client.send('Network.getRequestPostData', { requestId })
+        .then(({ postData }) => {
+          entry.request.bodySize = Buffer.byteLength(postData);
+          entry.request.postData = {
+            mimeType: headerValue(entry.request.headers, 'content-type') || '',
+            text: postData.substring(0, MAX_POST_DATA_SIZE),
+            params: [],
+          };
+        })
+        .catch(() => {}));
+    }
+
+    this.open.set(requestId, entry);
+  }
+
+  /**
+   * 응답 정보 적용
+   * @param {Object} entry
+   * @param {Object} response - Network.Response
+   * @param {string} [type]
+   */
+  applyResponse(entry, response, type) {
+    const headers = toHarHeaders(entry._rawResponseHeaders || response.headers);
+    delete entry._rawResponseHeaders;
+    const httpVersion = HTTP_VERSIONS[response.protocol] || (response.protocol ? response.protocol.toUpperCase() : 'HTTP/1.1');
+
+    // 실제로 보낸 요청 헤더가 있으면 교체 (쿠키 포함)
+    if (response.requestHeaders) entry.request.headers = toHarHeaders(response.requestHeaders);
+    entry.request.httpVersion = httpVersion;
+    entry.response = {
+      status: response.status,
+      statusText: response.statusText || '',
+      httpVersion,
+      cookies: [],
+      headers,
+      content: { size: 0, mimeType: response.mimeType || headerValue(headers, 'content-type') || '' },
+      redirectURL: headerValue(headers, 'location') || '',
+      headersSize: -1,
+      bodySize: -1,
+    };
+    entry._timing = response.timing || null;
+    entry._fromCache = response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache || false;
+    if (response.remoteIPAddress) entry.serverIPAddress = response.remoteIPAddress.replace(/^\[|\]$/g, '');
+    if (response.connectionId) entry.connection = String(response.connectionId);
+    if (type) entry._resourceType = type.toLowerCase();
+  }
+
+  /**
+   * 항목 마무리 (타이밍, 크기 계산 후 완료 목록으로 이동)
+   * @param {Object} entry
+   * @param {number|null} endTime - CDP 단조 시간 (초)
+   * @param {number} [encodedDataLength]
+   */
+  finish(entry, endTime, encodedDataLength = 0) {
+    this.open.delete(entry._requestId);
+    entry.timings = toHarTimings(entry._timing, entry._startTime, endTime);
+    entry.time = totalTime(entry.timings);
+    if (entry.response) {
+      entry.response.bodySize = entry._fromCache ? 0 : encodedDataLength;
+      entry.response._transferSize = encodedDataLength;
+    }
+    this.entries.push(entry);
+  }
+
+  /**
+   * 로드 완료 (본문 저장 옵션이면 크기 제한 내 본문 조회)
+   * @param {Object} params - Network.loadingFinished 파라미터
+   */
+  handleFinished({ requestId, timestamp, encodedDataLength }) {
+    const entry = this.open.get(requestId);
+    if (!entry) return;
+
+    this.finish(entry, timestamp, encodedDataLength);
+    if (!entry.response) return;
+    entry.response.content.size = encodedDataLength;
+
+    if (!this.includeBodies) return;
+    if (encodedDataLength > this.maxBodySize || this.bodyBytes + encodedDataLength > MAX_TOTAL_BODY_SIZE) {
+      entry.response.content.comment = '본문 크기 제한 초과로 생략';
+      return;
+    }
+
+    this.track(this.client.send('Network.getResponseBody', { requestId })
+      .then(({ body, base64Encoded }) => {
+        const size = base64Encoded ? Math.floor(body.length * 3 / 4) : Buffer.byteLength(body);
+        entry.response.content.size = size;
+        if (size > this.maxBodySize || this.bodyBytes + size > MAX_TOTAL_BODY_SIZE) {
+          entry.response.content.comment = '본문 크기 제한 초과로 생략';
+          return;
+        }
+        this.bodyBytes += size;
+        entry.response.content.text = body;
+        if (base64Encoded) entry.response.content.encoding = 'base64';
+      })
+      .catch(() => {}));
+  }
+
+  /**
+   * 요청 실패 (차단, DNS 오류, 취소 등)
+   * @param {Object} params - Network.loadingFailed 파라미터
+   */
+  handleFailed({ requestId, timestamp, errorText, blockedReason, canceled }) {
+    const entry = this.open.get(requestId);
+    if (!entry) return;
+
+    entry._error = blockedReason ? `${errorText} (${blockedReason})` : canceled ? `${errorText} (취소됨)` : errorText;
+    this.finish(entry, timestamp);
+  }
+
+  /**
+   * 페이지 타이밍 기록 (현재 페이지 시작 기준 ms)
+   * @param {string} name - onContentLoad/onLoad
+   * @param {number} timestamp - CDP 단조 시간 (초)
+   */
+  setPageTiming(name, timestamp) {
+    const page = this.pages[this.pages.length - 1];
+    if (page) page.pageTimings[name] = Math.max((timestamp - page._startTime) * 1000, 0);
+  }
+
+  /**
+   * 비동기 조회 작업 추적 (HAR 생성 전에 완료 대기)
+   * @param {Promise} task
+   */
+  track(task) {
+    this.tasks.add(task);
+    task.finally(() => this.tasks.delete(task));
+  }
+
+  /**
+   * 현재까지 기록된 HAR (진행 중인 요청은 응답 없이 status 0으로 포함)
+   * @returns {Promise<Object>} HAR 1.2 { log }
+   */
+  async getHar() {
+    await Promise.allSettled([...this.tasks]);
+
+    const emptyResponse = {
+      status: 0,
+      statusText: '',
+      httpVersion: '',
+      cookies: [],
+      headers: [],
+      content: { size: 0, mimeType: '' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+    };
+
+    const entries = [...this.entries, ...this.open.values()]
+      .sort((a, b) => a._startTime - b._startTime)
+      .map(({ _requestId, _startTime, _timing, _fromCache, ...entry }) => {
+        const response = entry.response || emptyResponse;
+        const timings = entry.timings || toHarTimings(null, _startTime, null);
+        return {
+          ...entry,
+          request: { ...entry.request, cookies: parseRequestCookies(entry.request.headers) },
+          response: { ...response, cookies: parseResponseCookies(response.headers) },
+          timings,
+          time: entry.timings ? entry.time : totalTime(timings),
+        };
+      });
+
+    return {
+      log: {
+        version: '1.2',
+        creator: CREATOR,
+        pages: this.pages.map(({ _startTime, ...page }) => page),
+        entries,
+      },
+    };
+  }
+
+  /**
+   * 기록 중지 (기록한 항목은 유지하여 이후에도 getHar() 가능)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await Promise.allSettled([...this.tasks]);
+    if (this.client) {
+      await this.client.detach().catch(() => {});
+      this.client = null;
+    }
+    this.page = null;
+  }
+}
+
+// ============================================
+// HAR 보관소
+// ============================================
+
+// 분석 ID → { source: HarRecorder|Object, createdAt }
+const harStore = new Map();
+
+/**
+ * HAR 보관 (기록기를 넘기면 조회 시점의 HAR 반환, 실시간 세션용)
+ * @param {string} id - 분석 ID 또는 세션 ID
+ * @param {HarRecorder|Object} source - 기록기 또는 완성된 HAR
+ */
+export function storeHar(id, source) {
+  const now = Date.now();
+  for (const [key, item] of harStore) {
+    if (now - item.createdAt > HAR_STORE_TTL) harStore.delete(key);
+  }
+
+  harStore.delete(id);
+  harStore.set(id, { source, createdAt: now });
+
+  // 가장 오래된 항목부터 제거
+  while (harStore.size > HAR_STORE_MAX) {
+    harStore.delete(harStore.keys().next().value);
+  }
+}
+
+/**
+ * 보관된 HAR 조회
+ * @param {string} id
+ * @returns {Promise<Object|null>} HAR 1.2 또는 null (없거나 만료)
+ */
+export async function loadHar(id) {
+  const item = harStore.get(id);
+  if (!item || Date.now() - item.createdAt > HAR_STORE_TTL) return null;
+  return item.source instanceof HarRecorder ? item.source.getHar() : item.source;
+}
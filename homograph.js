@@ -0,0 +1,169 @@
+/**
+ * IDN Homograph Detection Module
+ * 국제화 도메인(IDN) 호모그래프 공격 탐지
+ *
+ * - 퓨니코드(xn--) 도메인 디코딩
+ * - 레이블별 혼합 스크립트 검사
+ * - 혼동 문자(confusable) 스켈레톤 계산
+ */
+
+import { domainToUnicode } from 'url';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 라틴 문자와 혼동되는 문자 → 라틴 문자 (UTS #39 confusables 중 도메인에서 자주 악용되는 항목)
+const CONFUSABLES = {
+  // 키릴 문자
+  'а': 'a', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'ё': 'e', 'һ': 'h', 'і': 'i', 'ї': 'i',
+  'ј': 'j', 'к': 'k', 'ӏ': 'l', 'м': 'm', 'п': 'n', 'о': 'o', 'р': 'p', 'ԛ': 'q', 'г': 'r',
+  'ѕ': 's', 'ѵ': 'v', 'ԝ': 'w', 'х': 'x', 'у': 'y', 'ү': 'y', 'ь': 'b',
+  // 그리스 문자
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+  'τ': 't', 'υ': 'u', 'χ': 'x', 'γ': 'y', 'ω': 'w', 'ϲ': 'c', 'ϳ': 'j',
+  // 아르메니아 문자
+  'ա': 'w', 'ց': 'g', 'հ': 'h', 'ի': 'h', 'յ': 'j', 'ո': 'n', 'ռ': 'n', 'ս': 'u', 'օ': 'o',
+  'զ': 'q', 'ք': 'p', 'ւ': 'l',
+  // 라틴 확장 문자
+  'ı': 'i', 'ɑ': 'a', 'ɡ': 'g', 'ɩ': 'i', 'ʀ': 'r', 'ʏ': 'y', 'ᴏ': 'o', 'ᴠ': 'v', 'ᴡ': 'w',
+  'ƅ': 'b', 'ɗ': 'd', 'ḿ': 'm', 'ṇ': 'n', 'ạ': 'a', 'ẹ': 'e', 'ọ': 'o', 'ụ': 'u',
+};
+
+// 스크립트 판별 순서 (Common/Inherited는 혼합 판정에서 제외)
+const SCRIPTS = [
+  ['Latin', /\p{Script=Latin}/u],
+  ['Cyrillic', /\p{Script=Cyrillic}/u],
+  ['Greek', /\p{Script=Greek}/u],
+  ['Armenian', /\p{Script=Armenian}/u],
+  ['Hangul', /\p{Script=Hangul}/u],
+  ['Han', /\p{Script=Han}/u],
+  ['Hiragana', /\p{Script=Hiragana}/u],
+  ['Katakana', /\p{Script=Katakana}/u],
+  ['Arabic', /\p{Script=Arabic}/u],
+  ['Hebrew', /\p{Script=Hebrew}/u],
+  ['Thai', /\p{Script=Thai}/u],
+];
+
+// 정상적으로 함께 쓰이는 스크립트 조합 (UTS #39 Highly Restrictive)
+const ALLOWED_SCRIPT_SETS = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Hangul'],
+  ['Latin', 'Han'],
+];
+
+// ============================================
+// 유틸리티 함수
+// ============================================
+
+/**
+ * 문자의 스크립트 판별
+ * @param {string} char
+ * @returns {string} 스크립트 이름 (판별 불가 시 'Common')
+ */
+function getScript(char) {
+  for (const [name, pattern] of SCRIPTS) {
+    if (pattern.test(char)) return name;
+  }
+  return 'Common';
+}
+
+/**
+ * 코드 포인트 표기 (U+0430)
+ * @param {string} char
+ * @returns {string}
+ */
+function formatCodePoint(char) {
+  return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * 스크립트 조합이 허용된 조합인지 확인
+ * @param {string[]} scripts
+ * @returns {boolean}
+ */
+function isAllowedScriptMix(scripts) {
+  if (scripts.length <= 1) return true;
+  return ALLOWED_SCRIPT_SETS.some(set => scripts.every(s => set.includes(s)));
+}
+
+/**
+ * 혼동 문자 스켈레톤 계산 (모든 혼동 문자를 라틴 문자로 치환)
+ * @param {string} text - 유니코드 도메인 또는 레이블
+ * @returns {string}
+ */
+export function computeSkeleton(text) {
+  return [...text.normalize('NFKC').toLowerCase()]
+    .map(char => CONFUSABLES[char] || char)
+    .join('');
+}
+
+// ============================================
+// 호모그래프 분석
+// ============================================
+
+/**
+ * 도메인 호모그래프 분석
+ * @param {string} hostname - URL 파서가 반환한 호스트명 (퓨니코드 형태)
+ * @returns {Object} 분석 결과
+ */
+export function analyzeHomograph(hostname) {
+  const ascii = hostname.toLowerCase();
+  const unicode = domainToUnicode(ascii) || ascii;
+  const isPunycode = ascii.split('.').some(label => label.startsWith('xn--'));
+
+  const mixedScriptLabels = [];
+  const wholeScriptConfusables = [];
+  const confusables = [];
+
+  for (const label of unicode.split('.')) {
+    const chars = [...label];
+    const scripts = [...new Set(chars.map(getScript).filter(s => s !== 'Common'))];
+
+    if (!isAllowedScriptMix(scripts)) {
+      mixedScriptLabels.push({ label, scripts });
+    }
+
+    const labelConfusables = chars
+      .filter(char => CONFUSABLES[char])
+      .map(char => ({
+        label,
+        char,
+        codePoint: formatCodePoint(char),
+        script: getScript(char),
+        looksLike: CONFUSABLES[char],
+      }));
+    confusables.push(...labelConfusables);
+
+    // 라틴 문자가 전혀 없지만 스켈레톤이 전부 라틴 문자인 레이블 (예: 키릴 문자만으로 쓴 "аррӏе")
+    const skeleton = computeSkeleton(label);
+    if (scripts.length === 1 && scripts[0] !== 'Latin' &&
+        labelConfusables.length > 0 && /^[a-z0-9-]+$/.test(skeleton)) {
+      wholeScriptConfusables.push({ label, script: scripts[0], skeleton });
+    }
+  }
+
+  return {
+    ascii,
+    unicode,
+    isPunycode,
+    skeleton: computeSkeleton(unicode),
+    mixedScriptLabels,
+    wholeScriptConfusables,
+    confusables,
+    detected: mixedScriptLabels.length > 0 || wholeScriptConfusables.length > 0,
+  };
+}
+
+/**
+ * 혼동 문자 목록을 사람이 읽을 수 있는 문자열로 변환
+ * @param {Array} confusables - analyzeHomograph 결과의 confusables
+ * @returns {string} 예: "'а'(U+0430)→'a', 'о'(U+043E)→'o'"
+ */
+export function describeConfusables(confusables) {
+  const seen = new Set();
+  return confusables
+    .filter(c => !seen.has(c.char) && seen.add(c.char))
+    .map(c => `'${c.char}'(${c.codePoint})→'${c.looksLike}'`)
+    .join(', ');
+}
@@ -0,0 +1,57 @@
+/**
+ * Threat Feed 가져오기 CLI
+ * 로컬 피드 덤프 파일을 위협 피드 저장소(data/threat-feeds.json)로 가져오기
+ *
+ * 사용법:
+ *   node import-feeds.js <format> <file> [name]   피드 가져오기 (같은 이름은 교체)
+ *   node import-feeds.js --list                   가져온 피드 목록
+ *   node import-feeds.js --remove <name>          피드 삭제
+ *
+ * format: phishtank | openphish | urlhaus | allowlist | blocklist
+ */
+
+import { importFeed, listFeeds, removeFeed, getStorePath, FEED_FORMATS } from './threat-feeds.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+/**
+ * 사용법 출력 후 종료
+ */
+function printUsage() {
+  console.log('사용법:');
+  console.log('  node import-feeds.js <format> <file> [name]');
+  console.log('  node import-feeds.js --list');
+  console.log('  node import-feeds.js --remove <name>');
+  console.log(`\nformat: ${Object.keys(FEED_FORMATS).join(' | ')}`);
+  process.exit(1);
+}
+
+try {
+  if (!command) {
+    printUsage();
+  } else if (command === '--list') {
+    const feeds = listFeeds();
+    console.log(`저장소: ${getStorePath()}`);
+    if (feeds.length === 0) {
+      console.log('가져온 피드가 없습니다.');
+    }
+    for (const feed of feeds) {
+      console.log(`- ${feed.name} [${feed.list}] ${feed.format}: ${feed.entryCount}개 (${feed.source}, ${feed.importedAt})`);
+    }
+  } else if (command === '--remove') {
+    if (!args[0]) printUsage();
+    const removed = removeFeed(args[0]);
+    console.log(removed ? `피드 삭제됨: ${args[0]}` : `피드를 찾을 수 없습니다: ${args[0]}`);
+    process.exit(removed ? 0 : 1);
+  } else {
+    const [file, name] = args;
+    if (!FEED_FORMATS[command] || !file) printUsage();
+
+    const feed = importFeed({ file, format: command, name: name || command });
+    console.log(`가져오기 완료: ${feed.name} [${feed.list}] ${feed.entryCount}개 항목` +
+      (feed.skipped > 0 ? ` (해석할 수 없는 항목 ${feed.skipped}개 제외)` : ''));
+  }
+} catch (error) {
+  console.error(`[오류] ${error.message}`);
+  process.exit(1);
+}
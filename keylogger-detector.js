@@ -0,0 +1,102 @@
+/**
+ * Keylogger Detector
+ * 입력 이벤트 계측 + 제출 없는 카나리 입력으로 키 입력 유출 탐지
+ *
+ * - 페이지 계측(page-instrumentation.js)으로 입력 필드/문서에 붙은 키 입력 리스너와 등록 스크립트 기록
+ * - 리스너가 있으면 카나리 값을 실제 키 입력으로 채우고 폼은 제출하지 않은 채 네트워크 관찰
+ * - 제출 전에 비밀번호가 어디로든, 또는 카드번호/주민등록번호가 외부 도메인으로 나가면 유출로 판정
+ *   (이메일/아이디 입력값은 세션 리플레이·분석 도구와 이메일 자동완성 API도 보내므로 판정하지 않음)
+ * - 단어 "keydown" 존재 여부가 아닌 실제 전송만 보고 (오탐 없이 "유출" 또는 "없음")
+ */
+
+import { CanaryTracer } from './canary-tracer.js';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 입력 후 전송을 기다리는 시간 (ms) - 일정 주기로 모아 보내는 키로거 대비
+const OBSERVE_MS = 4000;
+
+// 외부 도메인으로 나가면 유출로 판정하는 필드 유형 (같은 도메인은 비밀번호만)
+const THIRD_PARTY_SENSITIVE_KINDS = ['password', 'card', 'rrn'];
+
+// ============================================
+// 리스너 요약
+// ============================================
+
+/**
+ * 계측된 키 입력 리스너를 스크립트별로 요약
+ * @param {Array} events - PageInstrumentation.getEvents('listener')
+ * @returns {Array} { scriptUrl, types, targets, count }
+ */
+export function summarizeKeyListeners(events) {
+  const scripts = new Map();
+
+  for (const event of events) {
+    const key = event.scriptUrl || 'unknown';
+    if (!scripts.has(key)) {
+      scripts.set(key, { scriptUrl: event.scriptUrl, types: new Set(), targets: new Set(), count: 0 });
+    }
+
+    const entry = scripts.get(key);
+    entry.types.add(event.type);
+    entry.targets.add(event.target === 'field' ? `${event.fieldType} 필드` : event.target);
+    entry.count += event.count || 1;
+  }
+
+  return [...scripts.values()].map(entry => ({
+    ...entry,
+    types: [...entry.types],
+    targets: [...entry.targets],
+  }));
+}
+
+// ============================================
+// 탐지
+// ============================================
+
+/**
+ * 키 입력 유출 탐지
+ * 폼을 제출하지 않으므로 카나리 추적(제출) 전에 실행해야 함
+ * @param {import('puppeteer').Page} page
+ * @param {import('./page-instrumentation.js').PageInstrumentation} instrumentation
+ * @returns {Promise<Object>} { detected, findings, listeners, fieldCount }
+ */
+export async function detectKeylogger(page, instrumentation) {
+  const listeners = summarizeKeyListeners(instrumentation.getEvents('listener'));
+
+  // 키 입력 리스너가 없으면 입력하지 않음
+  if (listeners.length === 0) {
+    return { detected: false, findings: [], listeners, fieldCount: 0 };
+  }
+
+  const trace = await new CanaryTracer(page, {
+    submit: false,
+    matchPrefixes: true,
+    waitMs: OBSERVE_MS,
+  }).trace();
+
+  const findings = trace.destinations
+    .filter(d => d.canaries.some(c =>
+      c.kind === 'password' || (d.thirdParty && THIRD_PARTY_SENSITIVE_KINDS.includes(c.kind))
+    ))
+    .map(d => ({
+      destination: d.destination,
+      host: d.host,
+      thirdParty: d.thirdParty,
+      channels: d.channels,
+      fields: [...new Set(d.canaries.map(c => c.kind))],
+      encodings: [...new Set(d.canaries.map(c => c.encoding))],
+      // 전송 스크립트 (요청 시작 스크립트, 없으면 리스너 등록 스크립트)
+      scripts: d.initiators.length > 0
+        ? d.initiators
+        : listeners.map(l => l.scriptUrl).filter(Boolean),
+    }));
+
+  if (findings.length > 0) {
+    console.log(`[Keylogger] 제출 전 키 입력 유출: ${findings.map(f => f.host).join(', ')}`);
+  }
+
+  return { detected: findings.length > 0, findings, listeners, fieldCount: trace.fields.length };
+}
@@ -0,0 +1,366 @@
+/**
+ * Phishing Kit Fingerprints
+ * 피싱 키트 계열(16Shop, 국내 은행 키트 등) 지문 라이브러리 및 매칭
+ *
+ * - 계열별 지표 관리 (config/kits.json): 파일 경로, 주석/문구 표식, 페이지 구조(CSS 선택자), 자산 해시, 안티봇 코드
+ * - 다른 도메인에 올라온 같은 키트를 계열 ID로 묶을 수 있도록 "계열 X 일치 (신뢰도)" 판정 제공
+ * - 자산 해시는 네트워크 응답(스크립트, 스타일시트, 이미지, 폰트) 본문의 SHA-256
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRegistrableDomain } from './domain-utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 라이브러리 파일 경로 (KIT_LIBRARY_PATH 환경변수로 변경 가능)
+const DEFAULT_LIBRARY_PATH = path.join(__dirname, 'config', 'kits.json');
+
+// 지표 유형
+const INDICATOR_TYPES = ['path', 'marker', 'structure', 'hash', 'antibot'];
+
+// 계열 판정 기본 기준 (신뢰도 임계값, 서로 다른 지표 최소 수)
+const DEFAULT_THRESHOLD = 50;
+const MIN_SIGNALS = 2;
+
+// 안티봇 코드를 보고하려면 같은 계열에서 함께 일치해야 하는 지표 유형
+// (navigator.webdriver, IP 조회 서비스는 reCAPTCHA·분석 스크립트에도 흔하므로 단독으로는 보고하지 않음)
+const FAMILY_SIGNAL_TYPES = ['marker', 'structure', 'hash'];
+
+// 해시할 자산 유형과 제한 (자산당 크기, 보관할 최근 자산 수)
+const HASHED_RESOURCE_TYPES = ['script', 'stylesheet', 'image', 'font'];
+const MAX_ASSET_BYTES = 2 * 1024 * 1024;
+const MAX_ASSETS = 200;
+
+// 표식을 검사할 HTML/스크립트 최대 길이
+const MAX_SOURCE_LENGTH = 512 * 1024;
+
+let library = { version: null, families: [] };
+
+// ============================================
+// 라이브러리 로드
+// ============================================
+
+/**
+ * 단일 지표 검증 및 컴파일
+ * @param {Object} indicator - { type, value, weight, description }
+ * @param {string} where - 오류 메시지용 위치
+ * @returns {Object} 컴파일된 지표 (path/marker/antibot은 regex 포함)
+ */
+function compileIndicator(indicator, where) {
+  if (!INDICATOR_TYPES.includes(indicator.type)) {
+    throw new Error(`${where} - 알 수 없는 지표 유형: ${indicator.type}`);
+  }
+  if (!indicator.value || typeof indicator.value !== 'string') {
+    throw new Error(`${where} - value가 필요합니다.`);
+  }
+
+  return {
+    type: indicator.type,
+    value: indicator.type === 'hash' ? indicator.value.toLowerCase() : indicator.value,
+    weight: typeof indicator.weight === 'number' ? indicator.weight : 10,
+    description: indicator.description || indicator.value,
+    regex: ['path', 'marker', 'antibot'].includes(indicator.type) ? new RegExp(indicator.value, 'i') : null,
+  };
+}
+
+/**
+ * 키트 지문 라이브러리 로드
+ * @param {string} [libraryPath] - 라이브러리 JSON 파일 경로
+ * @returns {Object} 로드된 라이브러리
+ */
+export function loadKitLibrary(libraryPath = process.env.KIT_LIBRARY_PATH || DEFAULT_LIBRARY_PATH) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(libraryPath, 'utf8'));
+    library = {
+      version: parsed.version || null,
+      families: (parsed.families || []).map(family => ({
+        id: family.id,
+        name: family.name || family.id,
+        description: family.description || '',
+        threshold: family.threshold ?? DEFAULT_THRESHOLD,
+        minSignals: family.minSignals ?? MIN_SIGNALS,
+        indicators: (family.indicators || []).map((indicator, i) =>
+          compileIndicator(indicator, `${family.id}.indicators[${i}]`)
+        ),
+      })),
+    };
+    console.log(`[Kit Fingerprints] ${library.families.length}개 키트 계열 로드 (${libraryPath})`);
+  } catch (error) {
+    console.warn(`[Kit Fingerprints] 라이브러리 로드 실패 (${libraryPath}): ${error.message}`);
+    library = { version: null, families: [] };
+  }
+  return library;
+}
+
+/**
+ * 현재 로드된 키트 지문 라이브러리 반환
+ * @returns {Object}
+ */
+export function getKitLibrary() {
+  return library;
+}
+
+// ============================================
+// 자산 해시 수집
+// ============================================
+
+/**
+ * 네트워크 응답 본문의 SHA-256 수집 (스크립트, 스타일시트, 이미지, 폰트)
+ * page.goto() 전에 start()를 호출해야 모든 자산이 수집됨
+ */
+export class AssetHasher {
+  /**
+   * @param {import('puppeteer').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    this.assets = [];
+    this.pending = new Set();
+    this.handleResponse = this.handleResponse.bind(this);
+  }
+
+  /**
+   * 수집 시작
+   */
+  start() {
+    this.page.on('response', this.handleResponse);
+  }
+
+  /**
+   * 자산 응답 처리
+   * @param {import('puppeteer').HTTPResponse} response
+   */
+  handleResponse(response) {
+    const type = response.request().resourceType();
+    if (!HASHED_RESOURCE_TYPES.includes(type)) return;
+
+    const status = response.status();
+    if (status >= 300 && status < 400) return;
+
+    const task = response.buffer()
+      .then(buffer => {
+        if (buffer.length === 0 || buffer.length > MAX_ASSET_BYTES) return;
+        this.assets.push({
+          url: response.url(),
+          type,
+          size: buffer.length,
+          sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        });
+        // 세션처럼 오래 유지되는 페이지에서는 최근 자산만 보관
+        if (this.assets.length > MAX_ASSETS) this.assets.shift();
+      })
+      .catch(() => {
+        // 본문을 받을 수 없는 응답 (리다이렉트, 캐시 등) 무시
+      })
+      .finally(() => this.pending.delete(task));
+
+    this.pending.add(task);
+  }
+
+  /**
+   * 수집된 자산 해시 반환 (진행 중인 본문 읽기 완료 대기)
+   * @returns {Promise<Array>} { url, type, size, sha256 }
+   */
+  async getAssets() {
+    await Promise.allSettled([...this.pending]);
+    return [...this.assets];
+  }
+
+  /**
+   * 수집 중지
+   */
+  stop() {
+    this.page.off('response', this.handleResponse);
+  }
+}
+
+// ============================================
+// 증거 수집
+// ============================================
+
+/**
+ * 페이지에서 키트 지문 매칭에 필요한 정보 수집
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Object>} { pageUrl, html, urls, selectors }
+ */
+export async function collectKitEvidence(page) {
+  const selectors = [...new Set(library.families.flatMap(family =>
+    family.indicators.filter(i => i.type === 'structure').map(i => i.value)
+  ))];
+
+  try {
+    const [html, dom] = await Promise.all([
+      page.content(),
+      page.evaluate((structureSelectors) => {
+        const urls = [
+          window.location.href,
+          ...[...document.forms].map(form => form.action),
+          ...[...document.querySelectorAll('a[href]')].slice(0, 200).map(a => a.href),
+          ...performance.getEntriesByType('resource').map(entry => entry.name),
+        ];
+        const matched = structureSelectors.filter(selector => {
+          try {
+            return !!document.querySelector(selector);
+          } catch {
+            return false;
+          }
+        });
+        return { pageUrl: window.location.href, urls, selectors: matched };
+      }, selectors),
+    ]);
+
+    return {
+      pageUrl: dom.pageUrl,
+      html: html.substring(0, MAX_SOURCE_LENGTH),
+      urls: [...new Set(dom.urls.filter(Boolean))],
+      selectors: dom.selectors,
+    };
+  } catch (error) {
+    console.warn('[Kit Fingerprints] 키트 정보 수집 실패:', error.message);
+    return { pageUrl: null, html: '', urls: [], selectors: [] };
+  }
+}
+
+// ============================================
+// 매칭
+// ============================================
+
+/**
+ * URL의 경로+쿼리 (경로 지표 비교용)
+ * @param {string} url
+ * @returns {string}
+ */
+function urlPath(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * URL의 등록 가능 도메인 (파싱 실패 시 null)
+ * @param {string} url
+ * @returns {string|null}
+ */
+function urlSite(url) {
+  try {
+    return getRegistrableDomain(new URL(url).hostname);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 단일 지표 매칭
+ * @param {Object} indicator
+ * @param {Object} sources - { paths, texts, selectors, hashes }
+ * @returns {string|null} 일치 근거 (URL, 일치 문자열, 선택자, 자산 URL)
+ */
+function matchIndicator(indicator, sources) {
+  switch (indicator.type) {
+    // 경로 지표는 페이지와 같은 사이트의 URL만 비교 (외부 리소스의 login.php 등 제외)
+    case 'path':
+      return sources.paths.find(p => p.firstParty && indicator.regex.test(p.path))?.url || null;
+    case 'marker':
+      for (const text of sources.texts) {
+        const match = text.match(indicator.regex);
+        if (match) return match[0].substring(0, 120);
+      }
+      return null;
+    case 'antibot': {
+      const url = sources.paths.find(p => indicator.regex.test(p.url))?.url;
+      if (url) return url;
+      for (const text of sources.texts) {
+        const match = text.match(indicator.regex);
+        if (match) return match[0].substring(0, 120);
+      }
+      return null;
+    }
+    case 'structure':
+      return sources.selectors.includes(indicator.value) ? indicator.value : null;
+    case 'hash':
+      return sources.hashes.get(indicator.value) || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 키트 계열 매칭
+ * @param {Object} evidence
+ * @param {string} [evidence.pageUrl] - 페이지 URL (없으면 모든 URL을 같은 사이트로 보고 경로 지표 비교)
+ * @param {string} [evidence.html] - 페이지 HTML (주석 포함)
+ * @param {Array} [evidence.urls] - 요청/폼/링크/리소스 URL
+ * @param {Array} [evidence.selectors] - 페이지에 존재하는 구조 지표 선택자
+ * @param {Array} [evidence.scripts] - 스크립트 본문 텍스트
+ * @param {Array} [evidence.assets] - AssetHasher.getAssets() 결과
+ * @returns {Object} { detected, family, confidence, verdict, signals, antiBot, candidates }
+ */
+export function matchKitFamilies(evidence) {
+  const pageSite = evidence.pageUrl ? urlSite(evidence.pageUrl) : null;
+  const sources = {
+    paths: [...new Set(evidence.urls || [])].map(url => ({
+      url,
+      path: urlPath(url),
+      firstParty: !pageSite || urlSite(url) === pageSite,
+    })),
+    texts: [evidence.html, ...(evidence.scripts || [])]
+      .filter(Boolean)
+      .map(text => text.substring(0, MAX_SOURCE_LENGTH)),
+    selectors: evidence.selectors || [],
+    hashes: new Map((evidence.assets || []).map(asset => [asset.sha256, asset.url])),
+  };
+
+  const candidates = library.families
+    .map(family => {
+      const signals = family.indicators
+        .map(indicator => {
+          const detail = matchIndicator(indicator, sources);
+          return detail
+            ? { type: indicator.type, description: indicator.description, detail, weight: indicator.weight }
+            : null;
+        })
+        .filter(Boolean);
+      const confidence = Math.min(signals.reduce((sum, s) => sum + s.weight, 0), 100);
+      return {
+        family: { id: family.id, name: family.name },
+        confidence,
+        matched: confidence >= family.threshold && signals.length >= family.minSignals,
+        signals,
+      };
+    })
+    .filter(c => c.signals.length > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const top = candidates.find(c => c.matched) || null;
+
+  // 계열 판정과 무관하게 발견된 안티봇 코드 (스캐너 회피 시도, 같은 계열의 표식·구조·해시 지표가 함께 일치한 경우만)
+  const antiBot = [...new Map(candidates
+    .filter(c => c.signals.some(s => FAMILY_SIGNAL_TYPES.includes(s.type)))
+    .flatMap(c => c.signals.filter(s => s.type === 'antibot'))
+    .map(s => [s.detail, { description: s.description, detail: s.detail }])
+  ).values()];
+
+  return {
+    detected: !!top,
+    family: top ? top.family : null,
+    confidence: top ? top.confidence : 0,
+    verdict: top ? `키트 계열 일치: ${top.family.name} (신뢰도 ${top.confidence}%)` : null,
+    signals: top ? top.signals : [],
+    antiBot,
+    candidates: candidates.map(({ matched, ...candidate }) => candidate),
+    libraryVersion: library.version,
+  };
+}
+
+// 모듈 로드 시 라이브러리 초기화
+loadKitLibrary();
@@ -0,0 +1,304 @@
+/**
+ * Kit Artifact Prober
+ * 피싱 호스트에 남겨진 키트 압축 파일과 열린 디렉토리 목록(autoindex) 탐색
+ *
+ * - 최종 URL 기준 상위 디렉토리, `<디렉토리>.zip`, 흔한 키트 압축 파일 이름을 제한된 수만큼 요청
+ * - 같은 호스트만 요청하고 리다이렉트는 따라가지 않음 (홈으로 보내는 가짜 404 제외)
+ * - 압축 파일은 크기 상한까지만 받아 매직 바이트로 형식 확인, 상한 안에 들어오면 SHA-256과 ZIP 항목 이름 보고
+ * - 명시적으로 활성화한 경우에만 실행 (options.probeKitArtifacts)
+ */
+
+import crypto from 'crypto';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 전체 탐색 시간과 요청별 타임아웃 (ms)
+const PROBE_TIMEOUT = 15000;
+const REQUEST_TIMEOUT = 5000;
+
+// 최대 요청 수, 거슬러 올라갈 최대 상위 디렉토리 수
+const MAX_PROBES = 40;
+const MAX_DIRECTORY_DEPTH = 4;
+
+// 압축 파일을 받을 최대 크기 (기본값이자 상한, 호출 측은 더 작게만 지정 가능), 디렉토리 목록 본문 최대 길이
+const ARCHIVE_SIZE_CAP = 1024 * 1024;
+const MAX_LISTING_BYTES = 256 * 1024;
+
+// 보고할 최대 목록 항목 / ZIP 항목 수
+const MAX_LISTING_ENTRIES = 100;
+const MAX_ZIP_ENTRIES = 100;
+
+// 흔한 키트 압축 파일 이름 (가장 깊은 디렉토리와 루트에서 .zip으로 요청)
+const COMMON_ARCHIVE_NAMES = [
+  'kit', 'login', 'office', 'office365', 'outlook', 'webmail', 'bank', 'paypal', 'apple', '16shop',
+  'secure', 'verify', 'admin', 'backup', 'www', 'site', 'files', 'public_html',
+];
+
+// 목록에서 압축 파일로 볼 확장자
+const ARCHIVE_EXTENSION_PATTERN = /\.(?:zip|rar|7z|tar|tar\.gz|tgz|gz)$/i;
+
+// 압축 형식 매직 바이트
+const ARCHIVE_SIGNATURES = [
+  { format: 'zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { format: 'zip', bytes: [0x50, 0x4B, 0x05, 0x06] },
+  { format: 'rar', bytes: [0x52, 0x61, 0x72, 0x21] },
+  { format: '7z', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+  { format: 'gzip', bytes: [0x1F, 0x8B] },
+];
+
+// 서버별 autoindex 목록 표식
+const LISTING_SIGNATURES = [
+  { server: 'apache', pattern: /<a href="\?C=N;O=D">/i },
+  { server: 'iis', pattern: /\[To Parent Directory\]/i },
+  { server: 'python', pattern: /<title>\s*Directory listing for \//i },
+  { server: 'generic', pattern: /<(?:title|h1)>\s*Index of \//i },
+];
+
+// 분석기처럼 보이지 않도록 일반 브라우저 User-Agent 사용
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// ============================================
+// 후보 경로
+// ============================================
+
+/**
+ * 최종 URL 기준 탐색 후보 목록 (깊은 디렉토리부터)
+ * @param {string} url
+ * @returns {Array} { url, kind: 'directory' | 'archive', reason }
+ */
+export function buildProbeCandidates(url) {
+  const base = new URL(url);
+  const segments = base.pathname.split('/').filter(Boolean);
+  // 마지막 조각이 파일(login.php 등)이면 디렉토리에서 제외
+  if (segments.length > 0 && !base.pathname.endsWith('/')) segments.pop();
+
+  const directories = [];
+  for (let depth = segments.length; depth >= 0 && directories.length <= MAX_DIRECTORY_DEPTH; depth--) {
+    directories.push(`/${segments.slice(0, depth).map(s => `${s}/`).join('')}`);
+  }
+
+  const candidates = [];
+  const add = (pathname, kind, reason) => {
+    const href = new URL(pathname, base.origin).href;
+    if (!candidates.some(c => c.url === href)) candidates.push({ url: href, kind, reason });
+  };
+
+  for (const dir of directories) {
+    add(dir, 'directory', 'parent-directory');
+    if (dir !== '/') add(`${dir.slice(0, -1)}.zip`, 'archive', 'directory-archive');
+  }
+
+  // 흔한 이름은 가장 깊은 디렉토리와 루트에서만
+  for (const dir of [...new Set([directories[0], '/'])]) {
+    for (const name of COMMON_ARCHIVE_NAMES) add(`${dir}${name}.zip`, 'archive', 'common-name');
+  }
+
+  return candidates;
+}
+
+// ============================================
+// 응답 해석
+// ============================================
+
+/**
+ * 본문을 상한까지만 읽기 (나머지는 받지 않고 취소)
+ * @param {Response} response
+ * @param {number} cap - 최대 바이트 수
+ * @returns {Promise<Object>} { buffer, complete }
+ */
+async function readCapped(response, cap) {
+  if (!response.body) return { buffer: Buffer.alloc(0), complete: true };
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let complete = false;
+
+  while (size < cap) {
+    const { done, value } = await reader.read();
+    if (done) {
+      complete = true;
+      break;
+    }
+    chunks.push(value);
+    size += value.length;
+  }
+  if (!complete) await reader.cancel().catch(() => {});
+
+  const buffer = Buffer.concat(chunks);
+  return { buffer: buffer.subarray(0, cap), complete: complete && buffer.length <= cap };
+}
+
+/**
+ * 매직 바이트로 압축 형식 판별
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function detectArchiveFormat(buffer) {
+  return ARCHIVE_SIGNATURES.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte)
+  )?.format || null;
+}
+
+/**
+ * ZIP 로컬 파일 헤더의 항목 이름 (받은 부분까지만)
+ * @param {Buffer} buffer
+ * @returns {string[]}
+ */
+export function listZipEntries(buffer) {
+  const entries = [];
+  let offset = 0;
+
+  while (offset + 30 <= buffer.length && entries.length < MAX_ZIP_ENTRIES) {
+    if (buffer.readUInt32LE(offset) !== 0x04034B50) break;
+
+    const flags = buffer.readUInt16LE(offset + 6);
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    if (offset + 30 + nameLength > buffer.length) break;
+
+    entries.push(buffer.toString('utf8', offset + 30, offset + 30 + nameLength));
+
+    // 크기가 데이터 디스크립터에 있는 항목은 다음 헤더 위치를 알 수 없음
+    if (flags & 0x08) break;
+    offset += 30 + nameLength + extraLength + compressedSize;
+  }
+
+  return entries;
+}
+
+/**
+ * autoindex 디렉토리 목록 판별 및 항목 추출
+ * @param {string} html
+ * @param {string} url - 목록 URL (상대 경로 해석용)
+ * @returns {Object|null} { server, entries, archives }
+ */
+export function parseDirectoryListing(html, url) {
+  const signature = LISTING_SIGNATURES.find(({ pattern }) => pattern.test(html));
+  if (!signature) return null;
+
+  const origin = new URL(url).origin;
+  const entries = [];
+  for (const [, href] of html.matchAll(/<a\s[^>]*href="([^"]+)"/gi)) {
+    if (href.startsWith('?') || href.startsWith('#')) continue;
+    let resolved;
+    try {
+      resolved = new URL(href.replace(/&amp;/g, '&'), url);
+    } catch {
+      continue;
+    }
+    // 상위 디렉토리 링크와 다른 호스트 링크 제외
+    if (resolved.origin !== origin || !resolved.href.startsWith(url)) continue;
+    if (resolved.href === url || entries.includes(resolved.href)) continue;
+    entries.push(resolved.href);
+    if (entries.length >= MAX_LISTING_ENTRIES) break;
+  }
+
+  return {
+    server: signature.server,
+    entries,
+    archives: entries.filter(entry => ARCHIVE_EXTENSION_PATTERN.test(new URL(entry).pathname)),
+  };
+}
+
+// ============================================
+// 탐색
+// ============================================
+
+/**
+ * 키트 압축 파일 / 열린 디렉토리 탐색
+ * @param {string} url - 분석한 페이지의 최종 URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - 전체 탐색 시간 (ms), 기본 15000
+ * @param {number} [options.maxProbes] - 최대 요청 수, 기본 40
+ * @param {number} [options.maxArchiveBytes] - 압축 파일당 최대 수신 크기, 기본·최대 1MB
+ * @returns {Promise<Object>} { startUrl, probed, listings, archives, truncated, error }
+ */
+export async function probeKitArtifacts(url, options = {}) {
+  const {
+    timeout = PROBE_TIMEOUT,
+    maxProbes = MAX_PROBES,
+  } = options;
+  // API 요청 값이 그대로 전달되므로 숫자로 변환하고 상한 적용
+  const requestedArchiveBytes = Number(options.maxArchiveBytes);
+  const maxArchiveBytes = requestedArchiveBytes > 0 ? Math.min(requestedArchiveBytes, ARCHIVE_SIZE_CAP) : ARCHIVE_SIZE_CAP;
+  const deadline = Date.now() + timeout;
+  const result = { startUrl: url, probed: 0, listings: [], archives: [], truncated: false, error: null };
+
+  let queue;
+  try {
+    if (!['http:', 'https:'].includes(new URL(url).protocol)) throw new Error('http(s) URL이 아닙니다.');
+    queue = buildProbeCandidates(url);
+  } catch (error) {
+    return { ...result, error: error.message };
+  }
+  const seen = new Set(queue.map(c => c.url));
+
+  while (queue.length > 0) {
+    const remaining = deadline - Date.now();
+    if (result.probed >= maxProbes || remaining <= 0) {
+      result.truncated = true;
+      if (remaining <= 0) result.error = '탐색 시간 초과';
+      break;
+    }
+
+    const candidate = queue.shift();
+    result.probed++;
+
+    let response;
+    try {
+      response = await fetch(candidate.url, {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(Math.min(REQUEST_TIMEOUT, remaining)),
+        headers: { 'User-Agent': USER_AGENT },
+      });
+    } catch {
+      continue;
+    }
+
+    if (response.status !== 200) {
+      await response.body?.cancel().catch(() => {});
+      continue;
+    }
+
+    try {
+      if (candidate.kind === 'directory') {
+        const { buffer } = await readCapped(response, MAX_LISTING_BYTES);
+        const listing = parseDirectoryListing(buffer.toString('utf8'), candidate.url);
+        if (!listing) continue;
+
+        result.listings.push({ url: candidate.url, ...listing });
+        // 목록에 보이는 압축 파일을 우선 확인
+        for (const archive of listing.archives.filter(a => !seen.has(a)).reverse()) {
+          seen.add(archive);
+          queue.unshift({ url: archive, kind: 'archive', reason: 'listing' });
+        }
+        continue;
+      }
+
+      const { buffer, complete } = await readCapped(response, maxArchiveBytes);
+      const format = detectArchiveFormat(buffer);
+      // 200으로 HTML을 돌려주는 가짜 404 제외
+      if (!format) continue;
+
+      result.archives.push({
+        url: candidate.url,
+        reason: candidate.reason,
+        format,
+        contentType: response.headers.get('content-type'),
+        contentLength: Number(response.headers.get('content-length')) || null,
+        bytesRead: buffer.length,
+        complete,
+        sha256: complete ? crypto.createHash('sha256').update(buffer).digest('hex') : null,
+        entries: format === 'zip' ? listZipEntries(buffer) : [],
+      });
+    } catch {
+      // 본문 읽기 실패 (연결 종료, 타임아웃) 무시
+    }
+  }
+
+  return result;
+}
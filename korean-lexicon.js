@@ -0,0 +1,153 @@
+/**
+ * Korean Lexicon Matcher
+ * 한국어 스미싱/피싱 문구 사전 매칭
+ *
+ * - 띄어쓰기/구분자 무시 ("본 인 인 증", "본.인.인.증" → "본인인증")
+ * - 자모 단위 비교 (분리된 자모 "ㅎㅘㄴ급금", 받침 분리 "화ㄴ급금" 등 우회 표기 대응)
+ * - 일치 위치를 원문 오프셋으로 되돌려 원문 표기와 주변 문맥 보고
+ * - 사전 데이터는 규칙 파일의 lexicons 섹션에서 로드 (rules/korean-lexicon.json)
+ */
+
+import { extractSnippet } from './rule-engine.js';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 한글 음절 분해용 자모 (호환 자모로 통일하여 초성/종성 구분 없이 비교)
+const INITIALS = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+const MEDIALS = 'ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ';
+const FINALS = ['', ...'ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ'];
+
+const SYLLABLE_BASE = 0xAC00;
+const SYLLABLE_LAST = 0xD7A3;
+
+// 비교 시 무시하는 문자 (공백, 제로폭 문자, 우회용 구분자)
+const SEPARATOR_PATTERN = /[\s\u200B-\u200D\u2060\uFEFF.,·ㆍ•\-_*~|\/\\'"`]/u;
+
+// 한 문구당 보고할 최대 일치 수
+const MAX_MATCHES_PER_PHRASE = 3;
+
+// 정규화 결과 캐시 (사전 항목 배열 → 정규화된 문구)
+const phraseCache = new WeakMap();
+
+// ============================================
+// 정규화
+// ============================================
+
+/**
+ * 문자 하나를 비교용 단위로 분해
+ * @param {string} char
+ * @returns {string} 호환 자모열 또는 소문자
+ */
+function decomposeChar(char) {
+  const code = char.codePointAt(0);
+
+  // 완성형 한글 음절 → 초성 + 중성 (+ 종성)
+  if (code >= SYLLABLE_BASE && code <= SYLLABLE_LAST) {
+    const offset = code - SYLLABLE_BASE;
+    return INITIALS[Math.floor(offset / 588)] +
+      MEDIALS[Math.floor((offset % 588) / 28)] +
+      FINALS[offset % 28];
+  }
+
+  // 조합형 첫가끝 자모 → 호환 자모
+  if (code >= 0x1100 && code < 0x1100 + INITIALS.length) return INITIALS[code - 0x1100];
+  if (code >= 0x1161 && code < 0x1161 + MEDIALS.length) return MEDIALS[code - 0x1161];
+  if (code >= 0x11A8 && code < 0x11A8 + FINALS.length - 1) return FINALS[code - 0x11A8 + 1];
+
+  return char.toLowerCase();
+}
+
+/**
+ * 비교용 정규화 (구분자 제거 + 자모 분해) 및 원문 오프셋 매핑
+ * @param {string} text
+ * @returns {{ normalized: string, offsets: number[] }} offsets[i] = normalized[i]의 원문 위치
+ */
+export function normalizeForMatch(text) {
+  let normalized = '';
+  const offsets = [];
+  let index = 0;
+
+  for (const char of (text || '').normalize('NFC')) {
+    if (!SEPARATOR_PATTERN.test(char)) {
+      const units = decomposeChar(char);
+      normalized += units;
+      for (let i = 0; i < units.length; i++) offsets.push(index);
+    }
+    index += char.length;
+  }
+
+  return { normalized, offsets };
+}
+
+/**
+ * 사전 항목의 정규화된 문구 (캐시)
+ * @param {Array} entries
+ * @returns {string[]}
+ */
+function normalizedPhrases(entries) {
+  if (!phraseCache.has(entries)) {
+    phraseCache.set(entries, entries.map(entry => normalizeForMatch(entry.phrase).normalized));
+  }
+  return phraseCache.get(entries);
+}
+
+// ============================================
+// 매칭
+// ============================================
+
+/**
+ * 텍스트에서 사전 문구 찾기
+ * @param {string} text - 검사할 원문 (NFC 기준 오프셋 보고)
+ * @param {Array} entries - 사전 항목 ({ phrase, weight, category })
+ * @returns {Array} 일치 목록 ({ phrase, weight, category, match, index, snippet })
+ */
+export function matchLexicon(text, entries = []) {
+  if (!text || entries.length === 0) return [];
+
+  const source = text.normalize('NFC');
+  const { normalized, offsets } = normalizeForMatch(source);
+  const phrases = normalizedPhrases(entries);
+  const matches = [];
+
+  entries.forEach((entry, i) => {
+    const phrase = phrases[i];
+    if (!phrase) return;
+
+    let found = 0;
+    let position = normalized.indexOf(phrase);
+    while (position !== -1 && found < MAX_MATCHES_PER_PHRASE) {
+      const start = offsets[position];
+      const lastStart = offsets[position + phrase.length - 1];
+      const end = lastStart + String.fromCodePoint(source.codePointAt(lastStart)).length;
+
+      matches.push({
+        phrase: entry.phrase,
+        weight: entry.weight,
+        category: entry.category || null,
+        match: source.substring(start, end),
+        index: start,
+        snippet: extractSnippet(source, start, end - start),
+      });
+
+      found++;
+      position = normalized.indexOf(phrase, position + phrase.length);
+    }
+  });
+
+  return matches.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 일치한 문구별 가중치 합계 (같은 문구는 한 번만 계산)
+ * @param {Array} matches - matchLexicon 결과
+ * @returns {number}
+ */
+export function sumLexiconWeight(matches) {
+  const seen = new Map();
+  for (const match of matches) {
+    seen.set(match.phrase, match.weight);
+  }
+  return [...seen.values()].reduce((sum, weight) => sum + weight, 0);
+}
@@ -6,6 +6,18 @@
  * 비동기 분석 (즉시 반환, 결과는 WebSocket으로 전송)
  */
 
+import { detectBrandImpersonation, collectBrandEvidence } from './brand-registry.js';
+import { getLexicon, getRuleset } from './rule-engine.js';
+import { matchLexicon } from './korean-lexicon.js';
+import { analyzeScript } from './script-analyzer.js';
+import { summarizeKeyListeners } from './keylogger-detector.js';
+import { analyzeResourceAbuse, analyzePermissions, analyzeTechSupportScam, analyzeExfilEndpoints, analyzePhishingKit } from './analyzer.js';
+import { buildFingerprintProfile } from './fingerprint-detector.js';
+import { detectOverlays } from './overlay-detector.js';
+import { buildScarewareReport, mergeScreenshotPhoneNumbers } from './scareware-detector.js';
+import { storeHar } from './har-recorder.js';
+import { collectKitEvidence } from './kit-fingerprints.js';
+
 // OpenRouter API 설정
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 const MODEL_NAME = 'google/gemini-3-flash-preview';
@@ -21,9 +33,10 @@ const ANALYSIS_TIMEOUT = 60000; // 60초
  * URL 리다이렉트 감지 및 분석
  * @param {string} originalUrl - 사용자가 입력한 원래 URL
  * @param {string} currentUrl - 최종 도착한 URL
+ * @param {Object} [chain] - RedirectTracker.getChain() 결과 (단계별 기록)
  * @returns {Object} 리다이렉트 정보
  */
-function detectRedirect(originalUrl, currentUrl) {
+function detectRedirect(originalUrl, currentUrl, chain = null) {
   // URL 정규화
   const normalizeUrl = (url) => {
     try {
@@ -58,6 +71,7 @@ function detectRedirect(originalUrl, currentUrl) {
     currentDomain: current.hostname,
     typosquatting,
     domainSimilarity,
+    chain,
     explanation: generateRedirectExplanation(original, current, typosquatting),
   };
 }
@@ -184,21 +198,24 @@ function generateRedirectExplanation(original, current, typosquatting) {
 /**
  * 페이지에서 분석에 필요한 모든 데이터 수집
  * @param {import('puppeteer').Page} page - Puppeteer 페이지 객체
+ * @param {Array} [scriptBodies] - ScriptCollector.getScripts() 결과 (외부 스크립트 본문)
  * @returns {Promise<Object>} 수집된 분석 데이터
  */
-export async function collectAnalysisData(page) {
-  const [screenshot, html, forms, scripts] = await Promise.all([
+export async function collectAnalysisData(page, scriptBodies = []) {
+  const [screenshot, html, forms, scripts, overlays] = await Promise.all([
     captureScreenshot(page),
     page.content(),
     getFormInfo(page),
     getScriptInfo(page),
+    detectOverlays(page).catch(() => null),
   ]);
 
   return {
     screenshot,
     html,
     forms,
-    scripts,
+    scripts: attachObfuscationReports(scripts, scriptBodies),
+    overlays,
     url: page.url(),
     title: await page.title().catch(() => ''),
     timestamp: new Date().toISOString(),
@@ -275,8 +292,8 @@ export async function getScriptInfo(page) {
       return [...document.scripts].map(script => ({
         src: script.src || null,
         isExternal: !!script.src,
-        // 인라인 스크립트는 처음 1000자만 수집 (보안상)
-        content: script.src ? null : (script.textContent?.substring(0, 1000) || null),
+        // 인라인 스크립트는 전체 수집 (난독화 분석용, 프롬프트에는 요약만 포함)
+        content: script.src ? null : (script.textContent || null),
         type: script.type || 'text/javascript',
         async: script.async,
         defer: script.defer,
@@ -297,6 +314,27 @@ export async function getScriptInfo(page) {
   }
 }
 
+/**
+ * 스크립트별 난독화 분석 결과 첨부
+ * 외부 스크립트는 네트워크에서 수집한 본문과 URL로 연결
+ * @param {Array} scripts - getScriptInfo() 결과
+ * @param {Array} scriptBodies - ScriptCollector.getScripts() 결과
+ * @returns {Array}
+ */
+function attachObfuscationReports(scripts, scriptBodies) {
+  const bodies = new Map(scriptBodies.map(s => [s.url, s.body]));
+
+  return scripts.map((script, index) => {
+    const body = script.isExternal ? bodies.get(script.src) : script.content;
+    if (!body) return { ...script, obfuscation: null };
+
+    return {
+      ...script,
+      obfuscation: analyzeScript(body, script.isExternal ? { scriptUrl: script.src } : { scriptIndex: index }),
+    };
+  });
+}
+
 /**
  * 추가 메타 정보 수집
  * @param {import('puppeteer').Page} page
@@ -304,7 +342,7 @@ export async function getScriptInfo(page) {
  */
 export async function getMetaInfo(page) {
   try {
-    return await page.evaluate(() => {
+    const { bodyText, ...metaInfo } = await page.evaluate(() => {
       const metas = [...document.querySelectorAll('meta')];
       const links = [...document.querySelectorAll('link')];
 
@@ -332,18 +370,18 @@ export async function getMetaInfo(page) {
         hasHiddenInputs: document.querySelectorAll('input[type="hidden"]').length > 0,
         hiddenInputCount: document.querySelectorAll('input[type="hidden"]').length,
 
-        // 긴급성 문구 감지
-        urgencyKeywords: (() => {
-          const text = document.body?.innerText?.toLowerCase() || '';
-          const keywords = [
-            'urgent', 'immediately', 'expire', 'suspended', 'verify now',
-            'act now', 'limited time', 'your account', 'confirm identity',
-            '긴급', '즉시', '만료', '정지', '지금 확인', '계정', '본인 확인',
-          ];
-          return keywords.filter(k => text.includes(k));
-        })(),
+        // 긴급성 문구 감지용 본문 (규칙 파일의 문구 사전으로 검사)
+        bodyText: (document.body?.innerText || '').substring(0, 50000),
       };
     });
+
+    // 긴급성 문구 + 한국어 스미싱 문구 (띄어쓰기·자모 분리 표기 허용)
+    const matches = matchLexicon(bodyText, [...getLexicon('urgency'), ...getLexicon('korean-phishing')]);
+
+    return {
+      ...metaInfo,
+      urgencyKeywords: [...new Set(matches.map(m => m.phrase))],
+    };
   } catch (error) {
     console.warn('[Live Analyzer] 메타 정보 추출 실패:', error.message);
     return {};
@@ -360,7 +398,7 @@ export async function getMetaInfo(page) {
  * @returns {string} 리다이렉트 섹션 텍스트
  */
 function buildRedirectSection(redirectInfo) {
-  if (!redirectInfo || !redirectInfo.redirected) {
+  if (!redirectInfo || (!redirectInfo.redirected && !redirectInfo.chain?.hopCount)) {
     return '';
   }
 
@@ -377,6 +415,23 @@ function buildRedirectSection(redirectInfo) {
 - **사용된 숫자**: ${redirectInfo.typosquatting.numbersUsed.join(', ')}`;
   }
 
+  if (redirectInfo.chain?.hops.length > 0) {
+    const hops = redirectInfo.chain.hops
+      .map((hop, i) => `  ${i + 1}. [${hop.type}${hop.status ? ` ${hop.status}` : ''}] ${hop.from || '(시작)'} → ${hop.to}`)
+      .join('\n');
+    section += `
+- **리다이렉트 단계**:
+${hops}`;
+    if (redirectInfo.chain.shorteners.length > 0) {
+      section += `
+- **URL 단축 서비스 경유**: ${redirectInfo.chain.shorteners.join(', ')}`;
+    }
+    if (redirectInfo.chain.downgrades.length > 0) {
+      section += `
+- **HTTPS→HTTP 다운그레이드**: ${redirectInfo.chain.downgrades.map(d => d.to).join(', ')}`;
+    }
+  }
+
   section += `
 
 **중요**: 이 리다이렉트가 왜 발생했는지, 그리고 이것이 안전한지 위험한지 반드시 설명해주세요.
@@ -387,6 +442,31 @@ function buildRedirectSection(redirectInfo) {
   return section;
 }
 
+/**
+ * 브랜드 사칭 섹션 생성
+ * @param {Object} brandImpersonation - detectBrandImpersonation 결과
+ * @returns {string} 브랜드 사칭 섹션 텍스트
+ */
+function buildBrandSection(brandImpersonation) {
+  if (!brandImpersonation || !brandImpersonation.detected) {
+    return '';
+  }
+
+  const signals = brandImpersonation.signals
+    .map(s => `  - ${s.type}: ${s.detail}`)
+    .join('\n');
+
+  return `
+### ⚠️ 브랜드 사칭 의심
+- **사칭 대상 브랜드**: ${brandImpersonation.brand.name}
+- **브랜드 공식 도메인**: ${brandImpersonation.officialDomains.join(', ')}
+- **탐지 신뢰도**: ${brandImpersonation.confidence}%
+- **탐지 신호**:
+${signals}
+
+**중요**: 현재 도메인은 이 브랜드의 공식 도메인이 아닙니다. 스크린샷과 함께 실제 사칭인지 판단하고, 사칭이라면 어떤 브랜드를 흉내 냈는지 설명해주세요.`;
+}
+
 /**
  * 멀티모달 분석 프롬프트 생성
  * @param {Object} data - 수집된 분석 데이터
@@ -402,12 +482,33 @@ function buildMultimodalPrompt(data, redirectInfo = null) {
   // 폼 분석 요약
   const formsSummary = summarizeForms(forms);
 
+  // 레이아웃(오버레이) 요약
+  const overlaysSummary = summarizeOverlays(data.overlays);
+
   // 스크립트 분석 요약
-  const scriptsSummary = summarizeScripts(scripts);
+  const scriptsSummary = summarizeScripts(scripts, data.keyListeners, data.fingerprinting);
 
   // 리다이렉트 섹션
   const redirectSection = buildRedirectSection(redirectInfo);
 
+  // 브랜드 사칭 섹션
+  const brandSection = buildBrandSection(data.brandImpersonation);
+
+  // 자원 남용 섹션
+  const resourceAbuseSection = buildResourceAbuseSection(data.resourceAbuse);
+
+  // 권한 요청 섹션
+  const permissionSection = buildPermissionSection(data.permissions);
+
+  // 기술 지원 사기 섹션
+  const techSupportScamSection = buildTechSupportScamSection(data.techSupportScam);
+
+  // 자격 증명 유출 엔드포인트 섹션
+  const exfilSection = buildExfilSection(data.exfilEndpoints);
+
+  // 피싱 키트 계열 섹션
+  const phishingKitSection = buildPhishingKitSection(data.phishingKit);
+
   return `당신은 사이버 보안 전문가이자 일반인을 위한 보안 교육자입니다.
 다음 웹페이지를 분석하여 피싱, 스캠, 악성코드 위험도를 평가해주세요.
 
@@ -419,6 +520,12 @@ function buildMultimodalPrompt(data, redirectInfo = null) {
 **현재 URL**: ${url}
 **페이지 제목**: ${title || '없음'}
 ${redirectSection}
+${brandSection}
+${resourceAbuseSection}
+${permissionSection}
+${techSupportScamSection}
+${exfilSection}
+${phishingKitSection}
 
 ### HTML 구조 분석
 ${htmlSummary}
@@ -426,6 +533,9 @@ ${htmlSummary}
 ### 폼 분석
 ${formsSummary}
 
+### 레이아웃 분석 (오버레이/클릭재킹)
+${overlaysSummary}
+
 ### 스크립트 분석
 ${scriptsSummary}
 
@@ -469,6 +579,7 @@ ${scriptsSummary}
     "brandImitation": true | false,
     "urgencyTactics": true | false,
     "fakeSecurityBadges": true | false,
+    "phoneNumbers": ["화면에 보이는 전화번호 (가짜 경고의 '지금 전화하세요' 등, 없으면 빈 배열)"],
     "description": "화면에서 발견된 내용을 일반인이 이해할 수 있게 설명. 예: '이 사이트는 네이버 로그인 페이지처럼 보이지만, 자세히 보면 로고 품질이 낮고 주소가 다릅니다. 진짜 네이버가 아닌 가짜 사이트입니다.'"
   },
   "redirectAnalysis": {
@@ -566,12 +677,41 @@ function summarizeForms(forms) {
   return summary.join('\n');
 }
 
+/**
+ * 레이아웃 검사 결과 요약
+ * @param {Object|null} overlays - detectOverlays() 결과
+ * @returns {string}
+ */
+function summarizeOverlays(overlays) {
+  if (!overlays) {
+    return '- 검사 실패';
+  }
+
+  const summary = [];
+  for (const frame of overlays.transparentFrames.filter(f => f.covered.length > 0)) {
+    summary.push(`- !! 투명 iframe(불투명도 ${frame.opacity})이 클릭 요소를 덮음: ${frame.covered.map(c => c.label || c.element).join(', ')}`);
+  }
+  for (const overlay of overlays.fullViewportOverlays) {
+    summary.push(`- ${overlay.transparent ? '!! 보이지 않는 ' : ''}화면 전체 고정 오버레이: ${overlay.element}${overlay.text ? ` ("${overlay.text}")` : ''}`);
+  }
+  for (const click of overlays.hijackedClicks.filter(c => c.deceptive)) {
+    summary.push(`- !! "${click.label || click.element}" 클릭이 다른 요소로 전달: ${click.receiver.element} ${click.receiver.href || ''}`);
+  }
+  for (const link of overlays.mismatchedLinks) {
+    summary.push(`- !! 링크 텍스트 "${link.label}"와 실제 이동 도메인(${link.actualDomain}) 불일치`);
+  }
+
+  return summary.length > 0 ? summary.join('\n') : '- 의심스러운 오버레이 없음';
+}
+
 /**
  * 스크립트 정보 요약
  * @param {Array} scripts
+ * @param {Array} [keyListeners] - summarizeKeyListeners() 결과 (런타임 계측)
+ * @param {Object|null} [fingerprinting] - buildFingerprintProfile() 결과 (런타임 계측)
  * @returns {string}
  */
-function summarizeScripts(scripts) {
+function summarizeScripts(scripts, keyListeners = [], fingerprinting = null) {
   if (!scripts || scripts.length === 0) {
     return '- 스크립트 없음';
   }
@@ -597,16 +737,291 @@ function summarizeScripts(scripts) {
     if (/window\.location\s*=/.test(script.content)) suspiciousPatterns.push('location redirect');
     if (/fromCharCode/.test(script.content)) suspiciousPatterns.push('fromCharCode');
     if (/btoa|atob/.test(script.content)) suspiciousPatterns.push('Base64 encoding');
-    if (/keydown|keypress|keyup/.test(script.content)) suspiciousPatterns.push('keyboard listener');
   }
 
   if (suspiciousPatterns.length > 0) {
     summary.push(`- !! 의심 패턴: ${[...new Set(suspiciousPatterns)].join(', ')}`);
   }
 
+  // 키 입력 리스너 (소스 문자열이 아닌 실제 등록 기록)
+  for (const listener of keyListeners.slice(0, 5)) {
+    summary.push(`- 키 입력 리스너: ${listener.scriptUrl || '출처 불명'} → ${listener.targets.join(', ')} (${listener.types.join(', ')})`);
+  }
+
+  // 핑거프린팅 (분석 환경/크롤러 필터링에 사용)
+  if (fingerprinting?.detected) {
+    summary.push(`- !! 브라우저 핑거프린팅: ${fingerprinting.techniques.join(', ')} (${fingerprinting.origins.filter(o => o.techniques.length > 0).map(o => o.origin).slice(0, 3).join(', ')})`);
+  }
+
+  // 난독화 지표 (외부 스크립트 본문 포함)
+  for (const finding of findObfuscatedScripts(scripts)) {
+    const label = finding.scriptUrl || `인라인 #${finding.scriptIndex}`;
+    summary.push(`- !! 난독화 의심 (${label}): ${finding.signals.join(', ') || '해제 문자열 발견'}`);
+    if (finding.decodedUrls.length > 0) {
+      summary.push(`  - 해제된 URL: ${finding.decodedUrls.slice(0, 5).join(', ')}`);
+    }
+    if (finding.telegramTokens.length > 0) {
+      summary.push(`  - 텔레그램 봇 토큰 ${finding.telegramTokens.length}개 포함`);
+    }
+  }
+
   return summary.join('\n');
 }
 
+/**
+ * 난독화 의심 스크립트 목록 (지표 + 해제된 문자열)
+ * @param {Array} scripts - collectAnalysisData()의 scripts
+ * @returns {Array} { scriptUrl|scriptIndex, signals, decodedStrings, decodedUrls, telegramTokens }
+ */
+function findObfuscatedScripts(scripts) {
+  const findings = [];
+
+  // 표시 기준은 obfuscation 규칙의 threshold (비활성화된 규칙의 지표는 표시하지 않음)
+  const rules = getRuleset().rules.filter(rule => rule.target === 'obfuscation');
+  const entropyRule = rules.find(rule => rule.check === 'highEntropy');
+  const stringArrayRule = rules.find(rule => rule.check === 'stringArray');
+  const escapeRule = rules.find(rule => rule.check === 'escapeDensity');
+
+  for (const script of scripts || []) {
+    const report = script.obfuscation;
+    if (!report) continue;
+
+    const signals = [...report.signatures];
+    if (entropyRule && report.size >= (entropyRule.minSize || 0) && report.entropy > entropyRule.threshold) {
+      signals.push(`엔트로피 ${report.entropy}`);
+    }
+    if (stringArrayRule && report.longestStringArray > stringArrayRule.threshold) {
+      signals.push(`문자열 배열 ${report.longestStringArray}개`);
+    }
+    if (escapeRule && report.escapeDensity > escapeRule.threshold) {
+      signals.push(`이스케이프 밀도 ${report.escapeDensity}`);
+    }
+    if (signals.length === 0 && report.decoded.urls.length === 0 && report.decoded.telegramTokens.length === 0) continue;
+
+    findings.push({
+      ...(report.scriptUrl ? { scriptUrl: report.scriptUrl } : { scriptIndex: report.scriptIndex }),
+      signals,
+      decodedStrings: report.decoded.strings,
+      decodedUrls: report.decoded.urls,
+      telegramTokens: report.decoded.telegramTokens,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * 채굴(자원 남용) 신호 수집 및 점수 계산
+ * @param {Object} data - collectAnalysisData() 결과
+ * @param {Object} options - { minerMonitor, scriptBodies, instrumentation }
+ * @returns {Promise<Object|null>} analyzeResourceAbuse() 결과 (모니터가 없으면 null)
+ */
+async function collectResourceAbuse(data, options) {
+  if (!options.minerMonitor) return null;
+
+  const report = await options.minerMonitor.getReport({
+    scripts: [
+      ...(options.scriptBodies || []),
+      ...data.scripts.filter(s => s.content).map(s => ({ url: null, body: s.content })),
+    ],
+    scriptUrls: data.scripts.filter(s => s.src).map(s => s.src),
+    instrumentation: options.instrumentation || null,
+  });
+  return analyzeResourceAbuse(report);
+}
+
+/**
+ * 자원 남용 섹션 생성
+ * @param {Object|null} resourceAbuse - collectResourceAbuse() 결과
+ * @returns {string}
+ */
+function buildResourceAbuseSection(resourceAbuse) {
+  if (!resourceAbuse || resourceAbuse.issues.length === 0) return '';
+
+  return `
+### !! 자원 남용 (암호화폐 채굴) 의심
+${resourceAbuse.issues.map(issue => `- ${issue}`).join('\n')}
+- 사용자 기기의 CPU로 몰래 암호화폐를 채굴하는 페이지일 수 있습니다.
+`;
+}
+
+/**
+ * 기술 지원 사기(가짜 바이러스 경고) 신호 수집 및 점수 계산
+ * @param {import('puppeteer').Page} page
+ * @param {Object} options - { scarewareMonitor, instrumentation }
+ * @returns {Promise<Object|null>} analyzeTechSupportScam() 결과 (계측이 없으면 null)
+ */
+async function collectTechSupportScam(page, options) {
+  if (options.scarewareMonitor) {
+    return analyzeTechSupportScam(await options.scarewareMonitor.getReport({ instrumentation: options.instrumentation || null }));
+  }
+  if (!options.instrumentation) return null;
+  return analyzeTechSupportScam(await buildScarewareReport(page, { instrumentation: options.instrumentation }));
+}
+
+/**
+ * 기술 지원 사기 섹션 생성
+ * @param {Object|null} techSupportScam - collectTechSupportScam() 결과
+ * @returns {string}
+ */
+function buildTechSupportScamSection(techSupportScam) {
+  if (!techSupportScam || techSupportScam.issues.length === 0) return '';
+
+  return `
+### !! 기술 지원 사기 (가짜 바이러스 경고) 의심
+${techSupportScam.issues.map(issue => `- ${issue}`).join('\n')}
+- 가짜 경고로 겁을 주어 전화를 걸게 한 뒤 원격 제어나 결제를 요구하는 페이지일 수 있습니다.
+`;
+}
+
+/**
+ * 결과 전송용 기술 지원 사기 정보 (AI가 스크린샷에서 읽은 전화번호 포함)
+ * @param {Object|null} techSupportScam
+ * @param {Object} result - AI 분석 결과
+ * @returns {Object|null} { score, issues, detected, behaviours, dialogs, phoneNumbers }
+ */
+function formatTechSupportScam(techSupportScam, result) {
+  if (!techSupportScam) return null;
+  const { score, issues, scareware } = techSupportScam;
+  return {
+    score,
+    issues,
+    ...scareware,
+    phoneNumbers: mergeScreenshotPhoneNumbers(scareware.phoneNumbers, result.visualAnalysis?.phoneNumbers),
+  };
+}
+
+/**
+ * 메신저 봇·웹훅·폼-이메일 유출 엔드포인트 수집 (세션 네트워크 기록 + 스크립트 소스)
+ * @param {Object} data - collectAnalysisData() 결과
+ * @param {Object} options - { harRecorder, scriptBodies }
+ * @returns {Promise<Object>} analyzeExfilEndpoints() 결과
+ */
+async function collectExfilEndpoints(data, options) {
+  const har = options.harRecorder ? await options.harRecorder.getHar() : null;
+  const requests = (har?.log.entries || []).map(entry => ({
+    url: entry.request.url,
+    method: entry.request.method,
+    postData: entry.request.postData?.text || null,
+  }));
+
+  return analyzeExfilEndpoints(
+    requests,
+    data.scripts.map((s, index) => ({ text: s.content, index })).filter(s => s.text),
+    options.scriptBodies || [],
+  );
+}
+
+/**
+ * 자격 증명 유출 엔드포인트 섹션 생성
+ * @param {Object|null} exfilEndpoints - collectExfilEndpoints() 결과
+ * @returns {string}
+ */
+function buildExfilSection(exfilEndpoints) {
+  if (!exfilEndpoints?.detected) return '';
+
+  const lines = exfilEndpoints.endpoints.map(e => {
+    const where = e.source === 'network' ? `${e.method} 요청` : `스크립트 ${e.scriptUrl || '인라인'}`;
+    return `- ${e.name}: ${e.endpoint} (${where})`;
+  });
+
+  return `
+### !! 자격 증명 유출 엔드포인트 (심각도 높음)
+${lines.join('\n')}
+- 입력한 아이디·비밀번호를 텔레그램 봇, 디스코드 웹훅, 폼-이메일 서비스로 공격자에게 보내는 피싱 키트의 전형적인 수법입니다.
+`;
+}
+
+/**
+ * 결과 전송용 유출 엔드포인트 정보 (별도 점수와 추출 지표 포함)
+ * @param {Object|null} exfilEndpoints
+ * @returns {Object|null} { score, issues, detected, severity, services, indicators, endpoints }
+ */
+function formatExfilEndpoints(exfilEndpoints) {
+  if (!exfilEndpoints) return null;
+  const { contributions, ...rest } = exfilEndpoints;
+  return rest;
+}
+
+/**
+ * 피싱 키트 계열 매칭 (페이지 구조/경로/표식 + 스크립트 본문 + 자산 해시)
+ * @param {import('puppeteer').Page} page
+ * @param {Object} data - collectAnalysisData() 결과
+ * @param {Object} options - { scriptBodies, assetHasher }
+ * @returns {Promise<Object>} analyzePhishingKit() 결과
+ */
+async function collectPhishingKit(page, data, options) {
+  return analyzePhishingKit(await collectKitEvidence(page), {
+    scripts: [
+      ...(options.scriptBodies || []).map(s => s.body),
+      ...data.scripts.filter(s => s.content).map(s => s.content),
+    ],
+    assets: options.assetHasher ? await options.assetHasher.getAssets() : [],
+  });
+}
+
+/**
+ * 피싱 키트 계열 섹션 생성
+ * @param {Object|null} phishingKit - collectPhishingKit() 결과
+ * @returns {string}
+ */
+function buildPhishingKitSection(phishingKit) {
+  if (!phishingKit?.kit.detected) return '';
+
+  return `
+### !! 피싱 키트 계열 일치: ${phishingKit.kit.family.name} (신뢰도 ${phishingKit.kit.confidence}%)
+${phishingKit.kit.signals.map(s => `- ${s.description}: ${s.detail}`).join('\n')}
+- 여러 도메인에서 반복해서 발견되는 기성 피싱 키트와 같은 구조입니다.
+`;
+}
+
+/**
+ * 결과 전송용 피싱 키트 정보 (별도 점수와 계열 판정 포함)
+ * @param {Object|null} phishingKit
+ * @returns {Object|null} { score, issues, detected, family, confidence, verdict, signals, antiBot, candidates }
+ */
+function formatPhishingKit(phishingKit) {
+  if (!phishingKit) return null;
+  const { score, issues, kit } = phishingKit;
+  return { score, issues, ...kit };
+}
+
+/**
+ * 권한 요청 섹션 생성
+ * @param {Object|null} permissions - analyzePermissions() 결과
+ * @returns {string}
+ */
+function buildPermissionSection(permissions) {
+  if (!permissions || !permissions.permissions.detected) return '';
+
+  return `
+### !! 권한 요청
+${permissions.permissions.requests.map(r => `- ${r.label} (${r.api}, ${r.scriptUrl || '인라인 스크립트'}${r.userActivation === false ? ', 사용자 조작 없이' : ''})`).join('\n')}
+- 알림 허용을 유도하여 스팸/사기 알림을 보내거나, 카메라·위치·클립보드를 악용하는 페이지일 수 있습니다.
+`;
+}
+
+/**
+ * 결과 전송용 권한 요청 정보 (별도 카테고리 점수 포함)
+ * @param {Object|null} permissions
+ * @returns {Object|null} { score, issues, detected, permissions, requests }
+ */
+function formatPermissions(permissions) {
+  if (!permissions) return null;
+  return { score: permissions.score, issues: permissions.issues, ...permissions.permissions };
+}
+
+/**
+ * 결과 전송용 자원 남용 정보 (별도 카테고리 점수 포함)
+ * @param {Object|null} resourceAbuse
+ * @returns {Object|null} { score, issues, signatures, stratum, wasm, workers, cpu }
+ */
+function formatResourceAbuse(resourceAbuse) {
+  if (!resourceAbuse) return null;
+  const { score, issues, miner } = resourceAbuse;
+  return { score, issues, ...miner };
+}
+
 /**
  * 멀티모달 AI 분석 실행
  * @param {Object} data - 수집된 분석 데이터
@@ -844,6 +1259,13 @@ function parseAIResponse(content) {
  * @param {import('puppeteer').Page} page - Puppeteer 페이지 객체
  * @param {Function} sendMessage - 메시지 전송 함수 (WebSocket 등)
  * @param {Object} options - 추가 옵션
+ * @param {string} [options.originalUrl] - 사용자가 입력한 원래 URL
+ * @param {Object} [options.redirectChain] - RedirectTracker.getChain() 결과
+ * @param {Array} [options.scriptBodies] - ScriptCollector.getScripts() 결과
+ * @param {Object} [options.instrumentation] - PageInstrumentation (키 입력 리스너 기록)
+ * @param {Object} [options.minerMonitor] - MinerMonitor (채굴 신호)
+ * @param {Object} [options.harRecorder] - HarRecorder (분석 ID로 HAR 다운로드)
+ * @param {Object} [options.assetHasher] - AssetHasher (키트 지문 자산 해시)
  * @returns {Promise<void>}
  */
 export async function analyzeInBackground(page, sendMessage, options = {}) {
@@ -851,8 +1273,11 @@ export async function analyzeInBackground(page, sendMessage, options = {}) {
   const originalUrl = options.originalUrl || currentUrl;
   const analysisId = `analysis_${Date.now()}_${Math.random().toString(36).substring(7)}`;
 
-  // 리다이렉트 감지
-  const redirectInfo = detectRedirect(originalUrl, currentUrl);
+  // 세션의 네트워크 기록을 분석 ID로도 다운로드할 수 있도록 등록
+  if (options.harRecorder) storeHar(analysisId, options.harRecorder);
+
+  // 리다이렉트 감지 (세션이 추적한 체인이 있으면 함께 전달)
+  const redirectInfo = detectRedirect(originalUrl, currentUrl, options.redirectChain || null);
 
   // 분석 시작 알림
   sendMessage({
@@ -873,11 +1298,25 @@ export async function analyzeInBackground(page, sendMessage, options = {}) {
       message: '페이지 데이터 수집 중...',
     });
 
-    const data = await collectAnalysisData(page);
+    const data = await collectAnalysisData(page, options.scriptBodies || []);
+    data.keyListeners = summarizeKeyListeners(options.instrumentation?.getEvents('listener') || []);
+    data.fingerprinting = options.instrumentation
+      ? buildFingerprintProfile(options.instrumentation.getEvents('fingerprint'), data.url)
+      : null;
+    data.resourceAbuse = await collectResourceAbuse(data, options);
+    data.permissions = options.instrumentation
+      ? analyzePermissions(options.instrumentation.getEvents('permission'))
+      : null;
+    data.techSupportScam = await collectTechSupportScam(page, options);
+    data.exfilEndpoints = await collectExfilEndpoints(data, options);
+    data.phishingKit = await collectPhishingKit(page, data, options);
 
     // 메타 정보도 수집
     const metaInfo = await getMetaInfo(page);
 
+    // 브랜드 사칭 탐지
+    const brandImpersonation = detectBrandImpersonation(await collectBrandEvidence(page));
+
     sendMessage({
       type: 'analysis_progress',
       analysisId,
@@ -889,6 +1328,7 @@ export async function analyzeInBackground(page, sendMessage, options = {}) {
         formCount: data.forms.length,
         scriptCount: data.scripts.length,
         hasScreenshot: !!data.screenshot,
+        impersonatedBrand: brandImpersonation.brand,
         ...metaInfo,
       },
     });
@@ -901,7 +1341,7 @@ export async function analyzeInBackground(page, sendMessage, options = {}) {
       message: 'AI 멀티모달 분석 중...',
     });
 
-    const result = await analyzeWithAIMultimodal({ ...data, metaInfo }, redirectInfo);
+    const result = await analyzeWithAIMultimodal({ ...data, metaInfo, brandImpersonation }, redirectInfo);
 
     // 3. 분석 완료 알림
     sendMessage({
@@ -910,9 +1350,24 @@ export async function analyzeInBackground(page, sendMessage, options = {}) {
       url: data.url,
       originalUrl,
       redirected: redirectInfo.redirected,
+      redirectChain: redirectInfo.chain,
       title: data.title,
       timestamp: new Date().toISOString(),
       ...result,
+      obfuscatedScripts: findObfuscatedScripts(data.scripts),
+      resourceAbuse: formatResourceAbuse(data.resourceAbuse),
+      fingerprinting: data.fingerprinting,
+      permissions: formatPermissions(data.permissions),
+      techSupportScam: formatTechSupportScam(data.techSupportScam, result),
+      exfilEndpoints: formatExfilEndpoints(data.exfilEndpoints),
+      phishingKit: formatPhishingKit(data.phishingKit),
+      overlays: data.overlays,
+      brandImpersonation: brandImpersonation.detected ? {
+        brand: brandImpersonation.brand,
+        confidence: brandImpersonation.confidence,
+        signals: brandImpersonation.signals,
+        officialDomains: brandImpersonation.officialDomains,
+      } : null,
     });
 
   } catch (error) {
@@ -931,13 +1386,37 @@ export async function analyzeInBackground(page, sendMessage, options = {}) {
 /**
  * 간편 분석 함수 (Promise 반환)
  * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {Array} [options.scriptBodies] - ScriptCollector.getScripts() 결과
+ * @param {Object} [options.instrumentation] - PageInstrumentation (권한 요청 기록)
+ * @param {Object} [options.minerMonitor] - MinerMonitor (채굴 신호)
+ * @param {Object} [options.harRecorder] - HarRecorder (유출 엔드포인트 요청 탐지)
+ * @param {Object} [options.assetHasher] - AssetHasher (키트 지문 자산 해시)
  * @returns {Promise<Object>} 분석 결과
  */
-export async function analyzePage(page) {
-  const data = await collectAnalysisData(page);
+export async function analyzePage(page, options = {}) {
+  const data = await collectAnalysisData(page, options.scriptBodies || []);
+  data.resourceAbuse = await collectResourceAbuse(data, options);
+  data.permissions = options.instrumentation
+    ? analyzePermissions(options.instrumentation.getEvents('permission'))
+    : null;
+  data.exfilEndpoints = await collectExfilEndpoints(data, options);
+  data.phishingKit = await collectPhishingKit(page, data, options);
   const metaInfo = await getMetaInfo(page);
+  const brandImpersonation = detectBrandImpersonation(await collectBrandEvidence(page));
+
+  const result = await analyzeWithAIMultimodal({ ...data, metaInfo, brandImpersonation });
 
-  return analyzeWithAIMultimodal({ ...data, metaInfo });
+  return {
+    ...result,
+    obfuscatedScripts: findObfuscatedScripts(data.scripts),
+    resourceAbuse: formatResourceAbuse(data.resourceAbuse),
+    permissions: formatPermissions(data.permissions),
+    exfilEndpoints: formatExfilEndpoints(data.exfilEndpoints),
+    phishingKit: formatPhishingKit(data.phishingKit),
+    overlays: data.overlays,
+    brandImpersonation: brandImpersonation.detected ? brandImpersonation : null,
+  };
 }
 
 // ============================================
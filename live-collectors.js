@@ -0,0 +1,65 @@
+/**
+ * Live Collectors
+ * 실시간 분석(Live Analyzer)에 넘길 페이지 수집기 묶음
+ *
+ * - 네트워크 기록(HAR), 외부 스크립트 본문, 키트 지문 자산 해시, 브라우저 API 계측(권한 요청 등), 채굴 신호
+ * - page.goto() 전에 startLiveCollectors()로 시작하고, 분석할 때마다 getLiveAnalysisOptions()로
+ *   analyzeInBackground()/analyzePage() 옵션을 구성 (세션 내 이동 후 재분석도 같은 옵션 사용)
+ */
+
+import { HarRecorder } from './har-recorder.js';
+import { ScriptCollector } from './script-analyzer.js';
+import { AssetHasher } from './kit-fingerprints.js';
+import { PageInstrumentation } from './page-instrumentation.js';
+import { MinerMonitor } from './cryptominer-detector.js';
+
+/**
+ * 수집기 시작 (page.goto() 전에 호출해야 로드 중 요청도 기록됨)
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {boolean} [options.harBodies] - HAR에 응답 본문 포함 여부, 기본 false
+ * @param {number} [options.harBodyLimit] - HAR에 저장할 응답 본문 하나의 최대 크기 (바이트)
+ * @returns {Promise<Object>} { harRecorder, scriptCollector, assetHasher, instrumentation, minerMonitor }
+ */
+export async function startLiveCollectors(page, options = {}) {
+  // 전체 네트워크 기록 (HAR 1.2)
+  const harRecorder = new HarRecorder(page, {
+    includeBodies: options.harBodies === true,
+    maxBodySize: options.harBodyLimit,
+  });
+  await harRecorder.start();
+
+  // 외부 스크립트 본문 수집 (난독화 분석용)
+  const scriptCollector = new ScriptCollector(page);
+  scriptCollector.start();
+
+  // 자산 해시 수집 (키트 지문 매칭)
+  const assetHasher = new AssetHasher(page);
+  assetHasher.start();
+
+  // 브라우저 API 계측 (페이지 스크립트보다 먼저 주입)
+  const instrumentation = new PageInstrumentation(page);
+  await instrumentation.install();
+
+  // 채굴 신호 수집 (WebSocket, .wasm 응답, 워커, CPU 지표)
+  const minerMonitor = new MinerMonitor(page);
+  await minerMonitor.start();
+
+  return { harRecorder, scriptCollector, assetHasher, instrumentation, minerMonitor };
+}
+
+/**
+ * 수집기 묶음으로 analyzeInBackground()/analyzePage() 옵션 구성
+ * @param {Object} collectors - startLiveCollectors() 결과 또는 같은 이름의 필드를 가진 SandboxSession
+ * @returns {Promise<Object>} { scriptBodies, instrumentation, minerMonitor, scarewareMonitor, harRecorder, assetHasher }
+ */
+export async function getLiveAnalysisOptions(collectors) {
+  return {
+    scriptBodies: await collectors.scriptCollector?.getScripts() || [],
+    instrumentation: collectors.instrumentation || null,
+    minerMonitor: collectors.minerMonitor || null,
+    scarewareMonitor: collectors.scarewareMonitor || null,
+    harRecorder: collectors.harRecorder || null,
+    assetHasher: collectors.assetHasher || null,
+  };
+}
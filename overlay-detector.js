@@ -0,0 +1,276 @@
+/**
+ * Overlay Detector
+ * 렌더링된 레이아웃에서 클릭재킹/기만적 오버레이 탐지
+ *
+ * - 클릭 가능한 요소 위를 덮는 투명(불투명도 거의 0) iframe
+ * - 뷰포트 전체를 덮는 고정(fixed) 오버레이 (투명하면 클릭 가로채기)
+ * - 보이는 라벨과 실제 클릭 지점이 다른 요소 (다른 요소가 클릭을 받거나, 링크 텍스트의 도메인과 실제 이동 도메인이 다름)
+ * - 계산된 스타일과 경계 상자(bounding box)를 사용하며, UI 강조 표시용으로 뷰포트 좌표의 상자를 함께 보고
+ */
+
+import { getRegistrableDomain } from './domain-utils.js';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 투명으로 판단하는 최대 불투명도 (조상 요소 불투명도의 곱)
+const TRANSPARENT_OPACITY = 0.1;
+
+// 뷰포트 전체 오버레이로 판단하는 최소 면적 비율
+const FULL_VIEWPORT_RATIO = 0.9;
+
+// 검사할 클릭 가능 요소 최대 수
+const MAX_CLICKABLES = 300;
+
+// 유형별 보고할 최대 항목 수
+const MAX_FINDINGS = 20;
+
+// ============================================
+// 페이지 측 수집
+// ============================================
+
+/**
+ * 레이아웃 검사 (브라우저 문맥에서 실행, 외부 변수 참조 불가)
+ * @param {Object} limits - { transparentOpacity, fullViewportRatio, maxClickables, maxFindings }
+ * @returns {Object} { viewport, transparentFrames, fullViewportOverlays, hijackedClicks, links }
+ */
+function inspectLayout(limits) {
+  const viewport = { width: window.innerWidth, height: window.innerHeight };
+  const viewportArea = viewport.width * viewport.height;
+
+  const boxOf = (el) => {
+    const rect = el.getBoundingClientRect();
+    return {
+      x: Math.round(rect.x),
+      y: Math.round(rect.y),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+    };
+  };
+
+  const describe = (el) => {
+    const tag = el.tagName.toLowerCase();
+    const id = el.id ? `#${el.id}` : '';
+    const className = typeof el.className === 'string' && el.className.trim()
+      ? `.${el.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+      : '';
+    return `${tag}${id}${className}`;
+  };
+
+  // 조상까지 곱한 실효 불투명도
+  const effectiveOpacity = (el) => {
+    let opacity = 1;
+    for (let node = el; node instanceof Element; node = node.parentElement) {
+      opacity *= parseFloat(getComputedStyle(node).opacity);
+    }
+    return Math.round(opacity * 1000) / 1000;
+  };
+
+  const isVisible = (el) => {
+    const style = getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+  };
+
+  const intersects = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+  const labelOf = (el) => (el.innerText || el.value || el.getAttribute('aria-label') || el.title || '')
+    .trim().replace(/\s+/g, ' ').substring(0, 80);
+
+  const clickables = [...document.querySelectorAll('a[href], button, input[type="submit"], input[type="button"], input[type="image"], [onclick], [role="button"]')]
+    .filter(isVisible)
+    .slice(0, limits.maxClickables);
+
+  // ----- 투명 iframe이 클릭 가능 요소를 덮음 -----
+  const transparentFrames = [];
+  for (const frame of document.querySelectorAll('iframe')) {
+    if (transparentFrames.length >= limits.maxFindings) break;
+    const style = getComputedStyle(frame);
+    const box = boxOf(frame);
+    const opacity = effectiveOpacity(frame);
+    if (style.display === 'none' || box.width === 0 || box.height === 0) continue;
+    if (opacity > limits.transparentOpacity || style.pointerEvents === 'none') continue;
+
+    const covered = clickables
+      .filter(el => !frame.contains(el) && intersects(boxOf(el), box))
+      .slice(0, 5)
+      .map(el => ({ element: describe(el), label: labelOf(el), box: boxOf(el) }));
+
+    transparentFrames.push({
+      element: describe(frame),
+      src: frame.src || null,
+      opacity,
+      zIndex: style.zIndex,
+      box,
+      covered,
+    });
+  }
+
+  // ----- 뷰포트 전체를 덮는 고정 오버레이 -----
+  const fullViewportOverlays = [];
+  for (const el of document.body ? document.body.querySelectorAll('*') : []) {
+    if (fullViewportOverlays.length >= limits.maxFindings) break;
+    const style = getComputedStyle(el);
+    if (style.position !== 'fixed' || style.pointerEvents === 'none' || !isVisible(el)) continue;
+
+    const box = boxOf(el);
+    const visibleWidth = Math.min(box.x + box.width, viewport.width) - Math.max(box.x, 0);
+    const visibleHeight = Math.min(box.y + box.height, viewport.height) - Math.max(box.y, 0);
+    if (visibleWidth <= 0 || visibleHeight <= 0) continue;
+    if ((visibleWidth * visibleHeight) / viewportArea < limits.fullViewportRatio) continue;
+
+    // 바깥쪽 오버레이만 보고 (같은 오버레이의 자식 제외)
+    if (fullViewportOverlays.some(o => o.node.contains(el))) continue;
+
+    const opacity = effectiveOpacity(el);
+    const transparentBackground = style.backgroundColor === 'rgba(0, 0, 0, 0)' && style.backgroundImage === 'none';
+    fullViewportOverlays.push({
+      node: el,
+      element: describe(el),
+      opacity,
+      zIndex: style.zIndex,
+      // 보이지 않지만 클릭을 받는 오버레이 (내용 없이 투명한 배경 또는 불투명도 거의 0)
+      transparent: opacity <= limits.transparentOpacity || (transparentBackground && !labelOf(el)),
+      text: labelOf(el),
+      links: [...el.querySelectorAll('a[href]')].slice(0, 5).map(a => a.href),
+      box,
+    });
+  }
+
+  // ----- 라벨과 실제 클릭 지점 불일치 -----
+  const hijackedClicks = [];
+  for (const el of clickables) {
+    if (hijackedClicks.length >= limits.maxFindings) break;
+    const box = boxOf(el);
+    const x = box.x + box.width / 2;
+    const y = box.y + box.height / 2;
+    if (x < 0 || y < 0 || x >= viewport.width || y >= viewport.height) continue;
+
+    const hit = document.elementFromPoint(x, y);
+    if (!hit || hit === el || el.contains(hit) || hit.contains(el)) continue;
+
+    // 클릭을 받는 요소가 다른 링크/버튼 안이거나 iframe이면 기록
+    const receiver = hit.closest('a[href], button, [onclick], [role="button"], iframe') || hit;
+    hijackedClicks.push({
+      element: describe(el),
+      label: labelOf(el),
+      href: el.href || null,
+      box,
+      receiver: {
+        element: describe(receiver),
+        href: receiver.href || receiver.src || null,
+        opacity: effectiveOpacity(receiver),
+        box: boxOf(receiver),
+      },
+    });
+  }
+
+  // ----- 도메인처럼 보이는 링크 텍스트 (Node 측에서 실제 이동 도메인과 비교) -----
+  const links = clickables
+    .filter(el => el.tagName === 'A' && /[a-z0-9-]+\.[a-z]{2,}/i.test(labelOf(el)))
+    .map(el => ({ element: describe(el), label: labelOf(el), href: el.href, box: boxOf(el) }));
+
+  return {
+    viewport,
+    transparentFrames,
+    fullViewportOverlays: fullViewportOverlays.map(({ node, ...overlay }) => overlay),
+    hijackedClicks,
+    links,
+  };
+}
+
+// ============================================
+// 탐지
+// ============================================
+
+/**
+ * URL의 등록 가능 도메인 (http(s)가 아니면 null)
+ * @param {string|null} url
+ * @returns {string|null}
+ */
+function domainOf(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol.startsWith('http') ? getRegistrableDomain(parsed.hostname) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 링크 텍스트 전체가 URL/도메인일 때 표시된 도메인 추출
+ * @param {string} label
+ * @returns {string|null}
+ */
+function labelDomain(label) {
+  const match = label.match(/^(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?:[/:?#]\S*)?$/i);
+  if (!match) return null;
+  try {
+    return getRegistrableDomain(match[1].toLowerCase());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 링크 텍스트가 보여주는 도메인과 실제 이동 도메인이 다른 링크
+ * @param {Array} links - { label, href, element, box }
+ * @returns {Array} { ...link, shownDomain, actualDomain }
+ */
+export function findMismatchedLinks(links) {
+  const mismatched = [];
+  for (const link of links) {
+    const shownDomain = labelDomain(link.label);
+    const actualDomain = domainOf(link.href);
+    if (shownDomain && actualDomain && shownDomain !== actualDomain) {
+      mismatched.push({ ...link, shownDomain, actualDomain });
+    }
+  }
+  return mismatched.slice(0, MAX_FINDINGS);
+}
+
+/**
+ * 다른 요소가 클릭을 받는 경우 중 기만적인 것 표시
+ * 고정 헤더 등에 가려진 평범한 경우와 구분: 받는 요소가 투명하거나, iframe이거나, 다른 도메인으로 이동
+ * @param {Array} hijackedClicks
+ * @returns {Array} { ...click, deceptive }
+ */
+export function markDeceptiveClicks(hijackedClicks) {
+  return hijackedClicks.map(click => {
+    const labelDomainOf = domainOf(click.href);
+    const receiverDomain = domainOf(click.receiver.href);
+    const deceptive = click.receiver.opacity <= TRANSPARENT_OPACITY
+      || click.receiver.element.startsWith('iframe')
+      || Boolean(labelDomainOf && receiverDomain && labelDomainOf !== receiverDomain);
+    return { ...click, deceptive };
+  });
+}
+
+/**
+ * 클릭재킹/기만적 오버레이 탐지
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Object>} { detected, viewport, transparentFrames, fullViewportOverlays, hijackedClicks, mismatchedLinks }
+ */
+export async function detectOverlays(page) {
+  const layout = await page.evaluate(inspectLayout, {
+    transparentOpacity: TRANSPARENT_OPACITY,
+    fullViewportRatio: FULL_VIEWPORT_RATIO,
+    maxClickables: MAX_CLICKABLES,
+    maxFindings: MAX_FINDINGS,
+  });
+
+  const { links, hijackedClicks, ...result } = layout;
+  const clicks = markDeceptiveClicks(hijackedClicks);
+  const mismatchedLinks = findMismatchedLinks(links);
+
+  return {
+    detected: result.transparentFrames.some(f => f.covered.length > 0)
+      || result.fullViewportOverlays.some(o => o.transparent)
+      || clicks.some(c => c.deceptive)
+      || mismatchedLinks.length > 0,
+    ...result,
+    hijackedClicks: clicks,
+    mismatchedLinks,
+  };
+}
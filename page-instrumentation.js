@@ -0,0 +1,393 @@
+/**
+ * Page Instrumentation
+ * 페이지 스크립트보다 먼저 주입되어 브라우저 API 호출을 기록하는 계측 스크립트
+ *
+ * - page.goto() 전에 install()을 호출해야 모든 프레임의 첫 스크립트보다 먼저 실행됨
+ * - 계측 이벤트는 바인딩 함수로 Node 측에 즉시 전달 (페이지 이동 후에도 유지)
+ * - 후킹한 함수는 toString()이 네이티브 코드처럼 보이도록 처리 (계측 탐지 회피)
+ * - 이벤트마다 호출한 스크립트 URL을 스택에서 추출하여 함께 기록
+ *
+ * 이벤트 종류:
+ * - listener: 입력 필드/문서에 키 입력 리스너 등록 (addEventListener, onkeydown 등)
+ * - wasm: WebAssembly 모듈 컴파일/인스턴스화 (바이트 크기)
+ * - worker: Worker/SharedWorker 생성 (스크립트 URL)
+ * - fingerprint: 캔버스/WebGL/오디오/navigator/폰트 핑거프린팅 API 호출
+ * - permission: 알림/푸시/카메라·마이크/위치/클립보드 권한 요청 (사용자 조작 여부)
+ * - scareware: 전체 화면, beforeunload, alert/confirm/prompt, 반복 재생 오디오, 포인터/키보드 잠금, pushState
+ */
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 페이지 → Node 전달용 바인딩 이름
+const BINDING_NAME = '__safehouseInstrument';
+
+// 보관할 최대 이벤트 수
+const MAX_EVENTS = 2000;
+
+// ============================================
+// 페이지 측 계측 스크립트
+// ============================================
+
+/**
+ * 페이지에 주입되는 계측 함수 (브라우저 문맥에서 실행, 외부 변수 참조 불가)
+ * @param {string} bindingName
+ */
+function instrumentPage(bindingName) {
+  const binding = window[bindingName];
+  if (typeof binding !== 'function' || window.__safehouseInstrumented) return;
+  Object.defineProperty(window, '__safehouseInstrumented', { value: true });
+
+  // 같은 API를 매우 자주 호출하는 페이지(캔버스 게임 등)의 부하를 막기 위해 API별 보고 횟수 제한
+  const REPORT_LIMIT = 500;
+  const reportCounts = new Map();
+
+  const report = (kind, data) => {
+    const counter = `${kind}:${data.api || data.type}`;
+    const reported = reportCounts.get(counter) || 0;
+    if (reported >= REPORT_LIMIT) return;
+    reportCounts.set(counter, reported + 1);
+
+    try {
+      binding({ kind, ...data, ...callerOf(), frameUrl: location.href, timestamp: new Date().toISOString() });
+    } catch {
+      // 바인딩 호출 실패 (프레임 종료 등) 무시
+    }
+  };
+
+  // ----- 호출 스크립트 추출 (계측 스크립트 자신의 프레임은 제외) -----
+  function callerOf() {
+    const stack = new Error().stack || '';
+    for (const line of stack.split('\n').slice(1)) {
+      if (line.includes('pptr:') || line.includes('__puppeteer')) continue;
+      const match = line.match(/((?:https?|blob|data):[^\s)]+?):(\d+):(\d+)\)?$/);
+      if (match) return { scriptUrl: match[1], line: Number(match[2]) };
+    }
+    return { scriptUrl: null, line: null };
+  }
+
+  // ----- 후킹 함수를 네이티브 함수처럼 보이게 -----
+  const nativeNames = new WeakMap();
+  const originalToString = Function.prototype.toString;
+  const patchedToString = function toString() {
+    if (nativeNames.has(this)) return `function ${nativeNames.get(this)}() { [native code] }`;
+    return originalToString.call(this);
+  };
+  nativeNames.set(patchedToString, 'toString');
+  Function.prototype.toString = patchedToString;
+
+  const wrap = (target, name, makeWrapper) => {
+    const original = target?.[name];
+    if (typeof original !== 'function') return;
+    const wrapper = makeWrapper(original);
+    nativeNames.set(wrapper, name);
+    target[name] = wrapper;
+  };
+
+  const wrapGetter = (proto, property, onGet) => {
+    const descriptor = proto && Object.getOwnPropertyDescriptor(proto, property);
+    if (!descriptor?.get) return;
+    const getter = function () {
+      onGet();
+      return descriptor.get.call(this);
+    };
+    nativeNames.set(getter, `get ${property}`);
+    Object.defineProperty(proto, property, { ...descriptor, get: getter });
+  };
+
+  // 생성자는 Proxy로 감싸 toString/instanceof가 원본과 같게 유지
+  const wrapConstructor = (name, onConstruct) => {
+    const Original = window[name];
+    if (typeof Original !== 'function') return;
+    window[name] = new Proxy(Original, {
+      construct(target, args, newTarget) {
+        onConstruct(args);
+        return Reflect.construct(target, args, newTarget);
+      },
+    });
+  };
+
+  // ----- 이벤트 대상 설명 -----
+  const describeTarget = (target) => {
+    if (target === window) return { target: 'window' };
+    if (target === document) return { target: 'document' };
+    if (!(target instanceof Element)) return null;
+
+    const tag = target.tagName.toLowerCase();
+    if (tag === 'body' || tag === 'html') return { target: tag };
+    if (tag === 'input' || tag === 'textarea' || target.isContentEditable) {
+      const name = target.getAttribute('name') || target.id || null;
+      return {
+        target: 'field',
+        fieldType: tag === 'input' ? (target.getAttribute('type') || 'text').toLowerCase() : tag,
+        fieldName: name,
+      };
+    }
+    if (tag === 'form') return { target: 'form' };
+    return null;
+  };
+
+  // ============================================
+  // 키 입력 리스너 (keylogger)
+  // ============================================
+  const KEY_EVENTS = new Set(['keydown', 'keypress', 'keyup', 'input', 'beforeinput']);
+
+  wrap(EventTarget.prototype, 'addEventListener', (original) => function addEventListener(type, ...rest) {
+    if (KEY_EVENTS.has(type)) {
+      const described = describeTarget(this);
+      if (described) report('listener', { type, via: 'addEventListener', ...described });
+    }
+    if (type === 'beforeunload' && this === window) {
+      report('scareware', { api: 'beforeunload', via: 'addEventListener' });
+    }
+    return original.call(this, type, ...rest);
+  });
+
+  for (const proto of [HTMLElement.prototype, Document.prototype]) {
+    for (const type of KEY_EVENTS) {
+      const property = `on${type}`;
+      const descriptor = Object.getOwnPropertyDescriptor(proto, property);
+      if (!descriptor?.set) continue;
+
+      const setter = function (handler) {
+        if (typeof handler === 'function') {
+          const described = describeTarget(this);
+          if (described) report('listener', { type, via: property, ...described });
+        }
+        return descriptor.set.call(this, handler);
+      };
+      nativeNames.set(setter, `set ${property}`);
+      Object.defineProperty(proto, property, { ...descriptor, set: setter });
+    }
+  }
+
+  // ============================================
+  // WebAssembly / Worker (채굴기)
+  // ============================================
+  const byteLengthOf = (source) => {
+    if (source instanceof ArrayBuffer) return source.byteLength;
+    if (ArrayBuffer.isView(source)) return source.byteLength;
+    return null;
+  };
+
+  if (typeof WebAssembly === 'object') {
+    for (const api of ['instantiate', 'compile', 'instantiateStreaming', 'compileStreaming']) {
+      wrap(WebAssembly, api, (original) => function (source, ...rest) {
+        // 이미 컴파일된 Module로 instantiate하는 경우는 compile 시점에 기록됨
+        if (!(source instanceof WebAssembly.Module)) {
+          report('wasm', { api, byteLength: byteLengthOf(source) });
+        }
+        return original.call(this, source, ...rest);
+      });
+    }
+
+    const OriginalModule = WebAssembly.Module;
+    WebAssembly.Module = new Proxy(OriginalModule, {
+      construct(target, args, newTarget) {
+        report('wasm', { api: 'Module', byteLength: byteLengthOf(args[0]) });
+        return Reflect.construct(target, args, newTarget);
+      },
+    });
+  }
+
+  for (const name of ['Worker', 'SharedWorker']) {
+    wrapConstructor(name, ([url]) => {
+      let resolved = null;
+      try {
+        resolved = new URL(String(url), location.href).href;
+      } catch {
+        resolved = String(url);
+      }
+      report('worker', { api: name, url: resolved.substring(0, 300) });
+    });
+  }
+
+  // ============================================
+  // 핑거프린팅
+  // ============================================
+  const fingerprint = (api) => report('fingerprint', { api });
+  const wrapMethod = (proto, name, api, condition = () => true) => {
+    wrap(proto, name, (original) => function (...args) {
+      if (condition(args)) fingerprint(api);
+      return original.apply(this, args);
+    });
+  };
+
+  // 캔버스
+  wrapMethod(window.HTMLCanvasElement?.prototype, 'toDataURL', 'canvas.toDataURL');
+  wrapMethod(window.HTMLCanvasElement?.prototype, 'toBlob', 'canvas.toBlob');
+  wrapMethod(window.CanvasRenderingContext2D?.prototype, 'getImageData', 'canvas.getImageData');
+
+  // WebGL 렌더러/벤더 (UNMASKED_VENDOR_WEBGL, UNMASKED_RENDERER_WEBGL)
+  for (const context of [window.WebGLRenderingContext, window.WebGL2RenderingContext]) {
+    wrapMethod(context?.prototype, 'getParameter', 'webgl.unmaskedRenderer', ([param]) => param === 0x9245 || param === 0x9246);
+    wrapMethod(context?.prototype, 'getExtension', 'webgl.debugRendererInfo', ([name]) => name === 'WEBGL_debug_renderer_info');
+  }
+
+  // 오디오
+  wrapConstructor('OfflineAudioContext', () => fingerprint('audio.OfflineAudioContext'));
+  wrapMethod(window.AnalyserNode?.prototype, 'getFloatFrequencyData', 'audio.getFloatFrequencyData');
+
+  // navigator 속성 열거 (webdriver는 자동화 브라우저/분석 환경 판별)
+  for (const property of ['plugins', 'mimeTypes', 'hardwareConcurrency', 'deviceMemory', 'webdriver']) {
+    wrapGetter(window.Navigator?.prototype, property, () => fingerprint(`navigator.${property}`));
+  }
+
+  // 폰트 탐지 (글꼴을 바꿔가며 텍스트 폭 측정)
+  wrapMethod(window.CanvasRenderingContext2D?.prototype, 'measureText', 'font.measureText');
+  wrapMethod(window.FontFaceSet?.prototype, 'check', 'font.check');
+
+  // ============================================
+  // 기술 지원 사기 (가짜 바이러스 경고)
+  // ============================================
+  const scareware = (api, data = {}) => report('scareware', { api, ...data });
+  const wrapScareware = (target, name, api, condition = () => true) => {
+    wrap(target, name, (original) => function (...args) {
+      if (condition.call(this, args)) scareware(api);
+      return original.apply(this, args);
+    });
+  };
+
+  for (const name of ['requestFullscreen', 'webkitRequestFullscreen', 'webkitRequestFullScreen']) {
+    wrapScareware(Element.prototype, name, 'requestFullscreen');
+  }
+  wrapScareware(Element.prototype, 'requestPointerLock', 'requestPointerLock');
+  wrapScareware(window.Keyboard?.prototype, 'lock', 'keyboard.lock');
+  wrapScareware(History.prototype, 'pushState', 'history.pushState');
+
+  // 대화상자 (반복 호출 횟수 기록)
+  for (const name of ['alert', 'confirm', 'prompt']) {
+    wrap(window, name, (original) => function (message, ...rest) {
+      scareware(name, { message: String(message ?? '').substring(0, 200) });
+      return original.call(this, message, ...rest);
+    });
+  }
+
+  // 반복 재생 오디오 (loop 속성을 켠 채 재생)
+  wrapScareware(HTMLMediaElement.prototype, 'play', 'loopingAudio', function () {
+    return this.loop && !(this instanceof HTMLVideoElement && this.muted);
+  });
+
+  // window.onbeforeunload 대입
+  const unloadDescriptor = Object.getOwnPropertyDescriptor(window, 'onbeforeunload');
+  if (unloadDescriptor?.set && unloadDescriptor.configurable) {
+    const setter = function (handler) {
+      if (typeof handler === 'function') scareware('beforeunload', { via: 'onbeforeunload' });
+      return unloadDescriptor.set.call(this, handler);
+    };
+    nativeNames.set(setter, 'set onbeforeunload');
+    Object.defineProperty(window, 'onbeforeunload', { ...unloadDescriptor, set: setter });
+  }
+
+  // ============================================
+  // 권한 요청
+  // ============================================
+  const requestPermission = (target, name, permission, describeArgs = () => ({})) => {
+    wrap(target, name, (original) => function (...args) {
+      report('permission', {
+        api: name,
+        permission,
+        // 클릭 등 사용자 조작 직후인지 (조작 없이 요청하면 의심)
+        userActivation: navigator.userActivation ? navigator.userActivation.isActive : null,
+        ...describeArgs(args),
+      });
+      return original.apply(this, args);
+    });
+  };
+
+  const describeMedia = ([constraints]) => ({
+    devices: ['audio', 'video'].filter(kind => constraints && constraints[kind]),
+  });
+
+  requestPermission(window.Notification, 'requestPermission', 'notifications');
+  requestPermission(window.PushManager?.prototype, 'subscribe', 'push');
+  requestPermission(window.MediaDevices?.prototype, 'getUserMedia', 'media', describeMedia);
+  requestPermission(window.MediaDevices?.prototype, 'getDisplayMedia', 'display-capture');
+  requestPermission(window.Geolocation?.prototype, 'getCurrentPosition', 'geolocation');
+  requestPermission(window.Geolocation?.prototype, 'watchPosition', 'geolocation');
+  for (const name of ['read', 'readText']) {
+    requestPermission(window.Clipboard?.prototype, name, 'clipboard-read');
+  }
+  for (const name of ['write', 'writeText']) {
+    requestPermission(window.Clipboard?.prototype, name, 'clipboard-write', ([data]) => (
+      typeof data === 'string' ? { text: data.substring(0, 200) } : {}
+    ));
+  }
+}
+
+// ============================================
+// Node 측 수집기
+// ============================================
+
+/**
+ * 페이지 계측 설치 및 이벤트 수집
+ */
+export class PageInstrumentation {
+  /**
+   * @param {import('puppeteer').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    this.events = [];
+    this.seen = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * 계측 설치 (page.goto() 전에 호출)
+   */
+  async install() {
+    await this.page.exposeFunction(BINDING_NAME, (event) => this.record(event));
+    await this.page.evaluateOnNewDocument(instrumentPage, BINDING_NAME);
+  }
+
+  /**
+   * 이벤트 기록
+   * @param {Object} event - { kind, scriptUrl, line, frameUrl, timestamp, ... }
+   */
+  record(event) {
+    if (!event || typeof event.kind !== 'string') return;
+
+    // 같은 스크립트 위치에서 반복된 같은 호출은 횟수만 증가
+    const { timestamp, ...identity } = event;
+    const key = JSON.stringify(identity);
+    const existing = this.seen.get(key);
+    if (existing) {
+      existing.count++;
+      return;
+    }
+    if (this.events.length >= MAX_EVENTS) return;
+
+    const recorded = { ...event, count: 1 };
+    this.seen.set(key, recorded);
+    this.events.push(recorded);
+
+    for (const listener of this.listeners) {
+      try {
+        listener(recorded);
+      } catch (error) {
+        console.warn('[Instrumentation] 이벤트 구독자 오류:', error.message);
+      }
+    }
+  }
+
+  /**
+   * 새 이벤트 구독 (같은 호출의 반복은 count만 증가하므로 처음 한 번만 전달)
+   * @param {Function} listener - (event) => void
+   * @returns {Function} 구독 해제 함수
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * 기록된 이벤트 조회
+   * @param {string} [kind] - 이벤트 종류 (없으면 전체)
+   * @returns {Array}
+   */
+  getEvents(kind) {
+    return kind ? this.events.filter(e => e.kind === kind) : [...this.events];
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Permission Detector
+ * 알림/푸시/카메라·마이크/위치/클립보드 권한 요청 기록
+ *
+ * - 페이지 계측(page-instrumentation.js)의 permission 이벤트를 권한 요청 항목으로 정리
+ * - 스캠 페이지는 "허용"을 누르도록 유도하여 알림 스팸(푸시), 카메라·위치 수집, 클립보드 조작에 악용
+ * - 요청마다 호출한 스크립트와 사용자 조작(클릭 등) 직후 여부를 함께 보고
+ */
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 권한 → 표시 이름
+export const PERMISSION_LABELS = {
+  notifications: '알림',
+  push: '푸시 구독',
+  media: '카메라/마이크',
+  'display-capture': '화면 공유',
+  geolocation: '위치',
+  'clipboard-read': '클립보드 읽기',
+  'clipboard-write': '클립보드 쓰기',
+};
+
+// ============================================
+// 요약
+// ============================================
+
+/**
+ * 권한 요청 이벤트 하나를 항목으로 변환
+ * 실시간 세션의 permission_requested 이벤트와 분석 결과에서 같은 형식 사용
+ * @param {Object} event - PageInstrumentation permission 이벤트
+ * @returns {Object} { permission, label, api, scriptUrl, line, frameUrl, userActivation, devices, text, count, timestamp }
+ */
+export function describePermissionRequest(event) {
+  return {
+    permission: event.permission,
+    label: PERMISSION_LABELS[event.permission] || event.permission,
+    api: event.api,
+    scriptUrl: event.scriptUrl || null,
+    line: event.line ?? null,
+    frameUrl: event.frameUrl || null,
+    userActivation: event.userActivation ?? null,
+    ...(event.devices ? { devices: event.devices } : {}),
+    ...(event.text ? { text: event.text } : {}),
+    count: event.count || 1,
+    timestamp: event.timestamp || null,
+  };
+}
+
+/**
+ * 권한 요청 목록 정리
+ * @param {Array} events - PageInstrumentation.getEvents('permission')
+ * @returns {Object} { detected, permissions, requests }
+ */
+export function summarizePermissionRequests(events) {
+  const requests = events.map(describePermissionRequest);
+
+  return {
+    detected: requests.length > 0,
+    permissions: [...new Set(requests.map(r => r.permission))],
+    requests,
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * QR Decoder
+ * 페이지 스크린샷, <img>/<canvas>/<svg> 요소, 업로드 이미지의 QR 코드 해독 (큐싱 탐지)
+ *
+ * - 요소는 렌더링된 픽셀을 요소 스크린샷으로 잘라 사용 (교차 출처 이미지도 캔버스 오염 없이 해독)
+ * - 이미지 디코딩은 샌드박스 브라우저의 빈 페이지에서 수행하고 jsQR로 해독 (PNG/JPEG/GIF/WebP 지원)
+ * - 해독한 내용에서 URL(URLTO/MEBKM/SMSTO 등 포함)을 추출하여 중첩 분석(quickCheck/analyzeUrl)에 전달
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 페이지에 주입할 jsQR 번들 경로
+const JSQR_PATH = require.resolve('jsqr');
+
+// QR 후보 요소 최소 크기 (px)와 가로세로 비율 범위
+const MIN_ELEMENT_SIZE = 48;
+const MIN_ASPECT_RATIO = 0.75;
+const MAX_ASPECT_RATIO = 1.33;
+
+// 검사할 최대 요소 수
+const MAX_ELEMENTS = 10;
+
+// 디코딩 전 축소할 최대 이미지 변 길이 (px)
+const MAX_IMAGE_DIMENSION = 2000;
+
+// ============================================
+// 내용 해석
+// ============================================
+
+/**
+ * QR 내용에서 유형과 URL 추출
+ * @param {string} text - 해독된 QR 내용
+ * @returns {Object} { text, type, url }
+ */
+export function parseQrPayload(text) {
+  const value = (text || '').trim();
+  const firstUrl = (input) => input.match(/https?:\/\/[^\s"'<>]+/i)?.[0] || null;
+
+  if (/^https?:\/\//i.test(value)) return { text: value, type: 'url', url: value };
+  if (/^www\./i.test(value)) return { text: value, type: 'url', url: `https://${value}` };
+  if (/^URLTO:/i.test(value)) return { text: value, type: 'url', url: firstUrl(value) };
+  if (/^MEBKM:/i.test(value)) return { text: value, type: 'url', url: value.match(/URL:([^;]+)/i)?.[1] || null };
+  if (/^(SMSTO|sms):/i.test(value)) return { text: value, type: 'sms', url: firstUrl(value) };
+  if (/^(tel):/i.test(value)) return { text: value, type: 'tel', url: null };
+  if (/^(mailto|MATMSG):/i.test(value)) return { text: value, type: 'email', url: firstUrl(value) };
+  if (/^WIFI:/i.test(value)) return { text: value, type: 'wifi', url: null };
+  return { text: value, type: 'text', url: firstUrl(value) };
+}
+
+/**
+ * 업로드된 이미지 문자열(data URL 또는 base64) 해석
+ * @param {string} input
+ * @param {string} [mimeType] - base64만 전달된 경우의 형식, 기본 image/png
+ * @returns {Object|null} { base64, mimeType } (이미지가 아니면 null)
+ */
+export function parseImageInput(input, mimeType = 'image/png') {
+  if (typeof input !== 'string') return null;
+
+  const dataUrl = input.match(/^data:([^;,]+);base64,(.*)$/s);
+  const image = dataUrl
+    ? { mimeType: dataUrl[1].toLowerCase(), base64: dataUrl[2] }
+    : { mimeType, base64: input };
+  image.base64 = image.base64.replace(/\s/g, '');
+
+  if (!image.mimeType.startsWith('image/') || !/^[A-Za-z0-9+/]+={0,2}$/.test(image.base64)) return null;
+  return image;
+}
+
+// ============================================
+// 이미지 수집
+// ============================================
+
+/**
+ * 페이지 스크린샷과 QR 후보 요소(정사각형에 가까운 img/canvas/svg) 이미지 수집
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Array>} { source, element, box, base64 }
+ */
+export async function collectQrImages(page) {
+  const images = [];
+
+  try {
+    images.push({
+      source: 'screenshot',
+      element: null,
+      box: null,
+      base64: await page.screenshot({ type: 'png', fullPage: false, encoding: 'base64' }),
+    });
+  } catch {
+    // 스크린샷 실패 시 요소만 검사
+  }
+
+  const handles = await page.$$('img, canvas, svg').catch(() => []);
+  for (const handle of handles) {
+    if (images.length > MAX_ELEMENTS) break;
+    try {
+      const box = await handle.boundingBox();
+      if (!box || box.width < MIN_ELEMENT_SIZE || box.height < MIN_ELEMENT_SIZE) continue;
+      const ratio = box.width / box.height;
+      if (ratio < MIN_ASPECT_RATIO || ratio > MAX_ASPECT_RATIO) continue;
+
+      const element = await handle.evaluate(el => {
+        const tag = el.tagName.toLowerCase();
+        return tag === 'img' ? `img[src="${(el.currentSrc || el.src).substring(0, 200)}"]` : tag;
+      });
+      images.push({
+        source: element.split('[')[0],
+        element,
+        box: {
+          x: Math.round(box.x),
+          y: Math.round(box.y),
+          width: Math.round(box.width),
+          height: Math.round(box.height),
+        },
+        base64: await handle.screenshot({ type: 'png', encoding: 'base64' }),
+      });
+    } catch {
+      // 분리된 요소 등은 무시
+    } finally {
+      await handle.dispose().catch(() => {});
+    }
+  }
+
+  return images;
+}
+
+// ============================================
+// 해독
+// ============================================
+
+/**
+ * 이미지 목록의 QR 코드 해독 (브라우저의 빈 페이지에서 디코딩)
+ * @param {import('puppeteer').Browser} browser
+ * @param {Array} images - { base64, mimeType?, ...메타데이터 }
+ * @returns {Promise<Array>} 해독된 이미지마다 { ...메타데이터, text, type, url, location }
+ */
+export async function decodeQrImages(browser, images) {
+  if (images.length === 0) return [];
+
+  const page = await browser.newPage();
+  const codes = [];
+  try {
+    await page.addScriptTag({ path: JSQR_PATH });
+
+    for (const { base64, mimeType = 'image/png', ...meta } of images) {
+      const decoded = await page.evaluate(async (dataUrl, maxDimension) => {
+        const image = new Image();
+        image.src = dataUrl;
+        await image.decode();
+
+        const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const code = window.jsQR(data, width, height, { inversionAttempts: 'attemptBoth' });
+        return code ? { text: code.data, location: code.location } : null;
+      }, `data:${mimeType};base64,${base64}`, MAX_IMAGE_DIMENSION).catch(() => null);
+
+      if (decoded?.text) {
+        codes.push({ ...meta, ...parseQrPayload(decoded.text), location: decoded.location });
+      }
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+
+  return codes;
+}
+
+/**
+ * 페이지의 QR 코드 해독 (같은 내용은 처음 발견한 출처만 보고)
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Array>} { source, element, box, text, type, url, location }
+ */
+export async function scanPageForQrCodes(page) {
+  const codes = await decodeQrImages(page.browser(), await collectQrImages(page));
+
+  const seen = new Set();
+  return codes.filter(code => {
+    if (seen.has(code.text)) return false;
+    seen.add(code.text);
+    return true;
+  });
+}
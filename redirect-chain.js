@@ -0,0 +1,249 @@
+/**
+ * Redirect Chain Tracker
+ * 페이지 로드 중 발생한 모든 리다이렉트 단계(hop) 기록
+ *
+ * - HTTP 3xx 리다이렉트 (상태 코드 포함)
+ * - meta refresh / Refresh 헤더, JavaScript location 변경, 폼 제출
+ * - 하위 프레임(iframe) 이동
+ * - 단계별 시각(timestamp)과 시작 주체(initiator) 기록
+ */
+
+import { isSameOrSubdomain } from './domain-utils.js';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 기록할 최대 단계 수 (무한 리다이렉트 대비)
+const MAX_HOPS = 50;
+
+// 주요 URL 단축 서비스 도메인
+export const URL_SHORTENERS = [
+  'bit.ly', 'bitly.com', 't.co', 'goo.gl', 'tinyurl.com', 'ow.ly', 'is.gd', 'buff.ly',
+  'rebrand.ly', 'cutt.ly', 'shorturl.at', 't.ly', 'rb.gy', 'tiny.cc', 'v.gd', 's.id',
+  // 국내 단축 서비스
+  'han.gl', 'me2.do', 'me2.kr', 'naver.me', 'vo.la', 'url.kr', 'lrl.kr', 'muz.so', 'zrr.kr',
+];
+
+// CDP Page.frameRequestedNavigation reason → 단계 유형
+const NAVIGATION_REASON_TYPES = {
+  metaTagRefresh: 'meta-refresh',
+  httpHeaderRefresh: 'header-refresh',
+  scriptInitiated: 'javascript',
+  formSubmissionGet: 'form',
+  formSubmissionPost: 'form',
+  anchorClick: 'link',
+  reload: 'reload',
+};
+
+// ============================================
+// 유틸리티 함수
+// ============================================
+
+/**
+ * URL 단축 서비스 도메인인지 확인
+ * @param {string} url
+ * @returns {string|null} 단축 서비스 호스트명 또는 null
+ */
+export function findShortener(url) {
+  try {
+    const hostname = new URL(url).hostname;
+    return URL_SHORTENERS.some(domain => isSameOrSubdomain(hostname, domain)) ? hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * CDP initiator를 간단한 형태로 변환
+ * @param {Object} initiator - Network.Initiator
+ * @returns {Object|null} { type, url, lineNumber }
+ */
+function summarizeInitiator(initiator) {
+  if (!initiator) return null;
+
+  const frame = initiator.stack?.callFrames?.[0];
+  return {
+    type: initiator.type,
+    url: initiator.url || frame?.url || null,
+    lineNumber: initiator.lineNumber ?? frame?.lineNumber ?? null,
+  };
+}
+
+/**
+ * 리다이렉트 체인 요약 (단축 서비스 경유, HTTPS→HTTP 다운그레이드)
+ * @param {string|null} startUrl
+ * @param {Array} hops
+ * @returns {Object}
+ */
+function summarizeChain(startUrl, hops) {
+  const mainHops = hops.filter(hop => hop.isMainFrame);
+  const urls = [startUrl, ...mainHops.map(hop => hop.to)].filter(Boolean);
+
+  const shorteners = [...new Set(urls.map(findShortener).filter(Boolean))];
+  const downgrades = mainHops
+    .filter(hop => hop.from?.startsWith('https:') && hop.to.startsWith('http:'))
+    .map(hop => ({ from: hop.from, to: hop.to, type: hop.type }));
+
+  return {
+    startUrl,
+    finalUrl: urls[urls.length - 1] || null,
+    hopCount: mainHops.length,
+    hops,
+    shorteners,
+    downgrades,
+  };
+}
+
+// ============================================
+// 리다이렉트 추적기
+// ============================================
+
+/**
+ * 페이지의 리다이렉트 체인 추적기
+ * page.goto() 전에 start()를 호출해야 첫 요청부터 기록됨
+ */
+export class RedirectTracker {
+  /**
+   * @param {import('puppeteer').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    this.client = null;
+    this.mainFrameId = null;
+
+    // 메인 프레임 상태
+    this.startUrl = null;
+    this.currentUrl = null;
+    this.pendingReason = null;
+
+    // 하위 프레임별 마지막 URL
+    this.frameUrls = new WeakMap();
+
+    this.hops = [];
+
+    this.handleFrameNavigated = this.handleFrameNavigated.bind(this);
+  }
+
+  /**
+   * 추적 시작 (CDP 세션 연결)
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.client = await this.page.createCDPSession();
+    await this.client.send('Network.enable');
+    await this.client.send('Page.enable');
+
+    const { frameTree } = await this.client.send('Page.getFrameTree');
+    this.mainFrameId = frameTree.frame.id;
+
+    this.client.on('Page.frameRequestedNavigation', (params) => {
+      if (params.frameId === this.mainFrameId) {
+        this.pendingReason = params.reason;
+      }
+    });
+
+    this.client.on('Network.requestWillBeSent', (params) => {
+      if (params.type === 'Document' && params.frameId === this.mainFrameId) {
+        this.handleDocumentRequest(params);
+      }
+    });
+
+    // 하위 프레임은 프로세스가 분리될 수 있으므로 Puppeteer 이벤트로 추적
+    this.page.on('framenavigated', this.handleFrameNavigated);
+  }
+
+  /**
+   * 단계 추가
+   * @param {Object} hop
+   */
+  addHop(hop) {
+    if (this.hops.length >= MAX_HOPS) return;
+    this.hops.push(hop);
+  }
+
+  /**
+   * 메인 프레임 문서 요청 처리
+   * @param {Object} params - Network.requestWillBeSent 파라미터
+   */
+  handleDocumentRequest(params) {
+    const url = params.request.url;
+    const timestamp = new Date((params.wallTime || Date.now() / 1000) * 1000).toISOString();
+
+    if (params.redirectResponse) {
+      // HTTP 3xx 리다이렉트
+      this.addHop({
+        type: 'http',
+        status: params.redirectResponse.status,
+        from: params.redirectResponse.url,
+        to: url,
+        isMainFrame: true,
+        timestamp,
+        initiator: { type: 'server', url: params.redirectResponse.url, lineNumber: null },
+      });
+    } else if (!this.startUrl) {
+      // 최초 요청 (page.goto)
+      this.startUrl = url;
+    } else {
+      // 클라이언트 측 이동 (meta refresh, JavaScript, 폼 제출 등)
+      this.addHop({
+        type: NAVIGATION_REASON_TYPES[this.pendingReason] || 'other',
+        status: null,
+        from: this.currentUrl,
+        to: url,
+        isMainFrame: true,
+        timestamp,
+        initiator: summarizeInitiator(params.initiator),
+      });
+    }
+
+    this.pendingReason = null;
+    this.currentUrl = url;
+  }
+
+  /**
+   * 하위 프레임 이동 처리
+   * @param {import('puppeteer').Frame} frame
+   */
+  handleFrameNavigated(frame) {
+    if (frame === this.page.mainFrame()) return;
+
+    const url = frame.url();
+    if (!url || url === 'about:blank') return;
+
+    const from = this.frameUrls.get(frame) || null;
+    if (from === url) return;
+    this.frameUrls.set(frame, url);
+
+    this.addHop({
+      type: 'frame',
+      status: null,
+      from,
+      to: url,
+      isMainFrame: false,
+      frameName: frame.name() || null,
+      timestamp: new Date().toISOString(),
+      initiator: { type: 'parent', url: frame.parentFrame()?.url() || null, lineNumber: null },
+    });
+  }
+
+  /**
+   * 현재까지 기록된 리다이렉트 체인 반환
+   * @returns {Object} { startUrl, finalUrl, hopCount, hops, shorteners, downgrades }
+   */
+  getChain() {
+    return summarizeChain(this.startUrl, [...this.hops]);
+  }
+
+  /**
+   * 추적 중지
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.page.off('framenavigated', this.handleFrameNavigated);
+    if (this.client) {
+      await this.client.detach().catch(() => {});
+      this.client = null;
+    }
+  }
+}
@@ -0,0 +1,479 @@
+/**
+ * Detection Rule Engine
+ * 선언형 탐지 규칙 파일 로드 + 핫 리로드 + 규칙 평가
+ *
+ * - rules/*.json 파일에서 규칙(id, target, pattern/check, weight, description) 로드
+ * - 규칙 디렉토리 변경 시 서버 재시작 없이 자동 리로드
+ * - 카테고리별 점수 상한(cap) 적용 및 규칙셋 버전 보고
+ * - 규칙별 점수 기여 내역과 증거(일치 텍스트, 스크립트 URL, 폼 선택자 등) 보고
+ * - 규칙 파일의 lexicons 섹션(가중치 문구 사전) 로드 - check 규칙에서 사용
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 규칙 디렉토리 (RULES_DIR 환경변수로 변경 가능)
+const RULES_DIR = process.env.RULES_DIR || path.join(__dirname, 'rules');
+
+// 리로드 디바운스 (편집기가 파일을 여러 번 쓰는 경우 대비)
+const RELOAD_DEBOUNCE_MS = 300;
+
+// 증거(evidence) 수집 제한
+const SNIPPET_CONTEXT = 40;
+const MAX_MATCH_LENGTH = 120;
+const MAX_EVIDENCE_PER_RULE = 5;
+
+// 규칙 대상(target) → 점수 카테고리
+const TARGET_CATEGORIES = {
+  domain: 'domain',
+  text: 'content',
+  script: 'content',
+  form: 'content',
+  fingerprint: 'content',
+  overlay: 'content',
+  network: 'network',
+  brand: 'brand',
+  redirect: 'redirect',
+  expansion: 'redirect',
+  tls: 'tls',
+  feed: 'feed',
+  obfuscation: 'obfuscation',
+  exfil: 'exfiltration',
+  canary: 'exfiltration',
+  keylogger: 'exfiltration',
+  miner: 'resourceAbuse',
+  cloaking: 'cloaking',
+  permission: 'permission',
+  scareware: 'techSupportScam',
+  kit: 'phishingKit',
+  probe: 'phishingKit',
+  qr: 'qr',
+  navigation: 'navigation',
+};
+
+// 규칙셋에 상한이 없을 때 사용하는 기본 상한
+const DEFAULT_CAPS = {
+  domain: 40,
+  content: 50,
+  network: 20,
+  brand: 40,
+  redirect: 30,
+  tls: 30,
+  feed: 100,
+  obfuscation: 40,
+  exfiltration: 60,
+  resourceAbuse: 50,
+  cloaking: 40,
+  permission: 30,
+  techSupportScam: 60,
+  phishingKit: 50,
+  qr: 40,
+  navigation: 10,
+  total: 100,
+};
+
+let ruleset = null;
+let lastReloadError = null;
+let watcher = null;
+let reloadTimer = null;
+
+// 대상별 검사 함수 레지스트리 (check 규칙용, 분석 모듈이 등록)
+const checks = new Map();
+
+// ============================================
+// 규칙 로드 및 검증
+// ============================================
+
+/**
+ * 단일 규칙 검증 및 컴파일
+ * @param {Object} rule - 원본 규칙
+ * @param {string} file - 규칙 파일명 (오류 메시지용)
+ * @returns {Object} 컴파일된 규칙
+ */
+function compileRule(rule, file) {
+  const where = `${file}: ${rule.id || '(id 없음)'}`;
+
+  if (!rule.id || typeof rule.id !== 'string') {
+    throw new Error(`${where} - id가 필요합니다.`);
+  }
+  if (!TARGET_CATEGORIES[rule.target]) {
+    throw new Error(`${where} - 알 수 없는 target: ${rule.target}`);
+  }
+  if (!rule.pattern && !rule.check) {
+    throw new Error(`${where} - pattern 또는 check가 필요합니다.`);
+  }
+  if (typeof rule.weight !== 'number' || rule.weight < 0) {
+    throw new Error(`${where} - weight는 0 이상의 숫자여야 합니다.`);
+  }
+
+  let regex = null;
+  if (rule.pattern) {
+    try {
+      regex = new RegExp(rule.pattern, rule.flags || '');
+    } catch (error) {
+      throw new Error(`${where} - 잘못된 pattern: ${error.message}`);
+    }
+  }
+
+  return {
+    ...rule,
+    category: TARGET_CATEGORIES[rule.target],
+    regex,
+    source: file,
+  };
+}
+
+/**
+ * 문구 사전 검증
+ * @param {string} name - 사전 이름
+ * @param {Object} lexicon - { description, entries: [{ phrase, weight, category }] }
+ * @param {string} file - 규칙 파일명 (오류 메시지용)
+ * @returns {Object} 검증된 사전
+ */
+function compileLexicon(name, lexicon, file) {
+  if (!Array.isArray(lexicon.entries)) {
+    throw new Error(`${file}: lexicons.${name} - entries 배열이 필요합니다.`);
+  }
+
+  lexicon.entries.forEach((entry, i) => {
+    if (!entry.phrase || typeof entry.phrase !== 'string') {
+      throw new Error(`${file}: lexicons.${name}[${i}] - phrase가 필요합니다.`);
+    }
+    if (typeof entry.weight !== 'number' || entry.weight < 0) {
+      throw new Error(`${file}: lexicons.${name}[${i}] - weight는 0 이상의 숫자여야 합니다.`);
+    }
+  });
+
+  return { ...lexicon, name, source: file };
+}
+
+/**
+ * 규칙 디렉토리의 모든 규칙 파일을 읽어 하나의 규칙셋으로 병합
+ * 뒤에 오는 파일(이름순)이 같은 id의 규칙, 같은 이름의 사전을 덮어씀
+ * @param {string} dir - 규칙 디렉토리
+ * @returns {Object} 규칙셋
+ */
+function readRuleset(dir) {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort();
+
+  if (files.length === 0) {
+    throw new Error(`규칙 파일이 없습니다: ${dir}`);
+  }
+
+  const rules = new Map();
+  const lexicons = {};
+  const caps = { ...DEFAULT_CAPS };
+  const sources = [];
+
+  for (const file of files) {
+    const parsed = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+    if (!parsed.version) {
+      throw new Error(`${file}: version이 필요합니다.`);
+    }
+
+    sources.push({
+      file,
+      name: parsed.name || path.basename(file, '.json'),
+      version: String(parsed.version),
+    });
+
+    Object.assign(caps, parsed.caps || {});
+
+    for (const [name, lexicon] of Object.entries(parsed.lexicons || {})) {
+      lexicons[name] = compileLexicon(name, lexicon, file);
+    }
+
+    for (const rule of parsed.rules || []) {
+      const compiled = compileRule(rule, file);
+      // Map은 기존 키를 덮어써도 최초 등장 위치(평가 순서)를 유지
+      rules.set(compiled.id, compiled);
+    }
+  }
+
+  return {
+    version: sources.map(s => `${s.name}@${s.version}`).join('+'),
+    sources,
+    caps,
+    rules: [...rules.values()].filter(rule => rule.enabled !== false),
+    lexicons,
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * 규칙 리로드 (실패 시 기존 규칙셋 유지)
+ * @returns {Object} 현재 규칙셋
+ */
+export function reloadRules() {
+  try {
+    ruleset = readRuleset(RULES_DIR);
+    lastReloadError = null;
+    console.log(`[Rule Engine] 규칙셋 로드: ${ruleset.version} (${ruleset.rules.length}개 규칙)`);
+  } catch (error) {
+    lastReloadError = { message: error.message, at: new Date().toISOString() };
+    console.error(`[Rule Engine] 규칙 로드 실패: ${error.message}`);
+    if (!ruleset) throw error;
+    console.warn(`[Rule Engine] 기존 규칙셋 유지: ${ruleset.version}`);
+  }
+  return ruleset;
+}
+
+/**
+ * 현재 규칙셋 반환 (최초 호출 시 로드)
+ * @returns {Object}
+ */
+export function getRuleset() {
+  return ruleset || reloadRules();
+}
+
+/**
+ * 문구 사전 항목 반환
+ * @param {string} name - 사전 이름 (예: korean-phishing)
+ * @returns {Array} 사전 항목 (없으면 빈 배열)
+ */
+export function getLexicon(name) {
+  return getRuleset().lexicons[name]?.entries || [];
+}
+
+/**
+ * 규칙 디렉토리 감시 시작 (파일 변경 시 자동 리로드)
+ * @returns {fs.FSWatcher|null}
+ */
+export function watchRules() {
+  if (watcher) return watcher;
+
+  try {
+    watcher = fs.watch(RULES_DIR, (eventType, filename) => {
+      if (filename && !filename.endsWith('.json')) return;
+
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        console.log(`[Rule Engine] 규칙 파일 변경 감지 (${filename || eventType}), 리로드 중...`);
+        reloadRules();
+      }, RELOAD_DEBOUNCE_MS);
+    });
+
+    // 감시 때문에 CLI 등의 프로세스가 종료되지 않는 일이 없도록
+    watcher.unref();
+  } catch (error) {
+    console.warn(`[Rule Engine] 규칙 디렉토리 감시 실패: ${error.message}`);
+  }
+
+  return watcher;
+}
+
+/**
+ * 규칙셋 요약 정보 (API 응답용)
+ * @returns {Object}
+ */
+export function getRulesetInfo() {
+  const current = getRuleset();
+  const countByTarget = {};
+  for (const rule of current.rules) {
+    countByTarget[rule.target] = (countByTarget[rule.target] || 0) + 1;
+  }
+
+  return {
+    version: current.version,
+    sources: current.sources,
+    loadedAt: current.loadedAt,
+    ruleCount: current.rules.length,
+    countByTarget,
+    lexicons: Object.fromEntries(
+      Object.entries(current.lexicons).map(([name, lexicon]) => [name, lexicon.entries.length])
+    ),
+    caps: current.caps,
+    directory: RULES_DIR,
+    lastReloadError,
+  };
+}
+
+// ============================================
+// 규칙 평가
+// ============================================
+
+/**
+ * check 규칙용 검사 함수 등록
+ * @param {string} target - 규칙 대상 (domain/text/script/form/fingerprint/overlay/network/brand/redirect/expansion/tls/feed/obfuscation/exfil/canary/keylogger/miner/cloaking/permission/scareware/kit/probe/qr/navigation)
+ * @param {Object<string, Function>} fns - 검사 이름 → (input, rule) => null | true | { values, factor, evidence }
+ */
+export function registerChecks(target, fns) {
+  for (const [name, fn] of Object.entries(fns)) {
+    checks.set(`${target}:${name}`, fn);
+  }
+}
+
+/**
+ * 설명 템플릿의 {name} 자리표시자를 값으로 치환
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+function formatDescription(template, values = {}) {
+  return (template || '').replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? String(values[key]) : match
+  );
+}
+
+/**
+ * 일치 위치 주변 텍스트 추출 (공백 정리)
+ * @param {string} text
+ * @param {number} index - 일치 시작 위치
+ * @param {number} length - 일치 길이
+ * @returns {string}
+ */
+export function extractSnippet(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+  const snippet = text.substring(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * 패턴 규칙 평가 - 일치한 모든 대상에서 증거 수집
+ * @param {Object} rule
+ * @param {Array<string|Object>} subjects - 문자열 또는 { text, ...출처 정보 (scriptUrl, selector 등) }
+ * @returns {Object|null}
+ */
+function matchPattern(rule, subjects = []) {
+  const evidence = [];
+
+  for (const subject of subjects) {
+    const { text, ...source } = typeof subject === 'string' ? { text: subject } : subject;
+    if (!text) continue;
+
+    rule.regex.lastIndex = 0;
+    const match = rule.regex.exec(text);
+    if (!match) continue;
+
+    evidence.push({
+      match: match[0].substring(0, MAX_MATCH_LENGTH),
+      snippet: extractSnippet(text, match.index, Math.min(match[0].length, MAX_MATCH_LENGTH)),
+      ...source,
+    });
+
+    if (evidence.length >= MAX_EVIDENCE_PER_RULE) break;
+  }
+
+  return evidence.length > 0 ? { values: {}, evidence } : null;
+}
+
+/**
+ * 단일 규칙 평가
+ * @param {Object} rule
+ * @param {Object} input - 대상별 입력 ({ subjects, ...검사용 필드 })
+ * @returns {Object|null} { values, factor, evidence } 또는 null
+ */
+function matchRule(rule, input) {
+  if (rule.regex) {
+    return matchPattern(rule, input.subjects);
+  }
+
+  const fn = checks.get(`${rule.target}:${rule.check}`);
+  if (!fn) {
+    console.warn(`[Rule Engine] 등록되지 않은 check: ${rule.target}:${rule.check} (${rule.id})`);
+    return null;
+  }
+
+  const result = fn(input, rule);
+  if (!result) return null;
+  return result === true ? { values: {} } : result;
+}
+
+/**
+ * 카테고리 규칙 평가
+ * 일치한 모든 규칙을 기여 항목(contribution)으로 보고하되,
+ * 같은 group에서는 처음 일치한 규칙만, 카테고리 상한까지만 점수에 반영
+ * @param {string} category - domain/content/network/brand/redirect/tls/feed/obfuscation/exfiltration/resourceAbuse/cloaking/permission/techSupportScam/phishingKit/qr/navigation
+ * @param {Object<string, Object>} inputs - 대상(target)별 입력
+ * @returns {{ score: number, issues: string[], contributions: Array }}
+ */
+export function evaluateRules(category, inputs) {
+  const current = getRuleset();
+  const limit = current.caps[category] ?? 100;
+  const matchedGroups = new Set();
+  const issues = [];
+  const contributions = [];
+  let score = 0;
+
+  for (const rule of current.rules) {
+    if (rule.category !== category || !inputs[rule.target]) continue;
+
+    const match = matchRule(rule, inputs[rule.target]);
+    if (!match) continue;
+
+    const description = formatDescription(rule.description, match.values);
+    const weight = Math.round(rule.weight * (match.factor ?? 1));
+    let points = weight;
+    let cap = null;
+
+    if (rule.group && matchedGroups.has(rule.group)) {
+      // 같은 그룹의 앞선 규칙이 이미 점수에 반영됨
+      points = 0;
+      cap = { scope: 'group', group: rule.group };
+    } else {
+      if (rule.group) matchedGroups.add(rule.group);
+
+      const remaining = Math.max(limit - score, 0);
+      if (points > remaining) {
+        points = remaining;
+        cap = { scope: 'category', category, limit };
+      }
+
+      score += points;
+      issues.push(description);
+    }
+
+    contributions.push({
+      ruleId: rule.id,
+      category,
+      target: rule.target,
+      description,
+      weight,
+      points,
+      cap,
+      evidence: match.evidence || [],
+    });
+  }
+
+  return { score, issues, contributions };
+}
+
+/**
+ * 카테고리별 평가 결과를 합산하고 전체 상한을 적용한 점수 내역 생성
+ * 내역의 points 합계는 항상 최종 점수와 같음
+ * @param {Array<{ contributions: Array }>} categoryResults
+ * @returns {{ totalScore: number, breakdown: Array }}
+ */
+export function summarizeScore(categoryResults) {
+  const limit = getRuleset().caps.total ?? 100;
+  const breakdown = [];
+  let totalScore = 0;
+
+  for (const result of categoryResults) {
+    for (const contribution of result.contributions || []) {
+      const entry = { ...contribution };
+      const remaining = Math.max(limit - totalScore, 0);
+
+      if (entry.points > remaining) {
+        entry.points = remaining;
+        entry.cap = { scope: 'total', limit };
+      }
+
+      totalScore += entry.points;
+      breakdown.push(entry);
+    }
+  }
+
+  return { totalScore, breakdown };
+}
@@ -50,6 +50,9 @@ const MIME_TYPES = {
   '.ttf': 'font/ttf',
 };
 import { analyzeInBackground } from './live-analyzer.js';
+import { getLiveAnalysisOptions } from './live-collectors.js';
+import { expandUrl } from './analyzer.js';
+import { loadHar } from './har-recorder.js';
 
 // ============================================
 // 상수 정의
@@ -109,6 +112,23 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // HAR 다운로드 엔드포인트 (세션 ID 또는 분석 ID)
+  const harMatch = req.url.match(/^\/har\/([\w-]+)$/);
+  if (harMatch && req.method === 'GET') {
+    const har = await loadHar(harMatch[1]);
+    if (!har) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'HAR을 찾을 수 없습니다.' }));
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="${harMatch[1]}.har"`,
+    });
+    res.end(JSON.stringify(har));
+    return;
+  }
+
   // 세션 초기화 엔드포인트
   if (req.url === '/reset-sessions' && req.method === 'POST') {
     try {
@@ -227,6 +247,8 @@ wss.on('connection', async (ws, req) => {
         try {
           await analyzeInBackground(sess.page, (msg) => sess.send(msg), {
             originalUrl: sess.originalUrl,
+            redirectChain: sess.redirectTracker?.getChain() || null,
+            ...await getLiveAnalysisOptions(sess),
           });
         } catch (err) {
           log(`[Session ${sess.id}] AI 분석 오류: ${err.message}`, 'ERROR');
@@ -267,6 +289,11 @@ wss.on('connection', async (ws, req) => {
           if (message.url) {
             // 원래 URL 저장 (리다이렉트 감지용)
             session.originalUrl = message.url;
+            // 단축 URL이면 페이지 로드 전에 목적지와 사전 판정 전달
+            const expansion = await expandUrl(message.url).catch(() => null);
+            if (expansion?.expanded) {
+              session.send({ type: 'url_expanded', ...expansion });
+            }
             const success = await session.initialize(message.url);
             if (success) {
               await session.startScreencast();
@@ -274,6 +301,8 @@ wss.on('connection', async (ws, req) => {
               if (session.page && session.isActive) {
                 analyzeInBackground(session.page, (msg) => session.send(msg), {
                   originalUrl: session.originalUrl,
+                  redirectChain: session.redirectTracker?.getChain() || null,
+                  ...await getLiveAnalysisOptions(session),
                 }).catch(err => log(`[Session ${session.id}] AI 분석 오류: ${err.message}`, 'ERROR'));
               }
             }
@@ -392,6 +421,7 @@ server.listen(PORT, () => {
   console.log('║   Endpoints:                                       ║');
   console.log('║     - GET /health    - Health check                ║');
   console.log('║     - GET /sessions  - Session info                ║');
+  console.log('║     - GET /har/:id   - HAR download                ║');
   console.log('║     - WS  /sandbox   - WebSocket endpoint          ║');
   console.log('╚════════════════════════════════════════════════════╝');
   console.log('');
@@ -12,6 +12,11 @@
 
 import crypto from 'crypto';
 import puppeteer from 'puppeteer';
+import { RedirectTracker } from './redirect-chain.js';
+import { describePermissionRequest } from './permission-detector.js';
+import { ScarewareMonitor } from './scareware-detector.js';
+import { storeHar } from './har-recorder.js';
+import { startLiveCollectors } from './live-collectors.js';
 
 // ============================================
 // 상수 정의
@@ -22,6 +27,9 @@ const MAX_REDIRECTS = 5;
 const DEFAULT_VIEWPORT_WIDTH = 1280;
 const DEFAULT_VIEWPORT_HEIGHT = 720;
 
+// HAR에 응답 본문 포함 여부
+const HAR_INCLUDE_BODIES = process.env.HAR_INCLUDE_BODIES === 'true';
+
 // 위험한 파일 확장자
 const DANGEROUS_EXTENSIONS = [
   '.exe', '.msi', '.bat', '.cmd', '.com', '.scr', '.pif',  // Windows 실행 파일
@@ -133,6 +141,25 @@ export class SandboxSession {
     // 리다이렉트 카운트
     this.redirectCount = 0;
 
+    // 리다이렉트 체인 추적기
+    this.redirectTracker = null;
+
+    // 네트워크 기록기 (HAR, 세션 ID로 다운로드)
+    this.harRecorder = null;
+    this.assetHasher = null;
+
+    // 외부 스크립트 본문 수집기 (난독화 분석용)
+    this.scriptCollector = null;
+
+    // 브라우저 API 계측 (키 입력 리스너 등)
+    this.instrumentation = null;
+
+    // 채굴 신호 수집기 (WebSocket, CPU 지표)
+    this.minerMonitor = null;
+
+    // 대화상자 자동 닫기 + 기록 (가짜 경고창)
+    this.scarewareMonitor = null;
+
     // 활성 상태
     this.isActive = false;
 
@@ -190,6 +217,23 @@ export class SandboxSession {
     });
   }
 
+  /**
+   * 권한 요청 알림 전송
+   * 샌드박스 브라우저는 권한을 허용하지 않으므로 호출은 거부되지만, 요청 사실과 호출 스크립트를 클라이언트에 알림
+   * @param {object} event - PageInstrumentation permission 이벤트
+   */
+  sendPermissionRequest(event) {
+    const request = describePermissionRequest(event);
+    log(`[Session ${this.id}] 권한 요청: ${request.label} (${request.scriptUrl || '인라인 스크립트'})`, 'WARN');
+
+    this.send({
+      type: 'permission_requested',
+      ...request,
+      url: this.currentUrl,
+      sessionId: this.id,
+    });
+  }
+
   /**
    * URL 변경 알림 전송
    * @param {string} url - 새로운 URL
@@ -338,6 +382,28 @@ export class SandboxSession {
         }
       });
 
+      // 리다이렉트 체인 추적 (3xx, meta refresh, JavaScript, 프레임 이동)
+      this.redirectTracker = new RedirectTracker(this.page);
+      await this.redirectTracker.start();
+
+      // 네트워크 기록(HAR), 외부 스크립트 본문, 자산 해시, 브라우저 API 계측, 채굴 신호 수집 (HAR은 세션 종료 후에도 보관)
+      const collectors = await startLiveCollectors(this.page, { harBodies: HAR_INCLUDE_BODIES });
+      this.harRecorder = collectors.harRecorder;
+      this.scriptCollector = collectors.scriptCollector;
+      this.assetHasher = collectors.assetHasher;
+      this.instrumentation = collectors.instrumentation;
+      this.minerMonitor = collectors.minerMonitor;
+      storeHar(this.id, this.harRecorder);
+
+      // 권한 요청을 클라이언트에 실시간 전달
+      this.instrumentation.subscribe((event) => {
+        if (event.kind === 'permission') this.sendPermissionRequest(event);
+      });
+
+      // 대화상자 자동 닫기 (스크린캐스트에는 보이지 않고 페이지만 멈추므로)
+      this.scarewareMonitor = new ScarewareMonitor(this.page);
+      this.scarewareMonitor.start();
+
       // CDP 클라이언트 연결
       this.cdpClient = await this.page.createCDPSession();
 
@@ -896,6 +962,12 @@ export class SandboxSession {
       this.cdpClient = null;
     }
 
+    // 네트워크 기록 중지 (기록한 HAR은 보관소에 유지)
+    if (this.harRecorder) {
+      await this.harRecorder.stop();
+      this.harRecorder = null;
+    }
+
     // 브라우저 종료
     if (this.browser) {
       try {
@@ -0,0 +1,282 @@
+/**
+ * Scareware Detector
+ * 가짜 바이러스 경고(기술 지원 사기) 페이지의 행위 탐지
+ *
+ * - 페이지 계측(page-instrumentation.js)의 scareware 이벤트: 전체 화면 요청, beforeunload 트랩,
+ *   alert/confirm/prompt 반복, 반복 재생 오디오, 포인터/키보드 잠금, history.pushState 반복(뒤로 가기 차단)
+ * - 대화상자는 Node 측에서 자동으로 닫으며 메시지를 기록 (닫지 않으면 분석이 멈춤)
+ * - 보이는 텍스트, 제목, 화면을 덮는 고정 요소, 대화상자 메시지에서 전화번호 추출
+ * - 이미지로만 표시된 번호는 멀티모달 AI가 스크린샷에서 읽은 번호를 합쳐 보고 (mergeScreenshotPhoneNumbers)
+ */
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 전화번호 패턴 (구분자가 있는 표기만, 앞뒤가 숫자인 긴 숫자열 제외)
+const PHONE_PATTERNS = [
+  // 북미 (1-800-123-4567, +1 (888) 123-4567)
+  { region: 'nanp', pattern: /(?<![\d+])(?:\+?1[\s.-]?)?\(?([2-9]\d{2})\)?[\s.-]\d{3}[\s.-]\d{4}(?!\d)/g },
+  // 한국 대표번호 (1588-1234)
+  { region: 'kr', pattern: /(?<![\d+-])1[5-9]\d{2}-\d{4}(?!\d)/g },
+  // 한국 지역/휴대전화/수신자 부담 (02-123-4567, 010-1234-5678, 080-123-4567, +82 10-1234-5678)
+  { region: 'kr', pattern: /(?<![\d+])(?:\+82[\s-]?|0)(?:2|1[016789]|[3-6][1-5]|70|80)[\s.)-]\d{3,4}[\s.-]\d{4}(?!\d)/g },
+  // 기타 국제 번호 (+44 20 1234 5678)
+  { region: 'intl', pattern: /(?<![\d+])\+(?!1[\s.-]|82)\d{1,3}(?:[\s.-]\d{2,4}){2,4}(?!\d)/g },
+];
+
+// 북미 수신자 부담 지역 번호
+const NANP_TOLL_FREE = new Set(['800', '833', '844', '855', '866', '877', '888']);
+
+// 보고할 최대 대화상자 메시지 수
+const MAX_DIALOG_MESSAGES = 10;
+
+// 고정 요소 텍스트를 수집할 최소 뷰포트 면적 비율
+const OVERLAY_MIN_RATIO = 0.25;
+
+// 본문 텍스트 중 이 비율 이상을 담은 고정 요소는 앱 셸/레이아웃으로 보고 제외
+const OVERLAY_MAX_TEXT_RATIO = 0.5;
+
+// 화면을 덮는 요소/대화상자의 경고 문구 (행위가 없을 때 전화번호 표시를 경고로 보는 조건)
+const WARNING_KEYWORD_PATTERN = /\b(?:virus(?:es)?|malware|spyware|trojan|infected|hacked|security (?:alert|warning)|(?:computer|pc|windows) (?:is |has been )?(?:locked|blocked)|do not (?:close|restart|shut ?down))\b|바이러스|악성\s?코드|감염|해킹|보안\s?경고|컴퓨터가\s?(?:잠|차단)/gi;
+
+// 행위로 판단하는 최소 횟수 (SPA의 일반적인 pushState, 한 번의 안내 alert 제외)
+const DIALOG_LOOP_MIN_COUNT = 3;
+const HISTORY_FLOOD_MIN_COUNT = 5;
+
+// ============================================
+// 전화번호 추출
+// ============================================
+
+/**
+ * 텍스트에서 전화번호 추출
+ * @param {string} text
+ * @returns {Array} { number, normalized, region, tollFree }
+ */
+export function extractPhoneNumbers(text) {
+  if (!text) return [];
+
+  const found = new Map();
+  for (const { region, pattern } of PHONE_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const number = match[0].trim();
+      const digits = number.replace(/\D/g, '');
+      if (digits.length < 8 || digits.length > 15) continue;
+
+      // 북미 번호는 +1 국가 번호를 붙여 같은 번호의 다른 표기를 합침
+      const normalized = region === 'nanp'
+        ? `+1${digits.slice(-10)}`
+        : number.startsWith('+') ? `+${digits}` : digits;
+      if (found.has(normalized)) continue;
+
+      const tollFree = region === 'nanp'
+        ? NANP_TOLL_FREE.has(match[1])
+        : region === 'kr' && /^(080|\+8280)/.test(normalized);
+      found.set(normalized, { number, normalized, region, tollFree });
+    }
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * 여러 출처의 전화번호를 번호별로 합침
+ * @param {Array} sources - { source, text }
+ * @returns {Array} { number, normalized, region, tollFree, sources }
+ */
+export function collectPhoneNumbers(sources) {
+  const numbers = new Map();
+  for (const { source, text } of sources) {
+    for (const phone of extractPhoneNumbers(text)) {
+      if (!numbers.has(phone.normalized)) numbers.set(phone.normalized, { ...phone, sources: [] });
+      const entry = numbers.get(phone.normalized);
+      if (!entry.sources.includes(source)) entry.sources.push(source);
+    }
+  }
+  return [...numbers.values()];
+}
+
+/**
+ * AI가 스크린샷에서 읽은 전화번호를 기존 목록에 합침 (출처 'screenshot')
+ * @param {Array} phoneNumbers - collectPhoneNumbers() 결과
+ * @param {Array} screenshotNumbers - 스크린샷에서 읽은 번호 문자열
+ * @returns {Array}
+ */
+export function mergeScreenshotPhoneNumbers(phoneNumbers, screenshotNumbers) {
+  if (!Array.isArray(screenshotNumbers) || screenshotNumbers.length === 0) return phoneNumbers;
+
+  const merged = new Map(phoneNumbers.map(p => [p.normalized, { ...p, sources: [...p.sources] }]));
+  const fromScreenshot = collectPhoneNumbers([
+    { source: 'screenshot', text: screenshotNumbers.filter(n => typeof n === 'string').join('\n') },
+  ]);
+  for (const phone of fromScreenshot) {
+    const existing = merged.get(phone.normalized);
+    if (existing) existing.sources.push('screenshot');
+    else merged.set(phone.normalized, phone);
+  }
+  return [...merged.values()];
+}
+
+// ============================================
+// 보고서
+// ============================================
+
+/**
+ * 페이지의 제목, 보이는 텍스트, 화면을 크게 덮는 고정 요소 텍스트 (브라우저 문맥에서 실행)
+ * 본문 텍스트 대부분을 담은 고정 요소(#app{position:fixed;inset:0} 같은 앱 셸)는 제외
+ * @param {number} minRatio
+ * @param {number} maxTextRatio
+ * @returns {Object} { title, text, overlayText }
+ */
+function collectVisibleText(minRatio, maxTextRatio) {
+  const viewportArea = window.innerWidth * window.innerHeight;
+  const bodyText = document.body?.innerText || '';
+  const overlays = [...(document.body?.querySelectorAll('*') || [])].filter(el => {
+    const style = getComputedStyle(el);
+    if (style.position !== 'fixed' || style.display === 'none' || style.visibility === 'hidden') return false;
+    const rect = el.getBoundingClientRect();
+    if ((rect.width * rect.height) / viewportArea < minRatio) return false;
+    return bodyText.length === 0 || el.innerText.length / bodyText.length < maxTextRatio;
+  });
+
+  return {
+    title: document.title,
+    text: bodyText.substring(0, 20000),
+    overlayText: overlays.map(el => el.innerText).join('\n').substring(0, 5000),
+  };
+}
+
+/**
+ * 계측 이벤트를 API별로 집계
+ * @param {Array} events - PageInstrumentation.getEvents('scareware')
+ * @returns {Object<string, Object>} api → { count, scripts }
+ */
+function countByApi(events) {
+  const apis = {};
+  for (const event of events) {
+    const entry = apis[event.api] || (apis[event.api] = { count: 0, scripts: [] });
+    entry.count += event.count || 1;
+    const script = event.scriptUrl || '인라인 스크립트';
+    if (entry.scripts.length < 5 && !entry.scripts.includes(script)) entry.scripts.push(script);
+  }
+  return apis;
+}
+
+/**
+ * 기술 지원 사기 행위 보고서 생성
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [context]
+ * @param {Object} [context.instrumentation] - PageInstrumentation (scareware 이벤트)
+ * @param {Array} [context.dialogs] - 기록된 대화상자 { type, message }
+ * @returns {Promise<Object>} { detected, behaviours, dialogs, phoneNumbers, warningKeywords }
+ */
+export async function buildScarewareReport(page, context = {}) {
+  const { instrumentation = null } = context;
+  const events = instrumentation?.getEvents('scareware') || [];
+  const apis = countByApi(events);
+
+  // 대화상자 모니터가 없으면 계측에 기록된 메시지 사용
+  const dialogs = context.dialogs?.length > 0
+    ? context.dialogs
+    : events.filter(e => ['alert', 'confirm', 'prompt'].includes(e.api)).map(e => ({ type: e.api, message: e.message || '' }));
+  const pick = (...names) => {
+    const entries = names.map(name => apis[name]).filter(Boolean);
+    if (entries.length === 0) return null;
+    return {
+      count: entries.reduce((sum, e) => sum + e.count, 0),
+      scripts: [...new Set(entries.flatMap(e => e.scripts))],
+    };
+  };
+
+  // 대화상자 수는 실제로 열린 수(Node 측)와 호출 수(계측) 중 큰 값
+  const dialogCalls = pick('alert', 'confirm', 'prompt');
+  const dialogCount = Math.max(dialogs.length, dialogCalls?.count || 0);
+
+  const behaviours = {
+    fullscreen: pick('requestFullscreen'),
+    beforeunload: pick('beforeunload'),
+    dialogs: dialogCount > 0 ? { count: dialogCount, scripts: dialogCalls?.scripts || [] } : null,
+    loopingAudio: pick('loopingAudio'),
+    inputLock: pick('requestPointerLock', 'keyboard.lock'),
+    historyFlood: pick('history.pushState'),
+  };
+
+  const visible = await page.evaluate(collectVisibleText, OVERLAY_MIN_RATIO, OVERLAY_MAX_TEXT_RATIO)
+    .catch(() => ({ title: '', text: '', overlayText: '' }));
+  const phoneNumbers = collectPhoneNumbers([
+    { source: 'title', text: visible.title },
+    { source: 'overlay', text: visible.overlayText },
+    { source: 'dialog', text: dialogs.map(d => d.message).join('\n') },
+    { source: 'text', text: visible.text },
+  ]);
+  const warningText = `${visible.overlayText}\n${dialogs.map(d => d.message).join('\n')}`;
+  const warningKeywords = [...new Set([...warningText.matchAll(WARNING_KEYWORD_PATTERN)].map(m => m[0].toLowerCase()))];
+
+  return {
+    detected: Boolean(behaviours.fullscreen || behaviours.beforeunload || behaviours.loopingAudio || behaviours.inputLock)
+      || behaviours.dialogs?.count >= DIALOG_LOOP_MIN_COUNT
+      || behaviours.historyFlood?.count >= HISTORY_FLOOD_MIN_COUNT,
+    behaviours,
+    dialogs: dialogs.slice(0, MAX_DIALOG_MESSAGES),
+    phoneNumbers,
+    warningKeywords,
+  };
+}
+
+// ============================================
+// 대화상자 모니터
+// ============================================
+
+/**
+ * 대화상자(alert/confirm/prompt/beforeunload)를 자동으로 닫고 메시지 기록
+ * page.goto() 전에 start()를 호출해야 로드 중 대화상자도 기록됨
+ */
+export class ScarewareMonitor {
+  /**
+   * @param {import('puppeteer').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    this.dialogs = [];
+    this.handleDialog = this.handleDialog.bind(this);
+  }
+
+  /**
+   * 수집 시작
+   */
+  start() {
+    this.page.on('dialog', this.handleDialog);
+  }
+
+  /**
+   * 대화상자 기록 후 닫기
+   * @param {import('puppeteer').Dialog} dialog
+   */
+  async handleDialog(dialog) {
+    this.dialogs.push({
+      type: dialog.type(),
+      message: dialog.message().substring(0, 300),
+      timestamp: new Date().toISOString(),
+    });
+    await dialog.dismiss().catch(() => {});
+  }
+
+  /**
+   * 기술 지원 사기 행위 보고서 생성
+   * @param {Object} [context]
+   * @param {Object} [context.instrumentation] - PageInstrumentation
+   * @returns {Promise<Object>}
+   */
+  async getReport(context = {}) {
+    return buildScarewareReport(this.page, { ...context, dialogs: this.dialogs });
+  }
+
+  /**
+   * 수집 중지
+   */
+  stop() {
+    this.page.off('dialog', this.handleDialog);
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Score Calibration Model
+ * 라벨링된 데이터셋으로 학습한 보정 모델(규칙 가중치 + AI 결합 함수) 로드 및 적용
+ *
+ * - 규칙별 기여 항목을 특성으로 하는 로지스틱 회귀: 점수 = 100 × P(피싱)
+ * - AI 결합: 휴리스틱 확률과 AI 점수의 로짓을 입력으로 하는 로지스틱 회귀 (모델에 없으면 기존 40/60 가중 평균)
+ * - 모델 파일은 calibrate.js가 생성 (config/score-model.json), 없으면 규칙 점수 합계를 그대로 사용
+ * - 모델의 rulesetVersion이 현재 규칙셋과 다르면 적용하지 않음 (규칙 리로드 후에도 적용 시점마다 확인)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRuleset } from './rule-engine.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 모델 파일 경로 (SCORE_MODEL_PATH 환경변수로 변경 가능)
+export const DEFAULT_MODEL_PATH = path.join(__dirname, 'config', 'score-model.json');
+
+// 로짓 계산 시 확률 범위 (0/1의 무한대 방지)
+const PROBABILITY_EPSILON = 1e-4;
+
+let model = null;
+
+// 마지막으로 경고한 규칙셋 버전 불일치 (같은 불일치 경고 반복 방지)
+let warnedMismatch = null;
+
+// ============================================
+// 수학 함수
+// ============================================
+
+/**
+ * 시그모이드
+ * @param {number} z
+ * @returns {number}
+ */
+export function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * 로짓 (확률 → 로그 오즈)
+ * @param {number} p
+ * @returns {number}
+ */
+export function logit(p) {
+  const clamped = Math.min(Math.max(p, PROBABILITY_EPSILON), 1 - PROBABILITY_EPSILON);
+  return Math.log(clamped / (1 - clamped));
+}
+
+/**
+ * 점수 내역을 규칙별 특성으로 변환
+ * 특성 값은 규칙 기본 가중치 대비 실제 가중치 비율 (factor 적용 규칙은 0~1, 나머지는 1)
+ * 상한으로 점수에 반영되지 않은 기여 항목도 포함 (규칙 일치 자체가 신호)
+ * @param {Array} breakdown - summarizeScore()의 breakdown
+ * @param {Map<string, number>} [baseWeights] - 규칙 ID → 규칙 파일의 weight
+ * @returns {Object<string, number>} 규칙 ID → 특성 값
+ */
+export function extractFeatures(breakdown, baseWeights = new Map()) {
+  const features = {};
+  for (const entry of breakdown || []) {
+    const base = baseWeights.get(entry.ruleId);
+    const value = base ? Math.min(entry.weight / base, 1) : 1;
+    features[entry.ruleId] = Math.max(features[entry.ruleId] || 0, value);
+  }
+  return features;
+}
+
+// ============================================
+// 모델 로드
+// ============================================
+
+/**
+ * 모델 학습에 사용된 규칙셋 버전과 현재 규칙셋 버전 비교
+ * 규칙 ID·가중치가 바뀌면 학습한 계수가 맞지 않으므로 불일치 시 보정하지 않음
+ * @returns {Object|null} 불일치 시 { modelRulesetVersion, rulesetVersion }, 일치하거나 모델이 없으면 null
+ */
+export function checkRulesetVersion() {
+  if (!model) return null;
+
+  const rulesetVersion = getRuleset().version;
+  if (model.rulesetVersion === rulesetVersion) return null;
+
+  const mismatch = { modelRulesetVersion: model.rulesetVersion || null, rulesetVersion };
+  const key = `${model.version}|${rulesetVersion}`;
+  if (warnedMismatch !== key) {
+    warnedMismatch = key;
+    console.warn(`[Score Model] 규칙셋 버전 불일치 (모델: ${mismatch.modelRulesetVersion || '없음'}, 현재: ${rulesetVersion}), 규칙 점수 합계 사용 - calibrate.js로 다시 학습 필요`);
+  }
+  return mismatch;
+}
+
+/**
+ * 보정 모델 로드 (파일이 없으면 보정하지 않음)
+ * @param {string} [modelPath] - 모델 JSON 파일 경로
+ * @returns {Object|null} 로드된 모델
+ */
+export function loadScoreModel(modelPath = process.env.SCORE_MODEL_PATH || DEFAULT_MODEL_PATH) {
+  if (!fs.existsSync(modelPath)) {
+    model = null;
+    console.log(`[Score Model] 모델 파일 없음 (${modelPath}), 규칙 점수 합계 사용`);
+    return model;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    if (parsed.type !== 'logistic' || typeof parsed.intercept !== 'number' || !parsed.weights) {
+      throw new Error('type: "logistic", intercept, weights가 필요합니다.');
+    }
+    model = { ...parsed, source: modelPath };
+    warnedMismatch = null;
+    console.log(`[Score Model] 보정 모델 로드: ${model.version} (특성 ${Object.keys(model.weights).length}개${model.fusion ? ', AI 결합 포함' : ''})`);
+    checkRulesetVersion();
+  } catch (error) {
+    console.warn(`[Score Model] 모델 로드 실패 (${modelPath}): ${error.message}`);
+    model = null;
+  }
+  return model;
+}
+
+/**
+ * 현재 로드된 보정 모델 반환
+ * @returns {Object|null}
+ */
+export function getScoreModel() {
+  return model;
+}
+
+// ============================================
+// 모델 적용
+// ============================================
+
+/**
+ * 특성에 로지스틱 회귀 적용
+ * @param {Object} weights - 특성 → 계수
+ * @param {number} intercept
+ * @param {Object<string, number>} features
+ * @returns {number} 확률
+ */
+export function predictProbability(weights, intercept, features) {
+  let z = intercept;
+  for (const [name, value] of Object.entries(features)) {
+    z += (weights[name] || 0) * value;
+  }
+  return sigmoid(z);
+}
+
+/**
+ * 휴리스틱 점수 보정 (모델이 없으면 null)
+ * 규칙셋 버전이 다르면 applied: false와 불일치 내용을 반환 (riskScore는 null, 호출 측에서 합계 사용)
+ * @param {Array} breakdown - summarizeScore()의 breakdown
+ * @param {Map<string, number>} baseWeights - 규칙 ID → 규칙 파일의 weight
+ * @returns {Object|null} { applied, riskScore, probability, modelVersion, rulesetMismatch }
+ */
+export function calibrateScore(breakdown, baseWeights) {
+  if (!model) return null;
+
+  const rulesetMismatch = checkRulesetVersion();
+  if (rulesetMismatch) {
+    return { applied: false, riskScore: null, probability: null, modelVersion: model.version, rulesetMismatch };
+  }
+
+  const probability = predictProbability(model.weights, model.intercept, extractFeatures(breakdown, baseWeights));
+  return {
+    applied: true,
+    riskScore: Math.round(probability * 100),
+    probability: Math.round(probability * 10000) / 10000,
+    modelVersion: model.version,
+    rulesetMismatch: null,
+  };
+}
+
+/**
+ * 휴리스틱 점수와 AI 점수 결합
+ * 모델에 결합 함수가 있으면 학습한 로지스틱 결합, 없거나 규칙셋 버전이 다르면 기존 가중 평균 (휴리스틱 40%, AI 60%)
+ * @param {number} heuristicScore - 0~100 (보정 모델이 있으면 보정된 점수)
+ * @param {number} aiScore - 0~100
+ * @returns {Object} { riskScore, method }
+ */
+export function fuseScores(heuristicScore, aiScore) {
+  const fusion = model?.fusion;
+  if (!fusion || checkRulesetVersion()) {
+    return { riskScore: Math.round(heuristicScore * 0.4 + aiScore * 0.6), method: 'weighted-average' };
+  }
+
+  const probability = sigmoid(
+    fusion.intercept +
+    fusion.heuristic * logit(heuristicScore / 100) +
+    fusion.ai * logit(aiScore / 100)
+  );
+  return { riskScore: Math.round(probability * 100), method: 'logistic' };
+}
+
+// 모듈 로드 시 모델 초기화
+loadScoreModel();
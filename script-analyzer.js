@@ -0,0 +1,391 @@
+/**
+ * Script Obfuscation Analyzer
+ * 스크립트 본문 수집 + 난독화 지표 계산 + 정적 난독화 해제
+ *
+ * - 네트워크 응답에서 외부 스크립트 본문 수집 (ScriptCollector)
+ * - 엔트로피, 긴 문자열 배열, 패커 서명, 16진수/유니코드 이스케이프 밀도
+ * - 코드를 실행하지 않는 정적 해제: 이스케이프/fromCharCode/Base64/퍼센트 인코딩, Dean Edwards 패커
+ * - 해제된 문자열에서 URL, 텔레그램 봇 토큰 추출
+ */
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 수집 제한 (스크립트당 크기, 보관할 최근 스크립트 수)
+const MAX_SCRIPT_BYTES = 2 * 1024 * 1024;
+const MAX_SCRIPTS = 100;
+
+// 분석 대상 최대 길이 (이보다 긴 스크립트는 앞부분만 분석)
+const MAX_ANALYZE_LENGTH = 1024 * 1024;
+
+// 보고할 해제 문자열/지표 최대 수
+const MAX_DECODED_STRINGS = 20;
+const MAX_INDICATORS = 20;
+
+// 패커/난독화 도구 서명
+const PACKER_SIGNATURES = [
+  { name: 'dean-edwards-packer', pattern: /eval\s*\(\s*function\s*\(\s*p\s*,\s*a\s*,\s*c\s*,\s*k\s*,\s*e\s*,\s*[dr]\s*\)/ },
+  { name: 'eval-decoder', pattern: /\b(?:eval|Function)\s*\(\s*(?:atob|unescape|decodeURIComponent|String\.fromCharCode)\s*\(/ },
+  { name: 'document-write-unescape', pattern: /document\.write\s*\(\s*unescape\s*\(/ },
+  { name: 'jsfuck', pattern: /[[\]()!+]{500,}/ },
+  { name: 'aaencode', pattern: /ﾟωﾟﾉ|ﾟДﾟ|ﾟΘﾟ/ },
+  { name: 'jjencode', pattern: /\$=~\[\];\s*\$=\{___:\+\+\$/ },
+];
+
+// obfuscator.io 식별자 (_0x1a2b3c) - 이 개수 이상이면 서명으로 판정
+const OBFUSCATOR_IDENTIFIER_PATTERN = /\b_0x[0-9a-f]{4,6}\b/g;
+const OBFUSCATOR_IDENTIFIER_MIN = 20;
+
+// 이스케이프 시퀀스
+const ESCAPE_PATTERN = /\\x[0-9a-fA-F]{2}|\\u[0-9a-fA-F]{4}|\\u\{[0-9a-fA-F]+\}/g;
+
+// 문자열 리터럴 (템플릿은 ${} 없는 경우만)
+const STRING_LITERAL_PATTERN = /'((?:[^'\\\n]|\\.){1,2000})'|"((?:[^"\\\n]|\\.){1,2000})"|`((?:[^`\\$]|\\.){1,2000})`/g;
+
+// 지표
+const URL_PATTERN = /\bhttps?:\/\/[^\s'"`<>\\)]{4,}/gi;
+const TELEGRAM_TOKEN_PATTERN = /(?<!\d)\d{8,10}:[A-Za-z0-9_-]{35}(?![A-Za-z0-9_-])/g;
+
+// ============================================
+// 스크립트 본문 수집
+// ============================================
+
+/**
+ * 네트워크 응답에서 외부 스크립트 본문 수집
+ * page.goto() 전에 start()를 호출해야 모든 스크립트가 수집됨
+ */
+export class ScriptCollector {
+  /**
+   * @param {import('puppeteer').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    this.scripts = [];
+    this.pending = new Set();
+    this.handleResponse = this.handleResponse.bind(this);
+  }
+
+  /**
+   * 수집 시작
+   */
+  start() {
+    this.page.on('response', this.handleResponse);
+  }
+
+  /**
+   * 스크립트 응답 처리
+   * @param {import('puppeteer').HTTPResponse} response
+   */
+  handleResponse(response) {
+    if (response.request().resourceType() !== 'script') return;
+
+    const status = response.status();
+    if (status >= 300 && status < 400) return;
+
+    const task = response.buffer()
+      .then(buffer => {
+        this.scripts.push({
+          url: response.url(),
+          status,
+          size: buffer.length,
+          truncated: buffer.length > MAX_SCRIPT_BYTES,
+          body: buffer.subarray(0, MAX_SCRIPT_BYTES).toString('utf8'),
+        });
+        // 세션처럼 오래 유지되는 페이지에서는 최근 스크립트만 보관
+        if (this.scripts.length > MAX_SCRIPTS) this.scripts.shift();
+      })
+      .catch(() => {
+        // 본문을 받을 수 없는 응답 (리다이렉트, 캐시 등) 무시
+      })
+      .finally(() => this.pending.delete(task));
+
+    this.pending.add(task);
+  }
+
+  /**
+   * 수집된 스크립트 반환 (진행 중인 본문 읽기 완료 대기)
+   * @returns {Promise<Array>} { url, status, size, truncated, body }
+   */
+  async getScripts() {
+    await Promise.allSettled([...this.pending]);
+    return [...this.scripts];
+  }
+
+  /**
+   * 수집 중지
+   */
+  stop() {
+    this.page.off('response', this.handleResponse);
+  }
+}
+
+// ============================================
+// 난독화 지표
+// ============================================
+
+/**
+ * 섀넌 엔트로피 (문자당 비트)
+ * @param {string} text
+ * @returns {number}
+ */
+export function calculateEntropy(text) {
+  if (!text) return 0;
+
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  const length = [...counts.values()].reduce((sum, n) => sum + n, 0);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / length;
+    entropy -= p * Math.log2(p);
+  }
+  return Math.round(entropy * 100) / 100;
+}
+
+/**
+ * 가장 긴 문자열 배열 리터럴의 원소 수 (obfuscator.io의 문자열 테이블 등)
+ * @param {string} source
+ * @returns {number}
+ */
+function findLongestStringArray(source) {
+  const opener = /\[\s*(?=['"])/g;
+  const element = /\s*(?:'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*")\s*([,\]])/y;
+  let longest = 0;
+  let match;
+
+  while ((match = opener.exec(source)) !== null) {
+    let count = 0;
+    element.lastIndex = opener.lastIndex;
+
+    let item;
+    while ((item = element.exec(source)) !== null) {
+      count++;
+      if (item[1] === ']') break;
+    }
+
+    longest = Math.max(longest, count);
+    opener.lastIndex = Math.max(element.lastIndex, opener.lastIndex);
+  }
+
+  return longest;
+}
+
+/**
+ * 패커/난독화 도구 서명 탐지
+ * @param {string} source
+ * @returns {string[]} 서명 이름 목록
+ */
+function detectSignatures(source) {
+  const signatures = PACKER_SIGNATURES
+    .filter(({ pattern }) => pattern.test(source))
+    .map(({ name }) => name);
+
+  const identifiers = source.match(OBFUSCATOR_IDENTIFIER_PATTERN) || [];
+  if (identifiers.length >= OBFUSCATOR_IDENTIFIER_MIN) {
+    signatures.push('obfuscator-io');
+  }
+
+  return signatures;
+}
+
+/**
+ * 16진수/유니코드 이스케이프가 차지하는 비율
+ * @param {string} source
+ * @returns {number} 0-1
+ */
+function calculateEscapeDensity(source) {
+  if (!source) return 0;
+
+  let escaped = 0;
+  for (const match of source.matchAll(ESCAPE_PATTERN)) {
+    escaped += match[0].length;
+  }
+  return Math.round((escaped / source.length) * 1000) / 1000;
+}
+
+// ============================================
+// 정적 난독화 해제
+// ============================================
+
+/**
+ * 문자열 리터럴의 JS 이스케이프 해제
+ * @param {string} value - 따옴표 안쪽 원문
+ * @returns {string}
+ */
+function unescapeJsString(value) {
+  return value.replace(/\\(?:x([0-9a-fA-F]{2})|u\{([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|([\s\S]))/g,
+    (match, hex, codePoint, unicode, char) => {
+      if (hex) return String.fromCharCode(parseInt(hex, 16));
+      if (codePoint) {
+        const code = parseInt(codePoint, 16);
+        return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+      }
+      if (unicode) return String.fromCharCode(parseInt(unicode, 16));
+      return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' }[char] ?? char;
+    });
+}
+
+/**
+ * 출력 가능한 문자 비율이 높은지 확인 (해제 결과가 의미 있는지 판단)
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isMostlyPrintable(text) {
+  if (!text) return false;
+  const printable = text.match(/[\x20-\x7E\n\r\t\u00A0-\uFFFC]/g) || [];
+  return printable.length / text.length > 0.9;
+}
+
+/**
+ * Base64 문자열 해제 시도
+ * @param {string} value
+ * @returns {string|null}
+ */
+function tryDecodeBase64(value) {
+  if (value.length < 16 || value.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    return null;
+  }
+  const decoded = Buffer.from(value, 'base64').toString('utf8');
+  return isMostlyPrintable(decoded) ? decoded : null;
+}
+
+/**
+ * 퍼센트 인코딩 해제 시도 (unescape/decodeURIComponent 인자)
+ * @param {string} value
+ * @returns {string|null}
+ */
+function tryDecodePercent(value) {
+  if ((value.match(/%[0-9a-fA-F]{2}/g) || []).length < 3) return null;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return unescape(value);
+  }
+}
+
+/**
+ * Dean Edwards 패커 정적 해제 (eval 없이 치환표로 복원)
+ * @param {string} source
+ * @returns {string|null} 복원된 코드
+ */
+export function unpackPacker(source) {
+  const match = source.match(
+    /\}\s*\(\s*(['"])((?:(?!\1)[^\\]|\\.)*)\1\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*(['"])((?:(?!\5)[^\\]|\\.)*)\5\.split\(\s*['"]\|['"]\s*\)/
+  );
+  if (!match) return null;
+
+  const payload = unescapeJsString(match[2]);
+  const radix = parseInt(match[3], 10);
+  const count = parseInt(match[4], 10);
+  const keywords = unescapeJsString(match[6]).split('|');
+  if (radix < 2 || radix > 62 || count > 100000) return null;
+
+  // 패커의 인코딩 함수: 숫자 → radix 진법 단어 (36 초과는 대문자 사용)
+  const encode = (n) => (n < radix ? '' : encode(Math.floor(n / radix))) +
+    ((n % radix) > 35 ? String.fromCharCode((n % radix) + 29) : (n % radix).toString(36));
+
+  const dictionary = new Map();
+  for (let i = 0; i < count; i++) {
+    const word = encode(i);
+    dictionary.set(word, keywords[i] || word);
+  }
+
+  return payload.replace(/\b\w+\b/g, word => dictionary.get(word) ?? word);
+}
+
+/**
+ * 스크립트에서 정적으로 해제할 수 있는 문자열 수집
+ * @param {string} source
+ * @returns {string[]} 원문과 다른 해제 결과
+ */
+function collectDecodedStrings(source) {
+  const decoded = new Set();
+  const add = (value) => {
+    if (value && value.trim().length >= 4 && isMostlyPrintable(value)) decoded.add(value);
+  };
+
+  // 패커 복원 결과도 같은 방식으로 다시 검사
+  const unpacked = unpackPacker(source);
+  const sources = unpacked ? [source, unpacked] : [source];
+  if (unpacked) add(unpacked.substring(0, 500));
+
+  for (const code of sources) {
+    for (const match of code.matchAll(STRING_LITERAL_PATTERN)) {
+      const raw = match[1] ?? match[2] ?? match[3];
+      const value = unescapeJsString(raw);
+      if (value !== raw) add(value);
+
+      const base64 = tryDecodeBase64(value);
+      if (base64) add(base64);
+
+      const percent = tryDecodePercent(value);
+      if (percent && percent !== value) add(percent);
+    }
+
+    // String.fromCharCode(104, 0x74, ...)
+    for (const match of code.matchAll(/String\.fromCharCode\(\s*((?:0x[0-9a-fA-F]+|\d+)(?:\s*,\s*(?:0x[0-9a-fA-F]+|\d+))*)\s*\)/g)) {
+      const codes = match[1].split(',').map(n => Number(n.trim()));
+      if (codes.every(n => n >= 0 && n <= 0xFFFF)) add(String.fromCharCode(...codes));
+    }
+  }
+
+  return [...decoded];
+}
+
+/**
+ * 텍스트에서 URL, 텔레그램 봇 토큰 추출
+ * @param {string[]} texts
+ * @returns {{ urls: string[], telegramTokens: string[] }}
+ */
+function extractIndicators(texts) {
+  const urls = new Set();
+  const telegramTokens = new Set();
+
+  for (const text of texts) {
+    for (const match of text.matchAll(URL_PATTERN)) urls.add(match[0].replace(/[.,;]+$/, ''));
+    for (const match of text.matchAll(TELEGRAM_TOKEN_PATTERN)) telegramTokens.add(match[0]);
+  }
+
+  return {
+    urls: [...urls].slice(0, MAX_INDICATORS),
+    telegramTokens: [...telegramTokens].slice(0, MAX_INDICATORS),
+  };
+}
+
+// ============================================
+// 스크립트 분석
+// ============================================
+
+/**
+ * 스크립트 하나의 난독화 지표 및 해제 결과
+ * @param {string} body - 스크립트 본문
+ * @param {Object} [source] - 출처 정보 ({ scriptUrl } 또는 { scriptIndex })
+ * @returns {Object}
+ */
+export function analyzeScript(body, source = {}) {
+  const code = (body || '').substring(0, MAX_ANALYZE_LENGTH);
+  const decodedStrings = collectDecodedStrings(code);
+
+  // 평문에도 있는 지표는 제외하고 해제 결과에서만 보이는 지표를 구분
+  const plain = extractIndicators([code]);
+  const decoded = extractIndicators(decodedStrings);
+
+  return {
+    ...source,
+    size: (body || '').length,
+    entropy: calculateEntropy(code),
+    longestStringArray: findLongestStringArray(code),
+    signatures: detectSignatures(code),
+    escapeDensity: calculateEscapeDensity(code),
+    decoded: {
+      strings: decodedStrings.slice(0, MAX_DECODED_STRINGS).map(s => s.substring(0, 300)),
+      urls: decoded.urls.filter(url => !plain.urls.includes(url)),
+      telegramTokens: [...new Set([...decoded.telegramTokens, ...plain.telegramTokens])],
+    },
+    urls: plain.urls,
+  };
+}
@@ -10,7 +10,11 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import { analyzeUrl, quickCheck } from './analyzer.js';
+import { analyzeUrl, quickCheck, expandUrl, analyzeQrImage } from './analyzer.js';
+import { parseImageInput } from './qr-decoder.js';
+import { loadHar } from './har-recorder.js';
+import { getRulesetInfo, reloadRules } from './rule-engine.js';
+import { listFeeds } from './threat-feeds.js';
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -37,6 +41,9 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
+// QR 이미지 업로드 (JSON data URL 또는 이미지 본문, 최대 10MB)
+app.use('/api/qr-decode', express.json({ limit: '10mb' }), express.raw({ type: 'image/*', limit: '10mb' }));
+
 // JSON 파싱
 app.use(express.json({ limit: '1mb' }));
 
@@ -91,8 +98,14 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     endpoints: {
       'POST /api/analyze': 'URL 전체 분석 (Puppeteer 샌드박스)',
+      'GET /api/har/:analysisId': '분석 네트워크 기록 다운로드 (HAR 1.2)',
       'POST /api/quick-check': 'URL 빠른 검사 (도메인 분석만)',
+      'POST /api/expand': '단축 URL 전개 및 목적지 사전 판정',
+      'POST /api/qr-decode': 'QR 코드 이미지 해독 및 연결 URL 분석',
       'GET /api/status': '서버 상태 확인',
+      'GET /api/rules': '현재 탐지 규칙셋 정보',
+      'POST /api/rules/reload': '탐지 규칙 파일 다시 읽기',
+      'GET /api/feeds': '가져온 위협 피드/허용 목록',
     },
     riskLevels: {
       safe: '0-30점: 안전',
@@ -127,7 +140,11 @@ app.get('/api/status', (req, res) => {
  *   "url": "https://example.com",
  *   "options": {
  *     "timeout": 30000,
- *     "takeScreenshot": true
+ *     "takeScreenshot": true,
+ *     "traceCanaries": false,
+ *     "detectCloaking": false,
+ *     "probeKitArtifacts": false,
+ *     "harBodies": false
  *   }
  * }
  *
@@ -188,6 +205,12 @@ app.post('/api/analyze', async (req, res) => {
     const result = await analyzeUrl(url, {
       timeout,
       takeScreenshot: options.takeScreenshot !== false,
+      traceCanaries: options.traceCanaries === true,
+      detectCloaking: options.detectCloaking === true,
+      probeKitArtifacts: options.probeKitArtifacts === true,
+      probeArchiveLimit: options.probeArchiveLimit,
+      harBodies: options.harBodies === true,
+      harBodyLimit: options.harBodyLimit,
     });
 
     console.log(`[분석 완료] ${url} - 위험도: ${result.riskScore} (${result.riskLevel})`);
@@ -233,6 +256,30 @@ app.post('/api/analyze', async (req, res) => {
   }
 });
 
+/**
+ * 분석 네트워크 기록 다운로드 (HAR 1.2)
+ * GET /api/har/:analysisId
+ *
+ * Response: HAR 파일 (Content-Disposition: attachment)
+ */
+app.get('/api/har/:analysisId', async (req, res) => {
+  const har = await loadHar(req.params.analysisId);
+
+  if (!har) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'HAR_NOT_FOUND',
+        message: '해당 분석의 HAR을 찾을 수 없습니다. (보관 기간 1시간)',
+      },
+    });
+  }
+
+  res.attachment(`${req.params.analysisId}.har`);
+  res.type('application/json');
+  res.send(JSON.stringify(har));
+});
+
 /**
  * URL 빠른 검사 (도메인 분석만, 브라우저 미사용)
  * POST /api/quick-check
@@ -297,6 +344,158 @@ app.post('/api/quick-check', (req, res) => {
   }
 });
 
+/**
+ * 단축 URL 전개 및 목적지 사전 판정 (브라우저 미사용, 목적지 미방문)
+ * POST /api/expand
+ *
+ * Request Body:
+ * {
+ *   "url": "https://bit.ly/abc123"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "startUrl": "https://bit.ly/abc123",
+ *     "finalUrl": "https://example.com/login",
+ *     "expanded": true,
+ *     "complete": true,
+ *     "hops": [{ "url": "https://bit.ly/abc123", "method": "HEAD", "status": 301, "location": "https://example.com/login", "via": "header" }],
+ *     "shorteners": ["bit.ly"],
+ *     "verdict": { "riskScore": 0, "riskLevel": "safe", ... }
+ *   }
+ * }
+ */
+app.post('/api/expand', async (req, res) => {
+  const { url } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'MISSING_URL',
+        message: 'URL이 필요합니다.',
+      },
+    });
+  }
+
+  if (typeof url !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_URL_TYPE',
+        message: 'URL은 문자열이어야 합니다.',
+      },
+    });
+  }
+
+  try {
+    const result = await expandUrl(url);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+
+  } catch (error) {
+    if (error.message.includes('유효하지 않은 URL')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_URL',
+          message: error.message,
+        },
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EXPAND_ERROR',
+        message: '단축 URL 전개 중 오류가 발생했습니다.',
+      },
+    });
+  }
+});
+
+/**
+ * QR 코드 이미지 해독 및 연결 URL 분석 (큐싱)
+ * POST /api/qr-decode
+ *
+ * Request Body (application/json):
+ * {
+ *   "image": "data:image/png;base64,...",
+ *   "options": {
+ *     "followQrCodes": false
+ *   }
+ * }
+ * 또는 이미지 본문 (Content-Type: image/*, ?followQrCodes=true)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "riskScore": 30,
+ *     "riskLevel": "safe",
+ *     "codes": [{ "source": "upload", "text": "https://...", "type": "url", "url": "https://...", "quickCheck": {...}, "analysis": null }]
+ *   }
+ * }
+ */
+app.post('/api/qr-decode', async (req, res) => {
+  let image = null;
+  let options = {};
+
+  if (Buffer.isBuffer(req.body)) {
+    image = parseImageInput(req.body.toString('base64'), req.get('Content-Type'));
+    options = { followQrCodes: req.query.followQrCodes === 'true' };
+  } else if (req.body?.image) {
+    image = parseImageInput(req.body.image, req.body.mimeType);
+    options = req.body.options || {};
+  } else {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'MISSING_IMAGE',
+        message: '이미지가 필요합니다.',
+      },
+    });
+  }
+
+  if (!image) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_IMAGE',
+        message: '이미지는 data URL, base64 문자열 또는 image/* 본문이어야 합니다.',
+      },
+    });
+  }
+
+  try {
+    const result = await analyzeQrImage(image, {
+      timeout: ANALYSIS_TIMEOUT,
+      followQrCodes: options.followQrCodes === true,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+
+  } catch (error) {
+    console.error(`[QR 해독 오류] ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'QR_DECODE_ERROR',
+        message: 'QR 코드 해독 중 오류가 발생했습니다.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      },
+    });
+  }
+});
+
 /**
  * 배치 분석 (여러 URL 동시 검사)
  * POST /api/batch-check
@@ -343,6 +542,8 @@ app.post('/api/batch-check', async (req, res) => {
           warning: results.filter(r => r.riskLevel === 'warning').length,
           danger: results.filter(r => r.riskLevel === 'danger').length,
           invalid: results.filter(r => !r.valid).length,
+          blocklisted: results.filter(r => r.threatFeed?.list === 'block').length,
+          allowlisted: results.filter(r => r.allowlisted).length,
         },
       },
     });
@@ -358,6 +559,86 @@ app.post('/api/batch-check', async (req, res) => {
   }
 });
 
+/**
+ * 현재 탐지 규칙셋 정보
+ * GET /api/rules
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "version": "default@1.0.0",
+ *     "sources": [{ "file": "default.json", "name": "default", "version": "1.0.0" }],
+ *     "ruleCount": 34,
+ *     "loadedAt": "2026-01-01T00:00:00.000Z"
+ *   }
+ * }
+ */
+app.get('/api/rules', (req, res) => {
+  res.json({
+    success: true,
+    data: getRulesetInfo(),
+  });
+});
+
+/**
+ * 탐지 규칙 파일 다시 읽기 (파일 변경은 자동 감지되지만 수동 리로드용)
+ * POST /api/rules/reload
+ */
+app.post('/api/rules/reload', (req, res) => {
+  try {
+    reloadRules();
+    const info = getRulesetInfo();
+
+    // 새 규칙 파일에 오류가 있으면 기존 규칙셋이 유지됨
+    if (info.lastReloadError) {
+      return res.status(422).json({
+        success: false,
+        error: {
+          code: 'INVALID_RULES',
+          message: '규칙 파일에 오류가 있어 기존 규칙셋을 유지합니다.',
+          details: info.lastReloadError.message,
+        },
+        data: info,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: info,
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RULES_RELOAD_ERROR',
+        message: '규칙 파일을 읽을 수 없습니다.',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * 가져온 위협 피드/허용 목록
+ * GET /api/feeds
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "feeds": [{ "name": "phishtank", "format": "phishtank", "list": "block", "entryCount": 52000, "importedAt": "..." }]
+ *   }
+ * }
+ */
+app.get('/api/feeds', (req, res) => {
+  res.json({
+    success: true,
+    data: { feeds: listFeeds() },
+  });
+});
+
 // ============================================
 // 에러 핸들링
 // ============================================
@@ -400,8 +681,13 @@ app.listen(PORT, () => {
   console.log(`║  Timeout: ${ANALYSIS_TIMEOUT}ms                        ║`);
   console.log('║  Endpoints:                                ║');
   console.log('║    POST /api/analyze      - 전체 분석      ║');
+  console.log('║    GET  /api/har/:id      - HAR 다운로드   ║');
   console.log('║    POST /api/quick-check  - 빠른 검사      ║');
+  console.log('║    POST /api/expand       - 단축 URL 전개  ║');
   console.log('║    POST /api/batch-check  - 배치 검사      ║');
+  console.log('║    POST /api/qr-decode    - QR 코드 해독   ║');
+  console.log('║    GET  /api/rules        - 규칙셋 정보    ║');
+  console.log('║    GET  /api/feeds        - 위협 피드 목록 ║');
   console.log('║    GET  /health           - 헬스체크       ║');
   console.log('╚════════════════════════════════════════════╝');
 });
@@ -0,0 +1,486 @@
+/**
+ * Threat Feed Store
+ * 오프라인 위협 피드(차단 목록) 및 자체 허용 목록 저장소
+ *
+ * - PhishTank / OpenPhish / URLhaus 덤프(CSV, JSON, 텍스트)와 허용 목록 가져오기
+ * - 정확한 URL, URL 접두사, 도메인(등록 가능 도메인 포함) 인덱스로 조회
+ * - 저장소 파일(data/threat-feeds.json)이 바뀌면 다음 조회 시 자동으로 다시 읽음
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRegistrableDomain } from './domain-utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 저장소 파일 경로 (THREAT_FEED_PATH 환경변수로 변경 가능)
+const DEFAULT_STORE_PATH = path.join(__dirname, 'data', 'threat-feeds.json');
+
+// 지원하는 피드 형식과 기본 목록 유형
+export const FEED_FORMATS = {
+  phishtank: 'block',
+  openphish: 'block',
+  urlhaus: 'block',
+  allowlist: 'allow',
+  blocklist: 'block',
+};
+
+// 일치 유형별 구체성 (허용/차단 목록이 동시에 일치할 때 비교)
+const MATCH_SPECIFICITY = { exact: 3, prefix: 2, domain: 1 };
+
+let store = null;
+let storeMtime = 0;
+let index = null;
+
+// ============================================
+// URL 정규화
+// ============================================
+
+/**
+ * 조회 키로 쓸 URL 정규화 (스킴과 fragment 제외: "host[:port]/path?query")
+ * @param {string} value
+ * @returns {Object|null} { key, hostname }
+ */
+function normalizeUrl(value) {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  try {
+    const parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `http://${text}`);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+    const host = parsed.port ? `${parsed.hostname}:${parsed.port}` : parsed.hostname;
+    return {
+      key: `${host}${parsed.pathname}${parsed.search}`,
+      hostname: parsed.hostname,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 피드 값 하나를 저장소 항목으로 변환
+ * - 스킴/경로 없는 값: 도메인 항목
+ * - 경로가 "/"뿐인 URL: 도메인 항목 (호스트 전체가 등록된 경우)
+ * - "*" 또는 "/"로 끝나는 값: 접두사 항목 (같은 URL이면 정확한 일치로 보고)
+ * - 그 외: 정확한 URL 항목
+ * @param {string} value
+ * @param {Object} [meta] - 피드별 부가 정보 (target, threat 등)
+ * @returns {Object|null}
+ */
+function toEntry(value, meta = {}) {
+  const text = (value || '').trim();
+  if (!text || text.startsWith('#')) return null;
+
+  if (/^(\*\.)?[a-z0-9.-]+\.[a-z0-9-]+$/i.test(text)) {
+    return { kind: 'domain', value: text.toLowerCase().replace(/^\*\./, ''), ...meta };
+  }
+
+  const isPrefix = text.endsWith('*');
+  const normalized = normalizeUrl(isPrefix ? text.slice(0, -1) : text);
+  if (!normalized) return null;
+
+  if (!isPrefix && normalized.key === `${normalized.hostname}/`) {
+    return { kind: 'domain', value: normalized.hostname, ...meta };
+  }
+
+  return {
+    kind: isPrefix || normalized.key.endsWith('/') ? 'prefix' : 'url',
+    value: normalized.key,
+    hostname: normalized.hostname,
+    ...meta,
+  };
+}
+
+// ============================================
+// 피드 파서
+// ============================================
+
+/**
+ * CSV 파싱 (따옴표 필드, 줄바꿈 포함 필드 지원, "#" 주석 줄 무시)
+ * @param {string} content
+ * @returns {string[][]}
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.length > 1 || r[0].trim()).filter(r => !r[0].trim().startsWith('#'));
+}
+
+/**
+ * CSV 행을 헤더 기준 객체로 변환
+ * @param {string} content
+ * @param {string[]} [defaultHeader] - 헤더 줄이 없는 덤프용 기본 컬럼
+ * @returns {Object[]}
+ */
+function parseCsvRecords(content, defaultHeader = null) {
+  const rows = parseCsv(content);
+  if (rows.length === 0) return [];
+
+  const hasHeader = rows[0].some(cell => cell.trim().toLowerCase() === 'url');
+  const header = hasHeader ? rows[0].map(cell => cell.trim().toLowerCase()) : defaultHeader;
+  if (!header) {
+    throw new Error('CSV에 url 컬럼이 없습니다.');
+  }
+
+  return rows.slice(hasHeader ? 1 : 0).map(cells =>
+    Object.fromEntries(header.map((name, i) => [name, (cells[i] || '').trim()]))
+  );
+}
+
+/**
+ * 텍스트 목록 파싱 (한 줄에 하나, "#" 주석)
+ * @param {string} content
+ * @returns {string[]}
+ */
+function parseLines(content) {
+  return content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * JSON 또는 CSV/텍스트 여부 판단
+ * @param {string} content
+ * @returns {boolean}
+ */
+function looksLikeJson(content) {
+  return /^\s*[[{]/.test(content);
+}
+
+// 형식별 파서: 파일 내용 → 저장소 항목 목록
+const PARSERS = {
+  // PhishTank: online-valid.json / online-valid.csv
+  phishtank(content) {
+    const records = looksLikeJson(content)
+      ? JSON.parse(content)
+      : parseCsvRecords(content);
+    return records.map(r => toEntry(r.url, {
+      target: r.target || null,
+      submittedAt: r.submission_time || null,
+      reference: r.phish_detail_url || null,
+    }));
+  },
+
+  // OpenPhish: feed.txt (URL 목록) 또는 프리미엄 CSV/JSON
+  openphish(content) {
+    if (looksLikeJson(content)) {
+      const parsed = JSON.parse(content);
+      const records = Array.isArray(parsed) ? parsed : Object.values(parsed);
+      return records.map(r => typeof r === 'string'
+        ? toEntry(r)
+        : toEntry(r.url, { target: r.brand || null, submittedAt: r.discover_time || null }));
+    }
+    if (/^\s*"?url"?\s*,/im.test(content.split(/\r?\n/)[0])) {
+      return parseCsvRecords(content).map(r => toEntry(r.url, {
+        target: r.brand || null,
+        submittedAt: r.discover_time || null,
+      }));
+    }
+    return parseLines(content).map(line => toEntry(line));
+  },
+
+  // URLhaus: csv.txt ("#" 주석 헤더) 또는 json_recent
+  urlhaus(content) {
+    const records = looksLikeJson(content)
+      ? Object.values(JSON.parse(content)).flat()
+      : parseCsvRecords(content, ['id', 'dateadded', 'url', 'url_status', 'last_online', 'threat', 'tags', 'urlhaus_link', 'reporter']);
+    return records.map(r => toEntry(r.url, {
+      threat: r.threat || null,
+      tags: Array.isArray(r.tags) ? r.tags : (r.tags ? r.tags.split(',') : []),
+      submittedAt: r.dateadded || null,
+      reference: r.urlhaus_link || null,
+    }));
+  },
+
+  // 자체 허용 목록: 텍스트(도메인, URL, "접두사*") 또는 JSON 문자열 배열
+  allowlist(content) {
+    const values = looksLikeJson(content) ? JSON.parse(content) : parseLines(content);
+    return values.map(v => typeof v === 'string' ? toEntry(v) : toEntry(v.value, { note: v.note || null }));
+  },
+
+  // 자체 차단 목록: 허용 목록과 같은 형식
+  blocklist(content) {
+    return PARSERS.allowlist(content);
+  },
+};
+
+// ============================================
+// 저장소 로드 및 인덱스
+// ============================================
+
+/**
+ * 저장소 파일 경로
+ * @returns {string}
+ */
+export function getStorePath() {
+  return process.env.THREAT_FEED_PATH || DEFAULT_STORE_PATH;
+}
+
+/**
+ * 저장소 항목으로 조회 인덱스 생성
+ * @param {Object} data - 저장소 데이터
+ * @returns {Object} { exact, prefixes, domains }
+ */
+function buildIndex(data) {
+  const exact = new Map();
+  const prefixes = new Map();
+  const domains = new Map();
+
+  const add = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+
+  for (const [feed, entries] of Object.entries(data.entries)) {
+    for (const entry of entries) {
+      const item = { ...entry, feed };
+      if (entry.kind === 'domain') {
+        add(domains, entry.value, item);
+      } else if (entry.kind === 'prefix') {
+        add(prefixes, entry.hostname, item);
+      } else {
+        add(exact, entry.value, item);
+      }
+    }
+  }
+
+  return { exact, prefixes, domains };
+}
+
+/**
+ * 저장소 파일 로드 (파일이 없으면 빈 저장소)
+ * @returns {Object}
+ */
+export function loadThreatFeeds() {
+  const storePath = getStorePath();
+
+  try {
+    const stat = fs.statSync(storePath);
+    store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    storeMtime = stat.mtimeMs;
+    const count = Object.values(store.entries).reduce((sum, list) => sum + list.length, 0);
+    console.log(`[Threat Feeds] ${Object.keys(store.feeds).length}개 피드, ${count}개 항목 로드 (${storePath})`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Threat Feeds] 저장소 로드 실패 (${storePath}): ${error.message}`);
+    }
+    store = { feeds: {}, entries: {} };
+    storeMtime = 0;
+  }
+
+  index = buildIndex(store);
+  return store;
+}
+
+/**
+ * 저장소 파일이 바뀌었으면 다시 로드 (가져오기 CLI는 별도 프로세스에서 실행됨)
+ */
+function ensureLoaded() {
+  if (!store) {
+    loadThreatFeeds();
+    return;
+  }
+
+  try {
+    if (fs.statSync(getStorePath()).mtimeMs !== storeMtime) {
+      loadThreatFeeds();
+    }
+  } catch {
+    // 파일이 없으면 현재 저장소 유지
+  }
+}
+
+/**
+ * 저장소 파일 쓰기 (임시 파일 후 rename)
+ * @param {Object} data
+ */
+function writeStore(data) {
+  const storePath = getStorePath();
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+
+  const tmpPath = `${storePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data));
+  fs.renameSync(tmpPath, storePath);
+}
+
+// ============================================
+// 피드 가져오기
+// ============================================
+
+/**
+ * 피드 덤프 파일을 저장소로 가져오기 (같은 이름의 피드는 교체)
+ * @param {Object} options
+ * @param {string} options.file - 덤프 파일 경로
+ * @param {string} options.format - phishtank / openphish / urlhaus / allowlist / blocklist
+ * @param {string} [options.name] - 피드 이름 (기본값: format)
+ * @returns {Object} 가져온 피드 정보
+ */
+export function importFeed({ file, format, name = format }) {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`지원하지 않는 피드 형식: ${format} (${Object.keys(PARSERS).join(', ')})`);
+  }
+
+  const parsed = parser(fs.readFileSync(file, 'utf8'));
+  const entries = parsed.filter(Boolean);
+
+  loadThreatFeeds();
+  const feed = {
+    name,
+    format,
+    list: FEED_FORMATS[format],
+    source: path.basename(file),
+    importedAt: new Date().toISOString(),
+    entryCount: entries.length,
+  };
+
+  const data = {
+    feeds: { ...store.feeds, [name]: feed },
+    entries: { ...store.entries, [name]: entries },
+  };
+  writeStore(data);
+  loadThreatFeeds();
+
+  console.log(`[Threat Feeds] ${name}: ${entries.length}개 항목 가져옴 (${file})`);
+  return { ...feed, skipped: parsed.length - entries.length };
+}
+
+/**
+ * 저장소에서 피드 삭제
+ * @param {string} name
+ * @returns {boolean} 삭제 여부
+ */
+export function removeFeed(name) {
+  loadThreatFeeds();
+  if (!store.feeds[name]) return false;
+
+  const feeds = { ...store.feeds };
+  const entries = { ...store.entries };
+  delete feeds[name];
+  delete entries[name];
+  writeStore({ feeds, entries });
+  loadThreatFeeds();
+  return true;
+}
+
+/**
+ * 가져온 피드 목록
+ * @returns {Object[]}
+ */
+export function listFeeds() {
+  ensureLoaded();
+  return Object.values(store.feeds);
+}
+
+// ============================================
+// 조회
+// ============================================
+
+/**
+ * URL을 위협 피드와 허용 목록에서 조회
+ * 허용/차단이 모두 일치하면 더 구체적인 쪽(정확한 URL > 접두사 > 도메인)을 채택하고, 같으면 허용
+ * @param {string} url
+ * @returns {Object|null} { list, matchType, feed, value, importedAt, ..., matches } 또는 null
+ */
+export function lookupThreatFeeds(url) {
+  ensureLoaded();
+
+  const normalized = normalizeUrl(url);
+  if (!normalized) return null;
+
+  const { key, hostname } = normalized;
+  const matches = [];
+
+  for (const entry of index.exact.get(key) || []) {
+    matches.push({ ...entry, matchType: 'exact' });
+  }
+
+  for (const entry of index.prefixes.get(hostname) || []) {
+    if (key.startsWith(entry.value)) {
+      matches.push({ ...entry, matchType: key === entry.value ? 'exact' : 'prefix' });
+    }
+  }
+
+  // 호스트명부터 등록 가능 도메인까지 상위 도메인 순서로 검사
+  const registrable = getRegistrableDomain(hostname);
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const domain = labels.slice(i).join('.');
+    for (const entry of index.domains.get(domain) || []) {
+      matches.push({ ...entry, matchType: 'domain' });
+    }
+    if (domain === registrable) break;
+  }
+
+  if (matches.length === 0) return null;
+
+  const feeds = store.feeds;
+  const best = (list) => matches
+    .filter(m => feeds[m.feed]?.list === list)
+    .sort((a, b) => MATCH_SPECIFICITY[b.matchType] - MATCH_SPECIFICITY[a.matchType])[0];
+
+  const allow = best('allow');
+  const block = best('block');
+  const winner = allow && (!block || MATCH_SPECIFICITY[allow.matchType] >= MATCH_SPECIFICITY[block.matchType])
+    ? allow
+    : block;
+
+  const describe = (m) => ({
+    list: feeds[m.feed].list,
+    matchType: m.matchType,
+    feed: m.feed,
+    format: feeds[m.feed].format,
+    value: m.value,
+    importedAt: feeds[m.feed].importedAt,
+    target: m.target || null,
+    threat: m.threat || null,
+    submittedAt: m.submittedAt || null,
+    reference: m.reference || null,
+  });
+
+  return {
+    ...describe(winner),
+    matches: matches.map(describe),
+  };
+}
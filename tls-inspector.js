@@ -0,0 +1,101 @@
+/**
+ * TLS Certificate Inspector
+ * 메인 문서의 TLS 인증서 정보 수집 (Puppeteer response.securityDetails())
+ *
+ * - 발급자, 유효 기간, 발급 후 경과일, SAN 목록, 프로토콜
+ * - SAN이 호스트명을 포함하는지, 무료 DV 인증서인지 판별
+ */
+
+// ============================================
+// 상수 정의
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 무료 DV 인증서 발급자 (Chrome은 발급자 CN만 제공 - Let's Encrypt는 R10/E5 등 중간 인증서 이름)
+const FREE_DV_ISSUERS = [
+  /^[RE]\d{1,2}$/,            // Let's Encrypt (R3, R10, R11, E5, E6 ...)
+  /let'?s encrypt/i,
+  /zerossl/i,
+  /^cpanel/i,
+  /buypass.*go/i,
+  /^W[RE]\d$/,                // Google Trust Services (WR1, WE1 - Cloudflare 등 무료 발급)
+  /ssl\.com.*(free|dv)/i,
+];
+
+// ============================================
+// 유틸리티 함수
+// ============================================
+
+/**
+ * SAN 항목이 호스트명을 포함하는지 확인 (와일드카드는 한 레이블만 대응)
+ * @param {string} san - 예: "*.example.com"
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function sanCoversHostname(san, hostname) {
+  const pattern = san.toLowerCase();
+  const host = hostname.toLowerCase();
+
+  if (!pattern.startsWith('*.')) {
+    return pattern === host;
+  }
+
+  const base = pattern.substring(2);
+  const dot = host.indexOf('.');
+  return dot > 0 && host.substring(dot + 1) === base;
+}
+
+/**
+ * 무료 DV 인증서 발급자인지 확인
+ * @param {string} issuer
+ * @returns {boolean}
+ */
+export function isFreeDvIssuer(issuer) {
+  return !!issuer && FREE_DV_ISSUERS.some(pattern => pattern.test(issuer.trim()));
+}
+
+// ============================================
+// 인증서 검사
+// ============================================
+
+/**
+ * 메인 문서 응답의 TLS 인증서 검사
+ * @param {import('puppeteer').HTTPResponse|null} response - page.goto() 결과
+ * @returns {Object} 인증서 정보 (HTTPS가 아니면 secure: false)
+ */
+export function inspectCertificate(response) {
+  let hostname = null;
+  try {
+    hostname = response ? new URL(response.url()).hostname : null;
+  } catch {
+    // 무효한 URL 무시
+  }
+
+  const details = response?.securityDetails();
+  if (!details) {
+    return { secure: false, hostname };
+  }
+
+  const validFrom = details.validFrom() * 1000;
+  const validTo = details.validTo() * 1000;
+  const now = Date.now();
+  const sanList = details.subjectAlternativeNames() || [];
+  const issuer = details.issuer() || '';
+
+  return {
+    secure: true,
+    hostname,
+    subjectName: details.subjectName(),
+    issuer,
+    protocol: details.protocol(),
+    validFrom: new Date(validFrom).toISOString(),
+    validTo: new Date(validTo).toISOString(),
+    ageDays: Math.floor((now - validFrom) / DAY_MS),
+    remainingDays: Math.floor((validTo - now) / DAY_MS),
+    expired: now > validTo || now < validFrom,
+    sanList,
+    coversHostname: !!hostname && sanList.some(san => sanCoversHostname(san, hostname)),
+    freeDv: isFreeDvIssuer(issuer),
+  };
+}
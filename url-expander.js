@@ -0,0 +1,196 @@
+/**
+ * URL Expander
+ * 알려진 URL 단축 서비스 링크를 브라우저 렌더링 없이 단계별로 전개
+ *
+ * - 리다이렉트를 따라가지 않는 HEAD 요청으로 Location 헤더 확인, 미지원(405 등)이면 GET으로 재시도
+ * - Location이 없으면 GET 본문(최대 64KB)의 meta refresh / 자바스크립트 location 이동을 해석
+ * - 단축 서비스 도메인에만 요청하고 목적지는 방문하지 않음 (브라우저 로드 전 목적지 판정용)
+ */
+
+import { findShortener } from './redirect-chain.js';
+
+// ============================================
+// 상수 정의
+// ============================================
+
+// 최대 전개 단계 수 (단축 URL을 다시 단축한 경우 포함)
+const MAX_HOPS = 10;
+
+// 전체 전개 타임아웃 (ms)
+const EXPANSION_TIMEOUT = 8000;
+
+// 본문에서 이동 대상을 찾을 최대 길이
+const MAX_BODY_LENGTH = 64 * 1024;
+
+// 단축 서비스에 보낼 User-Agent (봇 전용 응답을 받지 않도록 일반 브라우저로 위장)
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// 본문 이동 패턴 (meta refresh → 자바스크립트 순)
+const BODY_REDIRECT_PATTERNS = [
+  { via: 'meta-refresh', pattern: /<meta[^>]+http-equiv=["']?refresh["']?[^>]*content=["']?\s*\d*\s*;?\s*url\s*=\s*['"]?([^"'>\s]+)/i },
+  { via: 'meta-refresh', pattern: /<meta[^>]+content=["']?\s*\d*\s*;?\s*url\s*=\s*['"]?([^"'>\s]+)[^>]*http-equiv=["']?refresh/i },
+  { via: 'javascript', pattern: /(?:window\.|document\.|top\.)?location(?:\.href)?\s*=\s*["']([^"']+)["']/i },
+  { via: 'javascript', pattern: /location\.(?:replace|assign)\(\s*["']([^"']+)["']\s*\)/i },
+];
+
+// ============================================
+// 유틸리티 함수
+// ============================================
+
+/**
+ * 상대 경로를 절대 URL로 변환 (http(s)가 아니면 null)
+ * @param {string|null} location
+ * @param {string} base
+ * @returns {string|null}
+ */
+function resolveLocation(location, base) {
+  if (!location) return null;
+  try {
+    const resolved = new URL(location.replace(/&amp;/g, '&'), base);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 본문의 meta refresh / 자바스크립트 이동 대상
+ * @param {string} body
+ * @param {string} base
+ * @returns {Object|null} { location, via }
+ */
+export function findBodyRedirect(body, base) {
+  for (const { via, pattern } of BODY_REDIRECT_PATTERNS) {
+    const location = resolveLocation(body.match(pattern)?.[1], base);
+    if (location) return { location, via };
+  }
+  return null;
+}
+
+/**
+ * 리다이렉트를 따라가지 않는 요청
+ * @param {string} url
+ * @param {string} method - HEAD/GET
+ * @param {AbortSignal} signal
+ * @returns {Promise<Response>}
+ */
+function request(url, method, signal) {
+  return fetch(url, {
+    method,
+    redirect: 'manual',
+    signal,
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,*/*' },
+  });
+}
+
+/**
+ * 본문을 최대 길이까지만 읽기 (나머지는 받지 않고 취소)
+ * @param {Response} response
+ * @param {number} cap - 최대 바이트 수
+ * @returns {Promise<string>}
+ */
+async function readBodyCapped(response, cap) {
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  while (size < cap) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  if (size >= cap) await reader.cancel().catch(() => {});
+
+  return Buffer.concat(chunks).subarray(0, cap).toString('utf8');
+}
+
+/**
+ * 단축 URL 한 단계 전개
+ * @param {string} url
+ * @param {AbortSignal} signal
+ * @returns {Promise<Object>} { url, method, status, location, via }
+ */
+async function resolveHop(url, signal) {
+  const head = await request(url, 'HEAD', signal);
+  const headLocation = resolveLocation(head.headers.get('location'), url);
+  if (headLocation) {
+    return { url, method: 'HEAD', status: head.status, location: headLocation, via: 'header' };
+  }
+
+  // HEAD 미지원 또는 본문으로 이동하는 서비스
+  const get = await request(url, 'GET', signal);
+  const getLocation = resolveLocation(get.headers.get('location'), url);
+  if (getLocation) {
+    await get.body?.cancel().catch(() => {});
+    return { url, method: 'GET', status: get.status, location: getLocation, via: 'header' };
+  }
+
+  const body = await readBodyCapped(get, MAX_BODY_LENGTH);
+  const found = findBodyRedirect(body, url);
+  return {
+    url,
+    method: 'GET',
+    status: get.status,
+    location: found?.location || null,
+    via: found?.via || null,
+  };
+}
+
+// ============================================
+// 전개
+// ============================================
+
+/**
+ * 단축 URL 전개 (단축 서비스가 아닌 URL에 도달할 때까지)
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - 전체 타임아웃 (ms), 기본 8000
+ * @param {number} [options.maxHops] - 최대 단계 수, 기본 10
+ * @returns {Promise<Object>} { startUrl, finalUrl, expanded, complete, hops, shorteners, disabled, error }
+ */
+export async function expandShortUrl(url, options = {}) {
+  const { timeout = EXPANSION_TIMEOUT, maxHops = MAX_HOPS } = options;
+  const signal = AbortSignal.timeout(timeout);
+  const hops = [];
+  let current = url;
+  let error = null;
+
+  while (findShortener(current)) {
+    if (hops.length >= maxHops) {
+      error = `최대 단계(${maxHops}) 초과`;
+      break;
+    }
+    if (hops.some(hop => hop.url === current)) {
+      error = '순환 리다이렉트';
+      break;
+    }
+
+    let hop;
+    try {
+      hop = await resolveHop(current, signal);
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError' ? '전개 시간 초과' : requestError.message;
+      break;
+    }
+
+    hops.push(hop);
+    if (!hop.location) break;
+    current = hop.location;
+  }
+
+  const lastHop = hops[hops.length - 1];
+  return {
+    startUrl: url,
+    finalUrl: current,
+    expanded: current !== url,
+    complete: !findShortener(current),
+    hops,
+    shorteners: [...new Set(hops.map(hop => findShortener(hop.url)))],
+    // 단축 서비스가 이동 없이 오류 상태로 응답 (삭제/차단된 링크)
+    disabled: Boolean(lastHop && !lastHop.location && lastHop.status >= 400),
+    error,
+  };
+}
@@ -6,6 +6,7 @@
 import { WebSocketServer } from 'ws';
 import puppeteer from 'puppeteer';
 import { analyzeInBackground, analyzePage } from './live-analyzer.js';
+import { startLiveCollectors, getLiveAnalysisOptions } from './live-collectors.js';
 
 // WebSocket 서버 설정
 const WS_PORT = process.env.WS_PORT || 4001;
@@ -198,6 +199,9 @@ async function handleAnalyzeRequest(url, sendMessage, options = {}) {
 
     await page.setViewport({ width: 1280, height: 720 });
 
+    // 네트워크 기록(HAR), 외부 스크립트 본문, 자산 해시, 채굴 신호 수집 (로드 구간 CPU 지표 포함)
+    const collectors = await startLiveCollectors(page, options);
+
     // 페이지 로드
     sendMessage({
       type: 'analysis_progress',
@@ -222,7 +226,11 @@ async function handleAnalyzeRequest(url, sendMessage, options = {}) {
     }
 
     // 백그라운드 분석 실행
-    await analyzeInBackground(page, sendMessage, options);
+    await analyzeInBackground(page, sendMessage, {
+      ...options,
+      ...await getLiveAnalysisOptions(collectors),
+    });
+    await collectors.harRecorder.stop();
 
   } catch (error) {
     sendMessage({